@@ -0,0 +1,119 @@
+'use strict';
+/**
+ * Routing benchmark.
+ * Compares the radix tree lookup used by RouteTree#find against the baseline algorithm it replaced, which walked
+ * the node tree depth first, matching the request against each node's path with route-parser, then parsed the
+ * path again to extract the route params (Route#execute). The baseline is reimplemented here on the same nodes,
+ * with each node's parser compiled ahead of time, as nodes used to.
+ *
+ * Exits with a non-zero code if the two algorithms disagree on any match, or if the radix tree is not faster.
+ *
+ * Usage: npm run bench [-- <resources>]
+ */
+const _           = require('lodash');
+const RouteParser = require('route-parser');
+const RouteTree   = require('../lib/RouteTree');
+const Request     = require('../lib/Request');
+
+const RESOURCES = parseInt(process.argv[2], 10) || 50;
+const DURATION  = 1000;
+
+// Route templates registered for every resource, with a matching request path.
+const TEMPLATES = [
+  { path : '/api/{r}', sample : '/api/{r}' },
+  { path : '/api/{r}/search', sample : '/api/{r}/search' },
+  { path : '/api/{r}/:id', sample : '/api/{r}/42' },
+  { path : '/api/{r}/:id/history', sample : '/api/{r}/42/history' },
+  { path : '/api/{r}/:id/notes/:noteId', sample : '/api/{r}/42/notes/7' },
+  { path : '/api/{r}/:id/files/*path', sample : '/api/{r}/42/files/a/b/c.txt' },
+  { path : '/api/{r}/:id/export.:format', sample : '/api/{r}/42/export.csv' },
+  { path : '/api/{r}/reports(/:year)', sample : '/api/{r}/reports/2016' }
+];
+
+function buildTree() {
+  const tree     = new RouteTree();
+  const requests = [];
+
+  _.times(RESOURCES, (i) => {
+    _.forEach(TEMPLATES, (template) => {
+      tree.addRoute({ path : template.path.replace('{r}', `resource${i}`), methods : 'get', handler : _.noop });
+      requests.push(new Request({ path : template.sample.replace('{r}', `resource${i}`), method : 'get', headers : {} }));
+    });
+  });
+
+  return { tree, requests };
+}
+
+function buildBaseline(node) {
+  return {
+    node,
+    parser   : new RouteParser(node.path),
+    children : _.map(node.getChildren(), buildBaseline)
+  };
+}
+
+function baselineMatch(entry, path) {
+  if (entry.parser.match(path)) {
+    return entry.node;
+  }
+  for (let i = 0; i < entry.children.length; i++) {
+    const match = baselineMatch(entry.children[i], path);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+function baselineFind(baseline, request) {
+  const route = baselineMatch(baseline, request.path).getRoute(request);
+  return { route, params : route._parsePath(request.path) };
+}
+
+function radixFind(tree, request) {
+  return tree.find(request);
+}
+
+function measure(name, fn, target, requests) {
+  const start = Date.now();
+  let lookups = 0;
+
+  while (Date.now() - start < DURATION) {
+    for (let i = 0; i < requests.length; i++) {
+      fn(target, requests[i]);
+    }
+    lookups += requests.length;
+  }
+
+  const perSecond = Math.round(lookups / ((Date.now() - start) / 1000));
+  console.log(`${_.padEnd(name, 8)} ${_.padStart(perSecond.toLocaleString(), 12)} lookups/sec`);
+  return perSecond;
+}
+
+function verify(baseline, tree, requests) {
+  return _.every(requests, (request) => {
+    const expected = baselineFind(baseline, request);
+    const radix    = radixFind(tree, request);
+    if (expected.route !== radix.route || !_.isEqual(expected.params, radix.params)) {
+      console.error(`Mismatch for ${request.path}: ${expected.route.path} / ${radix.route.path}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+const built    = buildTree();
+const baseline = buildBaseline(built.tree._root);
+
+console.log(`${built.requests.length} routes, ${built.requests.length} request paths\n`);
+if (!verify(baseline, built.tree, built.requests)) {
+  process.exit(1);
+}
+
+const previous = measure('baseline', baselineFind, baseline, built.requests);
+const radix    = measure('radix', radixFind, built.tree, built.requests);
+
+console.log(`\nradix tree is ${(radix / previous).toFixed(1)}x faster`);
+if (radix <= previous) {
+  process.exit(1);
+}
@@ -1,9 +1,7 @@
 'use strict';
 
-const http        = require('http');
 const SuperRouter = require('./..');
 const Q           = require('q');
-const _           = require('lodash');
 
 const app = new SuperRouter.App();
 
@@ -43,26 +41,6 @@ app.then((opts) => {
   response.setBody(JSON.stringify(response.getBody()));
 });
 
-// Setup a transport binding to http server
-const server = http.createServer((req, res) => {
-  const request = ({
-    path    : req.url,
-    method  : req.method,
-    headers : req.headers,
-    body    : req
-  });
-
-  app.processRequest(request).then((response) => {
-    res.statusCode = response.statusCode;
-    _.each(response.headers, (value, key) => {
-      res.setHeader(key, value);
-    });
-    response.body.pipe(res);
-  }).catch((err) => {
-    res.statusCode = 500;
-    res.end(err.stack);
-  }).done();
-});
-
-server.listen(3000);
+// Serve the app over http
+app.listen(3000);
 console.log('listening on port 3000');
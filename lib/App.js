@@ -1,16 +1,40 @@
 'use strict';
-const _        = require('lodash');
-const Route    = require('./Route');
-const Request  = require('./Request');
-const Response = require('./Response');
-const Q        = require('q');
+const _          = require('lodash');
+const http       = require('http');
+const Route      = require('./Route');
+const Request    = require('./Request');
+const Response   = require('./Response');
+const Q          = require('q');
+const METHODS    = require('./METHODS');
+const PathPolicy = require('./PathPolicy');
+
+const HttpAdapter       = require('./adapters/HttpAdapter');
+const ServerlessAdapter = require('./adapters/ServerlessAdapter');
 
 /**
  * SuperRouter app object. Builds a middleware stack.
  */
 class App {
-  constructor() {
+
+  /**
+   * Instantiates a new app.
+   *
+   * @param {Object} [options] - The app options
+   * @param {PathPolicy|Object} [options.pathPolicy] - The policy used to normalize the paths of the requests the app
+   *  processes, its middleware route paths and its mount prefixes; see {@link PathPolicy}
+   * @param {Boolean} [options.nestedQuery=false] - If bracketed query param names, as in `filter[status]=open`, are
+   *  parsed into nested objects and arrays in `request.query`
+   * @returns {App} - The new app
+   */
+  constructor(options) {
+    if (!_.isUndefined(options) && !_.isPlainObject(options)) {
+      throw new TypeError('options must be an object.');
+    }
+    options = options || {};
+
     this._middleware      = [];
+    this._pathPolicy      = PathPolicy.from(options.pathPolicy);
+    this._nestedQuery     = options.nestedQuery === true;
   }
 
   /**
@@ -82,33 +106,90 @@ class App {
       route = { handler : route };
     }
     if (!(route instanceof Route)) {
-      route = new Route(route);
+      route = new Route(_.assign({}, route, { pathPolicy : this._pathPolicy }));
     }
 
     this._middleware.push({ route, method });
     return this;
   }
 
+  /**
+   * Mounts a sub-app under a path prefix. The sub-app runs its own middleware stack, as a 'then', for requests
+   * whose path is the prefix or starts with it. While it runs, `request.path` is the remainder of the path after
+   * the prefix, and `request.baseUrl` is the prefix, appended to the base url of any app the parent itself is
+   * mounted in. Both are restored once the sub-app completes; `request.originalPath` is never changed.
+   *
+   * Errors the sub-app's catches do not handle fall back into the parent's stack, and are handled by the
+   * parent's catches declared after the sub-app.
+   *
+   * @example
+   * const v2 = new App();
+   * v2.then({ path : '/users', methods : 'get', handler }); // serves GET /v2/users
+   * app.use('/v2', v2);
+   *
+   * @param {String} prefix - The path prefix
+   * @param {App} app - The sub-app to mount
+   * @returns {App} - app instance for chaining
+   */
+  use(prefix, app) {
+    if (!_.isString(prefix) || !_.startsWith(prefix, '/')) {
+      throw new TypeError('prefix must be a string starting with a / character.');
+    }
+    if (!(app instanceof App)) {
+      throw new TypeError('app must be a SuperRouter App instance.');
+    }
+
+    this._middleware.push({ app, prefix : this._pathPolicy.normalize(prefix), method : 'use' });
+    return this;
+  }
+
   /**
    * Process a request through the middleware stack. Evaluates the request against each middleware and error
    * middleware as appropriate. Resolves to a Response object. If the promise chain ends in a rejection,
    * will reject with the last error thrown.
    *
+   * The response body of a HEAD request is discarded once the stack completes, keeping its status code and
+   * headers, so HEAD requests can be served by GET routes.
+   *
    * @param {Request} request - The input request
    * @returns {Promise<Response>} - A promise for a valid response object.
    */
   processRequest(request) {
     if (!(request instanceof Request)) {
-      request = new Request(request);
+      request = new Request(_.assign({}, request, { pathPolicy : this._pathPolicy, nestedQuery : this._nestedQuery }));
     }
 
-    let promise    = Q();
     const response = new Response();
+
+    return this._run(request, response).then(() => {
+      if (request.method === METHODS.HEAD) {
+        response.discardBody();
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Runs a request and response through the middleware stack.
+   *
+   * @param {Request} request - The request
+   * @param {Response} response - The response
+   * @returns {Promise} - A promise that resolves when the stack completes, or rejects with the last error thrown
+   */
+  _run(request, response) {
+    let promise = Q();
     _.each(this._middleware, (middleware) => {
       const route = middleware.route;
       const method = middleware.method;
 
-      if ( method === 'then' ) {
+      if (method === 'use') {
+        promise = promise.then(() => {
+          if (!response.ended) {
+            return _runMounted(middleware, request, response);
+          }
+        });
+      }
+      else if ( method === 'then' ) {
         promise = promise.then(() => {
           if (!response.ended) {
             return route.execute({ request, response });
@@ -127,10 +208,140 @@ class App {
       }
     });
 
-    return promise.then(() => {
-      return response;
-    });
+    return promise;
+  }
+
+  /**
+   * Returns a `(req, res)` request listener serving this app, for use with `http.createServer` or
+   * `https.createServer`.
+   *
+   * @example
+   * https.createServer(tlsOptions, app.toNodeHandler()).listen(443);
+   *
+   * @param {Object} [options] - Adapter options, see {@link HttpAdapter.createHandler}
+   * @returns {Function} - The node request listener
+   */
+  toNodeHandler(options) {
+    return HttpAdapter.createHandler(this, options);
+  }
+
+  /**
+   * Returns a `(stream, headers)` listener serving this app, for use with the `stream` event of
+   * `http2.createSecureServer` or `http2.createServer`. The HTTP/2 adapter, and the node `http2` module, are only
+   * loaded once this is called.
+   *
+   * @example
+   * const server = http2.createSecureServer(tlsOptions);
+   * server.on('stream', app.toHttp2Handler());
+   * server.listen(443);
+   *
+   * @param {Object} [options] - Adapter options, see {@link Http2Adapter.createHandler}
+   * @returns {Function} - The http2 stream listener
+   */
+  toHttp2Handler(options) {
+    return require('./adapters/Http2Adapter').createHandler(this, options); // eslint-disable-line global-require
+  }
+
+  /**
+   * Returns an `(event, context)` handler serving this app from API Gateway shaped events, for use in
+   * function-as-a-service runtimes.
+   *
+   * @example
+   * exports.handler = app.toServerlessHandler();
+   *
+   * @param {Object} [options] - Adapter options, see {@link ServerlessAdapter.createHandler}
+   * @returns {Function} - The event handler
+   */
+  toServerlessHandler(options) {
+    return ServerlessAdapter.createHandler(this, options);
+  }
+
+  /**
+   * Creates an http server for this app and starts listening. Accepts the same arguments as
+   * `http.Server#listen`.
+   *
+   * @example
+   * app.listen(3000, () => {
+   *   console.log('listening on port 3000');
+   * });
+   *
+   * @returns {http.Server} - The listening server
+   */
+  listen() {
+    const server = http.createServer(this.toNodeHandler());
+    return server.listen(...arguments);
+  }
+}
+
+/**
+ * Runs a mounted sub-app if the request path is under its prefix, with the request path rewritten to the
+ * remainder of the path and the request base url extended with the prefix. The request query is kept as it is,
+ * with any coercion done by the parent app or the sub-app.
+ *
+ * @param {{app: App, prefix: String}} mount - The mounted sub-app and its prefix
+ * @param {Request} request - The request
+ * @param {Response} response - The response
+ * @returns {Promise} - A promise that resolves or rejects as the sub-app's stack does
+ * @private
+ */
+function _runMounted(mount, request, response) {
+  const rawPath   = request.rawPath;
+  const baseUrl   = request.baseUrl;
+  const remainder = _stripPrefix(request.path, mount.prefix);
+  if (remainder == null) {
+    return Q();
+  }
+
+  _setPath(request, remainder);
+  request.baseUrl = (baseUrl || '') + (mount.prefix === '/' ? '' : mount.prefix);
+
+  return mount.app._run(request, response).finally(() => {
+    _setPath(request, rawPath);
+    request.baseUrl = baseUrl;
+  });
+}
+
+/**
+ * Sets the path of a request without parsing its query again, which would undo the coercion of query params
+ * declared with a query schema. The querystring is the same on both paths.
+ *
+ * @param {Request} request - The request
+ * @param {String} path - The new path
+ * @returns {void}
+ * @private
+ */
+function _setPath(request, path) {
+  const query = request.query;
+  request.path  = path;
+  request.query = query;
+}
+
+/**
+ * Strips a prefix from a request path. The prefix must end at a segment boundary.
+ *
+ * @example
+ * _stripPrefix('/v2/users?a=b', '/v2'); // '/users?a=b'
+ * _stripPrefix('/v2?a=b', '/v2'); // '/?a=b'
+ * _stripPrefix('/v20', '/v2'); // null
+ *
+ * @param {String} path - The request path
+ * @param {String} prefix - The path prefix
+ * @returns {String} - The remainder of the path, or null if the path is not under the prefix
+ * @private
+ */
+function _stripPrefix(path, prefix) {
+  if (prefix === '/') {
+    return path;
+  }
+  if (!_.startsWith(path, prefix)) {
+    return null;
+  }
+
+  const remainder = path.slice(prefix.length);
+  if (remainder === '' || remainder[0] === '?') {
+    return `/${remainder}`;
   }
+  return remainder[0] === '/' ? remainder : null;
 }
 
 module.exports = App;
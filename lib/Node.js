@@ -3,13 +3,17 @@ const _           = require('lodash');
 const utils       = require('./utils');
 const Route       = require('./Route');
 const METHODS     = require('./METHODS');
-const RouteParser = require('route-parser');
+const PathPolicy  = require('./PathPolicy');
 
 /**
  * Router Node.
  * Represents a unique path on the router. Each node may contain one route per method, and any number of child nodes.
  * Nodes build a linked tree structure, representing each unique route on the router. It is used to serve OPTIONS
- * requests.
+ * requests. Requests are matched to nodes by the radix tree of the {@link RouteTree}.
+ *
+ * OPTIONS requests are answered with an `Allow` header listing the methods served on the node's path. CORS
+ * preflight requests get an empty 204 response, so that a CORS handler can build its own headers from `Allow`.
+ * Other OPTIONS requests get a description of the node as their body; see {@link Node#toObject}.
  */
 class Node {
 
@@ -20,6 +24,10 @@ class Node {
    *
    * @param {Object} options - The input options
    * @param {String} options.path - The path pattern the node represents
+   * @param {Boolean} [options.describeRoutes=false] - If OPTIONS responses should describe the node's routes,
+   *  including their `description` and `schema` annotations. Passed down to child nodes created by this node.
+   * @param {PathPolicy|Object} [options.pathPolicy] - The policy used to normalize the node path and the paths of
+   *  routes added from plain objects. Passed down to child nodes created by this node.
    * @returns {Node} - The Node instance
    */
   constructor(options) {
@@ -33,20 +41,21 @@ class Node {
       throw new TypeError('path must start with a / character.');
     }
 
-    this._path     = utils.normalizePath(options.path);
-    this._parsed   = new RouteParser(this._path);
-    this._routes   = new Map();
-    this._children = new Map();
+    this._pathPolicy  = PathPolicy.from(options.pathPolicy);
+    this._path        = this._pathPolicy.normalize(options.path);
+    this._routes      = new Map();
+    this._children    = new Map();
+    this._describeRoutes = options.describeRoutes === true;
 
-    this.addRoute({
-      path    : this.path,
-      methods : METHODS.OPTIONS,
-      handler : (options) => {
-        const response = options.response;
-
-        response.setBody(this.toObject());
+    this._optionsRoute = new Route({
+      path       : this.path,
+      methods    : METHODS.OPTIONS,
+      pathPolicy : this._pathPolicy,
+      handler    : (options) => {
+        return this._optionsHandler(options);
       }
     });
+    this.addRoute(this._optionsRoute);
   }
 
   /**
@@ -59,16 +68,24 @@ class Node {
   }
 
   /**
-   * Parses the given path string against this node's path pattern. If the input path is a match, returns
-   * an object whose key value pairs are the matched route params and their values. If the path is not a match,
-   * returns false.
+   * Serves OPTIONS requests on the node's path. Sets the `Allow` header, then answers CORS preflight requests with
+   * an empty 204 response, and other requests with a description of the node.
    *
-   * @param {String} path - The input path
-   * @returns {Boolean|Object} - False if the path is not a match, an object if it is.
+   * @param {Object} options - The route handler options
+   * @param {Request} options.request - The OPTIONS request
+   * @param {Response} options.response - The response
+   * @returns {void}
    * @private
    */
-  _parsePath(path) {
-    return this._parsed.match(path);
+  _optionsHandler(options) {
+    const response = options.response;
+
+    response.setHeader('allow', this.getAllowedMethods().join(', '));
+    if (utils.isPreflightRequest(options.request)) {
+      response.statusCode = 204;
+      return;
+    }
+    response.setBody(this.toObject());
   }
 
   /**
@@ -82,7 +99,7 @@ class Node {
    */
   addRoute(route) {
     if (!(route instanceof Route)) {
-      route = new Route(route);
+      route = new Route(_.assign({ pathPolicy : this._pathPolicy }, route));
     }
     if (!this.isSame(route)) {
       throw new TypeError('route path must match node path.');
@@ -100,7 +117,19 @@ class Node {
   }
 
   /**
-   * Adds a child node to this node.
+   * Indicates if this node's path contains a splat or an optional group, and so can match request paths that
+   * its children also match.
+   *
+   * @returns {boolean} - If this node is a wildcard node.
+   */
+  get isWildcard() {
+    return utils.isWildcardPath(this.path);
+  }
+
+  /**
+   * Adds a child node to this node. Children are kept ordered from most to least specific (static segments, then
+   * params, then splats and optional groups), so the order in which routes are registered never changes which
+   * route matches a request.
    *
    * @param {Node} node - The node to add as a child.
    * @returns {void}
@@ -113,7 +142,18 @@ class Node {
       throw new TypeError(`Cannot add duplicate child on path ${node.path}`);
     }
 
-    this._children.set(node.path, node);
+    const children = this.getChildren();
+    let index      = _.findIndex(children, (child) => {
+      return utils.compareSpecificity(node.path, child.path) < 0;
+    });
+    if (index === -1) {
+      index = children.length;
+    }
+    children.splice(index, 0, node);
+
+    this._children = new Map(_.map(children, (child) => {
+      return [child.path, child];
+    }));
   }
 
   /**
@@ -172,11 +212,11 @@ class Node {
    * Otherwise, adds a new child node to this node, then adds the route to the child node.
    *
    * @param {Route} route - The route to insert.
-   * @returns {void}
+   * @returns {Node} - The node the route was added to.
    */
   insert(route) {
     if (!(route instanceof Route)) {
-      route = new Route(route);
+      route = new Route(_.assign({ pathPolicy : this._pathPolicy }, route));
     }
 
     if (!(this.canInsert(route))) {
@@ -184,7 +224,8 @@ class Node {
     }
 
     if (this.isSame(route)) {
-      return this.addRoute(route);
+      this.addRoute(route);
+      return this;
     }
 
     for (const child of this._children.values()) {
@@ -193,57 +234,157 @@ class Node {
       }
     }
 
-    const newNode = new Node({ path : route.path });
+    const newNode = new Node(this._childOptions(route.path));
     newNode.addRoute(route);
+    this._adopt(newNode);
+    return newNode;
+  }
+
+  /**
+   * Recursively inserts a node for a path pattern, without adding any route to it other than OPTIONS. Returns the
+   * node that already represents the path, if there is one.
+   *
+   * @param {String} path - The path pattern
+   * @returns {Node} - The node representing the path.
+   */
+  insertPath(path) {
+    const target = this._childOptions(this._pathPolicy.normalize(path));
+
+    if (!(this.canInsert(target))) {
+      throw new TypeError(`Cannot insert "${target.path}" into "${this.path}". It is not a match or a child path.`);
+    }
+
+    if (this.isSame(target)) {
+      return this;
+    }
+
+    for (const child of this._children.values()) {
+      if (child.canInsert(target)) {
+        return child.insertPath(target.path);
+      }
+    }
+
+    const newNode = new Node(target);
+    this._adopt(newNode);
+    return newNode;
+  }
+
+  /**
+   * Returns the options of a new child node, which inherits this node's options.
+   *
+   * @param {String} path - The child node path
+   * @returns {Object} - The child node options
+   * @private
+   */
+  _childOptions(path) {
+    return { path, describeRoutes : this._describeRoutes, pathPolicy : this._pathPolicy };
+  }
+
+  /**
+   * Adds a new node as a child of this node, moving any of this node's children that are children of the new node
+   * under it.
+   *
+   * @param {Node} newNode - The new node
+   * @returns {void}
+   * @private
+   */
+  _adopt(newNode) {
     this._children.forEach((child, path) => {
       if (newNode.isParent(child)) {
         this._children.delete(path);
         newNode.addChild(child);
       }
     });
+    this._warnOnConflicts(newNode);
     this.addChild(newNode);
   }
 
   /**
-   * Recursively finds a route that matches the specified request. Returns a matching route or null if not match
-   * can be found.
+   * Emits a `RouteConflictWarning` for each child that is ambiguous with a node about to be added. Ambiguous
+   * paths are equally specific, so the one registered first will match requests that both match.
    *
-   * @param {Request} request - The request to find a matching route against
-   * @returns {Route} - The matching route.
-   * @throws an error with a code of 405 if no method match is made
+   * @param {Node} node - The node about to be added as a child.
+   * @returns {void}
+   * @private
    */
-  find(request) {
-    let match;
-    if (this._parsePath(request.path)) {
-      match = this._routes.get(request.method);
-      if (match != null) {
-        return match;
-      }
-      else {
-        const error = new Error(`Invalid method ${request.method} for path ${request.path}`);
-        error.name = 'MethodNotFound';
-        error.statusCode = 405;
-        throw error;
+  _warnOnConflicts(node) {
+    _.forEach(this.getChildren(), (child) => {
+      if (utils.isAmbiguous(child.path, node.path)) {
+        process.emitWarning(
+          `Route "${node.path}" is ambiguous with "${child.path}"; "${child.path}" will take precedence.`,
+          'RouteConflictWarning'
+        );
       }
-    }
+    });
+  }
 
-    for (const child of this._children.values()) {
-      match = child.find(request);
-      if (match) {
-        return match;
-      }
+  /**
+   * Indicates if a route on this node serves a method. HEAD requests are served by the GET route if no HEAD route
+   * is registered.
+   *
+   * @param {String} method - The normalized method
+   * @returns {boolean} - If the node has a route for the method.
+   */
+  hasMethod(method) {
+    return this.routeFor(method) != null;
+  }
+
+  /**
+   * Returns the route registered on this node for the method of the specified request. The request path is
+   * assumed to match the node's path. HEAD requests fall back to the GET route if no HEAD route is registered.
+   *
+   * @param {Request} request - The request to find a matching route for
+   * @returns {Route} - The matching route.
+   * @throws an error with a code of 405 if the node has no route for the request method. The error lists the
+   *  methods served on the node as `allowedMethods`, and as an `Allow` header in `headers`.
+   */
+  getRoute(request) {
+    const match = this.routeFor(request.method);
+    if (match == null) {
+      const allowedMethods = this.getAllowedMethods();
+      const error = new Error(`Invalid method ${request.method} for path ${request.path}`);
+      error.name = 'MethodNotFound';
+      error.statusCode = 405;
+      error.allowedMethods = allowedMethods;
+      error.headers = { allow : allowedMethods.join(', ') };
+      throw error;
     }
+    return match;
+  }
+
+  /**
+   * Returns the methods served on this node's path, including HEAD if it is served by the GET route.
+   *
+   * @returns {Array<String>} - The normalized methods
+   */
+  getAllowedMethods() {
+    return _.filter(_.values(METHODS), (method) => {
+      return method !== METHODS.ALL && this.hasMethod(method);
+    });
+  }
 
-    return null;
+  /**
+   * Returns the route serving a method, falling back to the GET route for HEAD.
+   *
+   * @param {String} method - The normalized method
+   * @returns {Route} - The route, or undefined
+   */
+  routeFor(method) {
+    if (method === METHODS.HEAD && !this._routes.has(METHODS.HEAD)) {
+      return this._routes.get(METHODS.GET);
+    }
+    return this._routes.get(method);
   }
 
   /**
-   * Returns a pojo representation of the node.
+   * Returns a pojo representation of the node. If the node describes its routes, the pojo also lists each route
+   * other than OPTIONS, with its methods and its `name`, `description` and `schema` annotations, if set.
    *
    * @returns {Object} - Plain object representation of the node.
    */
   toObject() {
     const pojo = {
+      path    : this.path,
       methods : _.map(this.getRoutes(), (route) => {
         return route.methods;
       }),
@@ -251,6 +392,16 @@ class Node {
         return childNode.path;
       })
     };
+    if (this._describeRoutes) {
+      pojo.routes = _.map(_.without(_.uniq(this.getRoutes()), this._optionsRoute), (route) => {
+        return _.omitBy({
+          methods     : route.methods,
+          name        : route.name,
+          description : route.description,
+          schema      : route.schema
+        }, _.isUndefined);
+      });
+    }
     return pojo;
   }
 }
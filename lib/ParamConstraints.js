@@ -0,0 +1,185 @@
+'use strict';
+const _     = require('lodash');
+const utils = require('./utils');
+
+// Named param types, as the pattern a value must match and the function coercing matching values.
+const TYPES = {
+  int : {
+    pattern : '-?\\d+',
+    coerce  : (value) => {
+      return parseInt(value, 10);
+    }
+  },
+  float : {
+    pattern : '-?\\d+(?:\\.\\d+)?',
+    coerce  : parseFloat
+  },
+  uuid : {
+    pattern : '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+    coerce  : _.identity
+  },
+  boolean : {
+    pattern : 'true|false',
+    coerce  : (value) => {
+      return value === 'true';
+    }
+  }
+};
+
+// Characters that would be mistaken for path syntax if they appeared in an inline constraint.
+const INVALID_CONSTRAINT = /[\/>]/;
+
+/**
+ * Route param constraints.
+ * Constraints restrict the values a route param matches, and coerce matching values. A request whose param values
+ * do not satisfy the constraints is not a match for the route.
+ *
+ * Constraints are written inline after a param name, in angle brackets. They are either a named type or a
+ * regular expression source that must match the whole value:
+ *  - `int` matches integers, and coerces them to numbers
+ *  - `float` matches decimal numbers, and coerces them to numbers
+ *  - `uuid` matches UUIDs
+ *  - `boolean` matches `true` and `false`, and coerces them to booleans
+ *  - any other source is a regular expression. An enum is an alternation: `:status<open|closed>`
+ *
+ * @example
+ * '/cases/:caseId<int>'
+ * '/cases/:caseId<uuid>/:status<open|closed>'
+ * @private
+ */
+class ParamConstraints {
+
+  /**
+   * Creates a constraint from its source.
+   *
+   * @param {String} source - A named type or a regular expression source
+   * @returns {{source: String, regex: RegExp, coerce: Function}} - The constraint
+   */
+  static create(source) {
+    const type = _.has(TYPES, source) ? TYPES[source] : null;
+
+    return {
+      source,
+      regex  : new RegExp(`^(?:${type ? type.pattern : source})$`),
+      coerce : type ? type.coerce : _.identity
+    };
+  }
+
+  /**
+   * Creates a constraint from its declarative form: a named type, an array of allowed values, or a regular
+   * expression without flags.
+   *
+   * @param {String|Array|RegExp} spec - The declarative constraint
+   * @returns {{source: String, regex: RegExp, coerce: Function}} - The constraint
+   * @throws TypeError - If the constraint is invalid
+   */
+  static fromSpec(spec) {
+    return this.create(_toSource(spec));
+  }
+
+  /**
+   * Returns the constraints written inline in a path pattern, by param name.
+   *
+   * @param {String} path - The path pattern
+   * @returns {Object} - The constraints, by param name
+   */
+  static fromPath(path) {
+    return _.mapValues(utils.getConstraintSources(path), (source) => {
+      return this.create(source);
+    });
+  }
+
+  /**
+   * Writes declarative param constraints into a path pattern, so that they are handled as if they had been written
+   * inline. A declarative constraint is a named type, an array of allowed values, or a regular expression without
+   * flags. Constraints that are already inline in the path are left as they are.
+   *
+   * @example
+   * ParamConstraints.inline('/cases/:caseId/:status', { caseId : 'int', status : ['open', 'closed'] });
+   * // '/cases/:caseId<int>/:status<open|closed>'
+   *
+   * @param {String} path - The path pattern
+   * @param {Object} [params] - The declarative constraints, by param name
+   * @returns {String} - The path pattern with all constraints inline
+   * @throws TypeError - If a constraint is invalid, or names a param that is not in the path
+   */
+  static inline(path, params) {
+    if (!_.isUndefined(params) && !_.isPlainObject(params)) {
+      throw new TypeError('params must be an object.');
+    }
+
+    _.forEach(params, (spec, name) => {
+      const source = _toSource(spec);
+      const token  = new RegExp(`(:+${_.escapeRegExp(name)})(?![\\w<])`);
+      if (utils.getConstraintSources(path)[name] === source) {
+        return;
+      }
+      if (!token.test(path)) {
+        throw new TypeError(`param "${name}" is not an unconstrained param of path "${path}".`);
+      }
+      path = path.replace(token, `$1<${source}>`);
+    });
+
+    _.forEach(utils.getConstraintSources(path), (source) => {
+      if (INVALID_CONSTRAINT.test(source)) {
+        throw new TypeError(`param constraint "${source}" cannot contain / or > characters.`);
+      }
+    });
+
+    return path;
+  }
+
+  /**
+   * Indicates if param values satisfy their constraints. Params without a value, such as those in an absent
+   * optional group, are not checked.
+   *
+   * @param {Object} params - The param values, by name
+   * @param {Object} constraints - The constraints, by param name
+   * @returns {Boolean} - If all values satisfy their constraints
+   */
+  static test(params, constraints) {
+    return _.every(constraints, (constraint, name) => {
+      return _.isUndefined(params[name]) || constraint.regex.test(params[name]);
+    });
+  }
+
+  /**
+   * Coerces param values that satisfy their constraints into typed values.
+   *
+   * @param {Object} params - The param values, by name
+   * @param {Object} constraints - The constraints, by param name
+   * @returns {Object} - The coerced params
+   */
+  static coerce(params, constraints) {
+    return _.mapValues(params, (value, name) => {
+      return _.isUndefined(value) || !constraints[name] ? value : constraints[name].coerce(value);
+    });
+  }
+}
+
+/**
+ * Converts a declarative constraint into an inline constraint source.
+ *
+ * @param {String|Array|RegExp} spec - The declarative constraint
+ * @returns {String} - The constraint source
+ * @private
+ */
+function _toSource(spec) {
+  if (_.isRegExp(spec)) {
+    if (spec.flags) {
+      throw new TypeError('param constraint regular expressions cannot have flags.');
+    }
+    return spec.source.replace(/^\^|\$$/g, '');
+  }
+  if (_.isArray(spec) && !_.isEmpty(spec)) {
+    return _.map(spec, (value) => {
+      return _.escapeRegExp(value);
+    }).join('|');
+  }
+  if (_.isString(spec) && spec !== '') {
+    return spec;
+  }
+  throw new TypeError('param constraints must be a type name, an array of values, or a regular expression.');
+}
+
+module.exports = ParamConstraints;
@@ -0,0 +1,210 @@
+'use strict';
+const _     = require('lodash');
+const utils = require('./utils');
+
+// Policy options, and their defaults. The defaults reproduce `utils.normalizePath`.
+const DEFAULTS = {
+  caseSensitive       : false,
+  strictTrailingSlash : false,
+  redirect            : false,
+  decodeUnreserved    : false,
+  collapseSlashes     : false,
+  resolveDotSegments  : false
+};
+
+// Percent-encoded octets, and the unreserved characters of RFC 3986 that never need to be encoded.
+const ENCODED_OCTET = /%([0-9a-fA-F]{2})/g;
+const UNRESERVED    = /^[A-Za-z0-9\-._~]$/;
+
+// The default policy, created on first use.
+let defaultPolicy = null;
+
+/**
+ * Path normalization policy.
+ * Decides how request paths and route path patterns are normalized before they are matched. Apps apply their policy
+ * to the requests they process and to their middleware routes; routers apply theirs to their routes and to the
+ * request paths they match. The querystring is never normalized.
+ *
+ * Options, all false by default:
+ *  - `caseSensitive`: keep the case of path segments. Otherwise segments other than params and splats are lowercased.
+ *  - `strictTrailingSlash`: keep trailing slashes, so `/cases/` and `/cases` are different paths.
+ *  - `decodeUnreserved`: decode percent-encoded unreserved characters (`%7E` is `~`), and uppercase the hex digits
+ *    of the other percent-encoded octets, as in RFC 3986 section 6.2.2.
+ *  - `collapseSlashes`: collapse runs of slashes, so `/cases//12` is `/cases/12`.
+ *  - `resolveDotSegments`: resolve `.` and `..` segments, so `/cases/open/../12` is `/cases/12`.
+ *  - `redirect`: have routers answer requests whose path is not in its canonical form with a permanent redirect to
+ *    the canonical path, if it matches a route: a 301 for GET and HEAD requests, a 308 for other methods. The canonical form applies all of the above except for lowercasing.
+ *
+ * @example
+ * new Router({ pathPolicy : { caseSensitive : true, strictTrailingSlash : true } });
+ * new Router({ pathPolicy : { collapseSlashes : true, resolveDotSegments : true, redirect : true } });
+ */
+class PathPolicy {
+
+  /**
+   * Instantiates a new path policy.
+   *
+   * @param {Object} [options] - The policy options, as described above
+   * @returns {PathPolicy} - The new policy
+   */
+  constructor(options) {
+    if (!_.isUndefined(options) && !_.isPlainObject(options)) {
+      throw new TypeError('pathPolicy must be an object.');
+    }
+    _.forEach(options, (value, key) => {
+      if (!_.has(DEFAULTS, key)) {
+        throw new TypeError(`unknown pathPolicy option "${key}".`);
+      }
+      if (!_.isBoolean(value)) {
+        throw new TypeError(`pathPolicy option "${key}" must be a boolean.`);
+      }
+    });
+
+    this._options = _.defaults({}, options, DEFAULTS);
+  }
+
+  /**
+   * Returns a policy from a policy or policy options. The default policy is returned if none is provided.
+   *
+   * @param {PathPolicy|Object} [policy] - The policy, or its options
+   * @returns {PathPolicy} - The policy
+   */
+  static from(policy) {
+    if (policy instanceof PathPolicy) {
+      return policy;
+    }
+    return _.isUndefined(policy) ? PathPolicy.DEFAULT : new PathPolicy(policy);
+  }
+
+  /**
+   * Returns the default policy, which normalizes paths as `utils.normalizePath` does.
+   *
+   * @returns {PathPolicy} - The default policy
+   */
+  static get DEFAULT() {
+    if (defaultPolicy === null) {
+      defaultPolicy = new PathPolicy();
+    }
+    return defaultPolicy;
+  }
+
+  /**
+   * Returns the policy options.
+   *
+   * @returns {Object} - The policy options
+   */
+  get options() {
+    return _.clone(this._options);
+  }
+
+  /**
+   * Indicates if routers should redirect requests to the canonical form of their path.
+   *
+   * @returns {Boolean} - If requests are redirected
+   */
+  get redirect() {
+    return this._options.redirect;
+  }
+
+  /**
+   * Indicates if this policy normalizes paths in the same way as another.
+   *
+   * @param {PathPolicy} policy - The other policy
+   * @returns {Boolean} - If the policies are equivalent
+   */
+  equals(policy) {
+    return policy instanceof PathPolicy && _.isEqual(this._options, policy._options);
+  }
+
+  /**
+   * Returns the canonical form of a path: decoded, with collapsed slashes, resolved dot segments and no trailing
+   * slash, as the policy options require. The case of the path is kept.
+   *
+   * @param {String} path - The path, with an optional querystring
+   * @returns {String} - The canonical path
+   */
+  canonicalize(path) {
+    const parts = utils.splitQuerystring(path);
+    let uri     = parts[0];
+
+    if (this._options.decodeUnreserved) {
+      uri = _decodeUnreserved(uri);
+    }
+    if (this._options.collapseSlashes) {
+      uri = uri.replace(/\/{2,}/g, '/');
+    }
+    if (this._options.resolveDotSegments) {
+      uri = _resolveDotSegments(uri);
+    }
+    if (!this._options.strictTrailingSlash) {
+      uri = utils.stripTrailingSlashes(uri);
+    }
+
+    return uri + parts[1];
+  }
+
+  /**
+   * Normalizes a request path or a route path pattern: canonicalizes it, then lowercases it unless the policy is
+   * case sensitive.
+   *
+   * @param {String} path - The path, with an optional querystring
+   * @returns {String} - The normalized path
+   */
+  normalize(path) {
+    const parts = utils.splitQuerystring(this.canonicalize(path));
+
+    return (this._options.caseSensitive ? parts[0] : utils.lowercaseSegments(parts[0])) + parts[1];
+  }
+}
+
+/**
+ * Decodes the percent-encoded unreserved characters of a uri, and uppercases the hex digits of other
+ * percent-encoded octets.
+ *
+ * @param {String} uri - The uri
+ * @returns {String} - The decoded uri
+ * @private
+ */
+function _decodeUnreserved(uri) {
+  return uri.replace(ENCODED_OCTET, (match, hex) => {
+    const character = String.fromCharCode(parseInt(hex, 16));
+    return UNRESERVED.test(character) ? character : `%${hex.toUpperCase()}`;
+  });
+}
+
+/**
+ * Resolves the `.` and `..` segments of a uri, as in RFC 3986 section 5.2.4. A `..` segment at the root is dropped.
+ *
+ * @example
+ * _resolveDotSegments('/a/b/../c/./d'); // '/a/c/d'
+ * _resolveDotSegments('/a/b/..'); // '/a/'
+ *
+ * @param {String} uri - The uri
+ * @returns {String} - The resolved uri
+ * @private
+ */
+function _resolveDotSegments(uri) {
+  if (!_.startsWith(uri, '/')) {
+    return uri;
+  }
+
+  const segments = uri.split('/').slice(1);
+  const output   = [];
+
+  _.forEach(segments, (segment, i) => {
+    const isDotSegment = segment === '.' || segment === '..';
+    if (segment === '..') {
+      output.pop();
+    }
+    if (!isDotSegment) {
+      output.push(segment);
+    }
+    else if (i === segments.length - 1) {
+      output.push('');
+    }
+  });
+
+  return `/${output.join('/')}`;
+}
+
+module.exports = PathPolicy;
@@ -0,0 +1,189 @@
+'use strict';
+const _           = require('lodash');
+const querystring = require('querystring');
+
+// Names that would reach the prototype of the query object. Pairs using them are dropped.
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// A bracketed name, as in `filter[status]` or `ids[]`.
+const BRACKETED_NAME = /^([^\[\]]+)((?:\[[^\[\]]*\])+)$/;
+const BRACKET        = /\[([^\[\]]*)\]/g;
+
+// The highest index set in an array, as in `ids[20]=1`. Arrays set with other keys are turned into objects, so a
+// short querystring cannot build a huge sparse array.
+const ARRAY_LIMIT = 20;
+
+/**
+ * Querystring parser.
+ * Parses querystrings into plain objects of decoded values. A key that appears more than once has an array of its
+ * values, in order.
+ *
+ * With the `nested` option, bracketed names build nested objects and arrays:
+ *  - `filter[status]=open` is `{ filter : { status : 'open' } }`
+ *  - `ids[]=1&ids[]=2` is `{ ids : ['1', '2'] }`
+ *  - `ids[]=1&ids[50]=2` is `{ ids : { 0 : '1', 50 : '2' } }`: indexes above 20 turn arrays into objects
+ *
+ * @private
+ */
+class QueryParser {
+
+  /**
+   * Parses a querystring.
+   *
+   * @example
+   * QueryParser.parse('tag=a&tag=b&q=open+cases'); // { tag : ['a', 'b'], q : 'open cases' }
+   * QueryParser.parse('filter[status]=open', { nested : true }); // { filter : { status : 'open' } }
+   *
+   * @param {String} search - The querystring, without its leading `?`
+   * @param {Object} [options] - The parser options
+   * @param {Boolean} [options.nested=false] - If bracketed names build nested objects and arrays
+   * @returns {Object} - The parsed query
+   */
+  static parse(search, options) {
+    return _.reduce(_.compact(search.split('&')), (query, pair) => {
+      const separator = pair.indexOf('=');
+      const name      = _decode(separator === -1 ? pair : pair.slice(0, separator));
+      const value     = separator === -1 ? '' : _decode(pair.slice(separator + 1));
+
+      return QueryParser.set(query, name, value, options);
+    }, {});
+  }
+
+  /**
+   * Sets a decoded param in a parsed query, in the same way as `parse`: a param set more than once has an array
+   * of its values, and with the `nested` option bracketed names set nested values. Params whose name would
+   * reach the prototype of the query are dropped.
+   *
+   * @param {Object} query - The parsed query
+   * @param {String} name - The param name
+   * @param {*} value - The param value
+   * @param {Object} [options] - The parser options
+   * @param {Boolean} [options.nested=false] - If bracketed names build nested objects and arrays
+   * @returns {Object} - The query
+   */
+  static set(query, name, value, options) {
+    if (QueryParser.isSafe(name, options)) {
+      _set(query, _names(name, options), value);
+    }
+    return query;
+  }
+
+  /**
+   * Indicates if a param name is safe to set, or if `set` drops it because it would reach the prototype of the
+   * query.
+   *
+   * @param {String} name - The param name
+   * @param {Object} [options] - The parser options
+   * @param {Boolean} [options.nested=false] - If bracketed names set nested values
+   * @returns {Boolean} - If the name is safe
+   */
+  static isSafe(name, options) {
+    return _.isEmpty(_.intersection(_names(name, options), UNSAFE_KEYS));
+  }
+}
+
+/**
+ * Decodes a querystring component, in which spaces may be encoded as `+`.
+ *
+ * @param {String} component - The encoded component
+ * @returns {String} - The decoded component
+ * @private
+ */
+function _decode(component) {
+  return querystring.unescape(component.replace(/\+/g, ' '));
+}
+
+/**
+ * Returns the keys a param name sets: those of its brackets with the `nested` option, or the name itself.
+ *
+ * @param {String} name - The param name
+ * @param {Object} [options] - The parser options
+ * @returns {Array<String>} - The keys
+ * @private
+ */
+function _names(name, options) {
+  return _.get(options, 'nested') === true ? _toKeys(name) : [name];
+}
+
+/**
+ * Splits a bracketed name into the keys it sets. An empty key appends to an array.
+ *
+ * @example
+ * _toKeys('filter[status]'); // ['filter', 'status']
+ * _toKeys('ids[]'); // ['ids', '']
+ *
+ * @param {String} name - The parameter name
+ * @returns {Array<String>} - The keys
+ * @private
+ */
+function _toKeys(name) {
+  const match = BRACKETED_NAME.exec(name);
+  if (!match) {
+    return [name];
+  }
+
+  const keys = [match[1]];
+  match[2].replace(BRACKET, (bracket, key) => {
+    keys.push(key);
+  });
+  return keys;
+}
+
+/**
+ * Sets a value in the query, following a list of keys. A value set more than once on the same key is turned into
+ * an array of values.
+ *
+ * @param {Object|Array} target - The object or array the first key belongs to
+ * @param {Array<String>} keys - The keys
+ * @param {String} value - The value
+ * @returns {void}
+ * @private
+ */
+function _set(target, keys, value) {
+  const key  = keys[0];
+  const rest = _.tail(keys);
+
+  if (_.isArray(target) && key === '') {
+    target.push(_.isEmpty(rest) ? value : _child(rest));
+    if (!_.isEmpty(rest)) {
+      _set(_.last(target), rest, value);
+    }
+  }
+  else if (_.isEmpty(rest)) {
+    target[key] = _.has(target, key) ? _.concat(target[key], value) : value;
+  }
+  else {
+    // Only own containers are descended into, so names such as `toString[x]` never reach inherited members.
+    if (!_.has(target, key) || !(_.isPlainObject(target[key]) || _.isArray(target[key]))) {
+      target[key] = _child(rest);
+    }
+    else if (_.isArray(target[key]) && !_isArrayKey(rest[0])) {
+      target[key] = _.assign({}, target[key]);
+    }
+    _set(target[key], rest, value);
+  }
+}
+
+/**
+ * Indicates if a key can be set in an array: an empty key, which appends, or an index up to the array limit.
+ *
+ * @param {String} key - The key
+ * @returns {Boolean} - If the key can be set in an array
+ * @private
+ */
+function _isArrayKey(key) {
+  return key === '' || (/^\d+$/.test(key) && Number(key) <= ARRAY_LIMIT);
+}
+
+/**
+ * Creates the container a list of keys is set in: an array if the first key appends, an object otherwise.
+ *
+ * @param {Array<String>} keys - The keys
+ * @returns {Object|Array} - The container
+ * @private
+ */
+function _child(keys) {
+  return keys[0] === '' ? [] : {};
+}
+
+module.exports = QueryParser;
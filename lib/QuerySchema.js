@@ -0,0 +1,133 @@
+'use strict';
+const _           = require('lodash');
+const Constraints = require('./ParamConstraints');
+
+// Options of a query param declaration.
+const SPEC_OPTIONS = ['type', 'array', 'required', 'default'];
+
+/**
+ * Route query schema.
+ * Declares the query params a route reads, by name. Before a route's hooks and handler run, declared params are
+ * validated and coerced, and defaults are filled in. A request whose query does not satisfy the schema is
+ * rejected with a 400 error. Params that are not declared are left as they are.
+ *
+ * Each param is declared with an object of options, or with its type alone:
+ *  - `type`: a constraint, as for route params: a named type (`int`, `float`, `uuid` or `boolean`), an array of
+ *    allowed values, or a regular expression. Values are coerced to named types. Any value is accepted by default.
+ *  - `array`: if the param can be repeated. Its value is then always an array.
+ *  - `required`: if requests must provide the param.
+ *  - `default`: the value of the param when requests do not provide it.
+ *
+ * @example
+ * {
+ *   page   : { type : 'int', default : 1 },
+ *   status : ['open', 'closed'],
+ *   tag    : { array : true, default : [] }
+ * }
+ * @private
+ */
+class QuerySchema {
+
+  /**
+   * Compiles a query schema declaration.
+   *
+   * @param {Object} [schema] - The query param declarations, by name
+   * @returns {Object} - The compiled query params, by name
+   * @throws TypeError - If a declaration is invalid
+   */
+  static create(schema) {
+    if (!_.isUndefined(schema) && !_.isPlainObject(schema)) {
+      throw new TypeError('query must be an object.');
+    }
+
+    return _.mapValues(schema, (spec, name) => {
+      spec = _.isPlainObject(spec) ? spec : { type : spec };
+      _.forEach(spec, (value, option) => {
+        if (!_.includes(SPEC_OPTIONS, option)) {
+          throw new TypeError(`unknown option "${option}" for query param "${name}".`);
+        }
+      });
+
+      return {
+        constraint : _.isUndefined(spec.type) ? null : Constraints.fromSpec(spec.type),
+        array      : spec.array === true,
+        required   : spec.required === true,
+        default    : spec.default
+      };
+    });
+  }
+
+  /**
+   * Validates and coerces a query against a compiled schema.
+   *
+   * @param {Object} query - The request query
+   * @param {Object} params - The compiled query params, by name
+   * @returns {Object} - A copy of the query, with declared params coerced and defaults filled in
+   * @throws an error with a code of 400 if a param is missing, repeated or invalid
+   */
+  static apply(query, params) {
+    return _.reduce(params, (result, param, name) => {
+      const value = result[name];
+
+      if (_.isUndefined(value)) {
+        if (param.required) {
+          throw _invalidQuery(`query param "${name}" is required.`);
+        }
+        if (!_.isUndefined(param.default)) {
+          result[name] = _.cloneDeep(param.default);
+        }
+        return result;
+      }
+
+      const values = _.castArray(value);
+      if (!param.array && values.length > 1) {
+        throw _invalidQuery(`query param "${name}" must have a single value.`);
+      }
+
+      const coerced = _.map(values, (item) => {
+        return _coerce(item, name, param.constraint);
+      });
+      result[name] = param.array ? coerced : coerced[0];
+      return result;
+    }, _.clone(query));
+  }
+}
+
+/**
+ * Validates and coerces a single query param value.
+ *
+ * @param {*} value - The value
+ * @param {String} name - The param name
+ * @param {Object} constraint - The param constraint, or null
+ * @returns {*} - The coerced value
+ * @throws an error with a code of 400 if the value is not a string satisfying the constraint
+ * @private
+ */
+function _coerce(value, name, constraint) {
+  if (!_.isString(value)) {
+    throw _invalidQuery(`query param "${name}" must be a string.`);
+  }
+  if (constraint === null) {
+    return value;
+  }
+  if (!constraint.regex.test(value)) {
+    throw _invalidQuery(`query param "${name}" does not match "${constraint.source}".`);
+  }
+  return constraint.coerce(value);
+}
+
+/**
+ * Creates the error for a request query that does not satisfy a schema.
+ *
+ * @param {String} message - The error message
+ * @returns {Error} - The error
+ * @private
+ */
+function _invalidQuery(message) {
+  const error = new Error(message);
+  error.name = 'InvalidQuery';
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = QuerySchema;
@@ -0,0 +1,507 @@
+'use strict';
+const _           = require('lodash');
+const utils       = require('./utils');
+const Constraints = require('./ParamConstraints');
+
+const PARAM_PATTERN = '([^\\/\\?]+)';
+const SPLAT_PATTERN = '([^\\?]*?)';
+
+/**
+ * Radix Tree.
+ * Indexes router nodes by the segments of their path patterns, so that a request path is matched by walking the
+ * tree one segment at a time rather than by testing it against every candidate pattern. Lookups are proportional
+ * to the length of the request path, not to the number of routes.
+ *
+ * Each tree node branches on the next path segment. Branches are tried from most to least specific, backtracking
+ * when a branch does not lead to a full match:
+ *  - static segments (`/users`), by exact lookup
+ *  - segments mixing static text and params (`/:name.:ext`), by per-segment regex
+ *  - constrained params (`/:id<int>`)
+ *  - params (`/:id`)
+ *  - splats (`/*path`), consuming as few segments as possible
+ *
+ * Optional groups are expanded into one indexed pattern per combination of present groups. Patterns whose splats
+ * share a segment with static text (`/*name.json`) cannot be indexed by segment; they are matched by regex against
+ * the remainder of the path, from the deepest segment they can be indexed to.
+ *
+ * Captured values are decoded, and only match constrained params if they satisfy the constraint.
+ * @private
+ */
+class RadixTree {
+
+  /**
+   * RadixTree constructor.
+   *
+   * @returns {RadixTree} - The RadixTree instance
+   */
+  constructor() {
+    this._root  = _createTreeNode();
+    this._nodes = new Set();
+  }
+
+  /**
+   * Indexes a router node under its path pattern. Indexing a node that is already in the tree has no effect.
+   *
+   * @param {Node} node - The router node
+   * @returns {void}
+   */
+  insert(node) {
+    if (this._nodes.has(node)) {
+      return;
+    }
+    this._nodes.add(node);
+
+    _.forEach(_expand(_parse(node.path)), (variant) => {
+      _insertVariant(this._root, node, variant);
+    });
+  }
+
+  /**
+   * Finds the router nodes whose path pattern matches a request path. Returns null if there is no match.
+   *
+   * The decoded values captured for params and splats are returned in the order they appear in the request path. Each
+   * matched node is returned alongside the positions of the param and splat tokens of its path pattern that
+   * those values belong to, since optional groups may leave some tokens without a value.
+   *
+   * @param {String} path - The normalized request path. Any querystring is ignored.
+   * @returns {{leaves: Array<{node: Node, tokens: Array<Number>}>, values: Array<String>}} - The match, or null.
+   */
+  lookup(path) {
+    const startOfQuerystring = path.indexOf('?');
+    if (startOfQuerystring !== -1) {
+      path = path.slice(0, startOfQuerystring);
+    }
+
+    return _lookup(this._root, path.split('/').slice(1), 0, []);
+  }
+}
+
+/**
+ * Creates an empty tree node.
+ *
+ * @returns {Object} - The tree node
+ * @private
+ */
+function _createTreeNode() {
+  return {
+    statics     : new Map(),
+    partials    : new Map(),
+    constrained : new Map(),
+    param       : null,
+    splat       : null,
+    fallbacks   : [],
+    leaves      : []
+  };
+}
+
+/**
+ * Parses a path pattern into a list of items, as returned by `utils.parsePath`, with the constraints of params
+ * compiled.
+ *
+ * @param {String} path - The path pattern
+ * @returns {Array<Object>} - The parsed items
+ * @private
+ */
+function _parse(path) {
+  return _compileConstraints(utils.parsePath(path));
+}
+
+/**
+ * Recursively replaces the constraint sources of parsed param items with compiled constraints.
+ *
+ * @param {Array<Object>} items - The parsed items
+ * @returns {Array<Object>} - The items with compiled constraints
+ * @private
+ */
+function _compileConstraints(items) {
+  return _.map(items, (item) => {
+    if (item.group) {
+      return { group : _compileConstraints(item.group) };
+    }
+    return item.constraint ? _.assign({}, item, { constraint : Constraints.create(item.constraint) }) : item;
+  });
+}
+
+/**
+ * Expands the optional groups of a parsed path pattern, returning one flat list of items for each combination of
+ * present and absent groups.
+ *
+ * @param {Array<Object>} items - The parsed items
+ * @returns {Array<Array<Object>>} - The expanded variants
+ * @private
+ */
+function _expand(items) {
+  return _.reduce(items, (variants, item) => {
+    if (!item.group) {
+      return _.map(variants, (variant) => {
+        return variant.concat([item]);
+      });
+    }
+    const groupVariants = [[]].concat(_expand(item.group));
+    return _.flatMap(variants, (variant) => {
+      return _.map(groupVariants, (groupVariant) => {
+        return variant.concat(groupVariant);
+      });
+    });
+  }, [[]]);
+}
+
+/**
+ * Splits a flat list of items into path segments. The empty segment before the leading slash is dropped, so the
+ * root pattern `/` has a single empty segment, just as the root request path does.
+ *
+ * @param {Array<Object>} items - A flat list of items
+ * @returns {Array<Array<Object>>} - The items of each segment
+ * @private
+ */
+function _toSegments(items) {
+  const segments = [[]];
+
+  _.forEach(items, (item) => {
+    if (!_.has(item, 'text')) {
+      return _.last(segments).push(item);
+    }
+    _.forEach(item.text.split('/'), (text, i) => {
+      if (i > 0) {
+        segments.push([]);
+      }
+      if (text) {
+        _.last(segments).push({ text });
+      }
+    });
+  });
+
+  return segments.slice(1);
+}
+
+/**
+ * Builds the regex source matching a list of items.
+ *
+ * @param {Array<Object>} items - A flat list of items
+ * @returns {String} - The regex source
+ * @private
+ */
+function _toPattern(items) {
+  return _.map(items, (item) => {
+    if (_.has(item, 'param')) {
+      return PARAM_PATTERN;
+    }
+    if (_.has(item, 'splat')) {
+      return SPLAT_PATTERN;
+    }
+    return _.escapeRegExp(item.text);
+  }).join('');
+}
+
+/**
+ * Returns the constraints of the param and splat tokens in a list of items, null for unconstrained tokens.
+ *
+ * @param {Array<Object>} items - A flat list of items
+ * @returns {Array<Object>} - The constraints
+ * @private
+ */
+function _toConstraints(items) {
+  return _.map(_.reject(items, 'text'), (item) => {
+    return item.constraint || null;
+  });
+}
+
+/**
+ * Builds the key of a segment mixing static text and params. Segments with the same key match the same values.
+ *
+ * @param {Array<Object>} items - The items of the segment
+ * @returns {String} - The key
+ * @private
+ */
+function _toKey(items) {
+  return _.map(items, (item) => {
+    if (item.constraint) {
+      return `:<${item.constraint.source}>`;
+    }
+    return _.has(item, 'text') ? item.text : '*';
+  }).join('');
+}
+
+/**
+ * Returns the positions of the param and splat tokens in a list of items.
+ *
+ * @param {Array<Object>} items - A flat list of items
+ * @returns {Array<Number>} - The token positions
+ * @private
+ */
+function _toTokens(items) {
+  return _.reduce(items, (tokens, item) => {
+    return _.has(item, 'text') ? tokens : tokens.concat([_.has(item, 'param') ? item.param : item.splat]);
+  }, []);
+}
+
+/**
+ * Inserts one expanded variant of a router node's path pattern into the tree.
+ *
+ * @param {Object} treeNode - The root tree node
+ * @param {Node} node - The router node
+ * @param {Array<Object>} variant - The flat list of items of the variant
+ * @returns {void}
+ * @private
+ */
+function _insertVariant(treeNode, node, variant) {
+  const segments = _toSegments(variant);
+  const leaf     = { node, tokens : _toTokens(variant) };
+
+  for (let i = 0; i < segments.length; i++) {
+    // Splats sharing a segment with other items can span segments, so cannot be indexed by segment.
+    const hasSplat = _.some(segments[i], (item) => {
+      return _.has(item, 'splat');
+    });
+    if (hasSplat && segments[i].length > 1) {
+      const remainder = _.flatMap(segments.slice(i), (items, j) => {
+        return j > 0 ? [{ text : '/' }].concat(items) : items;
+      });
+      treeNode.fallbacks.push({
+        regex       : new RegExp(`^${_toPattern(remainder)}$`),
+        constraints : _toConstraints(remainder),
+        leaf
+      });
+      return;
+    }
+    treeNode = _insertSegment(treeNode, segments[i]);
+  }
+
+  _addLeaf(treeNode, leaf);
+}
+
+/**
+ * Returns the child of a tree node for a path pattern segment, creating it if it does not exist.
+ *
+ * @param {Object} treeNode - The tree node
+ * @param {Array<Object>} segment - The items of the segment
+ * @returns {Object} - The child tree node
+ * @private
+ */
+function _insertSegment(treeNode, segment) {
+  const item = segment.length === 1 ? segment[0] : {};
+
+  if (_.every(segment, 'text')) {
+    return _getOrSet(treeNode.statics, _.map(segment, 'text').join(''), _createTreeNode);
+  }
+  if (item.constraint) {
+    return _getOrSet(treeNode.constrained, item.constraint.source, () => {
+      return { constraint : item.constraint, child : _createTreeNode() };
+    }).child;
+  }
+  if (_.has(item, 'param')) {
+    treeNode.param = treeNode.param || _createTreeNode();
+    return treeNode.param;
+  }
+  if (_.has(item, 'splat')) {
+    treeNode.splat = treeNode.splat || _createTreeNode();
+    return treeNode.splat;
+  }
+
+  return _getOrSet(treeNode.partials, _toKey(segment), () => {
+    return {
+      regex       : new RegExp(`^${_toPattern(segment)}$`),
+      constraints : _toConstraints(segment),
+      child       : _createTreeNode()
+    };
+  }).child;
+}
+
+/**
+ * Returns the value of a key in a map, setting it to a new value if the key is not in the map.
+ *
+ * @param {Map} map - The map
+ * @param {String} key - The key
+ * @param {Function} create - Creates the new value
+ * @returns {*} - The value
+ * @private
+ */
+function _getOrSet(map, key, create) {
+  if (!map.has(key)) {
+    map.set(key, create());
+  }
+  return map.get(key);
+}
+
+/**
+ * Adds a router node to the leaves of a tree node. Nodes without splats or optional groups are kept ahead of
+ * wildcard nodes, which can only end up on the same leaf by expanding their optional groups.
+ *
+ * @param {Object} treeNode - The tree node
+ * @param {Object} leaf - The leaf, as a `{ node, tokens }` object
+ * @returns {void}
+ * @private
+ */
+function _addLeaf(treeNode, leaf) {
+  if (_.some(treeNode.leaves, { node : leaf.node })) {
+    return;
+  }
+  const index = leaf.node.isWildcard ? -1 : _.findIndex(treeNode.leaves, 'node.isWildcard');
+  if (index === -1) {
+    treeNode.leaves.push(leaf);
+  }
+  else {
+    treeNode.leaves.splice(index, 0, leaf);
+  }
+}
+
+/**
+ * Recursively matches request path segments against a tree node.
+ *
+ * @param {Object} treeNode - The tree node
+ * @param {Array<String>} segments - The request path segments
+ * @param {Number} index - The index of the next segment to match
+ * @param {Array<String>} values - The values captured so far. Restored to its input state if there is no match.
+ * @returns {Object} - The match, or null
+ * @private
+ */
+function _lookup(treeNode, segments, index, values) {
+  if (index === segments.length) {
+    return treeNode.leaves.length > 0 ? { leaves : treeNode.leaves, values : values.slice() } : null;
+  }
+
+  const child = treeNode.statics.get(segments[index]);
+  let match   = child ? _lookup(child, segments, index + 1, values) : null;
+
+  match = match || _lookupPartials(treeNode, segments, index, values);
+  match = match || _lookupParams(treeNode, segments, index, values);
+  match = match || _lookupSplat(treeNode, segments, index, values);
+  if (!match && treeNode.fallbacks.length > 0) {
+    match = _lookupFallbacks(treeNode, segments.slice(index).join('/'), values);
+  }
+  return match;
+}
+
+/**
+ * Matches the next request path segment against the segments of a tree node that mix static text and params.
+ *
+ * @param {Object} treeNode - The tree node
+ * @param {Array<String>} segments - The request path segments
+ * @param {Number} index - The index of the next segment to match
+ * @param {Array<String>} values - The values captured so far
+ * @returns {Object} - The match, or null
+ * @private
+ */
+function _lookupPartials(treeNode, segments, index, values) {
+  for (const partial of treeNode.partials.values()) {
+    const captured = _capture(partial, segments[index]);
+    if (captured) {
+      const match = _lookup(partial.child, segments, index + 1, values.concat(captured));
+      if (match) {
+        return match;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Matches the next request path segment against the constrained and unconstrained params of a tree node.
+ *
+ * @param {Object} treeNode - The tree node
+ * @param {Array<String>} segments - The request path segments
+ * @param {Number} index - The index of the next segment to match
+ * @param {Array<String>} values - The values captured so far
+ * @returns {Object} - The match, or null
+ * @private
+ */
+function _lookupParams(treeNode, segments, index, values) {
+  if (segments[index] === '') {
+    return null;
+  }
+  const value  = _decode(segments[index]);
+  const length = values.length;
+  let match    = null;
+
+  values.push(value);
+  for (const edge of treeNode.constrained.values()) {
+    match = match || (edge.constraint.regex.test(value) ? _lookup(edge.child, segments, index + 1, values) : null);
+  }
+  if (!match && treeNode.param) {
+    match = _lookup(treeNode.param, segments, index + 1, values);
+  }
+  values.length = length;
+
+  return match;
+}
+
+/**
+ * Matches as few request path segments as possible against the splat of a tree node.
+ *
+ * @param {Object} treeNode - The tree node
+ * @param {Array<String>} segments - The request path segments
+ * @param {Number} index - The index of the next segment to match
+ * @param {Array<String>} values - The values captured so far
+ * @returns {Object} - The match, or null
+ * @private
+ */
+function _lookupSplat(treeNode, segments, index, values) {
+  const length = values.length;
+  let match    = null;
+
+  for (let end = index + 1; !match && treeNode.splat && end <= segments.length; end++) {
+    values.push(_decode(segments.slice(index, end).join('/')));
+    match = _lookup(treeNode.splat, segments, end, values);
+    values.length = length;
+  }
+  return match;
+}
+
+/**
+ * Matches the remainder of a request path against the fallback patterns of a tree node.
+ *
+ * @param {Object} treeNode - The tree node
+ * @param {String} remainder - The unmatched remainder of the request path
+ * @param {Array<String>} values - The values captured so far
+ * @returns {Object} - The match, or null
+ * @private
+ */
+function _lookupFallbacks(treeNode, remainder, values) {
+  for (const fallback of treeNode.fallbacks) {
+    const captured = _capture(fallback, remainder);
+    if (captured) {
+      return { leaves : [fallback.leaf], values : values.concat(captured) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Captures the decoded values of a string against a regex pattern. Returns null if the string does not match the
+ * pattern, or a value does not satisfy its constraint.
+ *
+ * @param {{regex: RegExp, constraints: Array<Object>}} pattern - The pattern, and the constraint of each capture
+ * @param {String} string - The string to match
+ * @returns {Array<String>} - The captured values, or null
+ * @private
+ */
+function _capture(pattern, string) {
+  const match = pattern.regex.exec(string);
+  if (!match) {
+    return null;
+  }
+
+  const captured = _.map(match.slice(1), _decode);
+  const isValid  = _.every(pattern.constraints, (constraint, i) => {
+    return !constraint || constraint.regex.test(captured[i]);
+  });
+  return isValid ? captured : null;
+}
+
+/**
+ * Decodes a captured value. Values that are not valid URI components are returned as is.
+ *
+ * @param {String} value - The captured value
+ * @returns {String} - The decoded value
+ * @private
+ */
+function _decode(value) {
+  try {
+    return decodeURIComponent(value);
+  }
+  catch (err) {
+    return value;
+  }
+}
+
+module.exports = RadixTree;
@@ -1,6 +1,8 @@
 'use strict';
 const _                = require('lodash');
 const utils            = require('./utils');
+const PathPolicy       = require('./PathPolicy');
+const QueryParser      = require('./QueryParser');
 const TransformStream  = require('stream').Transform;
 const isReadableStream = require('isstream').isReadable;
 
@@ -16,6 +18,10 @@ class Request {
    * @param {string} method - The request method
    * @param {object} [headers={}] - The request headers
    * @param {ReadableStream} [body] - The request body stream
+   * @param {string} [ip] - The address of the client. Adapters set it from the connection or event.
+   * @param {PathPolicy|Object} [pathPolicy] - The policy used to normalize the request path. Apps pass their own.
+   * @param {Boolean} [nestedQuery=false] - If bracketed query param names, as in `filter[status]=open`, are parsed
+   *  into nested objects and arrays. Apps pass their own.
    * @returns {Request} Request object
    */
   constructor(options) {
@@ -33,6 +39,9 @@ class Request {
       throw new TypeError('body must be a readable stream.');
     }
 
+    this._pathPolicy  = PathPolicy.from(options.pathPolicy);
+    this._nestedQuery = options.nestedQuery === true;
+
     this.path   = options.path;
     this.method = options.method;
 
@@ -46,6 +55,7 @@ class Request {
       return done(null, chunk);
     };
     if (isReadableStream(body)) {
+      _forwardAborts(body, this._body);
       body.pipe(this._body);
     }
 
@@ -76,7 +86,8 @@ class Request {
   }
 
   /**
-   * Sets the request path.
+   * Sets the request path. The path is normalized with the request's path policy; the path as it was set is kept
+   * as `rawPath`. The querystring of the path is parsed into `query`.
    *
    * @param {string} path - The new request path
    * @returns {void}
@@ -85,7 +96,72 @@ class Request {
     if (!_.isString(path)) {
       throw new TypeError('path must be a string.');
     }
-    this._path = utils.normalizePath(path);
+    const parts = utils.splitQuerystring(path);
+
+    this._rawPath  = path;
+    this._path     = this._pathPolicy.normalize(path);
+    this._pathname = utils.splitQuerystring(this._path)[0];
+    this._query    = QueryParser.parse(parts[1].slice(1), { nested : this._nestedQuery });
+  }
+
+  /**
+   * Returns the request path without its querystring. Routes are matched against the pathname.
+   *
+   * @returns {string} - Request pathname
+   */
+  get pathname() {
+    return this._pathname;
+  }
+
+  /**
+   * Returns the parsed querystring of the request path. A param that appears more than once has an array of its
+   * values. Once a route with a query schema is executed, declared params are coerced and defaults filled in.
+   *
+   * @returns {object} - The request query
+   */
+  get query() {
+    return this._query;
+  }
+
+  /**
+   * Sets the request query. The query is parsed again whenever the path is set.
+   *
+   * @param {object} query - The new request query
+   * @returns {void}
+   */
+  set query(query) {
+    if (!_.isPlainObject(query)) {
+      throw new TypeError('query must be an object.');
+    }
+    this._query = query;
+  }
+
+  /**
+   * Indicates if bracketed query param names are parsed into nested objects and arrays.
+   *
+   * @returns {boolean} - If the query is parsed with nesting
+   */
+  get nestedQuery() {
+    return this._nestedQuery;
+  }
+
+  /**
+   * Returns the request path as it was last set, before normalization. Routers normalize it with their own path
+   * policy to match the request.
+   *
+   * @returns {string} - Raw request path
+   */
+  get rawPath() {
+    return this._rawPath;
+  }
+
+  /**
+   * Returns the policy used to normalize the request path.
+   *
+   * @returns {PathPolicy} - The path policy
+   */
+  get pathPolicy() {
+    return this._pathPolicy;
   }
 
   /**
@@ -197,4 +273,27 @@ class Request {
   }
 }
 
+/**
+ * Destroys the request body stream with an error when its source errors or is aborted by the client, which `pipe`
+ * does not do, so that readers of the body fail instead of waiting for it forever. The body stream always has an
+ * error listener, so an abort does not throw when nothing reads the body.
+ *
+ * @param {ReadableStream} source - The stream the body is read from, such as a node `IncomingMessage`
+ * @param {TransformStream} body - The request body stream
+ * @returns {void}
+ * @private
+ */
+function _forwardAborts(source, body) {
+  body.on('error', _.noop);
+  source.on('error', (error) => {
+    body.destroy(error);
+  });
+  source.on('aborted', () => {
+    const error = new Error('Request aborted.');
+    error.name = 'RequestAborted';
+    error.statusCode = 400;
+    body.destroy(error);
+  });
+}
+
 module.exports = Request;
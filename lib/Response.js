@@ -11,6 +11,7 @@ class Response {
     this.setBody();
 
     this._headers   = new Map();
+    this._pushes    = [];
     this._statusCode = 200;
     this.ended = false;
   }
@@ -98,6 +99,15 @@ class Response {
     return this._body;
   }
 
+  /**
+   * Indicates whether a body has been assigned with `setBody`. A response without an assigned body
+   * has a body stream that will never end on its own.
+   * @returns {boolean} - If a body has been assigned
+   */
+  get hasBody() {
+    return this._hasBody;
+  }
+
   /**
    * Returns the response body according to how it was most recently set. If the body is being
    * used as a stream, will return the body stream. If the body is being written with values, will
@@ -121,6 +131,7 @@ class Response {
       return done(null, chunk);
     };
     this._lastAssignedBody = this._body;
+    this._hasBody          = !_.isUndefined(body);
 
     if (isReadableStream(body)) {
       body.pipe(this._body);
@@ -134,6 +145,56 @@ class Response {
     }
   }
 
+  /**
+   * Discards the response body, keeping the status code and headers, as for a HEAD request. If the body was set
+   * to a string or a buffer and no content-length header is set, the content-length of the discarded body is set
+   * so that it matches the equivalent GET response. Streamed bodies are drained.
+   * @returns {void}
+   */
+  discardBody() {
+    const body = this.getBody();
+
+    if (this.hasBody && (_.isString(body) || Buffer.isBuffer(body)) && !this._headers.has('content-length')) {
+      this.setHeader('content-length', String(Buffer.byteLength(body)));
+    }
+    if (this.hasBody) {
+      this._body.resume();
+    }
+    this.setBody();
+  }
+
+  /**
+   * Requests that the transport push a related resource to the client along with this response. The pushed
+   * resource is served by running a GET request for its path through the app. Transports that do not support
+   * server push ignore these requests.
+   *
+   * @example
+   * response.push('/styles/main.css', { headers : { accept : 'text/css' } });
+   *
+   * @param {string} path - The path of the resource to push
+   * @param {object} [options] - The options object
+   * @param {object} [options.headers={}] - Request headers for the pushed resource
+   * @returns {void}
+   */
+  push(path, options) {
+    if (!_.isString(path)) {
+      throw new TypeError('First argument: path must be a string.');
+    }
+    options = options || {};
+    if (options.headers != null && !_.isObject(options.headers)) {
+      throw new TypeError('headers must be an object.');
+    }
+    this._pushes.push({ path, headers : _.clone(options.headers) || {} });
+  }
+
+  /**
+   * Gets the resources requested with `push`, in the order they were requested.
+   * @returns {Array<Object>} - The push requests, as `{ path, headers }` objects
+   */
+  get pushes() {
+    return _.clone(this._pushes);
+  }
+
   /**
    * Sets the ended property to signal an early return of the Response
    * @returns {void}
@@ -3,6 +3,9 @@ const _           = require('lodash');
 const Q           = require('q');
 const utils       = require('./utils');
 const METHODS     = require('./METHODS');
+const Constraints = require('./ParamConstraints');
+const PathPolicy  = require('./PathPolicy');
+const QuerySchema = require('./QuerySchema');
 const Request     = require('./Request');
 const Response    = require('./Response');
 const RouteParser = require('route-parser');
@@ -20,10 +23,26 @@ class Route {
    * @param {Object} options - The options object
    * @param {Function} options.handler - The handler function to be executed if the route is matched.
    * @param {Function} options.errorHandler - The handler function to be executed if the route throws an error.
+   *  It handles errors thrown by the route's before and after hooks as well as its handler.
+   * @param {Function|Array<Function>} [options.before] - Hooks executed in order before the handler, with the same
+   *  options as the handler. If a hook returns a promise, the next step waits for it. If a hook ends the response,
+   *  the remaining hooks and the handler are skipped.
+   * @param {Function|Array<Function>} [options.after] - Hooks executed in order after the handler, in the same way.
    * @param {String} [path='*all'] - The path pattern that the route should be executed against. If not provided,
-   *  matches all paths.
+   *  matches all paths. Params may be constrained inline, as in `/cases/:caseId<int>`.
+   * @param {String} [name] - A name identifying the route, used to build URLs with `router.urlFor`.
+   * @param {Object} [params] - Declarative param constraints, by param name. Each one is a type name (`int`,
+   *  `float` or `uuid`), an array of allowed values, or a regular expression. Requests whose params do not satisfy
+   *  the constraints do not match the route, and params with a type are coerced to that type.
+   * @param {Object} [query] - Declarative query params, by name. Declared params are validated and coerced, and
+   *  defaults filled in, before the hooks and handler run; see {@link QuerySchema}. Requests whose query does not
+   *  satisfy the declarations are rejected with a 400 error.
+   * @param {String|Array<String>} [scopes] - The scopes requests must be granted, in `request.auth.scopes`, as set
+   *  by the auth middleware. Requests missing one are rejected with a 403 error before the hooks and handler run.
    * @param {String | Array} [method='*'] - The method(s) that the route should be executed against. If not provided, mathes
    *  all methods.
+   * @param {PathPolicy|Object} [pathPolicy] - The policy used to normalize the path pattern. Apps and routers pass
+   *  their own.
    * @returns {Route} - The new route instance.
    */
   constructor(options) {
@@ -36,20 +55,38 @@ class Route {
     if (!_.isUndefined(options.errorHandler) && !_.isFunction(options.errorHandler)) {
       throw new TypeError('errorHandler must be a function.');
     }
+    _.forEach(['before', 'after'], (key) => {
+      if (!_.isUndefined(options[key]) && !_isHookList(options[key])) {
+        throw new TypeError(`${key} must be a function or an array of functions.`);
+      }
+    });
     if (options.path && !_.isString(options.path)) {
       throw new TypeError('path must be a string.');
     }
+    if (!_.isUndefined(options.name) && (!_.isString(options.name) || options.name === '')) {
+      throw new TypeError('name must be a non-empty string.');
+    }
     if (options.methods && !utils.isValidMethodArray(options.methods)) {
       throw new TypeError('method must be a valid method string.');
     }
+    _validateScopes(options.scopes);
 
     _.extend(this, options);
 
-    this._path    = utils.normalizePath(options.path || '*all');
+    this._pathPolicy = PathPolicy.from(options.pathPolicy);
+    this._rawPath = Constraints.inline(options.path || '*all', options.params);
+    this._path    = this._pathPolicy.normalize(this._rawPath);
     this._methods = this._convertAndNormalizeMethods(options.methods || METHODS.ALL);
     this._handler = options.handler;
     this._errorHandler = options.errorHandler;
-    this._parsed  = new RouteParser(this._path);
+    this._before  = _toList(options.before);
+    this._after   = _toList(options.after);
+    this._query   = options.query;
+    this._querySchema = QuerySchema.create(options.query);
+    this._scopes  = _toList(options.scopes);
+    this._parsed  = new RouteParser(utils.stripConstraints(this._path));
+    this._paramNames  = utils.getParamNames(this._path);
+    this._constraints = Constraints.fromPath(this._path);
   }
 
   /**
@@ -61,6 +98,15 @@ class Route {
     return this._path;
   }
 
+  /**
+   * Returns the policy used to normalize the route path.
+   *
+   * @returns {PathPolicy} - The path policy.
+   */
+  get pathPolicy() {
+    return this._pathPolicy;
+  }
+
   /**
    * Returns the route method.
    *
@@ -70,6 +116,24 @@ class Route {
     return this._methods;
   }
 
+  /**
+   * Returns the names of the params and splats in the route path, in the order they appear in the path.
+   *
+   * @returns {Array<String>} - The param names.
+   */
+  get paramNames() {
+    return this._paramNames;
+  }
+
+  /**
+   * Returns the route param constraints, by param name.
+   *
+   * @returns {Object} - The param constraints.
+   */
+  get constraints() {
+    return this._constraints;
+  }
+
   /**
    * Returns the route handler.
    *
@@ -88,6 +152,42 @@ class Route {
     return this._errorHandler;
   }
 
+  /**
+   * Returns the hooks executed before the handler.
+   *
+   * @returns {Array<Function>} - The before hooks.
+   */
+  get before() {
+    return this._before;
+  }
+
+  /**
+   * Returns the hooks executed after the handler.
+   *
+   * @returns {Array<Function>} - The after hooks.
+   */
+  get after() {
+    return this._after;
+  }
+
+  /**
+   * Returns the declarative query params.
+   *
+   * @returns {Object} - The query params, by name.
+   */
+  get query() {
+    return this._query;
+  }
+
+  /**
+   * Returns the scopes requests must be granted.
+   *
+   * @returns {Array<String>} - The required scopes.
+   */
+  get scopes() {
+    return this._scopes;
+  }
+
   /**
    * Tests if the given method matches this route
    *
@@ -139,19 +239,82 @@ class Route {
 
   /**
    * Parses the given path string against this route's path pattern. If the input path is a match, returns
-   * an object whose key value pairs are the matched route params and their values. If the path is not a match,
-   * returns false.
+   * an object whose key value pairs are the matched route params and their coerced values. If the path is not a
+   * match, or the params do not satisfy their constraints, returns false.
    *
    * @param {String} path - The input path
    * @returns {Boolean|Object} - False if the path is not a match, an object if it is.
    * @private
    */
   _parsePath(path) {
-    return this._parsed.match(path);
+    const params = this._parsed.match(path);
+    if (!params || !Constraints.test(params, this._constraints)) {
+      return false;
+    }
+    return Constraints.coerce(params, this._constraints);
+  }
+
+  /**
+   * Returns the options the route was created with: its annotations, with the route path, methods, handler, error
+   * handler, hooks, query params, scopes and path policy. The path is returned as it was given, before normalization, so that copies
+   * made with another path policy normalize it with theirs.
+   *
+   * @returns {Object} - The route options
+   */
+  toOptions() {
+    const annotations = _.omitBy(_.assign({}, this), (value, key) => {
+      return _.startsWith(key, '_');
+    });
+
+    return _.assign(annotations, {
+      path         : this._rawPath,
+      methods      : this.methods,
+      handler      : this.handler,
+      errorHandler : this.errorHandler,
+      before       : this.before,
+      after        : this.after,
+      query        : this.query,
+      scopes       : this.scopes,
+      pathPolicy   : this.pathPolicy
+    });
+  }
+
+  /**
+   * Creates a copy of the route, carrying over its annotations. Options in `overrides` replace those of the route.
+   *
+   * @example
+   * route.clone({ path : `/admin${route.path}` });
+   *
+   * @param {Object} [overrides] - Route options to replace
+   * @returns {Route} - The new route
+   */
+  clone(overrides) {
+    return new Route(_.assign(this.toOptions(), overrides));
+  }
+
+  /**
+   * Builds a request path from the route path by filling in its params. Param values are URI encoded; splat values
+   * may contain `/` characters to span several segments. An optional group is included only if all of its params
+   * are provided.
+   *
+   * @example
+   * new Route({ path : '/cases/:caseId(/notes/:noteId)', handler }).buildPath({ caseId : 'a b' });
+   * // '/cases/a%20b'
+   *
+   * @param {Object} [params] - The param values, by name
+   * @returns {String} - The path
+   * @throws TypeError - If a required param is missing, or a value does not satisfy its constraint
+   */
+  buildPath(params) {
+    if (!_.isUndefined(params) && !_.isObject(params)) {
+      throw new TypeError('params must be an object.');
+    }
+    return _buildPath(utils.parsePath(this.path), params || {}, this.path);
   }
 
   /**
    * Tests whether a given request object is a match against this route, satisfying the path & method requirements.
+   * The request path is matched without its querystring.
    *
    * @param {Request} request - The input requiest
    * @returns {Boolean} - Whether the request matches this route.
@@ -160,14 +323,18 @@ class Route {
     if (!(request instanceof Request)) {
       throw new Error('First argument: request must be a SuperRouter Request instance.');
     }
-    return this._isMethodMatch(request.method) && _.isObject(this._parsePath(request.path));
+    return this._isMethodMatch(request.method) && _.isObject(this._parsePath(request.pathname));
   }
 
   /**
    * Executes this route against a provided request / response. Returns a promise that will resolve or reject when
    * execution is complete.
    *  - If the request is not a match, returns an empty promise.
-   *  - If the request is a match, returns a promise for the return value of the route handler
+   *  - If the request is a match, checks the required scopes, applies the query schema, runs the before hooks,
+   *    the handler and the after hooks, and returns a promise for the return value of the route handler
+   *
+   * If the request was matched to this route by a router, the route params extracted by the router, kept in
+   * `request.matchedParams`, are used rather than parsing the path again.
    *
    * @param {Object} options - The options object
    * @param {Request} options.request - The request the route will be tested & executed against
@@ -189,16 +356,17 @@ class Route {
       throw new Error('response must be a SuperRouter Response instance.');
     }
 
-    request.routeParams = {};
-    if (!this.isMatch(request)) {
+    const isRouted = request.matchedRoute === this && _.isObject(request.matchedParams);
+    request.routeParams = isRouted ? request.matchedParams : {};
+    if (!isRouted && !this.isMatch(request)) {
       return Q();
     }
     try {
-      request.routeParams = this._parsePath(request.path);
+      if (!isRouted) {
+        request.routeParams = this._parsePath(request.pathname);
+      }
 
-      return Q().then(() => {
-        return this.handler(options);
-      }).catch((error) => {
+      return this._run(options).catch((error) => {
         if (this.errorHandler) {
           return this.errorHandler({ request, response, error });
         }
@@ -212,6 +380,154 @@ class Route {
     }
   }
 
+  /**
+   * Checks the scopes granted to the request and applies the query schema to it, then runs the before hooks, the
+   * handler and the after hooks in order. Once a hook ends the response, the remaining steps are skipped.
+   *
+   * @param {Object} options - The options the hooks and handler are invoked with
+   * @returns {Promise} - A promise for the return value of the handler
+   * @private
+   */
+  _run(options) {
+    const request  = options.request;
+    const response = options.response;
+
+    return Q.fcall(() => {
+      const missing = _.difference(this._scopes, _.get(request, 'auth.scopes'));
+      if (!_.isEmpty(missing)) {
+        throw _missingScopes(missing);
+      }
+      if (!_.isEmpty(this._querySchema)) {
+        request.query = QuerySchema.apply(request.query, this._querySchema);
+      }
+      return _runHooks(this.before, options);
+    }).then(() => {
+      if (!_.isEmpty(this.before) && response.ended) {
+        return undefined;
+      }
+      return Q(this.handler(options)).then((result) => {
+        return _runHooks(this.after, options).thenResolve(result);
+      });
+    });
+  }
+
+}
+
+/**
+ * Validates the scopes option of a route.
+ *
+ * @param {*} scopes - The option
+ * @returns {void}
+ * @throws TypeError - If the option is set and is not a string or an array of strings
+ * @private
+ */
+function _validateScopes(scopes) {
+  if (!_.isUndefined(scopes) && !_.every(_.castArray(scopes), _.isString)) {
+    throw new TypeError('scopes must be a string or an array of strings.');
+  }
+}
+
+/**
+ * Creates the error rejecting requests that are not granted the scopes of a route.
+ *
+ * @param {Array<String>} missing - The missing scopes
+ * @returns {Error} - The error
+ * @private
+ */
+function _missingScopes(missing) {
+  const error = new Error(`Missing required scopes: ${missing.join(', ')}.`);
+  error.name = 'Forbidden';
+  error.statusCode = 403;
+  error.missingScopes = missing;
+  return error;
+}
+
+/**
+ * Indicates if a value is a hook function or a list of hook functions.
+ *
+ * @param {*} value - The value to test
+ * @returns {Boolean} - If the value is a function or an array of functions
+ * @private
+ */
+function _isHookList(value) {
+  return _.isFunction(value) || (_.isArray(value) && _.every(value, _.isFunction));
+}
+
+/**
+ * Converts a hook or scope option into a list.
+ *
+ * @param {*} [value] - The option
+ * @returns {Array} - The list
+ * @private
+ */
+function _toList(value) {
+  return _.isUndefined(value) ? [] : _.castArray(value);
+}
+
+/**
+ * Runs hooks in order, waiting for each one to complete before running the next. Hooks are skipped once the
+ * response has ended.
+ *
+ * @param {Array<Function>} hooks - The hooks
+ * @param {Object} options - The options the hooks are invoked with
+ * @returns {Promise} - A promise that resolves when the hooks complete, or rejects with the first error thrown
+ * @private
+ */
+function _runHooks(hooks, options) {
+  return _.reduce(hooks, (promise, hook) => {
+    return promise.then(() => {
+      if (!options.response.ended) {
+        return hook(options);
+      }
+    });
+  }, Q());
+}
+
+/**
+ * Recursively builds the part of a path described by a list of parsed path items.
+ *
+ * @param {Array<Object>} items - The items, as returned by `utils.parsePath`
+ * @param {Object} params - The param values, by name
+ * @param {String} path - The route path, used in error messages
+ * @returns {String} - The built path
+ * @private
+ */
+function _buildPath(items, params, path) {
+  return _.map(items, (item) => {
+    if (item.group) {
+      return _hasAllParams(item.group, params) ? _buildPath(item.group, params, path) : '';
+    }
+    if (_.has(item, 'text')) {
+      return item.text;
+    }
+
+    const value = params[item.name];
+    if (value == null) {
+      throw new TypeError(`missing param "${item.name}" for path "${path}".`);
+    }
+    if (item.constraint && !Constraints.create(item.constraint).regex.test(String(value))) {
+      throw new TypeError(`param "${item.name}" does not satisfy constraint "${item.constraint}" of path "${path}".`);
+    }
+    if (_.has(item, 'splat')) {
+      return _.map(String(value).split('/'), encodeURIComponent).join('/');
+    }
+    return encodeURIComponent(value);
+  }).join('');
+}
+
+/**
+ * Indicates if values are provided for all the params and splats of a list of parsed path items, not counting
+ * those in nested optional groups.
+ *
+ * @param {Array<Object>} items - The items, as returned by `utils.parsePath`
+ * @param {Object} params - The param values, by name
+ * @returns {Boolean} - If all values are provided
+ * @private
+ */
+function _hasAllParams(items, params) {
+  return _.every(items, (item) => {
+    return item.group || _.has(item, 'text') || params[item.name] != null;
+  });
 }
 
 module.exports = Route;
@@ -0,0 +1,150 @@
+'use strict';
+const _     = require('lodash');
+const Route = require('./Route');
+const utils = require('./utils');
+
+// Route options that identify a single route, and so cannot be shared by a group.
+const ROUTE_ONLY_OPTIONS = ['path', 'name', 'handler'];
+
+/**
+ * Route group.
+ * Adds routes to a router with a shared path prefix and shared options. Groups are created with `router.group`,
+ * and can be nested with `group.group`.
+ *
+ * Shared options are merged into each route added to the group:
+ *  - the prefix is prepended to the route path
+ *  - `before` hooks of the group run before those of the route, and `after` hooks of the group run after them
+ *  - `params` constraints and `query` params are merged, the route's taking precedence
+ *  - `scopes` are combined, so routes require the scopes of their groups as well as their own
+ *  - any other option, such as `methods`, `errorHandler` or an annotation, is used if the route does not set it
+ */
+class RouteGroup {
+
+  /**
+   * Instantiates a new route group.
+   *
+   * @param {Router} router - The router routes are added to
+   * @param {Object} options - The shared options
+   * @param {String} [options.prefix] - The path prefix. May contain params.
+   * @returns {RouteGroup} - The new route group
+   */
+  constructor(router, options) {
+    _validateOptions(options);
+
+    this._router  = router;
+    this._prefix  = options.prefix || '/';
+    this._options = _.omit(options, 'prefix');
+  }
+
+  /**
+   * Returns the path prefix of the group.
+   *
+   * @returns {String} - The path prefix
+   */
+  get prefix() {
+    return this._prefix;
+  }
+
+  /**
+   * Adds a route to the router, merging in the group's prefix and shared options.
+   *
+   * @param {Route|Object} route - The route definition. A Route instance is copied with the shared options merged in.
+   * @returns {void}
+   */
+  addRoute(route) {
+    const options = route instanceof Route ? route.toOptions() : route;
+    if (!_.isObject(options)) {
+      throw new TypeError('route must be an object.');
+    }
+
+    this._router.addRoute(_.assign(_merge(this._options, options), {
+      path : utils.joinPaths(this._prefix, options.path || '*all')
+    }));
+  }
+
+  /**
+   * Creates a nested group. Its prefix is appended to this group's prefix, and its shared options are merged with
+   * this group's in the same way as route options are.
+   *
+   * @param {Object} options - The shared options of the nested group
+   * @param {Function} callback - Invoked with the nested group, to add its routes
+   * @returns {RouteGroup} - The nested group
+   */
+  group(options, callback) {
+    _validateOptions(options);
+
+    const prefix = utils.joinPaths(this._prefix, options.prefix || '/');
+    return RouteGroup.create(this._router, _.assign(_merge(this._options, options), { prefix }), callback);
+  }
+
+  /**
+   * Creates a group and invokes a callback with it, to add its routes.
+   *
+   * @param {Router} router - The router routes are added to
+   * @param {Object} options - The shared options
+   * @param {Function} callback - Invoked with the group
+   * @returns {RouteGroup} - The group
+   */
+  static create(router, options, callback) {
+    if (!_.isFunction(callback)) {
+      throw new TypeError('callback must be a function.');
+    }
+
+    const group = new RouteGroup(router, options);
+    callback(group);
+    return group;
+  }
+}
+
+/**
+ * Validates the shared options of a group.
+ *
+ * @param {Object} options - The shared options
+ * @returns {void}
+ * @throws TypeError - If the options are not an object, the prefix is not a path, or a route-only option is set
+ * @private
+ */
+function _validateOptions(options) {
+  if (!_.isPlainObject(options)) {
+    throw new TypeError('options must be an object.');
+  }
+  if (!_.isUndefined(options.prefix) && (!_.isString(options.prefix) || !_.startsWith(options.prefix, '/'))) {
+    throw new TypeError('prefix must be a string starting with a / character.');
+  }
+  _.forEach(ROUTE_ONLY_OPTIONS, (key) => {
+    if (_.has(options, key)) {
+      throw new TypeError(`group options cannot include ${key}.`);
+    }
+  });
+}
+
+/**
+ * Merges shared group options into route or nested group options.
+ *
+ * @param {Object} shared - The shared options
+ * @param {Object} options - The route or nested group options
+ * @returns {Object} - The merged options
+ * @private
+ */
+function _merge(shared, options) {
+  return _.assign({}, shared, options, {
+    before : _.concat(_toList(shared.before), _toList(options.before)),
+    after  : _.concat(_toList(options.after), _toList(shared.after)),
+    params : _.assign({}, shared.params, options.params),
+    query  : _.assign({}, shared.query, options.query),
+    scopes : _.union(_toList(shared.scopes), _toList(options.scopes))
+  });
+}
+
+/**
+ * Converts a hook or scope option into a list.
+ *
+ * @param {*} [value] - The option
+ * @returns {Array<Function>} - The list
+ * @private
+ */
+function _toList(value) {
+  return _.isUndefined(value) ? [] : _.castArray(value);
+}
+
+module.exports = RouteGroup;
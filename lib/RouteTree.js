@@ -1,20 +1,115 @@
 'use strict';
 
-const Node  = require('./Node');
+const _           = require('lodash');
+const Node        = require('./Node');
+const RadixTree   = require('./RadixTree');
+const Constraints = require('./ParamConstraints');
+const PathPolicy  = require('./PathPolicy');
 
+/**
+ * Route Tree.
+ * Holds the router's nodes. Nodes are linked into a tree of parent and child paths, which is used to serve
+ * OPTIONS requests, and are indexed by path segment in a radix tree, which is used to match requests.
+ */
 class RouteTree {
-  constructor() {
-    this._root = new Node({ path : '/' });
+
+  /**
+   * Instantiates a new route tree.
+   *
+   * @param {Object} [options] - The options object
+   * @param {Boolean} [options.describeRoutes=false] - If OPTIONS responses should describe the routes of a path
+   * @param {PathPolicy|Object} [options.pathPolicy] - The policy used to normalize node paths and request paths
+   * @returns {RouteTree} - The new route tree
+   */
+  constructor(options) {
+    options = options || {};
+
+    this._pathPolicy = PathPolicy.from(options.pathPolicy);
+    this._root   = new Node({ path : '/', describeRoutes : options.describeRoutes, pathPolicy : this._pathPolicy });
+    this._index  = new RadixTree();
+    this._routes = [];
+
+    this._index.insert(this._root);
   }
 
+  /**
+   * Adds a route to the tree.
+   *
+   * @param {Route} route - The route to add
+   * @returns {void}
+   */
   addRoute(route) {
-    return this._root.insert(route);
+    this._index.insert(this._root.insert(route));
+    this._routes.push(route);
+  }
+
+  /**
+   * Adds a node for a path to the tree, if there is none, so that OPTIONS requests on the path are served even
+   * if no route is added on it.
+   *
+   * @param {String} path - The path pattern
+   * @returns {void}
+   */
+  addPath(path) {
+    this._index.insert(this._root.insertPath(path));
+  }
+
+  /**
+   * Returns the routes added to the tree, in the order they were added.
+   *
+   * @returns {Array<Route>} - The routes
+   */
+  getRoutes() {
+    return _.clone(this._routes);
   }
 
+  /**
+   * Finds the route that matches a request, and extracts its route params from the request path. Returns null
+   * if no route matches the request path. The raw request path is normalized with the tree's path policy.
+   *
+   * @param {Request} request - The request to match
+   * @returns {{route: Route, params: Object, node: Node}} - The matching route, its params and the node of its
+   *  path, or null.
+   * @throws an error with a code of 405 if no method match is made
+   */
   find(request) {
-    return this._root.find(request);
+    const match = this._index.lookup(this._pathPolicy.normalize(request.rawPath));
+    if (match == null) {
+      return null;
+    }
+
+    const leaf  = _.find(match.leaves, (candidate) => {
+      return candidate.node.hasMethod(request.method);
+    }) || match.leaves[0];
+    const route = leaf.node.getRoute(request);
+
+    return { route, params : _toParams(route, leaf.tokens, match.values), node : leaf.node };
   }
 
 }
 
+/**
+ * Builds the route params object from the values captured for a route's param and splat tokens, coercing them
+ * to the types of their constraints. Params whose tokens were not captured, such as those in an absent optional
+ * group, are undefined.
+ *
+ * @param {Route} route - The matched route
+ * @param {Array<Number>} tokens - The positions of the captured tokens in the route path
+ * @param {Array<String>} values - The captured values
+ * @returns {Object} - The route params
+ * @private
+ */
+function _toParams(route, tokens, values) {
+  const params = {};
+
+  _.forEach(route.paramNames, (name) => {
+    params[name] = undefined;
+  });
+  _.forEach(tokens, (token, i) => {
+    params[route.paramNames[token]] = values[i];
+  });
+
+  return Constraints.coerce(params, route.constraints);
+}
+
 module.exports = RouteTree;
@@ -1,32 +1,78 @@
 'use strict';
 
-const Route     = require('./Route');
-const RouteTree = require('./RouteTree');
-
-const SPLAT    = /\*/;
-const OPTIONAL = /\(/;
+const _           = require('lodash');
+const querystring = require('querystring');
+const Route       = require('./Route');
+const RouteGroup  = require('./RouteGroup');
+const RouteTree   = require('./RouteTree');
+const utils       = require('./utils');
+const PathPolicy  = require('./PathPolicy');
+const METHODS     = require('./METHODS');
 
 /**
  * SuperRouter Router object
  */
 class Router {
-  constructor() {
-    this._routesTree = new RouteTree();
+
+  /**
+   * Instantiates a new router.
+   *
+   * Every path with a route also serves OPTIONS requests, with an `Allow` header listing the methods served on
+   * the path. CORS preflight requests get an empty 204 response; other OPTIONS requests get a description of the
+   * path, its methods and its child paths.
+   *
+   * @example
+   * const router = new Router({ describeRoutes : true });
+   * router.addRoute({ path : '/cases', methods : 'get', description : 'Lists cases', schema, handler });
+   * // OPTIONS /cases responds with Allow: GET, HEAD, OPTIONS and a body listing the route and its description
+   *
+   * @param {Object} [options] - The options object
+   * @param {Boolean} [options.describeRoutes=false] - If OPTIONS responses should also list the routes on the path,
+   *  with their `name`, `description` and `schema` annotations
+   * @param {PathPolicy|Object} [options.pathPolicy] - The policy used to normalize route paths and the paths of the
+   *  requests the router matches; see {@link PathPolicy}. By default, paths are case insensitive and trailing
+   *  slashes are ignored.
+   * @returns {Router} - The new router
+   */
+  constructor(options) {
+    if (!_.isUndefined(options) && !_.isPlainObject(options)) {
+      throw new TypeError('options must be an object.');
+    }
+    options = options || {};
+
+    this._pathPolicy  = PathPolicy.from(options.pathPolicy);
+    this._routesTree  = new RouteTree({ describeRoutes : options.describeRoutes === true, pathPolicy : this._pathPolicy });
+    this._namedRoutes = new Map();
 
     this.match   = this.match.bind(this);
     this.execute = this.execute.bind(this);
   }
 
   /**
-   * Adds a route to the router. Routes must be unique and deterministic (no splats or optionals). Routes can
-   * be annotated with additional information, will be available on the Request after matching.
+   * Adds a route to the router. Routes must be unique. Routes can be annotated with additional information,
+   * will be available on the Request after matching.
+   *
+   * Paths may contain splats (`/files/*filepath`) and optional groups (`/reports(/:year)`). Requests are matched
+   * against the most specific routes first - static segments, then params, then splats and optional groups - so
+   * the order in which routes are added never changes which route handles a request.
    *
    * Any route parameters defined in the path will be available on the request.routeParams object when the
-   * handler is executed.
+   * handler is executed. Params can be constrained inline (`/cases/:caseId<int>`) or with the `params` option.
+   * Requests whose params do not satisfy their constraints do not match the route, so `/cases/:caseId<int>` and
+   * `/cases/:slug` can be added side by side. Params constrained to a type are coerced to that type.
    *
    * If the route handler returns a promise, the app will wait for that promise to resolve or reject before
    * moving to the next middleware in the stack.
    *
+   * HEAD requests are served by the GET route of a path, unless a HEAD route is added on it. The app discards the
+   * response body of HEAD requests, keeping its headers.
+   *
+   * Routes can declare `before` and `after` hooks, such as auth checks, validation or serialization, that run
+   * around the handler only when the route is executed. They are invoked like the handler, and like app
+   * middleware, the route waits for each one in turn and skips the rest once the response has ended.
+   *
+   * Routes with a `name` can be used to build URLs with `router.urlFor`. Names must be unique.
+   *
    * @example
    * router.addRoute({
    *  path : '/cases/:caseId',
@@ -38,26 +84,131 @@ class Router {
    *  }
    * });
    *
+   * Route paths are normalized with the router's path policy. Routes created with another policy are copied with
+   * the router's.
+   *
    * @param {Route} route - The route definition. If a plain object is provided, will be run through the
    *   Route constructor.
    * @returns {void}
    */
   addRoute(route) {
     if (!(route instanceof Route)) {
-      route = new Route(route);
+      route = new Route(_.assign({}, route, { pathPolicy : this._pathPolicy }));
     }
-
-    if (route.path.match(SPLAT) || route.path.match(OPTIONAL)) {
-      throw new TypeError('Splats and optional groups are not supported for routes.');
+    else if (!this._pathPolicy.equals(route.pathPolicy)) {
+      route = route.clone({ pathPolicy : this._pathPolicy });
+    }
+    if (route.name != null && this._namedRoutes.has(route.name)) {
+      throw new TypeError(`duplicate route name "${route.name}"`);
     }
 
     this._routesTree.addRoute(route);
+    if (route.name != null) {
+      this._namedRoutes.set(route.name, route);
+    }
+  }
+
+  /**
+   * Mounts the routes of another router under a path prefix. Each route of the child router is copied onto this
+   * router with the prefix prepended to its path, keeping its annotations and name. OPTIONS requests on the
+   * prefix list the mounted routes.
+   *
+   * The routes are copied when the router is mounted: routes added to the child router afterwards are not
+   * mounted.
+   *
+   * @example
+   * const adminRouter = new Router();
+   * adminRouter.addRoute({ path : '/users', methods : 'get', handler });
+   * router.mount('/admin', adminRouter); // serves GET /admin/users
+   *
+   * @param {String} prefix - The path prefix. May contain params.
+   * @param {Router} router - The router to mount
+   * @returns {void}
+   */
+  mount(prefix, router) {
+    if (!_.isString(prefix) || !_.startsWith(prefix, '/')) {
+      throw new TypeError('prefix must be a string starting with a / character.');
+    }
+    if (!(router instanceof Router)) {
+      throw new TypeError('router must be a SuperRouter Router instance.');
+    }
+
+    this._routesTree.addPath(prefix);
+    _.forEach(router.getRoutes(), (route) => {
+      this.addRoute(route.clone({ path : utils.joinPaths(prefix, route.path), pathPolicy : this._pathPolicy }));
+    });
+  }
+
+  /**
+   * Adds a group of routes sharing a path prefix and options. The callback is invoked with a group whose `addRoute`
+   * merges the shared options into each route before adding it to the router; see {@link RouteGroup}. Groups can
+   * be nested with `group.group`.
+   *
+   * @example
+   * router.group({ prefix : '/admin', before : requireAdmin, sensitive : { headers : ['authorization'] } }, (admin) => {
+   *   admin.addRoute({ path : '/users', methods : 'get', handler : listUsers }); // GET /admin/users
+   *   admin.group({ prefix : '/users/:userId', params : { userId : 'int' } }, (user) => {
+   *     user.addRoute({ path : '/', methods : 'delete', handler : deleteUser }); // DELETE /admin/users/:userId<int>
+   *   });
+   * });
+   *
+   * @param {Object} options - The shared options. Any route option except `path`, `name` and `handler`.
+   * @param {String} [options.prefix] - The path prefix. May contain params.
+   * @param {Function} callback - Invoked with the group, to add its routes
+   * @returns {RouteGroup} - The group
+   */
+  group(options, callback) {
+    return RouteGroup.create(this, options, callback);
+  }
+
+  /**
+   * Returns the routes of the router, in the order they were added, including those of mounted routers and groups.
+   * The OPTIONS routes of the router's paths are not included.
+   *
+   * @returns {Array<Route>} - The routes
+   */
+  getRoutes() {
+    return this._routesTree.getRoutes();
+  }
+
+  /**
+   * Builds the URL of a named route, filling in its params and appending a querystring. Param values are URI
+   * encoded, and must satisfy the route's param constraints.
+   *
+   * @example
+   * router.addRoute({ name : 'case', path : '/cases/:caseId<int>', methods : 'get', handler });
+   * router.urlFor('case', { caseId : 12 }, { expand : 'notes' }); // '/cases/12?expand=notes'
+   *
+   * @param {String} name - The route name
+   * @param {Object} [params] - The param values, by name
+   * @param {Object} [query] - The querystring values, by name
+   * @returns {String} - The URL
+   * @throws TypeError - If there is no route with the name, a required param is missing, or a value does not
+   *  satisfy its constraint
+   */
+  urlFor(name, params, query) {
+    const route = this._namedRoutes.get(name);
+    if (route == null) {
+      throw new TypeError(`no route named "${name}"`);
+    }
+    if (!_.isUndefined(query) && !_.isObject(query)) {
+      throw new TypeError('query must be an object.');
+    }
+
+    const search = querystring.stringify(_.omitBy(query, _.isUndefined));
+    return search ? `${route.buildPath(params)}?${search}` : route.buildPath(params);
   }
 
   /**
    * Middleware to be consumed by a SuperRouter App instance. Causes a request to be matched against
-   * the router. The matched route will be assigned to `request.matchedRoute`. In the case of no match,
-   * the middleware does not throw an error; the matchedRoute key will simply be undefined.
+   * the router. The matched route will be assigned to `request.matchedRoute`, the params extracted from
+   * the path to `request.matchedParams` and `request.routeParams`, and the node of the matched path, which lists
+   * the methods served on it, to `request.matchedNode`. Middleware routes run by an app set `request.routeParams`
+   * to their own params, so middleware reads the router's params from `request.matchedParams`.
+   *
+   * If the router's path policy redirects, a request whose path matches a route but is not in its canonical form
+   * is instead answered with a redirect to the canonical path, and no route is matched. GET and HEAD requests are
+   * redirected with a 301; other requests with a 308, so that clients repeat their method and body.
    *
    * @example
    * app.then(router.match);
@@ -69,14 +220,27 @@ class Router {
   match(options) {
     const request = options.request;
 
-    request.matchedRoute = this._routesTree.find(request);
+    const match = this._routesTree.find(request);
 
-    if (request.matchedRoute == null) {
+    if (match == null) {
       const error = new Error(`No route matched ${request.path}`);
       error.name = 'PathNotFound';
       error.statusCode = 404;
       throw error;
     }
+
+    if (this._pathPolicy.redirect) {
+      const canonical = this._pathPolicy.canonicalize(request.rawPath);
+      if (canonical !== request.rawPath) {
+        _redirect(request, options.response, `${request.baseUrl || ''}${canonical}`);
+        return;
+      }
+    }
+
+    request.matchedRoute  = match.route;
+    request.matchedParams = match.params;
+    request.routeParams   = match.params;
+    request.matchedNode   = match.node;
   }
 
   /**
@@ -100,4 +264,21 @@ class Router {
 
 }
 
+/**
+ * Ends a response with a permanent redirect: a 301 for GET and HEAD requests, and a 308 for other methods, which
+ * clients repeat with the same method and body rather than as a GET. Leading slashes and backslashes of the
+ * location are collapsed into a single slash, so that it is never a protocol-relative URL pointing to another host.
+ *
+ * @param {Request} request - The redirected request
+ * @param {Response} response - The response
+ * @param {String} location - The redirect location
+ * @returns {void}
+ * @private
+ */
+function _redirect(request, response, location) {
+  response.statusCode = _.includes([METHODS.GET, METHODS.HEAD], request.method) ? 301 : 308;
+  response.setHeader('location', location.replace(/^[\/\\]+/, '/'));
+  response.end();
+}
+
 module.exports = Router;
@@ -0,0 +1,237 @@
+'use strict';
+const _     = require('lodash');
+const Q     = require('q');
+const http2 = require('http2');
+const utils = require('./utils');
+
+const HTTP2_HEADER_STATUS = http2.constants.HTTP2_HEADER_STATUS;
+const HTTP2_HEADER_PATH   = http2.constants.HTTP2_HEADER_PATH;
+
+// Connection-specific headers are forbidden in HTTP/2 and make `respond` throw.
+const CONNECTION_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+
+// Request headers that describe the parent request body, and so are not carried over to pushed requests.
+const BODY_HEADERS = ['content-length', 'content-type', 'content-encoding'];
+
+/**
+ * Transport adapter binding an App to the node `http2` core API. Works with both
+ * `http2.createSecureServer` and cleartext (h2c) `http2.createServer` servers.
+ *
+ * @example
+ * const server = http2.createSecureServer(tlsOptions);
+ * server.on('stream', Http2Adapter.createHandler(app));
+ * server.listen(443);
+ */
+class Http2Adapter {
+
+  /**
+   * Creates a `(stream, headers)` listener for the http2 server `stream` event. Each stream is converted into
+   * a Request, run through `app.processRequest`, and the resulting Response is written back onto the stream.
+   *
+   * - `:path` and `:method` become the request path and method. `:authority` and `:scheme` are available
+   *   as `request.authority` and `request.scheme`, and `:authority` is used as the `host` header if none
+   *   was sent.
+   * - Resources requested with `response.push` are pushed to the client when the client allows it, and are
+   *   served by running a GET request for the pushed path through the app. Pushes requested while serving
+   *   a pushed resource are skipped, as HTTP/2 does not allow nested pushes.
+   * - Error handling and body suppression follow {@link HttpAdapter.createHandler}.
+   *
+   * @param {App} app - The app to serve requests with
+   * @param {Object} [options] - The options object
+   * @param {Function} [options.onError=Http2Adapter.onError] - Invoked as `(error, stream, headers)` to
+   *  write a response when the app fails to produce one.
+   * @returns {Function} - The http2 stream listener
+   */
+  static createHandler(app, options) {
+    if (!_.isObject(app) || !_.isFunction(app.processRequest)) {
+      throw new TypeError('app must be a SuperRouter App instance.');
+    }
+    options = _.defaults({}, options, { onError : Http2Adapter.onError });
+    if (!_.isFunction(options.onError)) {
+      throw new TypeError('onError must be a function.');
+    }
+
+    return (stream, headers) => {
+      _serve(app, options, stream, headers, true);
+    };
+  }
+
+  /**
+   * Converts http2 request headers and stream into the options used to construct a Request.
+   *
+   * @param {Object} headers - The http2 request headers, including pseudo-headers
+   * @param {Http2Stream} [body] - The request body stream
+   * @param {String} [ip] - The address of the client, available as `request.ip`
+   * @returns {Object} - Request options
+   */
+  static toRequest(headers, body, ip) {
+    const requestHeaders = _.omitBy(headers, (value, key) => {
+      return _.startsWith(key, ':');
+    });
+    if (requestHeaders.host == null && headers[':authority'] != null) {
+      requestHeaders.host = headers[':authority'];
+    }
+
+    return {
+      path      : headers[':path'],
+      method    : headers[':method'],
+      authority : headers[':authority'],
+      scheme    : headers[':scheme'],
+      headers   : requestHeaders,
+      ip,
+      body
+    };
+  }
+
+  /**
+   * Converts Response headers into http2 response headers.
+   *
+   * @param {Response} response - The SuperRouter response
+   * @returns {Object} - The http2 response headers, including the `:status` pseudo-header
+   */
+  static toResponseHeaders(response) {
+    const headers = _.omit(response.headers, CONNECTION_HEADERS);
+    headers[HTTP2_HEADER_STATUS] = response.statusCode;
+    return headers;
+  }
+
+  /**
+   * Default fallback used when the app fails to produce a response. Writes a JSON body with the error
+   * status code, and any headers the error carries. Error messages are only exposed for client errors.
+   *
+   * @param {Error} error - The error that caused the failure
+   * @param {Http2Stream} stream - The http2 stream
+   * @returns {void}
+   */
+  static onError(error, stream) {
+    const fallback = utils.errorResponse(error);
+
+    stream.respond(_.assign(_.omit(fallback.headers, CONNECTION_HEADERS), {
+      [HTTP2_HEADER_STATUS] : fallback.statusCode
+    }));
+    stream.end(fallback.body);
+  }
+}
+
+/**
+ * Serves a single http2 stream.
+ *
+ * @param {App} app - The app to serve the request with
+ * @param {Object} options - The adapter options
+ * @param {Http2Stream} stream - The stream to respond on
+ * @param {Object} headers - The http2 request headers
+ * @param {Boolean} hasBody - If the stream carries a request body. Pushed streams do not, and cannot push
+ *  resources themselves, so their pushes are skipped.
+ * @returns {void}
+ * @private
+ */
+function _serve(app, options, stream, headers, hasBody) {
+  let aborted = false;
+  stream.on('aborted', () => {
+    aborted = true;
+  });
+  // Stream resets surface as errors; they are handled as aborts.
+  stream.on('error', () => {
+    aborted = true;
+  });
+
+  function fail(error) {
+    if (aborted || stream.destroyed) {
+      return;
+    }
+    if (stream.headersSent) {
+      return stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+    }
+    return Q.fcall(options.onError, error, stream, headers).catch(() => {
+      stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+    });
+  }
+
+  Q.fcall(() => {
+    const ip = _.get(stream, 'session.socket.remoteAddress');
+    return app.processRequest(Http2Adapter.toRequest(headers, hasBody ? stream : undefined, ip));
+  }).then((response) => {
+    if (aborted || stream.destroyed) {
+      return response.body.destroy();
+    }
+    if (hasBody) {
+      _push(app, options, stream, headers, response.pushes);
+    }
+    return _send(stream, headers[':method'], response, fail);
+  }).catch(fail).done();
+}
+
+/**
+ * Initiates server pushes requested on a response. Pushes are skipped if the client has disabled them.
+ *
+ * @param {App} app - The app to serve pushed requests with
+ * @param {Object} options - The adapter options
+ * @param {Http2Stream} stream - The parent stream
+ * @param {Object} headers - The parent request headers
+ * @param {Array<Object>} pushes - The push requests, as `{ path, headers }` objects
+ * @returns {void}
+ * @private
+ */
+function _push(app, options, stream, headers, pushes) {
+  _.each(pushes, (push) => {
+    if (!stream.pushAllowed) {
+      return;
+    }
+    const inherited   = _.omitBy(headers, (value, key) => {
+      return _.startsWith(key, ':') || _.includes(BODY_HEADERS, key);
+    });
+    const pushHeaders = _.assign(inherited, push.headers, { [HTTP2_HEADER_PATH] : push.path });
+
+    stream.pushStream(pushHeaders, (error, pushStream, requestHeaders) => {
+      if (error) {
+        return;
+      }
+      _serve(app, options, pushStream, requestHeaders, false);
+    });
+  });
+}
+
+/**
+ * Writes a Response onto an http2 stream.
+ *
+ * @param {Http2Stream} stream - The http2 stream
+ * @param {String} method - The request method
+ * @param {Response} response - The SuperRouter response
+ * @param {Function} fail - Invoked with any error emitted by the body stream
+ * @returns {void}
+ * @private
+ */
+function _send(stream, method, response, fail) {
+  const body    = response.body;
+  const headers = Http2Adapter.toResponseHeaders(response);
+
+  if (!response.hasBody) {
+    body.end();
+  }
+
+  if (!utils.isBodyAllowed(method, response.statusCode)) {
+    body.resume();
+    return stream.respond(headers, { endStream : true });
+  }
+
+  const output = utils.toBufferStream(() => {
+    stream.respond(headers);
+  });
+  function onError(error) {
+    body.unpipe(output);
+    output.unpipe(stream);
+    fail(error);
+  }
+  body.on('error', onError);
+  output.on('error', onError);
+  stream.on('close', () => {
+    if (!stream.writableFinished) {
+      body.unpipe(output);
+      body.destroy();
+    }
+  });
+
+  body.pipe(output).pipe(stream);
+}
+
+module.exports = Http2Adapter;
@@ -0,0 +1,152 @@
+'use strict';
+const _     = require('lodash');
+const Q     = require('q');
+const utils = require('./utils');
+
+/**
+ * Transport adapter binding an App to the node `http` and `https` servers.
+ *
+ * @example
+ * const server = http.createServer(HttpAdapter.createHandler(app));
+ * server.listen(3000);
+ */
+class HttpAdapter {
+
+  /**
+   * Creates a `(req, res)` request listener that can be passed to `http.createServer` or
+   * `https.createServer`. Each incoming request is converted into a Request, run through
+   * `app.processRequest`, and the resulting Response status, headers and body stream are written back
+   * onto the node response.
+   *
+   * - Bodies are never written for HEAD requests, or for 204 and 304 responses.
+   * - If `processRequest` rejects, or the body stream errors before anything has been written, the
+   *   `onError` fallback is used to write the response.
+   * - If the body stream errors after the headers have been sent, the socket is destroyed.
+   * - If the client aborts, the response body stream is unpiped and destroyed.
+   *
+   * @param {App} app - The app to serve requests with
+   * @param {Object} [options] - The options object
+   * @param {Function} [options.onError=HttpAdapter.onError] - Invoked as `(error, req, res)` to write a
+   *  response when the app fails to produce one.
+   * @returns {Function} - The node request listener
+   */
+  static createHandler(app, options) {
+    if (!_.isObject(app) || !_.isFunction(app.processRequest)) {
+      throw new TypeError('app must be a SuperRouter App instance.');
+    }
+    options = _.defaults({}, options, { onError : HttpAdapter.onError });
+    if (!_.isFunction(options.onError)) {
+      throw new TypeError('onError must be a function.');
+    }
+
+    return (req, res) => {
+      let aborted = false;
+      res.on('close', () => {
+        aborted = !res.writableFinished;
+      });
+
+      function fail(error) {
+        if (aborted || res.headersSent) {
+          return res.destroy(error);
+        }
+        _.each(res.getHeaderNames(), (name) => {
+          res.removeHeader(name);
+        });
+        return Q.fcall(options.onError, error, req, res).catch((err) => {
+          res.destroy(err);
+        });
+      }
+
+      Q.fcall(() => {
+        return app.processRequest(HttpAdapter.toRequest(req));
+      }).then((response) => {
+        if (aborted) {
+          return response.body.destroy();
+        }
+        return HttpAdapter.send(req, res, response, fail);
+      }).catch(fail).done();
+    };
+  }
+
+  /**
+   * Converts a node `IncomingMessage` into the options used to construct a Request. The address of the client
+   * socket is available as `request.ip`.
+   *
+   * @param {http.IncomingMessage} req - The node request
+   * @returns {Object} - Request options
+   */
+  static toRequest(req) {
+    return {
+      path    : req.url,
+      method  : req.method,
+      headers : req.headers,
+      ip      : _.get(req, 'socket.remoteAddress'),
+      body    : req
+    };
+  }
+
+  /**
+   * Writes a Response onto a node `ServerResponse`.
+   *
+   * @param {http.IncomingMessage} req - The node request
+   * @param {http.ServerResponse} res - The node response
+   * @param {Response} response - The SuperRouter response
+   * @param {Function} fail - Invoked with any error emitted by the body stream
+   * @returns {void}
+   */
+  static send(req, res, response, fail) {
+    const body = response.body;
+
+    res.statusCode = response.statusCode;
+    _.each(response.headers, (value, key) => {
+      res.setHeader(key, value);
+    });
+
+    if (!response.hasBody) {
+      body.end();
+    }
+
+    if (!utils.isBodyAllowed(req.method, response.statusCode)) {
+      body.resume();
+      return res.end();
+    }
+
+    const output = utils.toBufferStream();
+    function onError(error) {
+      body.unpipe(output);
+      output.unpipe(res);
+      fail(error);
+    }
+    body.on('error', onError);
+    output.on('error', onError);
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        body.unpipe(output);
+        body.destroy();
+      }
+    });
+
+    body.pipe(output).pipe(res);
+  }
+
+  /**
+   * Default fallback used when the app fails to produce a response. Writes a JSON body with the error
+   * status code, and any headers the error carries. Error messages are only exposed for client errors.
+   *
+   * @param {Error} error - The error that caused the failure
+   * @param {http.IncomingMessage} req - The node request
+   * @param {http.ServerResponse} res - The node response
+   * @returns {void}
+   */
+  static onError(error, req, res) {
+    const fallback = utils.errorResponse(error);
+
+    res.statusCode = fallback.statusCode;
+    _.each(fallback.headers, (value, key) => {
+      res.setHeader(key, value);
+    });
+    res.end(fallback.body);
+  }
+}
+
+module.exports = HttpAdapter;
@@ -0,0 +1,227 @@
+'use strict';
+const _           = require('lodash');
+const Q           = require('q');
+const querystring = require('querystring');
+const PassThrough = require('stream').PassThrough;
+const utils       = require('./utils');
+
+// Content types whose bodies are returned as utf8 text rather than base64.
+const TEXT_CONTENT_TYPE = /^text\/|[\/+](json|xml|javascript|x-www-form-urlencoded)\b/i;
+
+/**
+ * Transport adapter for function-as-a-service runtimes that invoke handlers with API Gateway shaped JSON
+ * events instead of sockets. Supports both the v1 (REST API) and v2 (HTTP API) payload formats.
+ *
+ * @example
+ * exports.handler = ServerlessAdapter.createHandler(app);
+ */
+class ServerlessAdapter {
+
+  /**
+   * Creates an `(event, context)` handler returning a promise for the result object. Each event is converted
+   * into a Request, run through `app.processRequest`, and the Response body stream is buffered into the
+   * result.
+   *
+   * - The raw event and runtime context are available as `request.event` and `request.context`.
+   * - Repeated headers and query parameters are read from `multiValueHeaders` and
+   *   `multiValueQueryStringParameters` when present.
+   * - Base64 encoded event bodies are decoded. Response bodies are base64 encoded when they contain buffers
+   *   and the content type is not textual.
+   * - Bodies are never returned for HEAD requests, or for 204 and 304 responses.
+   *
+   * @param {App} app - The app to serve requests with
+   * @param {Object} [options] - The options object
+   * @param {Function} [options.onError=ServerlessAdapter.onError] - Invoked as `(error, event, context)` to
+   *  build a result when the app fails to produce a response.
+   * @returns {Function} - The event handler
+   */
+  static createHandler(app, options) {
+    if (!_.isObject(app) || !_.isFunction(app.processRequest)) {
+      throw new TypeError('app must be a SuperRouter App instance.');
+    }
+    options = _.defaults({}, options, { onError : ServerlessAdapter.onError });
+    if (!_.isFunction(options.onError)) {
+      throw new TypeError('onError must be a function.');
+    }
+
+    return (event, context) => {
+      return Q.fcall(() => {
+        return app.processRequest(ServerlessAdapter.toRequest(event, context));
+      }).then((response) => {
+        return ServerlessAdapter.toResult(event, response);
+      }).catch((error) => {
+        return options.onError(error, event, context);
+      });
+    };
+  }
+
+  /**
+   * Converts an API Gateway event into the options used to construct a Request. The source IP of the event is
+   * available as `request.ip`.
+   *
+   * @param {Object} event - The v1 or v2 event
+   * @param {Object} [context] - The runtime context
+   * @returns {Object} - Request options
+   */
+  static toRequest(event, context) {
+    if (!_.isObject(event)) {
+      throw new TypeError('event must be an object.');
+    }
+    const isV2 = event.version === '2.0';
+    const body = new PassThrough();
+
+    if (event.body != null) {
+      body.end(Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8'));
+    }
+    else {
+      body.end();
+    }
+
+    return {
+      path    : _buildPath(isV2 ? event.rawPath : event.path, isV2 ? event.rawQueryString : _v1Query(event)),
+      method  : isV2 ? _.get(event, 'requestContext.http.method') : event.httpMethod,
+      headers : isV2 ? _v2Headers(event) : _v1Headers(event),
+      ip      : _.get(event, isV2 ? 'requestContext.http.sourceIp' : 'requestContext.identity.sourceIp'),
+      event,
+      context,
+      body
+    };
+  }
+
+  /**
+   * Buffers a Response into an API Gateway result object.
+   *
+   * @param {Object} event - The event the response was produced for
+   * @param {Response} response - The SuperRouter response
+   * @returns {Promise<Object>} - A promise for the result object
+   */
+  static toResult(event, response) {
+    const method = event.version === '2.0' ? _.get(event, 'requestContext.http.method') : event.httpMethod;
+    const result = {
+      statusCode      : response.statusCode,
+      headers         : response.headers,
+      body            : '',
+      isBase64Encoded : false
+    };
+
+    if (!response.hasBody) {
+      response.body.end();
+    }
+    if (!utils.isBodyAllowed(_.toUpper(method), response.statusCode)) {
+      response.body.resume();
+      return Q(result);
+    }
+
+    return _buffer(response.body).then((chunks) => {
+      const isBinary = _.some(chunks, Buffer.isBuffer) && !TEXT_CONTENT_TYPE.test(result.headers['content-type']);
+      const buffer   = Buffer.concat(_.map(chunks, (chunk) => {
+        return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      }));
+
+      result.body            = buffer.toString(isBinary ? 'base64' : 'utf8');
+      result.isBase64Encoded = isBinary;
+      return result;
+    });
+  }
+
+  /**
+   * Default fallback used when the app fails to produce a response. Returns a JSON body with the error
+   * status code, and any headers the error carries. Error messages are only exposed for client errors.
+   *
+   * @param {Error} error - The error that caused the failure
+   * @returns {Object} - The result object
+   */
+  static onError(error) {
+    const fallback = utils.errorResponse(error);
+
+    return {
+      statusCode      : fallback.statusCode,
+      headers         : fallback.headers,
+      body            : fallback.body,
+      isBase64Encoded : false
+    };
+  }
+}
+
+/**
+ * Joins a path and a querystring.
+ *
+ * @param {String} path - The path
+ * @param {String} query - The querystring, without a leading `?`
+ * @returns {String} - The request path
+ * @private
+ */
+function _buildPath(path, query) {
+  path = path || '/';
+  return query ? `${path}?${query}` : path;
+}
+
+/**
+ * Builds the querystring of a v1 event, preferring the multi-value parameters.
+ *
+ * @param {Object} event - The v1 event
+ * @returns {String} - The querystring
+ * @private
+ */
+function _v1Query(event) {
+  return querystring.stringify(event.multiValueQueryStringParameters || event.queryStringParameters || {});
+}
+
+/**
+ * Builds the headers of a v1 event, preferring the multi-value headers. Repeated values are joined as they
+ * would be on the wire.
+ *
+ * @param {Object} event - The v1 event
+ * @returns {Object} - The request headers
+ * @private
+ */
+function _v1Headers(event) {
+  if (event.multiValueHeaders == null) {
+    return _.clone(event.headers) || {};
+  }
+  return _.mapValues(event.multiValueHeaders, (values, key) => {
+    return _.castArray(values).join(key.toLowerCase() === 'cookie' ? '; ' : ', ');
+  });
+}
+
+/**
+ * Builds the headers of a v2 event. Cookies are carried separately on v2 events.
+ *
+ * @param {Object} event - The v2 event
+ * @returns {Object} - The request headers
+ * @private
+ */
+function _v2Headers(event) {
+  const headers = _.clone(event.headers) || {};
+  if (!_.isEmpty(event.cookies)) {
+    headers.cookie = event.cookies.join('; ');
+  }
+  return headers;
+}
+
+/**
+ * Reads a response body stream to completion.
+ *
+ * @param {ReadableStream} body - The response body stream
+ * @returns {Promise<Array>} - A promise for the string and buffer chunks of the body
+ * @private
+ */
+function _buffer(body) {
+  const deferred = Q.defer();
+  const chunks   = [];
+
+  body.on('error', deferred.reject);
+  body.on('data', (chunk) => {
+    if (!_.isString(chunk) && !Buffer.isBuffer(chunk)) {
+      return deferred.reject(new TypeError('response body must be serialized to strings or buffers.'));
+    }
+    chunks.push(chunk);
+  });
+  body.on('end', () => {
+    deferred.resolve(chunks);
+  });
+
+  return deferred.promise;
+}
+
+module.exports = ServerlessAdapter;
@@ -0,0 +1,12 @@
+'use strict';
+
+exports.HttpAdapter = require('./HttpAdapter');
+exports.ServerlessAdapter = require('./ServerlessAdapter');
+
+// Loaded on first use, so that the node `http2` module is only required by apps served over HTTP/2.
+Object.defineProperty(exports, 'Http2Adapter', {
+  enumerable : true,
+  get        : () => {
+    return require('./Http2Adapter'); // eslint-disable-line global-require
+  }
+});
@@ -0,0 +1,78 @@
+'use strict';
+const _               = require('lodash');
+const TransformStream = require('stream').Transform;
+const METHODS         = require('../METHODS');
+const routerUtils     = require('../utils');
+
+// Status codes that must never carry a message body.
+const NO_BODY_STATUS_CODES = [204, 304];
+
+/**
+ * Utilities shared by the transport adapters.
+ * @private
+ */
+class utils {
+
+  /**
+   * Indicates if a response body may be written for the given request method and response status.
+   *
+   * @param {String} method - The request method
+   * @param {Number} statusCode - The response status code
+   * @returns {Boolean} - If a body may be written
+   */
+  static isBodyAllowed(method, statusCode) {
+    return method !== METHODS.HEAD && !_.includes(NO_BODY_STATUS_CODES, statusCode);
+  }
+
+  /**
+   * Creates a stream that passes through strings and buffers, and errors on any other chunk. Response body
+   * streams are in object mode, so a body that was never serialized would otherwise throw inside the
+   * transport's write.
+   *
+   * @param {Function} [onStart] - Invoked once, before the first chunk is passed through or the stream ends.
+   *  Used by transports that must send headers explicitly before any data.
+   * @returns {TransformStream} - The stream
+   */
+  static toBufferStream(onStart) {
+    let started = false;
+    function start() {
+      if (!started && onStart) {
+        started = true;
+        onStart();
+      }
+    }
+
+    const stream = new TransformStream({ writableObjectMode : true });
+    stream._transform = function (chunk, encoding, done) {
+      if (!_.isString(chunk) && !Buffer.isBuffer(chunk)) {
+        return done(new TypeError('response body must be serialized to strings or buffers.'));
+      }
+      start();
+      return done(null, chunk);
+    };
+    stream._flush = function (done) {
+      start();
+      return done();
+    };
+    return stream;
+  }
+
+  /**
+   * Builds the status code, headers and JSON body written by the default adapter error fallbacks, from the error
+   * response of `utils.getErrorResponse`.
+   *
+   * @param {Error} error - The error that caused the failure
+   * @returns {{statusCode: Number, headers: Object, body: String}} - The fallback status code, headers and body
+   */
+  static errorResponse(error) {
+    const response = routerUtils.getErrorResponse(error);
+
+    return {
+      statusCode : response.statusCode,
+      headers    : _.assign(response.headers, { 'content-type' : 'application/json' }),
+      body       : JSON.stringify(response.body)
+    };
+  }
+}
+
+module.exports = utils;
@@ -4,4 +4,6 @@ exports.Request    = require('./Request');
 exports.Response   = require('./Response');
 exports.Router     = require('./Router');
 exports.App        = require('./App');
+exports.PathPolicy = require('./PathPolicy');
 exports.Middleware = require('./middleware');
+exports.Adapters   = require('./adapters');
@@ -0,0 +1,103 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Accept header negotiation, used by the content negotiation middleware.
+ * @private
+ */
+class Accept {
+
+  /**
+   * Parses an Accept header into its media ranges. Ranges are lower-cased, and ranges without a valid `q`
+   * parameter have a quality of 1.
+   *
+   * @example
+   * Accept.parse('text/csv;q=0.5, application/*'); // [{ type : 'text/csv', q : 0.5 }, { type : 'application/*', q : 1 }]
+   *
+   * @param {String} header - The header value
+   * @returns {Array<{type: String, q: Number}>} - The media ranges, in the order they appear
+   */
+  static parse(header) {
+    return _.compact(_.map(_.split(header, ','), (range) => {
+      const parts = _.split(range, ';');
+      const type  = _.trim(parts[0]).toLowerCase();
+      if (!/^[^\/\s]+\/[^\/\s]+$/.test(type)) {
+        return null;
+      }
+
+      const quality = _.find(_.tail(parts), (param) => {
+        return /^\s*q\s*=/i.test(param);
+      });
+      const q       = quality ? parseFloat(quality.split('=')[1]) : 1;
+      return { type, q : _.inRange(q, 0, 1.001) ? q : 1 };
+    }));
+  }
+
+  /**
+   * Picks the media type a client prefers among those available. Each type gets the quality of the most specific
+   * range matching it; the type with the highest quality is picked, the first available type winning ties. Types
+   * with a quality of 0 are not acceptable. If there is no Accept header, or it has no valid range, the first
+   * available type is picked.
+   *
+   * @param {String} [header] - The Accept header value
+   * @param {Array<String>} types - The available media types, in order of preference
+   * @returns {String} - The picked type, or null if none is acceptable
+   */
+  static negotiate(header, types) {
+    const ranges = Accept.parse(header || '');
+    if (_.isEmpty(ranges)) {
+      return _.head(types) || null;
+    }
+
+    let best  = null;
+    let bestQ = 0;
+
+    _.forEach(types, (type) => {
+      const q = _quality(type, ranges);
+      if (q > bestQ) {
+        best  = type;
+        bestQ = q;
+      }
+    });
+    return best;
+  }
+}
+
+/**
+ * Returns the quality of a media type: that of the most specific range matching it, or 0 if none matches.
+ *
+ * @param {String} type - The media type
+ * @param {Array<{type: String, q: Number}>} ranges - The media ranges
+ * @returns {Number} - The quality
+ * @private
+ */
+function _quality(type, ranges) {
+  const match = _.maxBy(_.filter(ranges, (range) => {
+    return _specificity(range.type, type) > 0;
+  }), (range) => {
+    return _specificity(range.type, type);
+  });
+  return match ? match.q : 0;
+}
+
+/**
+ * Returns how specifically a media range matches a media type: 3 for the type itself, 2 for a `type/*` range, 1 for
+ * `*\/*`, and 0 if the range does not match.
+ *
+ * @param {String} range - The media range
+ * @param {String} type - The media type
+ * @returns {Number} - The specificity
+ * @private
+ */
+function _specificity(range, type) {
+  if (range === type) {
+    return 3;
+  }
+  if (range === `${type.split('/')[0]}/*`) {
+    return 2;
+  }
+  return range === '*/*' ? 1 : 0;
+}
+
+module.exports = Accept;
@@ -0,0 +1,194 @@
+'use strict';
+
+const _    = require('lodash');
+const Q    = require('q');
+const Auth = require('./auth');
+
+// Options of the authorize annotation of a route.
+const RULE_OPTIONS = ['roles', 'scopes', 'allow'];
+
+/**
+ * Authorization middleware.
+ * Enforces the access rules routes declare in an `authorize` annotation, once requests are matched and
+ * authenticated, and before the route is executed:
+ *  - `roles`: a role, or a list of roles of which the user must have at least one
+ *  - `scopes`: a scope, or a list of scopes the request must all be granted, in addition to the route's `scopes`
+ *  - `allow`: a predicate called with the request, the user and the route params, which returns, or resolves,
+ *    whether the request is allowed
+ *
+ * Requests of routes with rules are rejected with a 401 error if they are not authenticated, and a 403 `Forbidden`
+ * error if a rule is not satisfied. Routes of a group that sets `authorize` use the group's rules unless they set
+ * their own.
+ *
+ * @example
+ * app.then(router.match);
+ * app.then(auth);
+ * app.then(Authorization.authorize);
+ * app.then(router.execute);
+ *
+ * router.addRoute({
+ *   path      : '/orgs/:orgId/cases',
+ *   methods   : 'get',
+ *   authorize : {
+ *     roles : ['agent', 'admin'],
+ *     allow : (opts) => { return opts.user.orgId === opts.routeParams.orgId; }
+ *   },
+ *   handler   : listCases
+ * });
+ */
+class Authorization {
+
+  /**
+   * Enforces the rules of the matched route, with the default options of `create`.
+   *
+   * @param {Object} opts - The middleware options
+   * @param {Request} opts.request - The request
+   * @returns {Promise} - A promise that resolves if the request is allowed, or undefined if the route has no rules
+   */
+  static authorize(opts) {
+    return _authorize(opts.request, _defaultRoles);
+  }
+
+  /**
+   * Creates an authorization middleware.
+   *
+   * @example
+   * app.then(Authorization.create({ roles : (user) => { return user.groups; } }));
+   *
+   * @param {Object} [options] - The middleware options
+   * @param {Function} [options.roles] - Called with the user and request, returns the user's roles. By default,
+   *  `user.roles`.
+   * @returns {Function} - The middleware
+   * @throws TypeError - If the options are invalid
+   */
+  static create(options) {
+    if (!_.isUndefined(options) && !_.isPlainObject(options)) {
+      throw new TypeError('options must be an object.');
+    }
+    const roles = _.get(options, 'roles', _defaultRoles);
+    if (!_.isFunction(roles)) {
+      throw new TypeError('roles must be a function.');
+    }
+
+    return (opts) => {
+      return _authorize(opts.request, roles);
+    };
+  }
+
+  /**
+   * Lists the access rules of the routes of a router, for audits. Running it when an app starts also checks that
+   * every rule is valid.
+   *
+   * @example
+   * Authorization.describe(router);
+   * // [{ name : 'listCases', path : '/orgs/:orgId/cases', methods : ['GET'], auth : 'jwt', roles : ['agent', 'admin'],
+   * //    scopes : ['cases:read'], allow : true }]
+   *
+   * @param {Router} router - The router
+   * @returns {Array<Object>} - For each route, its `name`, `path` and `methods`, the strategies of its `auth`
+   *  annotation, the `roles` and `scopes` it requires, and if it has an `allow` predicate
+   * @throws TypeError - If a route has an invalid `authorize` annotation
+   */
+  static describe(router) {
+    return _.map(router.getRoutes(), (route) => {
+      const rules = _rules(route);
+      return {
+        name    : route.name,
+        path    : route.path,
+        methods : route.methods,
+        auth    : route.auth,
+        roles   : rules.roles,
+        scopes  : rules.scopes,
+        allow   : _.isFunction(rules.allow)
+      };
+    });
+  }
+}
+
+/**
+ * Enforces the rules of the route a request is matched to.
+ *
+ * @param {Request} request - The request
+ * @param {Function} getRoles - Returns the roles of a user
+ * @returns {Promise} - A promise that resolves if the request is allowed, or undefined if the route has no rules
+ * @private
+ */
+function _authorize(request, getRoles) {
+  const route = request.matchedRoute;
+  const rules = route == null ? null : _rules(route);
+  if (!rules || (_.isEmpty(rules.roles) && _.isEmpty(rules.scopes) && !rules.allow)) {
+    return undefined;
+  }
+  if (request.user == null) {
+    return Q.reject(Auth.unauthorized('Authentication required.'));
+  }
+
+  return Q.fcall(() => {
+    const missing = _.difference(rules.scopes, _.get(request, 'auth.scopes'));
+    if (!_.isEmpty(missing)) {
+      throw _forbidden(`Missing required scopes: ${missing.join(', ')}.`, { missingScopes : missing });
+    }
+    if (!_.isEmpty(rules.roles) && _.isEmpty(_.intersection(rules.roles, _.castArray(getRoles(request.user, request))))) {
+      throw _forbidden(`Requires one of the roles: ${rules.roles.join(', ')}.`, { requiredRoles : rules.roles });
+    }
+    return rules.allow && rules.allow({ request, user : request.user, routeParams : request.matchedParams });
+  }).then((allowed) => {
+    if (rules.allow && !allowed) {
+      throw _forbidden('Access denied.');
+    }
+  });
+}
+
+/**
+ * Reads the access rules of a route: its `authorize` annotation, and its `scopes`.
+ *
+ * @param {Route} route - The route
+ * @returns {{roles: Array<String>, scopes: Array<String>, allow: Function}} - The rules
+ * @throws TypeError - If the annotation is invalid
+ * @private
+ */
+function _rules(route) {
+  const authorize = _.isUndefined(route.authorize) ? {} : route.authorize;
+  if (!_.isPlainObject(authorize) || !_.isEmpty(_.difference(_.keys(authorize), RULE_OPTIONS))) {
+    throw new TypeError('authorize must be an object of roles, scopes and allow rules.');
+  }
+
+  const roles  = _.isUndefined(authorize.roles) ? [] : _.castArray(authorize.roles);
+  const scopes = _.isUndefined(authorize.scopes) ? [] : _.castArray(authorize.scopes);
+  if (!_.every(_.concat(roles, scopes), _.isString)) {
+    throw new TypeError('authorize roles and scopes must be strings or arrays of strings.');
+  }
+  if (!_.isUndefined(authorize.allow) && !_.isFunction(authorize.allow)) {
+    throw new TypeError('authorize allow must be a function.');
+  }
+
+  return { roles, scopes : _.union(route.scopes, scopes), allow : authorize.allow };
+}
+
+/**
+ * Returns the roles of a user: its `roles` property.
+ *
+ * @param {Object} user - The user
+ * @returns {Array<String>} - The roles
+ * @private
+ */
+function _defaultRoles(user) {
+  return _.isUndefined(user.roles) ? [] : user.roles;
+}
+
+/**
+ * Creates the error rejecting requests that do not satisfy the rules of their route.
+ *
+ * @param {String} message - The error message
+ * @param {Object} [details] - Properties of the error
+ * @returns {Error} - The error
+ * @private
+ */
+function _forbidden(message, details) {
+  const error = new Error(message);
+  error.name = 'Forbidden';
+  error.statusCode = 403;
+  return _.assign(error, details);
+}
+
+module.exports = Authorization;
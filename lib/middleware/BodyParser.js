@@ -0,0 +1,176 @@
+'use strict';
+
+const _           = require('lodash');
+const Q           = require('q');
+const TextDecoder = require('util').TextDecoder;
+
+// JSON media types: application/json, and structured syntax suffixes such as application/problem+json.
+const JSON_TYPE = /^application\/(?:json|[^\/;\s]+\+json)$/;
+
+// The position JSON.parse reports in the messages of its syntax errors, on most inputs.
+const JSON_ERROR_POSITION = /\bat position (\d+)\b/;
+
+/**
+ * Request body reading and parsing, used by the content negotiation middleware.
+ * @private
+ */
+class BodyParser {
+
+  /**
+   * Parses a Content-Type header into its media type and parameters. Types and parameter names are lower-cased.
+   *
+   * @example
+   * BodyParser.parseContentType('Application/JSON; charset="UTF-8"'); // { type : 'application/json', params : { charset : 'UTF-8' } }
+   *
+   * @param {String} [header] - The header value
+   * @returns {{type: String, params: Object}} - The media type, which is empty if there is no header, and its params
+   */
+  static parseContentType(header) {
+    const parts  = _.split(header || '', ';');
+    const params = {};
+
+    _.forEach(_.tail(parts), (part) => {
+      const separator = part.indexOf('=');
+      if (separator !== -1) {
+        params[_.trim(part.slice(0, separator)).toLowerCase()] = _.trim(part.slice(separator + 1)).replace(/^"|"$/g, '');
+      }
+    });
+
+    return { type : _.trim(parts[0]).toLowerCase(), params };
+  }
+
+  /**
+   * Indicates if a media type is a JSON type: `application/json`, or a type with a `+json` suffix.
+   *
+   * @param {String} type - The lower-cased media type
+   * @returns {Boolean} - If the type is a JSON type
+   */
+  static isJson(type) {
+    return JSON_TYPE.test(type);
+  }
+
+  /**
+   * Reads a request body stream into a buffer. Requests whose body exceeds the limit are rejected as soon as the
+   * limit is exceeded, or before the body is read if their Content-Length header exceeds it. The rest of a
+   * rejected body is drained.
+   *
+   * @param {Request} request - The request
+   * @param {Object} options - The read options
+   * @param {Number} options.limit - The maximum body size, in bytes
+   * @param {Function} [options.onLimit] - Creates the error rejecting requests over the limit. By default, a 413
+   *  error.
+   * @returns {Promise<Buffer>} - A promise for the body
+   */
+  static read(request, options) {
+    const body    = request.body;
+    const onLimit = options.onLimit || _payloadTooLarge;
+    const length  = parseInt(request.getHeader('content-length'), 10);
+
+    if (length > options.limit) {
+      body.resume();
+      return Q.reject(onLimit(options.limit));
+    }
+
+    const deferred = Q.defer();
+    const chunks   = [];
+    let size       = 0;
+
+    function onData(chunk) {
+      size += chunk.length;
+      if (size > options.limit) {
+        cleanup();
+        body.resume();
+        deferred.reject(onLimit(options.limit));
+        return;
+      }
+      chunks.push(chunk);
+    }
+    function onEnd() {
+      cleanup();
+      deferred.resolve(Buffer.concat(chunks, size));
+    }
+    function onError(error) {
+      cleanup();
+      deferred.reject(error);
+    }
+    function cleanup() {
+      body.removeListener('data', onData);
+      body.removeListener('end', onEnd);
+      body.removeListener('error', onError);
+    }
+
+    body.on('data', onData);
+    body.on('end', onEnd);
+    body.on('error', onError);
+
+    return deferred.promise;
+  }
+
+  /**
+   * Decodes a body buffer into text, with the charset of its Content-Type. A byte order mark is dropped.
+   *
+   * @param {Buffer} buffer - The body
+   * @param {String} [charset='utf-8'] - The charset
+   * @returns {String} - The text
+   * @throws an error with a code of 415 if the charset is not supported
+   */
+  static decode(buffer, charset) {
+    let decoder;
+    try {
+      decoder = new TextDecoder(charset || 'utf-8');
+    }
+    catch (e) {
+      const error = new Error(`Unsupported charset "${charset}".`);
+      error.name = 'UnsupportedMediaType';
+      error.statusCode = 415;
+      throw error;
+    }
+    return decoder.decode(buffer);
+  }
+
+  /**
+   * Parses a JSON body.
+   *
+   * @param {String} text - The body text
+   * @returns {*} - The parsed body
+   * @throws an error with a code of 400 if the body is not valid JSON, with the parser message in `messageDetails`.
+   *  When the parser reports where the body is invalid, the error also has the `position`, `line` and `column` of
+   *  the first invalid character.
+   */
+  static parseJson(text) {
+    try {
+      return JSON.parse(text);
+    }
+    catch (e) {
+      const match    = JSON_ERROR_POSITION.exec(e.message);
+      const position = match ? Number(match[1]) : null;
+      const error    = new Error(`Invalid JSON in request body${match ? ` at position ${position}` : ''}.`);
+      error.name = 'InvalidJSON';
+      error.statusCode = 400;
+      error.messageDetails = e.message;
+      if (match) {
+        const lines = text.slice(0, position).split('\n');
+        error.position = position;
+        error.line = lines.length;
+        error.column = _.last(lines).length + 1;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Creates the error rejecting request bodies over the size limit.
+ *
+ * @param {Number} limit - The limit, in bytes
+ * @returns {Error} - The error
+ * @private
+ */
+function _payloadTooLarge(limit) {
+  const error = new Error(`Request body exceeds the limit of ${limit} bytes.`);
+  error.name = 'PayloadTooLarge';
+  error.statusCode = 413;
+  return error;
+}
+
+module.exports = BodyParser;
@@ -1,49 +1,330 @@
 'use strict';
 
-const Q = require('q');
+const _                = require('lodash');
+const os               = require('os');
+const isReadableStream = require('isstream').isReadable;
+const BodyParser       = require('./BodyParser');
+const FormParser       = require('./FormParser');
+const Accept           = require('./Accept');
+const Serializers      = require('./Serializers');
+const utils            = require('../utils');
 
+// Default request body parsing options.
+const REQUEST_DEFAULTS = {
+  limit          : 1024 * 1024,
+  fields         : 1000,
+  files          : 10,
+  fileSize       : 10 * 1024 * 1024,
+  multipartLimit : 50 * 1024 * 1024,
+  uploadDir      : os.tmpdir()
+};
+
+// Options of createRequest that are byte sizes or counts.
+const REQUEST_LIMITS = ['limit', 'fields', 'files', 'fileSize', 'multipartLimit'];
+
+// Response formats used unless others are listed. Other built-in formats are opt-in.
+const RESPONSE_FORMATS = ['application/json'];
+
+/**
+ * Content negotiation middleware.
+ * Parses JSON and form request bodies, and serializes response bodies in the format the client accepts.
+ */
 class ContentNegotiation {
 
+  /**
+   * Parses the JSON or form body of a request into `request.body`, with the default options of `createRequest`.
+   *
+   * @example
+   * app.then(ContentNegotiation.request);
+   *
+   * @param {Object} opts - The middleware options
+   * @param {Request} opts.request - The request
+   * @returns {Promise} - A promise that resolves once the body is parsed
+   */
   static request(opts) {
-    const request = opts.request;
+    return _parseRequest(opts.request, REQUEST_DEFAULTS);
+  }
 
-    if (_isChunked(request)) {
-      return;
+  /**
+   * Creates a request body parsing middleware.
+   *
+   * JSON bodies are read in full, decoded with the charset of the Content-Type header (UTF-8 by default), and
+   * parsed into `request.body`. Requests without a Content-Type are parsed as JSON. An empty body is parsed as
+   * `{}`. Chunked requests are left as they are, for handlers to stream, unless they are forms.
+   *
+   * `application/x-www-form-urlencoded` and `multipart/form-data` bodies are parsed into `request.body` as the
+   * query is, and the files of multipart bodies into `request.files`. Multipart bodies are parsed as they are
+   * streamed: files are written to temporary files, whose `path` is set on `request.files`, or passed to
+   * `onFile` as streams. Temporary files are left for handlers to move or remove, unless the request fails.
+   *
+   * Requests are rejected with:
+   *  - a 413 `PayloadTooLarge` error if the body, a field value or a file exceeds its size limit, or if there are
+   *    too many fields or files
+   *  - a 415 `UnsupportedMediaType` error if the body is not empty and its Content-Type is not `application/json`,
+   *    a `+json` type or a form type, or if its charset is not supported
+   *  - a 400 `InvalidJSON` error if the body is not valid JSON. When `JSON.parse` reports where the body is
+   *    invalid, the error has the `position`, `line` and `column` of the first invalid character.
+   *  - a 400 `InvalidMultipart` error if a multipart body is malformed
+   *
+   * @example
+   * app.then(ContentNegotiation.createRequest({ limit : 100 * 1024, fileSize : 2 * 1024 * 1024 }));
+   * app.then(ContentNegotiation.createRequest({
+   *   onFile : (file, stream) => { return storage.upload(file.filename, stream); } // sets file.result
+   * }));
+   *
+   * @param {Object} [options] - The parsing options
+   * @param {Number} [options.limit=1048576] - The maximum size of a JSON or urlencoded body, and of a multipart
+   *  field value, in bytes
+   * @param {Number} [options.fields=1000] - The maximum number of form fields
+   * @param {Number} [options.files=10] - The maximum number of files of a multipart body
+   * @param {Number} [options.fileSize=10485760] - The maximum size of a file, in bytes
+   * @param {Number} [options.multipartLimit=52428800] - The maximum size of a multipart body, in bytes
+   * @param {String} [options.uploadDir=os.tmpdir()] - The directory files are written to
+   * @param {Function} [options.onFile] - Called with each file and a readable stream of its content, which it must
+   *  consume, instead of writing files to `uploadDir`. The value it returns or resolves is set as the file's
+   *  `result`.
+   * @returns {Function} - The middleware
+   */
+  static createRequest(options) {
+    if (!_.isUndefined(options) && !_.isPlainObject(options)) {
+      throw new TypeError('options must be an object.');
     }
-
-    const deferred = Q.defer();
-    let newBody    = {};
-    request.body.on('data', (chunk) => {
-      try {
-        newBody = JSON.parse(chunk);
-      }
-      catch (e) {
-        const error = new Error('Invalid JSON in request body.');
-        error.name = 'InvalidJSON';
-        error.messageDetails = 'Hint: JSON does not allow a trailing comma.';
-        error.statusCode = 400;
-        deferred.reject(error);
+    options = _.defaults({}, options, REQUEST_DEFAULTS);
+    _.forEach(REQUEST_LIMITS, (name) => {
+      if (!_.isSafeInteger(options[name]) || options[name] < 0) {
+        throw new TypeError(`${name} must be a non-negative integer.`);
       }
     });
+    if (!_.isString(options.uploadDir)) {
+      throw new TypeError('uploadDir must be a string.');
+    }
+    if (!_.isUndefined(options.onFile) && !_.isFunction(options.onFile)) {
+      throw new TypeError('onFile must be a function.');
+    }
 
-    request.body.on('end', () => {
-      request.body = newBody;
-      deferred.resolve();
-    });
-
-    return deferred.promise;
+    return (opts) => {
+      return _parseRequest(opts.request, options);
+    };
   }
 
+  /**
+   * Serializes the response body as JSON, with the default options of `createResponse`. Routes can opt in to
+   * other built-in formats with a `formats` annotation.
+   *
+   * @example
+   * app.then(router.execute);
+   * app.then(ContentNegotiation.response);
+   *
+   * @param {Object} opts - The middleware options
+   * @param {Request} opts.request - The request
+   * @param {Response} opts.response - The response
+   * @returns {void}
+   */
   static response(opts) {
-    const response = opts.response;
-    if (!_isChunked(response)) {
-      response.setHeader('content-type', 'application/json');
-      return response.setBody(JSON.stringify(response.getBody()));
+    return _serializeResponse(opts, Serializers.BUILT_IN, RESPONSE_FORMATS);
+  }
+
+  /**
+   * Creates a response body serializing middleware.
+   *
+   * The available serializers are those listed in `formats`: by default, the additional serializers and JSON. The
+   * other built-in serializers are only used if they are listed, so that clients accepting any type, such as
+   * browsers that also list XML, keep getting JSON.
+   *
+   * The serializer is picked by negotiating the request Accept header, with its q-values, against the types of the
+   * available serializers; clients that do not send an Accept header get the first one. The response gets the
+   * serializer's Content-Type, and `Accept` is added to its Vary header. If no available type is acceptable, a 406
+   * `NotAcceptable` error is thrown, listing the available types in `availableTypes`; error responses, with a
+   * status code of 400 or more, are serialized with the first available serializer instead.
+   *
+   * Routes can choose the formats of their responses with a `formats` annotation, listing the names or types of
+   * additional or built-in serializers in order of preference, which replaces `formats`. Chunked and streamed
+   * responses, and responses without a body, are left as they are.
+   *
+   * @example
+   * app.then(ContentNegotiation.createResponse({
+   *   serializers : [{ name : 'html', type : 'text/html', serialize : renderHtml }],
+   *   formats     : ['json', 'html', 'csv']
+   * }));
+   * router.addRoute({ path : '/reports', methods : 'get', formats : ['csv', 'json'], handler });
+   *
+   * @param {Object} [options] - The serializing options
+   * @param {Array<{name: String, type: String, serialize: Function}>} [options.serializers] - Additional
+   *  serializers, preferred over the built-in ones, which they replace if they have the same name or type; see
+   *  {@link Serializers}
+   * @param {Array<String>} [options.formats] - The names or types of the serializers to use, in order of
+   *  preference. By default, the additional serializers, then JSON.
+   * @returns {Function} - The middleware
+   */
+  static createResponse(options) {
+    if (!_.isUndefined(options) && !_.isPlainObject(options)) {
+      throw new TypeError('options must be an object.');
+    }
+    options = options || {};
+
+    const custom = _.isUndefined(options.serializers) ? [] : options.serializers;
+    if (!_.isArray(custom) || !_.every(custom, _isSerializer)) {
+      throw new TypeError('serializers must be an array of { name, type, serialize } objects.');
     }
+
+    const serializers = _.concat(custom, _.reject(Serializers.BUILT_IN, (serializer) => {
+      return _.some(custom, (other) => {
+        return other.name === serializer.name || other.type === serializer.type;
+      });
+    }));
+    const formats     = _.isUndefined(options.formats) ? _.union(_.map(custom, 'type'), RESPONSE_FORMATS) : options.formats;
+    _pickFormats(serializers, formats);
+
+    return (opts) => {
+      return _serializeResponse(opts, serializers, formats);
+    };
   }
 
 }
 
+/**
+ * Parses the body of a request into `request.body`.
+ *
+ * @param {Request} request - The request
+ * @param {Object} options - The parsing options, as for `createRequest`
+ * @returns {Promise} - A promise that resolves once the body is parsed, or undefined for chunked requests that
+ *  are not forms
+ * @private
+ */
+function _parseRequest(request, options) {
+  const contentType = BodyParser.parseContentType(request.getHeader('content-type'));
+  if (FormParser.isForm(contentType.type)) {
+    return FormParser.parse(request, contentType, options);
+  }
+  if (_isChunked(request)) {
+    return undefined;
+  }
+
+  const isJson      = contentType.type === '' || BodyParser.isJson(contentType.type);
+
+  // Bodies of other types are rejected as soon as they are found not to be empty.
+  const readOptions = isJson ? options : {
+    limit   : 0,
+    onLimit : () => {
+      return _unsupportedMediaType(contentType.type);
+    }
+  };
+
+  return BodyParser.read(request, readOptions).then((buffer) => {
+    const text   = BodyParser.decode(buffer, contentType.params.charset);
+    request.body = _.trim(text) === '' ? {} : BodyParser.parseJson(text);
+  });
+}
+
+/**
+ * Serializes the body of a response with the serializer the request accepts, among the formats of the matched
+ * route or of the middleware.
+ *
+ * @param {Object} opts - The middleware options
+ * @param {Request} opts.request - The request
+ * @param {Response} opts.response - The response
+ * @param {Array<Object>} serializers - The known serializers
+ * @param {Array<String>} formats - The names or types of the serializers to use, in order of preference, unless
+ *  the matched route lists its own
+ * @returns {void}
+ * @throws an error with a code of 406 if no available type is acceptable
+ * @private
+ */
+function _serializeResponse(opts, serializers, formats) {
+  const request  = opts.request;
+  const response = opts.response;
+  const body     = response.getBody();
+
+  if (_isChunked(response) || !response.hasBody || isReadableStream(body)) {
+    return;
+  }
+
+  const route   = request.matchedRoute;
+  const allowed = _pickFormats(serializers, route && !_.isUndefined(route.formats) ? route.formats : formats);
+  const type    = Accept.negotiate(request.getHeader('accept'), _.map(allowed, 'type'));
+  utils.addVary(response, 'Accept');
+
+  let serializer = _.find(allowed, { type });
+  if (!serializer) {
+    if (response.statusCode < 400) {
+      throw _notAcceptable(_.map(allowed, 'type'));
+    }
+    serializer = allowed[0];
+  }
+
+  response.setHeader('content-type', _.startsWith(serializer.type, 'text/') ? `${serializer.type}; charset=utf-8` : serializer.type);
+  response.setBody(serializer.serialize(body));
+}
+
+/**
+ * Picks serializers by name or type, in the order they are listed.
+ *
+ * @param {Array<Object>} serializers - The serializers
+ * @param {Array<String>} formats - The serializer names or types
+ * @returns {Array<Object>} - The picked serializers
+ * @throws TypeError - If a format names no serializer
+ * @private
+ */
+function _pickFormats(serializers, formats) {
+  return _.map(_.castArray(formats), (format) => {
+    const serializer = _.find(serializers, (candidate) => {
+      return candidate.name === format || candidate.type === format;
+    });
+    if (!serializer) {
+      throw new TypeError(`unknown response format "${format}".`);
+    }
+    return serializer;
+  });
+}
+
+/**
+ * Indicates if a value is a valid serializer.
+ *
+ * @param {*} serializer - The value
+ * @returns {Boolean} - If the value has a name, a media type and a serialize function
+ * @private
+ */
+function _isSerializer(serializer) {
+  return _.isPlainObject(serializer) && _.isString(serializer.name) && /^[^\/\s]+\/[^\/\s]+$/.test(serializer.type) &&
+    _.isFunction(serializer.serialize);
+}
+
+/**
+ * Creates the error for requests that accept none of the available types.
+ *
+ * @param {Array<String>} types - The available types
+ * @returns {Error} - The error
+ * @private
+ */
+function _notAcceptable(types) {
+  const error = new Error(`None of the available types is acceptable: ${types.join(', ')}.`);
+  error.name = 'NotAcceptable';
+  error.statusCode = 406;
+  error.availableTypes = types;
+  return error;
+}
+
+/**
+ * Creates the error rejecting request bodies of an unsupported type.
+ *
+ * @param {String} type - The media type
+ * @returns {Error} - The error
+ * @private
+ */
+function _unsupportedMediaType(type) {
+  const error = new Error(`Unsupported content type "${type}".`);
+  error.name = 'UnsupportedMediaType';
+  error.statusCode = 415;
+  return error;
+}
+
+/**
+ * Indicates if a request or response uses chunked transfer encoding.
+ *
+ * @param {Request|Response} reqres - The request or response
+ * @returns {Boolean} - If it is chunked
+ * @private
+ */
 function _isChunked(reqres) {
   const contentType = reqres.getHeader('Transfer-Encoding');
   return (contentType && contentType.toLowerCase().indexOf('chunked') > -1);
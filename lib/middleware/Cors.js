@@ -0,0 +1,244 @@
+'use strict';
+
+const _     = require('lodash');
+const Q     = require('q');
+const utils = require('../utils');
+
+// Options of the middleware, which routes can override with their `cors` annotation.
+const DEFAULTS = {
+  origins        : '*',
+  credentials    : false,
+  exposedHeaders : [],
+  allowedHeaders : undefined,
+  maxAge         : undefined
+};
+
+/**
+ * CORS middleware.
+ * Adds the CORS headers of the origins it allows to the responses of matched requests, and answers CORS preflight
+ * requests. It runs once requests are matched, and before the routes are executed.
+ *
+ * Preflight requests are answered with the methods actually served on the request path, listed by the node of the
+ * path, and with the options of the route serving the requested method. Preflights from origins that are not
+ * allowed are left to the OPTIONS route of the path, which answers them without CORS headers.
+ *
+ * Routes can override the middleware options with a `cors` annotation, an object of options, or opt out of CORS
+ * with `cors : false`.
+ *
+ * @example
+ * app.then(router.match);
+ * app.then(Cors.create({ origins : ['https://app.example.com', /\.example\.com$/], credentials : true }));
+ * app.then(router.execute);
+ *
+ * router.addRoute({ path : '/status', methods : 'get', cors : { origins : '*', credentials : false }, handler });
+ */
+class Cors {
+
+  /**
+   * Creates a CORS middleware.
+   *
+   * @param {Object} [options] - The CORS options
+   * @param {String|RegExp|Function|Array} [options.origins='*'] - The allowed origins: `'*'` for any origin, or an
+   *  origin, a regular expression matching origins, a function called with the origin and request which returns,
+   *  or resolves, whether the origin is allowed, or an array of them
+   * @param {Boolean} [options.credentials=false] - If requests may include credentials. The request origin is then
+   *  sent back instead of `*`.
+   * @param {String|Array<String>} [options.exposedHeaders=[]] - The response headers exposed to clients
+   * @param {String|Array<String>} [options.allowedHeaders] - The request headers allowed by preflights. By default,
+   *  those the preflight requests.
+   * @param {Number} [options.maxAge] - How long preflight responses may be cached, in seconds
+   * @returns {Function} - The middleware
+   * @throws TypeError - If the options are invalid
+   */
+  static create(options) {
+    if (!_.isUndefined(options) && !_.isPlainObject(options)) {
+      throw new TypeError('options must be an object.');
+    }
+    const defaults = _options(_.defaults({}, options, DEFAULTS));
+
+    return (opts) => {
+      return _cors(opts.request, opts.response, defaults);
+    };
+  }
+}
+
+/**
+ * Adds the CORS headers of a request to its response, or answers it if it is a preflight request.
+ *
+ * @param {Request} request - The request
+ * @param {Response} response - The response
+ * @param {Object} defaults - The middleware options
+ * @returns {Promise} - A promise that resolves once the headers are set, or undefined if the request is not matched
+ *  by a router, has no Origin header, or its route opts out of CORS
+ * @private
+ */
+function _cors(request, response, defaults) {
+  const preflight = utils.isPreflightRequest(request);
+  if (request.matchedRoute == null || (preflight && request.matchedNode == null)) {
+    return undefined;
+  }
+
+  const options = _routeOptions(preflight ? _preflightRoute(request) : request.matchedRoute, defaults);
+  if (!options) {
+    return undefined;
+  }
+  if (options.origins !== '*' || options.credentials) {
+    utils.addVary(response, 'Origin');
+  }
+
+  const origin = request.getHeader('origin');
+  if (origin == null) {
+    return undefined;
+  }
+
+  return _isAllowedOrigin(origin, options.origins, request).then((allowed) => {
+    if (!allowed) {
+      return;
+    }
+    response.setHeader('access-control-allow-origin', options.origins === '*' && !options.credentials ? '*' : origin);
+    if (options.credentials) {
+      response.setHeader('access-control-allow-credentials', 'true');
+    }
+    if (preflight) {
+      _answerPreflight(request, response, options);
+    }
+    else if (!_.isEmpty(options.exposedHeaders)) {
+      response.setHeader('access-control-expose-headers', options.exposedHeaders.join(', '));
+    }
+  });
+}
+
+/**
+ * Returns the route serving the method a preflight request asks for, on the path of the request.
+ *
+ * @param {Request} request - The preflight request
+ * @returns {Route} - The route, or undefined if the method is not served on the path
+ * @private
+ */
+function _preflightRoute(request) {
+  const method = utils.normalizeMethod(request.getHeader('access-control-request-method'));
+  return request.matchedNode.routeFor(method);
+}
+
+/**
+ * Returns the CORS options of a route: the middleware options, overridden by the route's `cors` annotation.
+ *
+ * @param {Route} route - The route, if any
+ * @param {Object} defaults - The middleware options
+ * @returns {Object} - The options, or null if the route opts out of CORS
+ * @throws TypeError - If the annotation is invalid
+ * @private
+ */
+function _routeOptions(route, defaults) {
+  const annotation = route == null ? undefined : route.cors;
+  if (annotation === false) {
+    return null;
+  }
+  if (_.isUndefined(annotation)) {
+    return defaults;
+  }
+  if (!_.isPlainObject(annotation) || !_.isEmpty(_.difference(_.keys(annotation), _.keys(DEFAULTS)))) {
+    throw new TypeError('cors must be false or an object of CORS options.');
+  }
+  return _options(_.assign({}, defaults, annotation));
+}
+
+/**
+ * Validates CORS options, and casts their header lists to arrays.
+ *
+ * @param {Object} options - The options
+ * @returns {Object} - The validated options
+ * @throws TypeError - If an option is invalid
+ * @private
+ */
+function _options(options) {
+  if (options.origins !== '*' && !_.every(_.castArray(options.origins), _isOrigin)) {
+    throw new TypeError('origins must be "*", or a string, regular expression or function, or an array of them.');
+  }
+  if (!_.isBoolean(options.credentials)) {
+    throw new TypeError('credentials must be a boolean.');
+  }
+  _.forEach(['exposedHeaders', 'allowedHeaders'], (name) => {
+    if (!_.isUndefined(options[name]) && !_.every(_.castArray(options[name]), _.isString)) {
+      throw new TypeError(`${name} must be a string or an array of strings.`);
+    }
+  });
+  if (!_.isUndefined(options.maxAge) && (!_.isSafeInteger(options.maxAge) || options.maxAge < 0)) {
+    throw new TypeError('maxAge must be a non-negative integer.');
+  }
+
+  return _.assign({}, options, {
+    exposedHeaders : _.castArray(options.exposedHeaders),
+    allowedHeaders : _.isUndefined(options.allowedHeaders) ? undefined : _.castArray(options.allowedHeaders)
+  });
+}
+
+/**
+ * Indicates if a value is an allowed origin entry: an origin, a regular expression or a function.
+ *
+ * @param {*} value - The value
+ * @returns {Boolean} - If the value is an origin entry
+ * @private
+ */
+function _isOrigin(value) {
+  return (_.isString(value) && value !== '*') || _.isRegExp(value) || _.isFunction(value);
+}
+
+/**
+ * Checks a request origin against the allowed origins.
+ *
+ * @param {String} origin - The request origin
+ * @param {String|RegExp|Function|Array} origins - The allowed origins
+ * @param {Request} request - The request
+ * @returns {Promise<Boolean>} - A promise for whether the origin is allowed
+ * @private
+ */
+function _isAllowedOrigin(origin, origins, request) {
+  if (origins === '*') {
+    return Q(true);
+  }
+
+  return _.reduce(_.castArray(origins), (promise, allowed) => {
+    return promise.then((isAllowed) => {
+      if (isAllowed) {
+        return true;
+      }
+      if (_.isFunction(allowed)) {
+        return allowed(origin, request);
+      }
+      return _.isRegExp(allowed) ? allowed.test(origin) : allowed === origin;
+    });
+  }, Q(false)).then(Boolean);
+}
+
+/**
+ * Answers a preflight request from an allowed origin with an empty 204 response, listing the methods served on the
+ * request path and the allowed request headers.
+ *
+ * @param {Request} request - The preflight request
+ * @param {Response} response - The response
+ * @param {Object} options - The CORS options
+ * @returns {void}
+ * @private
+ */
+function _answerPreflight(request, response, options) {
+  const methods = request.matchedNode.getAllowedMethods().join(', ');
+  const headers = options.allowedHeaders ? options.allowedHeaders.join(', ') :
+    request.getHeader('access-control-request-headers');
+
+  response.setHeader('allow', methods);
+  response.setHeader('access-control-allow-methods', methods);
+  if (!options.allowedHeaders) {
+    utils.addVary(response, 'Access-Control-Request-Headers');
+  }
+  if (headers) {
+    response.setHeader('access-control-allow-headers', headers);
+  }
+  if (!_.isUndefined(options.maxAge)) {
+    response.setHeader('access-control-max-age', String(options.maxAge));
+  }
+  response.statusCode = 204;
+  response.end();
+}
+
+module.exports = Cors;
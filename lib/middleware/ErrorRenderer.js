@@ -0,0 +1,43 @@
+'use strict';
+
+const _     = require('lodash');
+const utils = require('../utils');
+
+/**
+ * Error rendering middleware.
+ * Turns an error into a response, built by `utils.getErrorResponse` like the fallback responses of the adapters:
+ * the error status code (500 if it has none), the headers the error carries in `error.headers`, such as the `Allow`
+ * header of a 405 error, and a body with the status code and message. Messages are only exposed for client errors.
+ *
+ * The body is set as an object, so the renderer should be added before the middleware serializing response
+ * bodies.
+ *
+ * @example
+ * app.then(router.match);
+ * app.then(router.execute);
+ * app.catch(ErrorRenderer.render);
+ * app.then(ContentNegotiation.response);
+ */
+class ErrorRenderer {
+
+  /**
+   * Renders the error of a catch middleware onto the response.
+   *
+   * @param {Object} opts - The middleware options
+   * @param {Response} opts.response - The response
+   * @param {Error} opts.error - The error to render
+   * @returns {void}
+   */
+  static render(opts) {
+    const response = opts.response;
+    const rendered = utils.getErrorResponse(opts.error || {});
+
+    response.statusCode = rendered.statusCode;
+    _.forEach(rendered.headers, (value, key) => {
+      response.setHeader(key, value);
+    });
+    response.setBody(rendered.body);
+  }
+}
+
+module.exports = ErrorRenderer;
@@ -0,0 +1,368 @@
+'use strict';
+
+const _               = require('lodash');
+const Q               = require('q');
+const crypto          = require('crypto');
+const fs              = require('fs');
+const path            = require('path');
+const PassThrough     = require('stream').PassThrough;
+const BodyParser      = require('./BodyParser');
+const MultipartParser = require('./MultipartParser');
+const QueryParser     = require('../QueryParser');
+
+// Boundaries are 1 to 70 characters long (RFC 2046).
+const BOUNDARY = /^[^\r\n]{1,70}$/;
+
+/**
+ * Form body parsing, used by the content negotiation middleware.
+ *
+ * Fields are set on `request.body` as the query is on `request.query`: a field sent more than once has an array
+ * of its values, and bracketed names build nested objects and arrays if the app parses nested queries.
+ *
+ * Files of multipart bodies are set on `request.files`, by field name. A file is described by its `fieldName`,
+ * `filename`, media `type` and `size`. By default, files are written to temporary files, whose `path` is set on
+ * the file; they are not removed once the request is handled, so handlers move or remove them. Alternatively, an
+ * `onFile` function can stream files elsewhere as they are received: it is called with the file and a readable
+ * stream of its content, which it must consume, and the value it resolves is set as the file's `result`.
+ *
+ * If a request errors or a limit is exceeded, the files written for it are removed and the streams passed to
+ * `onFile` are destroyed.
+ * @private
+ */
+class FormParser {
+
+  /**
+   * Indicates if a media type is a form type: `application/x-www-form-urlencoded` or `multipart/form-data`.
+   *
+   * @param {String} type - The lower-cased media type
+   * @returns {Boolean} - If the type is a form type
+   */
+  static isForm(type) {
+    return type === 'application/x-www-form-urlencoded' || type === 'multipart/form-data';
+  }
+
+  /**
+   * Parses a form body into `request.body`, and the files of a multipart body into `request.files`.
+   *
+   * @param {Request} request - The request
+   * @param {{type: String, params: Object}} contentType - The parsed Content-Type of the request
+   * @param {Object} options - The parsing options
+   * @param {Number} options.limit - The maximum size of a urlencoded body, and of a multipart field value, in bytes
+   * @param {Number} options.fields - The maximum number of fields
+   * @param {Number} options.files - The maximum number of files
+   * @param {Number} options.fileSize - The maximum size of a file, in bytes
+   * @param {Number} options.multipartLimit - The maximum size of a multipart body, in bytes
+   * @param {String} options.uploadDir - The directory temporary files are written to
+   * @param {Function} [options.onFile] - Streams files instead of writing them to temporary files
+   * @returns {Promise} - A promise that resolves once the body is parsed
+   */
+  static parse(request, contentType, options) {
+    if (contentType.type === 'application/x-www-form-urlencoded') {
+      return _parseUrlencoded(request, contentType, options);
+    }
+
+    const boundary = contentType.params.boundary;
+    const length   = parseInt(request.getHeader('content-length'), 10);
+
+    if (!BOUNDARY.test(boundary || '')) {
+      request.body.resume();
+      return Q.reject(MultipartParser.invalid('missing or invalid boundary'));
+    }
+    if (length > options.multipartLimit) {
+      request.body.resume();
+      return Q.reject(_payloadTooLarge(`Request body exceeds the limit of ${options.multipartLimit} bytes.`));
+    }
+    return _parseMultipart(request, boundary, options);
+  }
+}
+
+/**
+ * Parses a urlencoded body into `request.body`.
+ *
+ * @param {Request} request - The request
+ * @param {{type: String, params: Object}} contentType - The parsed Content-Type of the request
+ * @param {Object} options - The parsing options
+ * @returns {Promise} - A promise that resolves once the body is parsed
+ * @private
+ */
+function _parseUrlencoded(request, contentType, options) {
+  return BodyParser.read(request, options).then((buffer) => {
+    const text = BodyParser.decode(buffer, contentType.params.charset);
+    if (_.compact(text.split('&')).length > options.fields) {
+      throw _payloadTooLarge(`Too many fields, the limit is ${options.fields}.`);
+    }
+    request.body = QueryParser.parse(text, { nested : request.nestedQuery });
+  });
+}
+
+/**
+ * Parses a multipart body into `request.body` and `request.files`, as it is streamed.
+ *
+ * @param {Request} request - The request
+ * @param {String} boundary - The boundary of the body
+ * @param {Object} options - The parsing options
+ * @returns {Promise} - A promise that resolves once the body is parsed and its files are written
+ * @private
+ */
+function _parseMultipart(request, boundary, options) {
+  const body     = request.body;
+  const deferred = Q.defer();
+  const state    = {
+    fields        : {},
+    files         : {},
+    count         : { fields : 0, files : 0 },
+    uploads       : [],
+    part          : null,
+    options       : { nested : request.nestedQuery },
+    onUploadError : fail
+  };
+  const parser   = new MultipartParser(boundary, {
+    onPartBegin : (headers) => {
+      state.part = _beginPart(state, headers, options);
+    },
+    onPartData : (chunk) => {
+      _writePart(state.part, chunk, body, options);
+    },
+    onPartEnd : () => {
+      _endPart(state);
+    }
+  });
+  let size       = 0;
+  let settled    = false;
+
+  function onData(chunk) {
+    size += chunk.length;
+    try {
+      if (size > options.multipartLimit) {
+        throw _payloadTooLarge(`Request body exceeds the limit of ${options.multipartLimit} bytes.`);
+      }
+      parser.write(chunk);
+    }
+    catch (e) {
+      fail(e);
+    }
+  }
+  function onEnd() {
+    try {
+      parser.end();
+    }
+    catch (e) {
+      fail(e);
+      return;
+    }
+    cleanup();
+    Q.all(_.map(state.uploads, 'done')).then(() => {
+      if (!settled) {
+        settled = true;
+        request.body  = state.fields;
+        request.files = state.files;
+        deferred.resolve();
+      }
+    }, fail);
+  }
+  function fail(error) {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    cleanup();
+    body.resume();
+    Q.all(_.invokeMap(state.uploads, 'discard')).then(() => {
+      deferred.reject(error);
+    });
+  }
+  function cleanup() {
+    body.removeListener('data', onData);
+    body.removeListener('end', onEnd);
+    body.removeListener('error', fail);
+  }
+
+  body.on('data', onData);
+  body.on('end', onEnd);
+  body.on('error', fail);
+
+  return deferred.promise;
+}
+
+/**
+ * Starts a part: a field, or a file. File inputs with no file chosen, and parts whose name the query parser
+ * would drop, are skipped, so no temporary file is written for them.
+ *
+ * @param {Object} state - The multipart parsing state
+ * @param {Object} headers - The part headers
+ * @param {Object} options - The parsing options
+ * @returns {Object} - The part
+ * @throws an error with a code of 400 if the part has no form-data name, or 413 if there are too many parts
+ * @private
+ */
+function _beginPart(state, headers, options) {
+  const disposition = headers['content-disposition'] || '';
+  const params      = MultipartParser.parseHeaderParams(disposition);
+
+  if (!/^form-data\s*(?:;|$)/i.test(disposition) || !params.name) {
+    throw MultipartParser.invalid('part without a form-data name');
+  }
+  if (params.filename === '' || !QueryParser.isSafe(params.name, state.options)) {
+    return { skip : true };
+  }
+
+  const kind = _.isUndefined(params.filename) ? 'fields' : 'files';
+  if (++state.count[kind] > options[kind]) {
+    throw _payloadTooLarge(`Too many ${kind}, the limit is ${options[kind]}.`);
+  }
+  if (kind === 'fields') {
+    return { name : params.name, chunks : [], size : 0 };
+  }
+  return _beginFile(state, params, headers['content-type'], options);
+}
+
+/**
+ * Starts a file part, writing it to a temporary file or streaming it to `onFile`.
+ *
+ * @param {Object} state - The multipart parsing state
+ * @param {Object} params - The params of the part's Content-Disposition header
+ * @param {String} contentType - The part's Content-Type header
+ * @param {Object} options - The parsing options
+ * @returns {Object} - The part
+ * @private
+ */
+function _beginFile(state, params, contentType, options) {
+  const file   = {
+    fieldName : params.name,
+    filename  : path.basename(params.filename.replace(/\\/g, '/')),
+    type      : BodyParser.parseContentType(contentType).type || 'application/octet-stream',
+    size      : 0
+  };
+  const upload = options.onFile ? _streamFile(file, options.onFile) : _writeFile(file, options.uploadDir);
+
+  upload.done.catch(state.onUploadError);
+  state.uploads.push(upload);
+  return { name : params.name, file, upload };
+}
+
+/**
+ * Writes a chunk of content to a part. The request body is paused while a file stream is full.
+ *
+ * @param {Object} part - The part
+ * @param {Buffer} chunk - The chunk
+ * @param {ReadableStream} body - The request body stream
+ * @param {Object} options - The parsing options
+ * @returns {void}
+ * @throws an error with a code of 413 if the part exceeds its size limit
+ * @private
+ */
+function _writePart(part, chunk, body, options) {
+  if (part.skip) {
+    return;
+  }
+  if (!part.file) {
+    part.size += chunk.length;
+    if (part.size > options.limit) {
+      throw _payloadTooLarge(`Field "${part.name}" exceeds the limit of ${options.limit} bytes.`);
+    }
+    part.chunks.push(chunk);
+    return;
+  }
+
+  part.file.size += chunk.length;
+  if (part.file.size > options.fileSize) {
+    throw _payloadTooLarge(`File "${part.file.filename}" exceeds the limit of ${options.fileSize} bytes.`);
+  }
+  if (!part.upload.stream.write(chunk)) {
+    body.pause();
+    part.upload.stream.once('drain', () => {
+      body.resume();
+    });
+  }
+}
+
+/**
+ * Ends a part, setting its field value or file.
+ *
+ * @param {Object} state - The multipart parsing state
+ * @returns {void}
+ * @private
+ */
+function _endPart(state) {
+  const part = state.part;
+  state.part = null;
+
+  if (part.file) {
+    part.upload.stream.end();
+    QueryParser.set(state.files, part.name, part.file, state.options);
+  }
+  else if (!part.skip) {
+    QueryParser.set(state.fields, part.name, Buffer.concat(part.chunks, part.size).toString('utf8'), state.options);
+  }
+}
+
+/**
+ * Writes a file to a new temporary file.
+ *
+ * @param {Object} file - The file
+ * @param {String} uploadDir - The directory of the temporary file
+ * @returns {{stream: WritableStream, done: Promise, discard: Function}} - The upload: the stream the file is written
+ *  to, a promise that resolves once it is written, and a function that removes it
+ * @private
+ */
+function _writeFile(file, uploadDir) {
+  file.path = path.join(uploadDir, `upload-${crypto.randomBytes(16).toString('hex')}`);
+
+  const stream = fs.createWriteStream(file.path, { flags : 'wx', mode : 0o600 });
+  const closed = Q.Promise((resolve) => {
+    stream.on('close', resolve);
+  });
+
+  return {
+    stream,
+    done : Q.Promise((resolve, reject) => {
+      stream.on('error', reject);
+      stream.on('close', resolve);
+    }),
+    discard : () => {
+      stream.destroy();
+      return closed.then(() => {
+        return Q.nfcall(fs.unlink, file.path);
+      }).catch(_.noop);
+    }
+  };
+}
+
+/**
+ * Streams a file to the `onFile` function.
+ *
+ * @param {Object} file - The file
+ * @param {Function} onFile - The function consuming the file stream
+ * @returns {{stream: WritableStream, done: Promise, discard: Function}} - The upload: the stream the file is written
+ *  to, a promise that resolves once `onFile` resolves, and a function that destroys the stream
+ * @private
+ */
+function _streamFile(file, onFile) {
+  const stream = new PassThrough();
+
+  return {
+    stream,
+    done : Q.fcall(onFile, file, stream).then((result) => {
+      file.result = result;
+    }),
+    discard : () => {
+      stream.destroy();
+    }
+  };
+}
+
+/**
+ * Creates the error rejecting form bodies over a limit.
+ *
+ * @param {String} message - The error message
+ * @returns {Error} - The error
+ * @private
+ */
+function _payloadTooLarge(message) {
+  const error = new Error(message);
+  error.name = 'PayloadTooLarge';
+  error.statusCode = 413;
+  return error;
+}
+
+module.exports = FormParser;
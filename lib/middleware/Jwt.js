@@ -0,0 +1,223 @@
+'use strict';
+
+const _      = require('lodash');
+const crypto = require('crypto');
+const fs     = require('fs');
+
+// Supported signature algorithms: the digest, the key type they need, and how signatures are checked.
+const ALGORITHMS = {
+  HS256 : { digest : 'sha256', kty : 'oct' },
+  RS256 : { digest : 'sha256', kty : 'RSA' },
+  ES256 : { digest : 'sha256', kty : 'EC', crv : 'P-256' }
+};
+
+// A compact JWS: three base64url segments.
+const COMPACT_JWS = /^[A-Za-z0-9_\-]+\.[A-Za-z0-9_\-]+\.[A-Za-z0-9_\-]*$/;
+
+/**
+ * JSON Web Token verification, used by the JWT authentication strategy.
+ *
+ * Tokens are verified offline, against a set of JSON Web Keys: the key is looked up by the `kid` of the token
+ * header, or is the only key of the set that fits the token algorithm if the token has no `kid`. HS256, RS256 and
+ * ES256 signatures are supported.
+ * @private
+ */
+class Jwt {
+
+  /**
+   * Loads a JSON Web Key Set, from a file or an in-memory set, and imports its keys. Keys whose type or use does
+   * not allow them to verify signatures are left out.
+   *
+   * @param {Object|String} keys - A key set, as `{ keys : [...] }` or an array of keys, or the path of a key set file
+   * @returns {Array<{kid: String, alg: String, kty: String, crv: String, key: KeyObject}>} - The imported keys
+   * @throws TypeError - If the key set or one of its keys is invalid. Errors reading or parsing the file are thrown
+   *  as they are.
+   */
+  static loadKeys(keys) {
+    if (_.isString(keys)) {
+      keys = JSON.parse(fs.readFileSync(keys, 'utf8'));
+    }
+
+    const jwks = _.isArray(keys) ? keys : _.get(keys, 'keys');
+    if (!_.isArray(jwks) || !_.every(jwks, _.isPlainObject)) {
+      throw new TypeError('keys must be a JSON Web Key Set.');
+    }
+
+    return _.map(_.filter(jwks, (jwk) => {
+      return _.includes(['oct', 'RSA', 'EC'], jwk.kty) && (_.isUndefined(jwk.use) || jwk.use === 'sig');
+    }), (jwk) => {
+      return { kid : jwk.kid, alg : jwk.alg, kty : jwk.kty, crv : jwk.crv, key : _importKey(jwk) };
+    });
+  }
+
+  /**
+   * Verifies a token and returns its claims.
+   *
+   * @param {String} token - The compact token
+   * @param {Array<Object>} keys - The keys, as loaded by `loadKeys`
+   * @param {Object} options - The verification options
+   * @param {Array<String>} options.algorithms - The accepted algorithms
+   * @param {Array<String>} [options.issuer] - The accepted issuers. By default, any.
+   * @param {Array<String>} [options.audience] - The accepted audiences. By default, any.
+   * @param {Number} options.clockTolerance - The clock skew allowed when checking `exp` and `nbf`, in seconds
+   * @param {Number} [options.now] - The current time, in seconds. By default, the clock time.
+   * @returns {Object} - The claims
+   * @throws Error - With the reason the token is not valid as its message
+   */
+  static verify(token, keys, options) {
+    if (!COMPACT_JWS.test(token)) {
+      throw new Error('Malformed token.');
+    }
+
+    const segments = token.split('.');
+    const header   = _decodeSegment(segments[0]);
+    const claims   = _decodeSegment(segments[1]);
+    if (!header || !claims) {
+      throw new Error('Malformed token.');
+    }
+    if (!_.includes(options.algorithms, header.alg) || !_.has(ALGORITHMS, header.alg)) {
+      throw new Error('Unsupported token algorithm.');
+    }
+    if (!_.isUndefined(header.crit)) {
+      throw new Error('Unsupported critical token header.');
+    }
+
+    const key = _findKey(keys, header);
+    if (!key) {
+      throw new Error('Unknown token key.');
+    }
+    if (!_verifySignature(header.alg, key.key, `${segments[0]}.${segments[1]}`, Buffer.from(segments[2], 'base64url'))) {
+      throw new Error('Invalid token signature.');
+    }
+
+    _checkClaims(claims, options);
+    return claims;
+  }
+
+  /**
+   * Returns the scopes a token grants: those of its space-delimited `scope` claim, or of its `scp` claim.
+   *
+   * @param {Object} claims - The token claims
+   * @returns {Array<String>} - The scopes
+   */
+  static scopes(claims) {
+    const scopes = _.isUndefined(claims.scope) ? claims.scp : claims.scope;
+    if (_.isString(scopes)) {
+      return _.compact(scopes.split(' '));
+    }
+    return _.isArray(scopes) ? _.filter(scopes, _.isString) : [];
+  }
+}
+
+/**
+ * Imports a JSON Web Key as a key object.
+ *
+ * @param {Object} jwk - The key
+ * @returns {KeyObject} - The key object
+ * @throws TypeError - If the key is invalid
+ * @private
+ */
+function _importKey(jwk) {
+  try {
+    if (jwk.kty === 'oct') {
+      return crypto.createSecretKey(Buffer.from(jwk.k, 'base64url'));
+    }
+    return crypto.createPublicKey({ key : _.omit(jwk, 'd', 'p', 'q', 'dp', 'dq', 'qi'), format : 'jwk' });
+  }
+  catch (e) {
+    throw new TypeError(`invalid JSON Web Key${jwk.kid ? ` "${jwk.kid}"` : ''}: ${e.message}`);
+  }
+}
+
+/**
+ * Decodes a base64url JSON segment of a token.
+ *
+ * @param {String} segment - The segment
+ * @returns {Object} - The decoded object, or null if the segment is not a JSON object
+ * @private
+ */
+function _decodeSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    return _.isPlainObject(value) ? value : null;
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Finds the key verifying a token: the key with the token's `kid`, or the only key fitting its algorithm if it has
+ * none. The key must fit the algorithm.
+ *
+ * @param {Array<Object>} keys - The keys
+ * @param {Object} header - The token header
+ * @returns {Object} - The key, or null if there is none
+ * @private
+ */
+function _findKey(keys, header) {
+  const algorithm = ALGORITHMS[header.alg];
+  const fitting   = _.filter(keys, (key) => {
+    return key.kty === algorithm.kty && (_.isUndefined(key.alg) || key.alg === header.alg) &&
+      (_.isUndefined(algorithm.crv) || key.crv === algorithm.crv);
+  });
+
+  if (!_.isUndefined(header.kid)) {
+    return _.find(fitting, { kid : header.kid }) || null;
+  }
+  return fitting.length === 1 ? fitting[0] : null;
+}
+
+/**
+ * Verifies the signature of a token.
+ *
+ * @param {String} alg - The algorithm
+ * @param {KeyObject} key - The key
+ * @param {String} input - The signing input: the encoded header and payload
+ * @param {Buffer} signature - The signature
+ * @returns {Boolean} - If the signature is valid
+ * @private
+ */
+function _verifySignature(alg, key, input, signature) {
+  const digest = ALGORITHMS[alg].digest;
+
+  if (alg === 'HS256') {
+    const expected = crypto.createHmac(digest, key).update(input).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  try {
+    const verifyKey = alg === 'ES256' ? { key, dsaEncoding : 'ieee-p1363' } : key;
+    return crypto.verify(digest, Buffer.from(input), verifyKey, signature);
+  }
+  catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Checks the registered claims of a token: its expiry, start of validity, issuer and audience.
+ *
+ * @param {Object} claims - The claims
+ * @param {Object} options - The verification options
+ * @returns {void}
+ * @throws Error - If a claim is not valid
+ * @private
+ */
+function _checkClaims(claims, options) {
+  const now = _.isUndefined(options.now) ? Math.floor(Date.now() / 1000) : options.now;
+
+  if (!_.isUndefined(claims.exp) && (!_.isFinite(claims.exp) || now >= claims.exp + options.clockTolerance)) {
+    throw new Error('Token expired.');
+  }
+  if (!_.isUndefined(claims.nbf) && (!_.isFinite(claims.nbf) || now + options.clockTolerance < claims.nbf)) {
+    throw new Error('Token not yet valid.');
+  }
+  if (options.issuer && !_.includes(options.issuer, claims.iss)) {
+    throw new Error('Invalid token issuer.');
+  }
+  if (options.audience && _.isEmpty(_.intersection(options.audience, _.castArray(claims.aud)))) {
+    throw new Error('Invalid token audience.');
+  }
+}
+
+module.exports = Jwt;
@@ -0,0 +1,78 @@
+'use strict';
+
+const Q = require('q');
+
+// How often expired entries are removed, in milliseconds.
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * In-memory rate limit store.
+ * Keeps the state of each rate limit key in the process memory, so limits are not shared between processes. Expired
+ * entries are removed as the store is updated.
+ *
+ * Stores shared between processes implement the same interface: an `update(key, ttl, updater)` function that
+ * passes the current value of a key, or undefined if it has none or it expired, to the updater, stores the value
+ * the updater returns for `ttl` milliseconds, and returns or resolves it. The updater is synchronous, and its values
+ * are plain JSON objects; shared stores must apply it atomically, for instance in a transaction that is retried if
+ * the key changed meanwhile.
+ */
+class MemoryStore {
+
+  /**
+   * Instantiates an empty store.
+   *
+   * @returns {MemoryStore} - The new store
+   */
+  constructor() {
+    this._entries   = new Map();
+    this._nextSweep = 0;
+  }
+
+  /**
+   * Returns the number of keys held by the store, including expired keys that are not removed yet.
+   *
+   * @returns {Number} - The number of keys
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Updates the value of a key.
+   *
+   * @param {String} key - The key
+   * @param {Number} ttl - How long the new value is kept, in milliseconds
+   * @param {Function} updater - Called with the current value, or undefined, and returns the new value
+   * @returns {Promise} - A promise for the new value
+   */
+  update(key, ttl, updater) {
+    const now   = Date.now();
+    const entry = this._entries.get(key);
+    this._sweep(now);
+
+    const value = updater(entry && entry.expiresAt > now ? entry.value : undefined);
+    this._entries.set(key, { value, expiresAt : now + ttl });
+    return Q(value);
+  }
+
+  /**
+   * Removes the expired entries, at most once every sweep interval.
+   *
+   * @param {Number} now - The current time, in milliseconds
+   * @returns {void}
+   * @private
+   */
+  _sweep(now) {
+    if (now < this._nextSweep) {
+      return;
+    }
+    this._entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this._entries.delete(key);
+      }
+    });
+    this._nextSweep = now + SWEEP_INTERVAL;
+  }
+}
+
+module.exports = MemoryStore;
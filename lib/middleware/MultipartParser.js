@@ -0,0 +1,263 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Part headers end with an empty line. Larger header sections are rejected.
+const HEADERS_END = Buffer.from('\r\n\r\n');
+const MAX_HEADERS = 16 * 1024;
+
+// Header parameters, as in `form-data; name="avatar"; filename="me.png"`. Quoted values can escape characters.
+const HEADER_PARAM = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+
+/**
+ * Streaming multipart/form-data parser, used by the form parsing middleware.
+ *
+ * The body is written to the parser in chunks of any size. The parser calls its handlers as it finds parts:
+ * `onPartBegin` with the headers of a part, `onPartData` with chunks of its content, and `onPartEnd`. Content is
+ * passed on as soon as it cannot be the start of a boundary, so only the end of a chunk is held back.
+ *
+ * @example
+ * const parser = new MultipartParser(boundary, { onPartBegin, onPartData, onPartEnd });
+ * body.on('data', (chunk) => { parser.write(chunk); });
+ * body.on('end', () => { parser.end(); });
+ * @private
+ */
+class MultipartParser {
+
+  /**
+   * Constructs a new parser.
+   *
+   * @param {String} boundary - The boundary, from the Content-Type header
+   * @param {Object} handlers - The part handlers
+   * @param {Function} handlers.onPartBegin - Called with the headers of a part, with lower-cased names
+   * @param {Function} handlers.onPartData - Called with chunks of the content of a part
+   * @param {Function} handlers.onPartEnd - Called at the end of a part
+   * @returns {MultipartParser} - The parser
+   */
+  constructor(boundary, handlers) {
+    this._delimiter = Buffer.from(`\r\n--${boundary}`);
+    this._handlers  = handlers;
+    this._state     = _preamble;
+
+    // The first boundary is not preceded by a line break, unless there is a preamble.
+    this._buffer    = Buffer.from('\r\n');
+  }
+
+  /**
+   * Indicates if the closing boundary has been parsed.
+   *
+   * @returns {Boolean} - If the body is complete
+   */
+  get isDone() {
+    return this._state === null;
+  }
+
+  /**
+   * Parses a chunk of the body. Content after the closing boundary is ignored.
+   *
+   * @param {Buffer} chunk - The chunk
+   * @returns {void}
+   * @throws an error with a code of 400 if the body is malformed
+   */
+  write(chunk) {
+    if (this.isDone) {
+      return;
+    }
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    while (this._state && this._state(this)) {
+      // Each state consumes what it can from the buffer, and returns false once it needs more.
+    }
+  }
+
+  /**
+   * Ends the body.
+   *
+   * @returns {void}
+   * @throws an error with a code of 400 if the body ends before its closing boundary
+   */
+  end() {
+    if (!this.isDone) {
+      throw MultipartParser.invalid('unexpected end of body');
+    }
+  }
+
+  /**
+   * Parses the parameters of a header value, such as a Content-Disposition header. Parameter names are
+   * lower-cased, and escaped quotes and backslashes of quoted values unescaped; other backslashes are kept, as
+   * browsers do not escape those of Windows paths. Values of extended parameters, such as `filename*`, are decoded.
+   *
+   * @example
+   * MultipartParser.parseHeaderParams('form-data; name="avatar"; filename="me.png"'); // { name : 'avatar', filename : 'me.png' }
+   *
+   * @param {String} value - The header value
+   * @returns {Object} - The parameters
+   */
+  static parseHeaderParams(value) {
+    const params = {};
+    let match;
+
+    HEADER_PARAM.lastIndex = 0;
+    while ((match = HEADER_PARAM.exec(value)) !== null) {
+      const name = match[1].toLowerCase();
+      params[name] = _.isUndefined(match[2]) ? _.trim(match[3]) : match[2].replace(/\\(["\\])/g, '$1');
+      if (_.endsWith(name, '*')) {
+        params[name.slice(0, -1)] = _decodeExtended(params[name]);
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Creates the error for malformed multipart bodies.
+   *
+   * @param {String} reason - What is malformed
+   * @returns {Error} - The error
+   */
+  static invalid(reason) {
+    const error = new Error(`Invalid multipart body: ${reason}.`);
+    error.name = 'InvalidMultipart';
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+/**
+ * Skips the preamble, up to the first boundary.
+ *
+ * @param {MultipartParser} parser - The parser
+ * @returns {Boolean} - If the boundary was found
+ * @private
+ */
+function _preamble(parser) {
+  const index = parser._buffer.indexOf(parser._delimiter);
+  if (index === -1) {
+    parser._buffer = _tail(parser._buffer, parser._delimiter.length - 1);
+    return false;
+  }
+  parser._buffer = parser._buffer.slice(index + parser._delimiter.length);
+  parser._state  = _boundaryEnd;
+  return true;
+}
+
+/**
+ * Reads what follows a boundary: a line break before the headers of the next part, or `--` for the closing
+ * boundary.
+ *
+ * @param {MultipartParser} parser - The parser
+ * @returns {Boolean} - If the end of the boundary was read
+ * @private
+ */
+function _boundaryEnd(parser) {
+  if (parser._buffer.length < 2) {
+    return false;
+  }
+
+  const end = parser._buffer.toString('latin1', 0, 2);
+  if (end === '--') {
+    parser._buffer = Buffer.alloc(0);
+    parser._state  = null;
+    return false;
+  }
+  if (end !== '\r\n') {
+    throw MultipartParser.invalid('missing line break after boundary');
+  }
+  parser._buffer = parser._buffer.slice(2);
+  parser._state  = _headers;
+  return true;
+}
+
+/**
+ * Reads the headers of a part.
+ *
+ * @param {MultipartParser} parser - The parser
+ * @returns {Boolean} - If the headers were read
+ * @private
+ */
+function _headers(parser) {
+  // A part without headers starts with the empty line.
+  const index = _.startsWith(parser._buffer.toString('latin1', 0, 2), '\r\n') ? -2 : parser._buffer.indexOf(HEADERS_END);
+  if (index === -1) {
+    if (parser._buffer.length > MAX_HEADERS) {
+      throw MultipartParser.invalid('part headers are too large');
+    }
+    return false;
+  }
+
+  const headers = {};
+  _.forEach(_.compact(parser._buffer.toString('utf8', 0, Math.max(index, 0)).split('\r\n')), (line) => {
+    const separator = line.indexOf(':');
+    if (separator < 1) {
+      throw MultipartParser.invalid('malformed part header');
+    }
+    headers[_.trim(line.slice(0, separator)).toLowerCase()] = _.trim(line.slice(separator + 1));
+  });
+
+  parser._buffer = parser._buffer.slice(index + HEADERS_END.length);
+  parser._state  = _content;
+  parser._handlers.onPartBegin(headers);
+  return true;
+}
+
+/**
+ * Reads the content of a part, up to the next boundary.
+ *
+ * @param {MultipartParser} parser - The parser
+ * @returns {Boolean} - If the boundary was found
+ * @private
+ */
+function _content(parser) {
+  const buffer = parser._buffer;
+  const index  = buffer.indexOf(parser._delimiter);
+
+  if (index === -1) {
+    // The end of the buffer may be the start of the boundary, and is kept until more is written.
+    const kept = Math.min(buffer.length, parser._delimiter.length - 1);
+    if (buffer.length > kept) {
+      parser._handlers.onPartData(buffer.slice(0, buffer.length - kept));
+    }
+    parser._buffer = _tail(buffer, kept);
+    return false;
+  }
+
+  if (index > 0) {
+    parser._handlers.onPartData(buffer.slice(0, index));
+  }
+  parser._buffer = buffer.slice(index + parser._delimiter.length);
+  parser._state  = _boundaryEnd;
+  parser._handlers.onPartEnd();
+  return true;
+}
+
+/**
+ * Returns the last bytes of a buffer.
+ *
+ * @param {Buffer} buffer - The buffer
+ * @param {Number} length - The number of bytes
+ * @returns {Buffer} - The last bytes
+ * @private
+ */
+function _tail(buffer, length) {
+  return buffer.slice(Math.max(buffer.length - length, 0));
+}
+
+/**
+ * Decodes an extended header parameter value, as in `UTF-8''na%C3%AFve.txt`.
+ *
+ * @param {String} value - The value
+ * @returns {String} - The decoded value, or the value as it is if it cannot be decoded
+ * @private
+ */
+function _decodeExtended(value) {
+  const match = /^([^']*)'[^']*'(.*)$/.exec(value);
+  if (!match) {
+    return value;
+  }
+  try {
+    return /^utf-?8$/i.test(match[1]) ? decodeURIComponent(match[2]) : unescape(match[2]);
+  }
+  catch (e) {
+    return value;
+  }
+}
+
+module.exports = MultipartParser;
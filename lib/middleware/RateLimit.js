@@ -0,0 +1,347 @@
+'use strict';
+
+const _           = require('lodash');
+const Q           = require('q');
+const MemoryStore = require('./MemoryStore');
+
+// Options routes can override with their `rateLimit` annotation.
+const ROUTE_OPTIONS = ['limit', 'window', 'algorithm', 'key'];
+
+// Built-in keys: what requests sharing a limit have in common.
+const KEYS = {
+  ip : (request) => {
+    return `ip:${request.ip}`;
+  },
+  user : (request) => {
+    const id = _.get(request, 'user.id');
+    return id == null ? `ip:${request.ip}` : `user:${id}`;
+  },
+  route : (request) => {
+    return `route:${request.matchedRoute.name || request.matchedRoute.path}`;
+  }
+};
+
+/**
+ * Rate limiting algorithms. Each one keeps a state per key in the store, for `ttl` milliseconds: `update` returns
+ * the state once a request is counted, and `result` tells from it if the request is allowed, how many requests
+ * remain, and in how many milliseconds the limit resets and a rejected request can be retried.
+ */
+const ALGORITHMS = {
+
+  // Counts requests in consecutive windows. Rejected requests are counted too.
+  'fixed-window' : {
+    ttl : (options) => {
+      return options.window;
+    },
+    update : (state, options, now) => {
+      const index = Math.floor(now / options.window);
+      const count = state && state.index === index ? state.count : 0;
+      return { index, count : count + 1 };
+    },
+    result : (state, options, now) => {
+      const reset = (state.index + 1) * options.window - now;
+      return {
+        allowed    : state.count <= options.limit,
+        remaining  : Math.max(0, options.limit - state.count),
+        reset,
+        retryAfter : reset
+      };
+    }
+  },
+
+  // Estimates the requests of the last window from the counts of the current and previous windows, weighting the
+  // previous count by the part of it the last window overlaps. Rejected requests are not counted.
+  'sliding-window' : {
+    ttl : (options) => {
+      return options.window * 2;
+    },
+    update : (state, options, now) => {
+      const index    = Math.floor(now / options.window);
+      const previous = _slidingCount(state, index - 1);
+      const current  = _slidingCount(state, index);
+      const allowed  = _slidingEstimate(previous, current, options, now) + 1 <= options.limit;
+      return { index, previous, current : allowed ? current + 1 : current, allowed };
+    },
+    result : (state, options, now) => {
+      const estimate = _slidingEstimate(state.previous, state.current, options, now);
+      return {
+        allowed    : state.allowed,
+        remaining  : Math.max(0, Math.floor(options.limit - estimate)),
+        reset      : (state.index + 1) * options.window - now,
+        retryAfter : _slidingRetryAfter(state, options, now)
+      };
+    }
+  },
+
+  // Holds up to `limit` tokens, refilled at `limit` tokens per window. Each request takes a token.
+  'token-bucket' : {
+    ttl : (options) => {
+      return options.window;
+    },
+    update : (state, options, now) => {
+      const rate    = options.limit / options.window;
+      const tokens  = state ? Math.min(options.limit, state.tokens + (now - state.at) * rate) : options.limit;
+      const allowed = tokens >= 1;
+      return { tokens : allowed ? tokens - 1 : tokens, at : now, allowed };
+    },
+    result : (state, options) => {
+      const rate = options.limit / options.window;
+      return {
+        allowed    : state.allowed,
+        remaining  : Math.floor(state.tokens),
+        reset      : (options.limit - state.tokens) / rate,
+        retryAfter : (1 - state.tokens) / rate
+      };
+    }
+  }
+};
+
+/**
+ * Rate limiting middleware.
+ * Limits the requests of each client, once requests are matched and authenticated. Requests over the limit are
+ * rejected with a 429 `TooManyRequests` error, with a `Retry-After` header. Responses get the `RateLimit-Limit`,
+ * `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy` headers of the limit.
+ *
+ * Routes can declare their own limit with a `rateLimit` annotation, an object of `limit`, `window`, `algorithm` and
+ * `key` options overriding those of the middleware, or opt out with `rateLimit : false`. Requests to a route with
+ * its own limit are counted separately from those of other routes.
+ *
+ * @example
+ * app.then(router.match);
+ * app.then(auth);
+ * app.then(RateLimit.create({ limit : 100, window : 60 * 1000, key : 'user' }));
+ * app.then(router.execute);
+ *
+ * router.addRoute({ path : '/login', methods : 'post', rateLimit : { limit : 5, algorithm : 'sliding-window' }, handler });
+ */
+class RateLimit {
+
+  /**
+   * The in-memory store; see {@link MemoryStore} for the interface of stores.
+   *
+   * @returns {Function} - The MemoryStore class
+   */
+  static get MemoryStore() {
+    return MemoryStore;
+  }
+
+  /**
+   * Creates a rate limiting middleware.
+   *
+   * @param {Object} options - The rate limit options
+   * @param {Number} options.limit - The number of requests allowed per window
+   * @param {Number} options.window - The window, in milliseconds
+   * @param {String} [options.algorithm='fixed-window'] - `fixed-window`, `sliding-window`, or `token-bucket`, whose
+   *  bucket holds `limit` tokens and is refilled at `limit` tokens per window
+   * @param {String|Function} [options.key='ip'] - What requests sharing a limit have in common: `ip`, the
+   *  `request.ip` set by the adapters; `user`, the `id` of the authenticated `request.user`, or the ip of
+   *  unauthenticated requests; `route`, the route name or path, for a limit shared by all clients; or a function
+   *  called with the request, which returns or resolves a key, or null to not limit the request
+   * @param {Object} [options.store] - The store keeping the state of each key; see {@link MemoryStore}. By default,
+   *  a new in-memory store.
+   * @param {Boolean} [options.headers=true] - If responses get the `RateLimit-*` headers
+   * @returns {Function} - The middleware
+   * @throws TypeError - If the options are invalid
+   */
+  static create(options) {
+    if (!_.isPlainObject(options)) {
+      throw new TypeError('options must be an object.');
+    }
+    options = _options(_.defaults({}, options, { algorithm : 'fixed-window', key : 'ip', headers : true }));
+    if (_.isUndefined(options.store)) {
+      options.store = new MemoryStore();
+    }
+    if (!_.isObject(options.store) || !_.isFunction(options.store.update)) {
+      throw new TypeError('store must be an object with an update function.');
+    }
+
+    return (opts) => {
+      return _limit(opts.request, opts.response, options);
+    };
+  }
+}
+
+/**
+ * Counts a request against its limit, and rejects it if it is over the limit.
+ *
+ * @param {Request} request - The request
+ * @param {Response} response - The response
+ * @param {Object} defaults - The middleware options
+ * @returns {Promise} - A promise that resolves if the request is allowed, or undefined if it is not matched or its
+ *  route opts out of rate limiting
+ * @private
+ */
+function _limit(request, response, defaults) {
+  const route   = request.matchedRoute;
+  const options = route == null ? null : _routeOptions(route, defaults);
+  if (!options) {
+    return undefined;
+  }
+
+  const scope = _.isUndefined(route.rateLimit) ? 'app' : `route:${route.name || route.path}`;
+  const key   = _.isFunction(options.key) ? options.key : KEYS[options.key];
+
+  return Q(key(request)).then((value) => {
+    if (value == null) {
+      return;
+    }
+
+    const algorithm = ALGORITHMS[options.algorithm];
+    const now       = Date.now();
+    return Q(options.store.update(`${scope}|${value}`, algorithm.ttl(options), (state) => {
+      return algorithm.update(state, options, now);
+    })).then((state) => {
+      const result = algorithm.result(state, options, now);
+      if (options.headers) {
+        _setHeaders(response, options, result);
+      }
+      if (!result.allowed) {
+        throw _tooManyRequests(_seconds(result.retryAfter));
+      }
+    });
+  });
+}
+
+/**
+ * Returns the rate limit options of a route: the middleware options, overridden by the route's `rateLimit`
+ * annotation.
+ *
+ * @param {Route} route - The route
+ * @param {Object} defaults - The middleware options
+ * @returns {Object} - The options, or null if the route opts out of rate limiting
+ * @throws TypeError - If the annotation is invalid
+ * @private
+ */
+function _routeOptions(route, defaults) {
+  const annotation = route.rateLimit;
+  if (annotation === false) {
+    return null;
+  }
+  if (_.isUndefined(annotation)) {
+    return defaults;
+  }
+  if (!_.isPlainObject(annotation) || !_.isEmpty(_.difference(_.keys(annotation), ROUTE_OPTIONS))) {
+    throw new TypeError('rateLimit must be false or an object of limit, window, algorithm and key options.');
+  }
+  return _options(_.assign({}, defaults, annotation));
+}
+
+/**
+ * Validates rate limit options.
+ *
+ * @param {Object} options - The options
+ * @returns {Object} - The options
+ * @throws TypeError - If an option is invalid
+ * @private
+ */
+function _options(options) {
+  _.forEach(['limit', 'window'], (name) => {
+    if (!_.isSafeInteger(options[name]) || options[name] <= 0) {
+      throw new TypeError(`${name} must be a positive integer.`);
+    }
+  });
+  if (!_.has(ALGORITHMS, options.algorithm)) {
+    throw new TypeError(`algorithm must be one of ${_.keys(ALGORITHMS).join(', ')}.`);
+  }
+  if (!_.has(KEYS, options.key) && !_.isFunction(options.key)) {
+    throw new TypeError('key must be "ip", "user", "route" or a function.');
+  }
+  if (!_.isBoolean(options.headers)) {
+    throw new TypeError('headers must be a boolean.');
+  }
+  return options;
+}
+
+/**
+ * Returns the count of a window from the state of a sliding window.
+ *
+ * @param {Object} state - The state, if any
+ * @param {Number} index - The index of the window
+ * @returns {Number} - The count of the window, or 0 if the state does not hold it
+ * @private
+ */
+function _slidingCount(state, index) {
+  if (state && state.index === index) {
+    return state.current;
+  }
+  return state && state.index === index + 1 ? state.previous : 0;
+}
+
+/**
+ * Estimates the requests of the last window, from the counts of the current and previous windows.
+ *
+ * @param {Number} previous - The count of the previous window
+ * @param {Number} current - The count of the current window
+ * @param {Object} options - The rate limit options
+ * @param {Number} now - The current time, in milliseconds
+ * @returns {Number} - The estimate
+ * @private
+ */
+function _slidingEstimate(previous, current, options, now) {
+  const elapsed = (now % options.window) / options.window;
+  return previous * (1 - elapsed) + current;
+}
+
+/**
+ * Returns in how long a request can be made within a sliding window limit: once the weight of the previous count
+ * leaves room for a request, in the current window if its own count does, or else in the next one.
+ *
+ * @param {Object} state - The state of the sliding window
+ * @param {Object} options - The rate limit options
+ * @param {Number} now - The current time, in milliseconds
+ * @returns {Number} - The delay, in milliseconds
+ * @private
+ */
+function _slidingRetryAfter(state, options, now) {
+  const start = state.index * options.window;
+  if (state.current < options.limit) {
+    const weight = state.previous ? (options.limit - state.current - 1) / state.previous : 1;
+    return Math.max(0, start + (1 - weight) * options.window - now);
+  }
+  return start + options.window + (1 - (options.limit - 1) / state.current) * options.window - now;
+}
+
+/**
+ * Sets the `RateLimit-*` headers of a response.
+ *
+ * @param {Response} response - The response
+ * @param {Object} options - The rate limit options
+ * @param {{remaining: Number, reset: Number}} result - The result of the algorithm
+ * @returns {void}
+ * @private
+ */
+function _setHeaders(response, options, result) {
+  response.setHeader('ratelimit-limit', String(options.limit));
+  response.setHeader('ratelimit-remaining', String(result.remaining));
+  response.setHeader('ratelimit-reset', String(_seconds(result.reset)));
+  response.setHeader('ratelimit-policy', `${options.limit};w=${_seconds(options.window)}`);
+}
+
+/**
+ * Converts a delay to whole seconds, rounded up.
+ *
+ * @param {Number} ms - The delay, in milliseconds
+ * @returns {Number} - The delay, in seconds
+ * @private
+ */
+function _seconds(ms) {
+  return Math.max(0, Math.ceil(ms / 1000));
+}
+
+/**
+ * Creates the error rejecting requests over their limit.
+ *
+ * @param {Number} retryAfter - In how many seconds the request can be retried
+ * @returns {Error} - The error
+ * @private
+ */
+function _tooManyRequests(retryAfter) {
+  const error = new Error(`Too many requests, retry in ${retryAfter} seconds.`);
+  error.name = 'TooManyRequests';
+  error.statusCode = 429;
+  error.retryAfter = retryAfter;
+  error.headers = { 'retry-after' : String(retryAfter) };
+  return error;
+}
+
+module.exports = RateLimit;
@@ -0,0 +1,247 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Characters that force a CSV field to be quoted.
+const CSV_SPECIAL = /[",\r\n]/;
+
+// XML element names. Keys that are not valid names are written as `<entry key="...">` elements instead.
+const XML_NAME    = /^[A-Za-z_][\w.\-]*$/;
+const XML_INVALID = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+// YAML strings that can be written without quotes: they cannot be read back as another type or as syntax.
+const YAML_PLAIN    = /^[A-Za-z_](?:[\w .\/\-]*[\w.\/\-])?$/;
+const YAML_RESERVED = /^(?:true|false|yes|no|on|off|null|y|n)$/i;
+
+/**
+ * Response body serializers, used by the content negotiation middleware.
+ *
+ * A serializer has a `name`, the media `type` it produces, and a `serialize` function that turns a response body
+ * into a string or a buffer. The built-in serializers work on the JSON representation of the body, so values
+ * with a `toJSON` method, such as dates, are serialized as they are in JSON.
+ *
+ * @example
+ * ContentNegotiation.createResponse({
+ *   serializers : [{ name : 'html', type : 'text/html', serialize : renderHtml }]
+ * });
+ */
+class Serializers {
+
+  /**
+   * Returns the built-in serializers: JSON, NDJSON, CSV, XML, plain text and YAML. The content negotiation
+   * middleware only uses JSON, unless other formats are listed in its `formats` option or a route's `formats`
+   * annotation.
+   *
+   * @returns {Array<{name: String, type: String, serialize: Function}>} - The serializers
+   */
+  static get BUILT_IN() {
+    return [
+      { name : 'json', type : 'application/json', serialize : Serializers.json },
+      { name : 'ndjson', type : 'application/x-ndjson', serialize : Serializers.ndjson },
+      { name : 'csv', type : 'text/csv', serialize : Serializers.csv },
+      { name : 'xml', type : 'application/xml', serialize : Serializers.xml },
+      { name : 'text', type : 'text/plain', serialize : Serializers.text },
+      { name : 'yaml', type : 'application/yaml', serialize : Serializers.yaml }
+    ];
+  }
+
+  /**
+   * Serializes a body as JSON.
+   *
+   * @param {*} body - The body
+   * @returns {String} - The JSON text
+   */
+  static json(body) {
+    return JSON.stringify(body);
+  }
+
+  /**
+   * Serializes a body as newline delimited JSON: one line per item of an array body, or a single line.
+   *
+   * @param {*} body - The body
+   * @returns {String} - The NDJSON text
+   */
+  static ndjson(body) {
+    return _.map(_.castArray(body), (item) => {
+      return `${JSON.stringify(item)}\n`;
+    }).join('');
+  }
+
+  /**
+   * Serializes a body as CSV. An array of objects is written with a header row of their keys, in the order they
+   * first appear, and one row per object; an array of arrays is written as rows; an object is a single row.
+   * Nested values are written as JSON.
+   *
+   * @param {*} body - The body
+   * @returns {String} - The CSV text
+   */
+  static csv(body) {
+    const rows = _.castArray(_toData(body));
+
+    if (_.every(rows, _.isArray)) {
+      return _.map(rows, _csvRow).join('');
+    }
+
+    const columns = _.uniq(_.flatMap(rows, (row) => {
+      return _.isPlainObject(row) ? _.keys(row) : [];
+    }));
+    return _csvRow(columns) + _.map(rows, (row) => {
+      return _csvRow(_.isPlainObject(row) ? _.at(row, columns) : [row]);
+    }).join('');
+  }
+
+  /**
+   * Serializes a body as XML, in a `<response>` element. Object keys become elements, and array items `<item>`
+   * elements.
+   *
+   * @param {*} body - The body
+   * @returns {String} - The XML text
+   */
+  static xml(body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>${_xmlElement('response', _toData(body))}`;
+  }
+
+  /**
+   * Serializes a body as plain text. Strings and buffers are written as they are, and other values as indented
+   * JSON.
+   *
+   * @param {*} body - The body
+   * @returns {String|Buffer} - The text
+   */
+  static text(body) {
+    if (_.isString(body) || Buffer.isBuffer(body)) {
+      return body;
+    }
+    return JSON.stringify(body, null, 2);
+  }
+
+  /**
+   * Serializes a body as YAML.
+   *
+   * @param {*} body - The body
+   * @returns {String} - The YAML text
+   */
+  static yaml(body) {
+    return `${_yamlValue(_toData(body), '')}\n`;
+  }
+}
+
+/**
+ * Returns the JSON representation of a body, as plain data.
+ *
+ * @param {*} body - The body
+ * @returns {*} - The body data
+ * @private
+ */
+function _toData(body) {
+  const json = JSON.stringify(body);
+  return _.isUndefined(json) ? null : JSON.parse(json);
+}
+
+/**
+ * Writes a CSV row.
+ *
+ * @param {Array} values - The field values
+ * @returns {String} - The row, with its line break
+ * @private
+ */
+function _csvRow(values) {
+  const fields = _.map(values, (value) => {
+    const field = _.isObject(value) ? JSON.stringify(value) : _.toString(value);
+    return CSV_SPECIAL.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  });
+  return `${fields.join(',')}\r\n`;
+}
+
+/**
+ * Writes an XML element for a value.
+ *
+ * @param {String} name - The element name, or an object key
+ * @param {*} value - The value
+ * @returns {String} - The element
+ * @private
+ */
+function _xmlElement(name, value) {
+  const open  = XML_NAME.test(name) ? name : `entry key="${_xmlEscape(name)}"`;
+  const close = XML_NAME.test(name) ? name : 'entry';
+  let content;
+
+  if (_.isArray(value)) {
+    content = _.map(value, (item) => {
+      return _xmlElement('item', item);
+    }).join('');
+  }
+  else if (_.isPlainObject(value)) {
+    content = _.map(value, (item, key) => {
+      return _xmlElement(key, item);
+    }).join('');
+  }
+  else {
+    content = value === null ? '' : _xmlEscape(String(value));
+  }
+  return `<${open}>${content}</${close}>`;
+}
+
+/**
+ * Escapes text for XML content and attribute values. Control characters, which XML does not allow, are dropped.
+ *
+ * @param {String} text - The text
+ * @returns {String} - The escaped text
+ * @private
+ */
+function _xmlEscape(text) {
+  return text.replace(XML_INVALID, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Writes a YAML value. Non-empty objects and arrays are written in block style, with their entries indented.
+ *
+ * @param {*} value - The value
+ * @param {String} indent - The indentation of the value's entries
+ * @returns {String} - The YAML text, without a trailing line break
+ * @private
+ */
+function _yamlValue(value, indent) {
+  if (_isYamlBlock(value) && _.isArray(value)) {
+    return _.map(value, (item) => {
+      const text = _yamlValue(item, `${indent}  `);
+      return `${indent}- ${_isYamlBlock(item) ? text.slice(indent.length + 2) : text}`;
+    }).join('\n');
+  }
+  if (_isYamlBlock(value)) {
+    return _.map(value, (item, key) => {
+      const text = _yamlValue(item, `${indent}  `);
+      return `${indent}${_yamlScalar(key)}:${_isYamlBlock(item) ? '\n' : ' '}${text}`;
+    }).join('\n');
+  }
+  return _yamlScalar(value);
+}
+
+/**
+ * Indicates if a value is written in YAML block style: a non-empty object or array.
+ *
+ * @param {*} value - The value
+ * @returns {Boolean} - If the value is written in block style
+ * @private
+ */
+function _isYamlBlock(value) {
+  return _.isObject(value) && !_.isEmpty(value);
+}
+
+/**
+ * Writes a YAML scalar, or an empty object or array in flow style. Strings are quoted unless they can only be
+ * read back as the same string.
+ *
+ * @param {*} value - The value
+ * @returns {String} - The YAML text
+ * @private
+ */
+function _yamlScalar(value) {
+  if (_.isString(value)) {
+    return YAML_PLAIN.test(value) && !YAML_RESERVED.test(value) ? value : JSON.stringify(value);
+  }
+  return value === null ? 'null' : JSON.stringify(value);
+}
+
+module.exports = Serializers;
@@ -0,0 +1,458 @@
+'use strict';
+
+const _     = require('lodash');
+const Q     = require('q');
+const utils = require('../utils');
+const Jwt   = require('./Jwt');
+
+// Credentials of the Authorization header: a scheme and a token68 value (RFC 7235).
+const AUTHORIZATION = /^([^\s]+)\s+([A-Za-z0-9\-._~+\/]+=*)\s*$/;
+
+/**
+ * Authentication middleware.
+ * Authenticates requests with pluggable strategies, once they are matched to a route. Routes declare the strategies
+ * that can authenticate them with an `auth` annotation: a strategy name, or a list of names tried in order; `false`
+ * makes a route public. Routes without the annotation use the `default` strategies, if any.
+ *
+ * A strategy is an object with an `authenticate` function, called with the request. It returns, or resolves, null if
+ * the request has no credentials for the strategy, so the next one is tried; an object with the authenticated `user`
+ * and details of the authentication if the credentials are valid; or it throws an `Auth.unauthorized` error if they
+ * are not. Its `challenge`, if any, is sent in the `WWW-Authenticate` header of the 401 error rejecting requests
+ * without credentials.
+ *
+ * Authenticated requests get the `user`, in `request.user`, and the name of the strategy and the details it
+ * returned, in `request.auth`. CORS preflight requests are not authenticated.
+ *
+ * @example
+ * const auth = Auth.create({
+ *   strategies : {
+ *     basic  : Auth.basic({ verify : checkPassword }),
+ *     bearer : Auth.bearer({ verify : findSession }),
+ *     apiKey : Auth.apiKey({ header : 'x-api-key', verify : findClient })
+ *   },
+ *   default    : 'bearer'
+ * });
+ * app.then(router.match);
+ * app.then(auth);
+ * app.then(router.execute);
+ *
+ * router.addRoute({ path : '/reports', methods : 'get', auth : ['bearer', 'apiKey'], handler : listReports });
+ * router.addRoute({ path : '/health', methods : 'get', auth : false, handler : checkHealth });
+ */
+class Auth {
+
+  /**
+   * Creates an authentication middleware. Its `validate(router)` method checks that the `auth` annotations of the
+   * routes of a router only name known strategies; run it when the app starts, once the routes are added, rather
+   * than finding unknown names on the first request to their routes.
+   *
+   * @param {Object} options - The middleware options
+   * @param {Object} options.strategies - The strategies, by name
+   * @param {String|Array<String>} [options.default] - The strategies of routes without an `auth` annotation. By
+   *  default, these routes are public.
+   * @returns {Function} - The middleware, with its `validate(router)` method, which returns the router
+   * @throws TypeError - If the options are invalid
+   */
+  static create(options) {
+    if (!_.isPlainObject(options)) {
+      throw new TypeError('options must be an object.');
+    }
+
+    const strategies = options.strategies;
+    if (!_.isPlainObject(strategies) || _.isEmpty(strategies) || !_.every(strategies, _isStrategy)) {
+      throw new TypeError('strategies must be an object of { authenticate } strategies.');
+    }
+    _strategyNames(strategies, options.default);
+
+    function middleware(opts) {
+      return _authenticate(opts.request, strategies, options.default);
+    }
+    middleware.validate = (router) => {
+      _.forEach(router.getRoutes(), (route) => {
+        _routeStrategyNames(strategies, route, options.default);
+      });
+      return router;
+    };
+    return middleware;
+  }
+
+  /**
+   * Creates an HTTP Basic authentication strategy (RFC 7617). Its details are the `username`.
+   *
+   * @example
+   * Auth.basic({
+   *   realm  : 'admin',
+   *   verify : (username, password) => { return users.checkPassword(username, password); }
+   * });
+   *
+   * @param {Object} options - The strategy options
+   * @param {Function} options.verify - Called with the username, password and request. Returns, or resolves, the
+   *  user, or a falsy value if the credentials are invalid.
+   * @param {String} [options.realm='api'] - The realm of the challenge
+   * @returns {{challenge: String, authenticate: Function}} - The strategy
+   * @throws TypeError - If the options are invalid
+   */
+  static basic(options) {
+    _validateVerify(options);
+    const challenge = `Basic ${_challengeParams(options)}, charset="UTF-8"`;
+
+    return {
+      challenge,
+      authenticate : (request) => {
+        const token = _credentials(request, 'basic', challenge);
+        if (token === null) {
+          return null;
+        }
+
+        const decoded   = Buffer.from(token, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) {
+          throw Auth.unauthorized('Invalid credentials.', challenge);
+        }
+
+        const username = decoded.slice(0, separator);
+        return _verify(options.verify(username, decoded.slice(separator + 1), request), challenge, { username });
+      }
+    };
+  }
+
+  /**
+   * Creates a Bearer token authentication strategy (RFC 6750). Its details are the `token`.
+   *
+   * @example
+   * Auth.bearer({ verify : (token) => { return sessions.findUser(token); } });
+   *
+   * @param {Object} options - The strategy options
+   * @param {Function} options.verify - Called with the token and request. Returns, or resolves, the user, or a falsy
+   *  value if the token is invalid.
+   * @param {String} [options.realm='api'] - The realm of the challenge
+   * @returns {{challenge: String, authenticate: Function}} - The strategy
+   * @throws TypeError - If the options are invalid
+   */
+  static bearer(options) {
+    _validateVerify(options);
+    const challenge = `Bearer ${_challengeParams(options)}`;
+
+    return {
+      challenge,
+      authenticate : (request) => {
+        const token = _credentials(request, 'bearer', challenge);
+        if (token === null) {
+          return null;
+        }
+        return _verify(options.verify(token, request), `${challenge}, error="invalid_token"`, { token });
+      }
+    };
+  }
+
+  /**
+   * Creates a JSON Web Token authentication strategy. Tokens are read from the Authorization header as Bearer tokens,
+   * and verified offline against a JSON Web Key Set: their signature, with the key of their `kid`, then their
+   * expiry, start of validity, issuer and audience. Its details are the `token`, its `claims`, and the `scopes` it
+   * grants, from its space-delimited `scope` claim or its `scp` claim. Routes can require scopes with their `scopes`
+   * option.
+   *
+   * @example
+   * Auth.jwt({
+   *   jwksFile : path.join(__dirname, 'jwks.json'),
+   *   issuer   : 'https://auth.example.com/',
+   *   audience : 'cases-api'
+   * });
+   *
+   * @param {Object} options - The strategy options
+   * @param {Object|Array<Object>} [options.keys] - The key set, as `{ keys : [...] }` or an array of JSON Web Keys
+   * @param {String} [options.jwksFile] - The path of a key set file, read when the strategy is created, instead of
+   *  `keys`
+   * @param {String|Array<String>} [options.algorithms=['HS256', 'RS256', 'ES256']] - The accepted algorithms
+   * @param {String|Array<String>} [options.issuer] - The accepted issuers. By default, any.
+   * @param {String|Array<String>} [options.audience] - The accepted audiences. By default, any.
+   * @param {Number} [options.clockTolerance=0] - The clock skew allowed when checking `exp` and `nbf`, in seconds
+   * @param {Function} [options.verify] - Called with the claims and request of valid tokens. Returns, or resolves,
+   *  the user, or a falsy value to reject the token. By default, the user is the claims.
+   * @param {String} [options.realm='api'] - The realm of the challenge
+   * @returns {{challenge: String, authenticate: Function}} - The strategy
+   * @throws TypeError - If the options or the keys are invalid
+   */
+  static jwt(options) {
+    const verifyOptions = _jwtOptions(options);
+    const keys          = Jwt.loadKeys(options.jwksFile || options.keys);
+    const challenge     = `Bearer ${_challengeParams(options)}`;
+    const invalid       = `${challenge}, error="invalid_token"`;
+
+    return {
+      challenge,
+      authenticate : (request) => {
+        const token = _credentials(request, 'bearer', challenge);
+        if (token === null) {
+          return null;
+        }
+
+        let claims;
+        try {
+          claims = Jwt.verify(token, keys, verifyOptions);
+        }
+        catch (e) {
+          throw Auth.unauthorized(e.message, `${invalid}, error_description="${e.message}"`);
+        }
+        const user = options.verify ? options.verify(claims, request) : claims;
+        return _verify(user, invalid, { token, claims, scopes : Jwt.scopes(claims) });
+      }
+    };
+  }
+
+  /**
+   * Creates an API key authentication strategy. The key is read from a header, or from a query param. API keys have
+   * no standard challenge, so the strategy has none. Its details are the `key`.
+   *
+   * @example
+   * Auth.apiKey({ header : 'x-api-key', query : 'api_key', verify : (key) => { return clients.findByKey(key); } });
+   *
+   * @param {Object} options - The strategy options
+   * @param {Function} options.verify - Called with the key and request. Returns, or resolves, the user, or a falsy
+   *  value if the key is invalid.
+   * @param {String} [options.header='x-api-key'] - The header of the key
+   * @param {String} [options.query] - The query param of the key. By default, keys are only read from the header.
+   * @returns {{authenticate: Function}} - The strategy
+   * @throws TypeError - If the options are invalid
+   */
+  static apiKey(options) {
+    _validateVerify(options);
+    options = _.defaults({}, options, { header : 'x-api-key' });
+    if (!_.isString(options.header) || (!_.isUndefined(options.query) && !_.isString(options.query))) {
+      throw new TypeError('header and query must be strings.');
+    }
+
+    return {
+      authenticate : (request) => {
+        const fromHeader = request.getHeader(options.header);
+        const key        = _.isUndefined(fromHeader) && options.query ? request.query[options.query] : fromHeader;
+        if (_.isUndefined(key)) {
+          return null;
+        }
+        if (!_.isString(key) || key === '') {
+          throw Auth.unauthorized('Invalid credentials.');
+        }
+        return _verify(options.verify(key, request), undefined, { key });
+      }
+    };
+  }
+
+  /**
+   * Creates the error rejecting unauthenticated requests.
+   *
+   * @param {String} message - The error message
+   * @param {String|Array<String>} [challenge] - The value of the `WWW-Authenticate` header
+   * @returns {Error} - The error, with a code of 401
+   */
+  static unauthorized(message, challenge) {
+    const error = new Error(message);
+    error.name = 'Unauthorized';
+    error.statusCode = 401;
+    if (!_.isEmpty(challenge)) {
+      error.headers = { 'www-authenticate' : challenge };
+    }
+    return error;
+  }
+}
+
+/**
+ * Authenticates a request with the strategies of its matched route.
+ *
+ * @param {Request} request - The request
+ * @param {Object} strategies - The strategies, by name
+ * @param {String|Array<String>} [defaults] - The strategies of routes without an `auth` annotation
+ * @returns {Promise} - A promise that resolves once the request is authenticated, or undefined if the route is public
+ * @private
+ */
+function _authenticate(request, strategies, defaults) {
+  const route = request.matchedRoute;
+  if (route == null || utils.isPreflightRequest(request)) {
+    return undefined;
+  }
+
+  const names = _routeStrategyNames(strategies, route, defaults);
+  if (_.isEmpty(names)) {
+    return undefined;
+  }
+
+  return _.reduce(names, (promise, name) => {
+    return promise.then((found) => {
+      return found || _tryStrategy(request, name, strategies[name]);
+    });
+  }, Q(null)).then((found) => {
+    if (!found) {
+      throw Auth.unauthorized('Authentication required.', _.compact(_.map(names, (name) => {
+        return strategies[name].challenge;
+      })));
+    }
+    request.user = found.user;
+    request.auth = _.assign({ strategy : found.strategy }, _.omit(found, ['user', 'strategy']));
+  });
+}
+
+/**
+ * Authenticates a request with a strategy.
+ *
+ * @param {Request} request - The request
+ * @param {String} name - The strategy name
+ * @param {Object} strategy - The strategy
+ * @returns {Promise<Object>} - A promise for the authentication result, with its strategy name, or null if the
+ *  request has no credentials for the strategy
+ * @private
+ */
+function _tryStrategy(request, name, strategy) {
+  return Q.fcall(strategy.authenticate, request).then((result) => {
+    return result ? _.assign({ strategy : name }, result) : null;
+  });
+}
+
+/**
+ * Resolves a strategy declaration into strategy names.
+ *
+ * @param {Object} strategies - The strategies, by name
+ * @param {String|Array<String>|Boolean} [declaration] - A strategy name, a list of names, or false
+ * @param {Route} [route] - The route of the declaration, named in the error
+ * @returns {Array<String>} - The strategy names
+ * @throws TypeError - If the declaration names an unknown strategy
+ * @private
+ */
+function _strategyNames(strategies, declaration, route) {
+  const names = _.isUndefined(declaration) || declaration === false ? [] : _.castArray(declaration);
+  const owner = route ? `route ${route.path} names ` : '';
+  _.forEach(names, (name) => {
+    if (!_.has(strategies, name)) {
+      throw new TypeError(`${owner}unknown auth strategy "${name}".`);
+    }
+  });
+  return names;
+}
+
+/**
+ * Resolves the strategy names of a route, from its `auth` annotation or, without one, the default strategies.
+ *
+ * @param {Object} strategies - The strategies, by name
+ * @param {Route} route - The route
+ * @param {String|Array<String>} [defaults] - The strategies of routes without an `auth` annotation
+ * @returns {Array<String>} - The strategy names
+ * @throws TypeError - If the route names an unknown strategy
+ * @private
+ */
+function _routeStrategyNames(strategies, route, defaults) {
+  return _strategyNames(strategies, _.isUndefined(route.auth) ? defaults : route.auth, route);
+}
+
+/**
+ * Reads the credentials of the Authorization header for a scheme.
+ *
+ * @param {Request} request - The request
+ * @param {String} scheme - The lower-cased scheme
+ * @param {String} challenge - The challenge of the error rejecting malformed credentials
+ * @returns {String} - The credentials, or null if the header has none for the scheme
+ * @throws an error with a code of 401 if the header uses the scheme but its credentials are malformed
+ * @private
+ */
+function _credentials(request, scheme, challenge) {
+  const header = request.getHeader('authorization');
+  if (!_.isString(header) || _.split(_.trim(header), /\s/)[0].toLowerCase() !== scheme) {
+    return null;
+  }
+
+  const match = AUTHORIZATION.exec(header);
+  if (!match) {
+    throw Auth.unauthorized('Invalid credentials.', challenge);
+  }
+  return match[2];
+}
+
+/**
+ * Turns the result of a strategy's verify function into an authentication result.
+ *
+ * @param {*} user - The user, or a promise for it
+ * @param {String} [challenge] - The challenge of the error rejecting invalid credentials
+ * @param {Object} details - The authentication details
+ * @returns {Promise<Object>} - A promise for the result: the user and the details
+ * @private
+ */
+function _verify(user, challenge, details) {
+  return Q(user).then((verified) => {
+    if (!verified) {
+      throw Auth.unauthorized('Invalid credentials.', challenge);
+    }
+    return _.assign({ user : verified }, details);
+  });
+}
+
+/**
+ * Validates the options of the JWT strategy, and returns its verification options.
+ *
+ * @param {Object} options - The strategy options
+ * @returns {Object} - The verification options
+ * @throws TypeError - If the options are invalid
+ * @private
+ */
+function _jwtOptions(options) {
+  if (!_.isPlainObject(options)) {
+    throw new TypeError('options must be an object.');
+  }
+  if (_.isUndefined(options.keys) === _.isUndefined(options.jwksFile)) {
+    throw new TypeError('one of keys or jwksFile must be set.');
+  }
+  if (!_.isUndefined(options.verify) && !_.isFunction(options.verify)) {
+    throw new TypeError('verify must be a function.');
+  }
+
+  const clockTolerance = _.isUndefined(options.clockTolerance) ? 0 : options.clockTolerance;
+  if (!_.isFinite(clockTolerance) || clockTolerance < 0) {
+    throw new TypeError('clockTolerance must be a non-negative number.');
+  }
+
+  return {
+    algorithms : _.castArray(options.algorithms || ['HS256', 'RS256', 'ES256']),
+    issuer     : _.isUndefined(options.issuer) ? null : _.castArray(options.issuer),
+    audience   : _.isUndefined(options.audience) ? null : _.castArray(options.audience),
+    clockTolerance
+  };
+}
+
+/**
+ * Writes the parameters of the challenge of a built-in strategy.
+ *
+ * @param {Object} options - The strategy options
+ * @returns {String} - The challenge parameters
+ * @throws TypeError - If the realm is not a string
+ * @private
+ */
+function _challengeParams(options) {
+  const realm = _.isUndefined(options.realm) ? 'api' : options.realm;
+  if (!_.isString(realm)) {
+    throw new TypeError('realm must be a string.');
+  }
+  return `realm="${realm.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Validates that the options of a built-in strategy have a verify function.
+ *
+ * @param {Object} options - The strategy options
+ * @returns {void}
+ * @throws TypeError - If there is no verify function
+ * @private
+ */
+function _validateVerify(options) {
+  if (!_.isPlainObject(options) || !_.isFunction(options.verify)) {
+    throw new TypeError('verify must be a function.');
+  }
+}
+
+/**
+ * Indicates if a value is a valid strategy.
+ *
+ * @param {*} strategy - The value
+ * @returns {Boolean} - If the value has an authenticate function
+ * @private
+ */
+function _isStrategy(strategy) {
+  return _.isObject(strategy) && _.isFunction(strategy.authenticate);
+}
+
+module.exports = Auth;
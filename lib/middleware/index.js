@@ -1,3 +1,9 @@
 'use strict';
 
+exports.Auth                = require('./auth');
+exports.Authorization       = require('./Authorization');
 exports.ContentNegotiation  = require('./ContentNegotiation');
+exports.Cors                = require('./Cors');
+exports.ErrorRenderer       = require('./ErrorRenderer');
+exports.RateLimit           = require('./RateLimit');
+exports.Serializers         = require('./Serializers');
@@ -1,7 +1,33 @@
 'use strict';
 const _       = require('lodash');
+const http    = require('http');
 const METHODS = require('./METHODS');
 
+// Param and splat tokens, as defined by the route-parser grammar.
+const PARAM_TOKENS      = /:+\w+/g;
+const SPLAT_TOKENS      = /\*+\w+/g;
+const PARAM_NAME_TOKENS = /:+\w+|\*+\w+/g;
+
+// Param constraints, written in angle brackets after the param name.
+const CONSTRAINT_TOKENS = /(:+\w+)<([^>]*)>/g;
+
+// Tokens of the route-parser grammar: optional group delimiters, params and their constraints, splats, and
+// literal text.
+const PATH_TOKENS = /\(|\)|:+\w+(?:<[^>]*>)?|\*+\w+|[^():*]+|[:*]/g;
+
+const SPLAT    = /\*/;
+const OPTIONAL = /\(/;
+
+// Specificity ranks of path segments, from most to least specific.
+const SEGMENT_RANKS = {
+  STATIC      : 0,
+  PARTIAL     : 1,
+  CONSTRAINED : 2,
+  PARAM       : 3,
+  OPTIONAL    : 4,
+  SPLAT       : 5
+};
+
 /**
  * Utility class
  * @private
@@ -13,58 +39,275 @@ class utils {
    * the same request path). Returns 1 if the first path is a parent to the second path. Returns -1 if the
    * second path is a parent, sibling, or cousin.
    *
+   * Param and splat names are ignored, so `/files/*path` and `/files/*filepath` are the same. Param constraints
+   * are not, so `/cases/:id<int>` and `/cases/:id` are siblings.
+   *
    * @param {String} p1 - first path string
    * @param {String} p2 - first path string
    * @returns {Number} - The comparator value
    */
   static comparePaths(p1, p2) {
-    const PARAM_RE = /\/:[^\/]+/gi;
-    p1             = p1.replace(PARAM_RE, '/:');
-    p2             = p2.replace(PARAM_RE, '/:');
+    p1 = this.canonicalizePath(p1);
+    p2 = this.canonicalizePath(p2);
 
     if (p1 === p2) {
       return 0;
     }
-    if (_.startsWith(p1, p2)) {
+    if (_.startsWith(p1, p2) && (_.endsWith(p2, '/') || _.includes(['/', '('], p1[p2.length]))) {
       return 1;
     }
     return -1;
 
   }
 
+  /**
+   * Strips param and splat names from a path pattern, so that patterns matching the same request paths
+   * compare as equal. Characters of param constraints that have a meaning in paths are escaped.
+   *
+   * @param {String} path - The path pattern
+   * @returns {String} - The canonical path pattern
+   */
+  static canonicalizePath(path) {
+    return path.replace(CONSTRAINT_TOKENS, (match, param, source) => {
+      return `${param}<${source.replace(/[^\w|.-]/g, _escapeCharacter)}>`;
+    }).replace(PARAM_TOKENS, ':').replace(SPLAT_TOKENS, '*');
+  }
+
+  /**
+   * Parses a path pattern into a list of items:
+   *  - text is parsed as `{ text }`
+   *  - params are parsed as `{ param, name, constraint }`, where `constraint` is the constraint source if any
+   *  - splats are parsed as `{ splat, name }`
+   *  - optional groups are parsed as `{ group }`, holding their own list of items
+   *
+   * `param` and `splat` hold the position of the token among the params and splats of the pattern.
+   *
+   * @param {String} path - The path pattern
+   * @returns {Array<Object>} - The parsed items
+   */
+  static parsePath(path) {
+    const stack = [[]];
+    let position = 0;
+
+    _.forEach(path.match(PATH_TOKENS), (token) => {
+      const items = _.last(stack);
+      if (token === '(') {
+        const group = [];
+        items.push({ group });
+        stack.push(group);
+      }
+      else if (token === ')' && stack.length > 1) {
+        stack.pop();
+      }
+      else if (/^:+\w/.test(token)) {
+        const param      = { param : position++, name : token.replace(/^:+|<.*$/g, '') };
+        const constraint = this.getConstraintSources(token)[param.name];
+        if (constraint != null) {
+          param.constraint = constraint;
+        }
+        items.push(param);
+      }
+      else if (/^\*+\w/.test(token)) {
+        items.push({ splat : position++, name : token.replace(/^\*+/, '') });
+      }
+      else {
+        items.push({ text : token });
+      }
+    });
+
+    return stack[0];
+  }
+
+  /**
+   * Strips param constraints from a path pattern, leaving a pattern in the route-parser grammar.
+   *
+   * @param {String} path - The path pattern
+   * @returns {String} - The path pattern without constraints
+   */
+  static stripConstraints(path) {
+    return path.replace(CONSTRAINT_TOKENS, '$1');
+  }
+
+  /**
+   * Returns the sources of the param constraints in a path pattern, by param name.
+   *
+   * @example
+   * utils.getConstraintSources('/cases/:caseId<int>/:status'); // { caseId : 'int' }
+   *
+   * @param {String} path - The path pattern
+   * @returns {Object} - The constraint sources, by param name
+   */
+  static getConstraintSources(path) {
+    const sources = {};
+    path.replace(CONSTRAINT_TOKENS, (match, param, source) => {
+      sources[param.replace(/^:+/, '')] = source;
+    });
+    return sources;
+  }
+
+  /**
+   * Returns the names of the params and splats of a path pattern, in the order they appear in the pattern.
+   *
+   * @example
+   * utils.getParamNames('/files/:owner/*path'); // ['owner', 'path']
+   *
+   * @param {String} path - The path pattern
+   * @returns {Array<String>} - The param and splat names
+   */
+  static getParamNames(path) {
+    return _.map(this.stripConstraints(path).match(PARAM_NAME_TOKENS), (token) => {
+      return token.replace(/^[:*]+/, '');
+    });
+  }
+
+  /**
+   * Indicates if a path pattern contains a splat or an optional group. Such patterns can match request paths
+   * of varying depth.
+   *
+   * @param {String} path - The path pattern
+   * @returns {Boolean} - If the path is a wildcard pattern
+   */
+  static isWildcardPath(path) {
+    path = this.stripConstraints(path);
+    return SPLAT.test(path) || OPTIONAL.test(path);
+  }
+
+  /**
+   * Ranks each segment of a path pattern by how specific it is: static segments, then segments mixing static
+   * text and params (`:name.:ext`), then constrained params (`:id<int>`), then params, then segments inside
+   * optional groups, then splats.
+   *
+   * @param {String} path - The path pattern
+   * @returns {Array<Number>} - The rank of each segment, lower is more specific
+   */
+  static getSpecificity(path) {
+    return _.map(_rankSegments(this.canonicalizePath(path)), 'rank');
+  }
+
+  /**
+   * Compares the specificity of two path patterns, segment by segment from the left. Returns -1 if the first
+   * path is more specific, 1 if the second path is more specific, and 0 if neither is.
+   *
+   * @param {String} p1 - first path string
+   * @param {String} p2 - second path string
+   * @returns {Number} - The comparator value
+   */
+  static compareSpecificity(p1, p2) {
+    const s1 = this.getSpecificity(p1);
+    const s2 = this.getSpecificity(p2);
+
+    for (let i = 0; i < Math.min(s1.length, s2.length); i++) {
+      if (s1[i] !== s2[i]) {
+        return s1[i] < s2[i] ? -1 : 1;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Indicates if two distinct path patterns are ambiguous: they are equally specific and share all of their
+   * static segments, so specificity cannot decide which of them should match a request that both match.
+   *
+   * @example
+   * utils.isAmbiguous('/files/:name.:ext', '/files/:id.json'); // true
+   * utils.isAmbiguous('/users/me', '/users/:id'); // false
+   *
+   * @param {String} p1 - first path string
+   * @param {String} p2 - second path string
+   * @returns {Boolean} - If the paths are ambiguous
+   */
+  static isAmbiguous(p1, p2) {
+    if (this.comparePaths(p1, p2) === 0) {
+      return false;
+    }
+    const segments1 = _rankSegments(this.canonicalizePath(p1));
+    const segments2 = _rankSegments(this.canonicalizePath(p2));
+    if (segments1.length !== segments2.length) {
+      return false;
+    }
+
+    return _.every(segments1, (segment, i) => {
+      return segment.rank === segments2[i].rank &&
+        (!_.includes([SEGMENT_RANKS.STATIC, SEGMENT_RANKS.CONSTRAINED], segment.rank) ||
+        segment.value === segments2[i].value);
+    });
+  }
+
+  /**
+   * Joins a path prefix and a path pattern.
+   *
+   * @example
+   * utils.joinPaths('/admin/', '/users'); // '/admin/users'
+   * utils.joinPaths('/admin', '/'); // '/admin'
+   *
+   * @param {String} prefix - The path prefix
+   * @param {String} path - The path pattern
+   * @returns {String} - The joined path pattern
+   */
+  static joinPaths(prefix, path) {
+    prefix = _.trimEnd(prefix, '/');
+    if (path === '/' || path === '') {
+      return prefix || '/';
+    }
+    return `${prefix}${_.startsWith(path, '/') ? '' : '/'}${path}`;
+  }
+
   /**
    * Normalizes path strings for routing and requests.
    *  - Strips trailing slashes
-   *  - Lowercases path parts other than route params
+   *  - Lowercases path parts other than route params and splats
    *
    * @param {String} path - The path string
    * @returns {String} - The normalized path
    */
   static normalizePath(path) {
-    let uri;
-    let querystring = '';
-    const startOfQuerystring = path.indexOf('?');
-
     // split up the querystring and uri, so we don't mess with querystring values
-    if (startOfQuerystring !== -1) {
-      uri = path.slice(0, startOfQuerystring);
-      querystring = path.slice(startOfQuerystring);
-    }
-    else {
-      uri = path;
+    const parts = this.splitQuerystring(path);
+
+    return this.lowercaseSegments(this.stripTrailingSlashes(parts[0])) + parts[1];
+  }
+
+  /**
+   * Splits a path into its uri and its querystring, including the leading `?`.
+   *
+   * @example
+   * utils.splitQuerystring('/cases?a=b'); // ['/cases', '?a=b']
+   * utils.splitQuerystring('/cases'); // ['/cases', '']
+   *
+   * @param {String} path - The path string
+   * @returns {Array<String>} - The uri and the querystring
+   */
+  static splitQuerystring(path) {
+    const startOfQuerystring = path.indexOf('?');
+    if (startOfQuerystring === -1) {
+      return [path, ''];
     }
+    return [path.slice(0, startOfQuerystring), path.slice(startOfQuerystring)];
+  }
 
-    // remove trailing slashes
+  /**
+   * Removes the trailing slashes of a uri, other than the root `/`.
+   *
+   * @param {String} uri - The uri, without querystring
+   * @returns {String} - The uri without trailing slashes
+   */
+  static stripTrailingSlashes(uri) {
     while (_.last(uri) === '/' && uri.length > 1) {
       uri = uri.slice(0, -1);
     }
+    return uri;
+  }
 
-    // lowercase everything that isn't a route param
-    uri = uri.replace(/\/[^:][^\/]+/gi, (match) => {
+  /**
+   * Lowercases the segments of a uri other than route params and splats.
+   *
+   * @param {String} uri - The uri, without querystring
+   * @returns {String} - The lowercased uri
+   */
+  static lowercaseSegments(uri) {
+    return uri.replace(/\/[^:*][^\/]+/gi, (match) => {
       return match.toLowerCase();
     });
-
-    return uri + querystring;
   }
 
   /**
@@ -77,6 +320,72 @@ class utils {
     return method.toUpperCase();
   }
 
+  /**
+   * Returns the response headers an error carries in `error.headers`, such as the `Allow` header of a 405 error.
+   * Keys are lower-cased, and array values are joined into a single comma separated value.
+   *
+   * @param {Error} error - The error
+   * @returns {Object} - The response headers
+   */
+  static getErrorHeaders(error) {
+    const headers = {};
+    _.forEach(_.isObject(error) ? error.headers : null, (value, key) => {
+      headers[key.toLowerCase()] = _.isArray(value) ? value.join(', ') : String(value);
+    });
+    return headers;
+  }
+
+  /**
+   * Builds the response of an error: its status code, 500 if it has none, the headers it carries in `error.headers`,
+   * and a body with the status code and message. Messages are only exposed for client errors; other errors get the
+   * standard message of their status code.
+   *
+   * @param {Error} error - The error
+   * @returns {{statusCode: Number, headers: Object, body: {statusCode: Number, message: String}}} - The response
+   */
+  static getErrorResponse(error) {
+    const statusCode = _.isFinite(_.get(error, 'statusCode')) ? error.statusCode : 500;
+
+    return {
+      statusCode,
+      headers : this.getErrorHeaders(error),
+      body    : {
+        statusCode,
+        message : statusCode < 500 ? error.message : http.STATUS_CODES[statusCode]
+      }
+    };
+  }
+
+  /**
+   * Adds a request header name to the Vary header of a response, unless it is already listed.
+   *
+   * @param {Response} response - The response
+   * @param {String} name - The header name
+   * @returns {void}
+   */
+  static addVary(response, name) {
+    const vary   = response.getHeader('vary');
+    const fields = _.map(_.split(vary || '', ','), (field) => {
+      return _.trim(field).toLowerCase();
+    });
+
+    if (!_.includes(fields, name.toLowerCase()) && !_.includes(fields, '*')) {
+      response.setHeader('vary', vary ? `${vary}, ${name}` : name);
+    }
+  }
+
+  /**
+   * Indicates if a request is a CORS preflight request: an OPTIONS request with `Origin` and
+   * `Access-Control-Request-Method` headers.
+   *
+   * @param {Request} request - The request
+   * @returns {Boolean} - If the request is a preflight request
+   */
+  static isPreflightRequest(request) {
+    return request.method === METHODS.OPTIONS && request.getHeader('origin') != null &&
+      request.getHeader('access-control-request-method') != null;
+  }
+
   /**
    * Tests if a method string is valid.
    *
@@ -105,4 +414,51 @@ class utils {
   }
 }
 
+/**
+ * Escapes a character as its percent-encoded char code.
+ *
+ * @param {String} character - The character
+ * @returns {String} - The escaped character
+ * @private
+ */
+function _escapeCharacter(character) {
+  return `%${character.charCodeAt(0).toString(16)}`;
+}
+
+/**
+ * Splits a canonical path pattern into segments and ranks each one. Segments inside an optional group are ranked
+ * as optional, whatever they contain, unless they are splats.
+ *
+ * @param {String} path - The canonical path pattern
+ * @returns {Array<Object>} - The segments, as `{ value, rank }` objects
+ * @private
+ */
+function _rankSegments(path) {
+  const start    = path.indexOf('(');
+  const required = start === -1 ? path : path.slice(0, start);
+  const optional = start === -1 ? '' : path.slice(start).replace(/[()]/g, '');
+
+  const requiredSegments = _.map(_.compact(required.split('/')), (value) => {
+    let rank = SEGMENT_RANKS.STATIC;
+    if (SPLAT.test(value)) {
+      rank = SEGMENT_RANKS.SPLAT;
+    }
+    else if (value === ':') {
+      rank = SEGMENT_RANKS.PARAM;
+    }
+    else if (/^:<[^>]*>$/.test(value)) {
+      rank = SEGMENT_RANKS.CONSTRAINED;
+    }
+    else if (_.includes(value, ':')) {
+      rank = SEGMENT_RANKS.PARTIAL;
+    }
+    return { value, rank };
+  });
+  const optionalSegments = _.map(_.compact(optional.split('/')), (value) => {
+    return { value, rank : SPLAT.test(value) ? SEGMENT_RANKS.SPLAT : SEGMENT_RANKS.OPTIONAL };
+  });
+
+  return requiredSegments.concat(optionalSegments);
+}
+
 module.exports = utils;
@@ -0,0 +1,40 @@
+'use strict';
+const chai = require('chai');
+const _    = require('lodash');
+
+const expect = chai.expect;
+
+const Accept = require('../lib/middleware/Accept');
+
+describe('Accept', () => {
+  describe('#parse', () => {
+    it('should parse media ranges and their quality', () => {
+      expect(Accept.parse('Text/CSV;q=0.5, application/*, */*;level=1;q=0.1, bogus, text/html;q=2')).to.eql([
+        { type : 'text/csv', q : 0.5 },
+        { type : 'application/*', q : 1 },
+        { type : '*/*', q : 0.1 },
+        { type : 'text/html', q : 1 }
+      ]);
+    });
+  });
+
+  describe('#negotiate', () => {
+    const types     = ['application/json', 'text/csv', 'text/plain'];
+    const testCases = [
+      { accept : undefined, out : 'application/json' },
+      { accept : '', out : 'application/json' },
+      { accept : 'text/csv', out : 'text/csv' },
+      { accept : 'text/*', out : 'text/csv' },
+      { accept : 'text/*, text/csv;q=0.1', out : 'text/plain' },
+      { accept : 'text/plain;q=0.9, */*;q=0.8', out : 'text/plain' },
+      { accept : 'application/json;q=0, */*', out : 'text/csv' },
+      { accept : 'image/png', out : null }
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.accept}`, () => {
+        expect(Accept.negotiate(testCase.accept, types)).to.equal(testCase.out);
+      });
+    });
+  });
+});
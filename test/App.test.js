@@ -6,6 +6,7 @@ const sinonStubPromises = require('sinon-promises');
 const chaiAsPromised    = require('chai-as-promised');
 const proxyquire        = require('proxyquire');
 const Q                 = require('q');
+const _                 = require('lodash');
 
 sinonStubPromises(sinon);
 chai.use(chaiAsPromised);
@@ -14,9 +15,11 @@ chai.use(sinonChai);
 const expect  = chai.expect;
 const sandbox = sinon.sandbox.create();
 
-const Request  = require('../lib/Request');
-const Response = require('../lib/Response');
-const Route    = require('../lib/Route');
+const Request    = require('../lib/Request');
+const Response   = require('../lib/Response');
+const Route      = require('../lib/Route');
+const Router     = require('../lib/Router');
+const PathPolicy = require('../lib/PathPolicy');
 
 let App;
 let app;
@@ -29,7 +32,38 @@ describe('App', () => {
   });
 
   describe('constructor', () => {
+    it('should throw if options is not an object', () => {
+      expect(() => {
+        new App('strict');
+      }).to.throw('options must be an object.');
+    });
+
+    it('should normalize request and middleware paths with its path policy', () => {
+      const handler = sinon.spy();
+      app           = new App({ pathPolicy : { caseSensitive : true, strictTrailingSlash : true } });
+      app.then({ path : '/Files/', handler });
+
+      return app.processRequest({ headers : {}, path : '/Files/', method : 'get' }).then(() => {
+        const request = handler.firstCall.args[0].request;
+        expect(request.path).to.equal('/Files/');
+        expect(request.pathPolicy.options.caseSensitive).to.be.true;
+        return app.processRequest({ headers : {}, path : '/files/', method : 'get' });
+      }).then(() => {
+        expect(handler).to.have.been.calledOnce;
+      });
+    });
+  });
 
+  describe('nestedQuery', () => {
+    it('should parse nested query param names of the requests it processes if set', () => {
+      const handler = sinon.spy();
+      app           = new App({ nestedQuery : true });
+      app.then(handler);
+
+      return app.processRequest({ headers : {}, path : '/cases?ids[]=1&ids[]=2', method : 'get' }).then(() => {
+        expect(handler.firstCall.args[0].request.query).to.eql({ ids : ['1', '2'] });
+      });
+    });
   });
 
   describe('use', () => {
@@ -44,12 +78,12 @@ describe('App', () => {
     });
 
 
-    it('should run the input through the Route constructor if it is not a Route instance', () => {
-      const opts = {};
+    it('should run the input through the Route constructor with the app path policy if it is not a Route instance', () => {
+      const opts = { path : '/cases' };
       app.then(opts);
       expect(mockRoute).to.have.been.calledOnce;
       expect(mockRoute).to.have.been.calledWithNew;
-      expect(mockRoute).to.have.been.calledWith(opts);
+      expect(mockRoute).to.have.been.calledWith({ path : '/cases', pathPolicy : PathPolicy.DEFAULT });
     });
 
     it('should not run the input through the Route constructor if it is a Route instance', () => {
@@ -66,7 +100,8 @@ describe('App', () => {
       expect(mockRoute).to.have.been.calledOnce;
       expect(mockRoute).to.have.been.calledWithNew;
       expect(mockRoute).to.have.been.calledWith({
-        handler : opts
+        handler    : opts,
+        pathPolicy : PathPolicy.DEFAULT
       });
     });
   });
@@ -83,12 +118,12 @@ describe('App', () => {
     });
 
 
-    it('should run the input through the Route constructor if it is not a Route instance', () => {
-      const opts = {};
+    it('should run the input through the Route constructor with the app path policy if it is not a Route instance', () => {
+      const opts = { path : '/cases' };
       app.catch(opts);
       expect(mockRoute).to.have.been.calledOnce;
       expect(mockRoute).to.have.been.calledWithNew;
-      expect(mockRoute).to.have.been.calledWith(opts);
+      expect(mockRoute).to.have.been.calledWith({ path : '/cases', pathPolicy : PathPolicy.DEFAULT });
     });
 
     it('should not run the input through the Route constructor if it is a Route instance', () => {
@@ -105,7 +140,8 @@ describe('App', () => {
       expect(mockRoute).to.have.been.calledOnce;
       expect(mockRoute).to.have.been.calledWithNew;
       expect(mockRoute).to.have.been.calledWith({
-        handler : opts
+        handler    : opts,
+        pathPolicy : PathPolicy.DEFAULT
       });
     });
   });
@@ -173,7 +209,7 @@ describe('App', () => {
 
       app.processRequest(opts);
       expect(mockRequest).to.have.been.calledOnce;
-      expect(mockRequest).to.have.been.calledWith(opts);
+      expect(mockRequest).to.have.been.calledWith({ pathPolicy : PathPolicy.DEFAULT, nestedQuery : false });
     });
 
     it('should return a promise', () => {
@@ -442,4 +478,206 @@ describe('App', () => {
     });
 
   });
+
+  describe('processRequest for HEAD requests', () => {
+    it('should discard the response body, keeping its headers and content-length', () => {
+      app.then(({ response }) => {
+        response.setHeader('x-test', 'yes');
+        response.setBody('hello');
+      });
+
+      return app.processRequest({ headers : {}, path : '/a', method : 'head' }).then((response) => {
+        expect(response.hasBody).to.be.false;
+        expect(response.headers).to.eql({ 'x-test' : 'yes', 'content-length' : '5' });
+      });
+    });
+
+    it('should not discard the body of other requests', () => {
+      app.then(({ response }) => {
+        response.setBody('hello');
+      });
+
+      return app.processRequest({ headers : {}, path : '/a', method : 'get' }).then((response) => {
+        expect(response.getBody()).to.equal('hello');
+        expect(response.getHeader('content-length')).to.be.undefined;
+      });
+    });
+  });
+
+  describe('with a router', () => {
+    it('should pass the params matched by the router to route handlers', () => {
+      const router = new Router();
+      let params;
+      function handler({ request }) {
+        params = request.routeParams;
+      }
+      router.addRoute({ path : '/cases/:id<int>', methods : 'get', handler });
+      app.then(router.match);
+      app.then(({ request }) => {
+        expect(request.routeParams).to.eql({ all : '/cases/12' });
+      });
+      app.then(router.execute);
+
+      return app.processRequest({ headers : {}, path : '/cases/12?a=b', method : 'get' }).then(() => {
+        expect(params).to.eql({ id : 12 });
+      });
+    });
+  });
+
+  describe('#use', () => {
+    let subApp;
+    let request;
+
+    function seen(into) {
+      return ({ request }) => {
+        into.push({ path : request.path, baseUrl : request.baseUrl, originalPath : request.originalPath });
+      };
+    }
+
+    beforeEach(() => {
+      subApp  = new App();
+      request = new Request({ headers : {}, path : '/v2/users?a=b', method : 'get' });
+    });
+
+    it('should throw if the prefix is not a path', () => {
+      expect(() => {
+        app.use('v2', subApp);
+      }).to.throw('prefix must be a string starting with a / character.');
+    });
+
+    it('should throw if the app is not an App instance', () => {
+      expect(() => {
+        app.use('/v2', { then : sinon.spy() });
+      }).to.throw('app must be a SuperRouter App instance.');
+    });
+
+    it('should run the sub-app with the path rewritten to the remainder, then restore it', () => {
+      const calls = [];
+      subApp.then(seen(calls));
+      app.use('/v2', subApp).then(seen(calls));
+
+      return app.processRequest(request).then(() => {
+        expect(calls).to.eql([
+          { path : '/users?a=b', baseUrl : '/v2', originalPath : '/v2/users?a=b' },
+          { path : '/v2/users?a=b', baseUrl : undefined, originalPath : '/v2/users?a=b' }
+        ]);
+      });
+    });
+
+    it('should keep the query coerced by the parent app or the sub-app', () => {
+      const calls = [];
+      app.then(({ request }) => {
+        request.query = _.assign({}, request.query, { a : ['b'] });
+      });
+      subApp.then(({ request }) => {
+        calls.push(request.query);
+        request.query = _.assign({}, request.query, { page : 3 });
+      });
+      app.use('/v2', subApp).then(({ request }) => {
+        calls.push(request.query);
+      });
+
+      return app.processRequest(request).then(() => {
+        expect(calls).to.eql([{ a : ['b'] }, { a : ['b'], page : 3 }]);
+      });
+    });
+
+    it('should rewrite the path of a request on the prefix itself to /', () => {
+      const calls = [];
+      subApp.then(seen(calls));
+      app.use('/v2', subApp);
+
+      return app.processRequest({ headers : {}, path : '/v2', method : 'get' }).then(() => {
+        expect(calls[0].path).to.equal('/');
+      });
+    });
+
+    it('should append the prefix to the base url of nested sub-apps', () => {
+      const calls     = [];
+      const nestedApp = new App();
+      nestedApp.then(seen(calls));
+      subApp.use('/users', nestedApp);
+      app.use('/v2', subApp);
+
+      return app.processRequest(request).then(() => {
+        expect(calls).to.eql([{ path : '/?a=b', baseUrl : '/v2/users', originalPath : '/v2/users?a=b' }]);
+      });
+    });
+
+    it('should restore the raw path once the sub-app completes', () => {
+      const calls = [];
+      app.use('/v2', subApp).then(({ request }) => {
+        calls.push(request.rawPath);
+      });
+
+      return app.processRequest({ headers : {}, path : '/V2/Users/', method : 'get' }).then(() => {
+        expect(calls).to.eql(['/V2/Users/']);
+      });
+    });
+
+    it('should not run the sub-app if the path is not under the prefix', () => {
+      const handler = sinon.spy();
+      subApp.then(handler);
+      app.use('/v2', subApp);
+
+      return app.processRequest({ headers : {}, path : '/v20/users', method : 'get' }).then(() => {
+        expect(handler).to.not.have.been.called;
+      });
+    });
+
+    it('should not run the sub-app if the response has ended', () => {
+      const handler = sinon.spy();
+      subApp.then(handler);
+      app.then(({ response }) => {
+        response.end();
+      }).use('/v2', subApp);
+
+      return app.processRequest(request).then(() => {
+        expect(handler).to.not.have.been.called;
+      });
+    });
+
+    it('should let the sub-app handle its own errors', () => {
+      const error       = new Error('Failure');
+      const parentCatch = sinon.spy();
+      const calls       = [];
+      subApp.then(() => {
+        throw error;
+      }).catch(seen(calls));
+      app.use('/v2', subApp).catch(parentCatch);
+
+      return app.processRequest(request).then(() => {
+        expect(calls[0].path).to.equal('/users?a=b');
+        expect(parentCatch).to.not.have.been.called;
+      });
+    });
+
+    it('should fall back to the parent catches for errors the sub-app does not handle', () => {
+      const error = new Error('Failure');
+      const calls = [];
+      let caught;
+      subApp.then(() => {
+        throw error;
+      });
+      app.use('/v2', subApp).catch((options) => {
+        caught = options.error;
+        seen(calls)(options);
+      });
+
+      return app.processRequest(request).then(() => {
+        expect(caught).to.equal(error);
+        expect(calls).to.eql([{ path : '/v2/users?a=b', baseUrl : undefined, originalPath : '/v2/users?a=b' }]);
+      });
+    });
+
+    it('should reject if no catch handles an error from the sub-app', () => {
+      const error = new Error('Failure');
+      subApp.then(() => {
+        throw error;
+      });
+      app.use('/v2', subApp);
+
+      return expect(app.processRequest(request)).to.be.rejectedWith(error);
+    });
+  });
 });
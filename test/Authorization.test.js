@@ -0,0 +1,174 @@
+'use strict';
+const chai           = require('chai');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+const chaiAsPromised = require('chai-as-promised');
+const Q              = require('q');
+const _              = require('lodash');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const Authorization = require('./..').Middleware.Authorization;
+const App           = require('./..').App;
+const Request       = require('./..').Request;
+const Router        = require('./..').Router;
+
+describe('Authorization Middleware', () => {
+
+  let router;
+
+  function authorize(path, auth, middleware) {
+    const request = new Request({ path, method : 'get', headers : {} });
+    router.match({ request });
+    if (auth) {
+      request.user = auth.user;
+      request.auth = { strategy : 'jwt', scopes : auth.scopes };
+    }
+    return Q.fcall(middleware || Authorization.authorize, { request });
+  }
+
+  function expectForbidden(promise, message) {
+    return promise.then(() => {
+      throw new Error('expected a rejection');
+    }, (error) => {
+      expect(error.name).to.equal('Forbidden');
+      expect(error.statusCode).to.equal(403);
+      expect(error.message).to.equal(message);
+      return error;
+    });
+  }
+
+  beforeEach(() => {
+    router = new Router();
+    router.addRoute({ name : 'health', path : '/health', methods : 'get', handler : _.noop });
+    router.addRoute({ path : '/admin', methods : 'get', authorize : { roles : ['admin', 'owner'] }, handler : _.noop });
+    router.addRoute({ path : '/cases', methods : 'get', scopes : 'cases:read', authorize : { scopes : 'cases:list' }, handler : _.noop });
+    router.addRoute({
+      path      : '/orgs/:orgId<int>/cases',
+      methods   : 'get',
+      authorize : {
+        allow : (opts) => {
+          return Q(opts.user.orgId === opts.routeParams.orgId && opts.request.method === 'GET');
+        }
+      },
+      handler : _.noop
+    });
+  });
+
+  it('should leave routes without rules and unmatched requests as they are', () => {
+    expect(Authorization.authorize({ request : new Request({ path : '/', method : 'get' }) })).to.be.undefined;
+    return authorize('/health');
+  });
+
+  it('should reject unauthenticated requests to routes with rules with a 401 error', () => {
+    return authorize('/admin').then(() => {
+      throw new Error('expected a rejection');
+    }, (error) => {
+      expect(error.statusCode).to.equal(401);
+      expect(error.message).to.equal('Authentication required.');
+    });
+  });
+
+  describe('roles', () => {
+    it('should allow users with one of the roles', () => {
+      return authorize('/admin', { user : { roles : ['viewer', 'owner'] } });
+    });
+
+    it('should reject users without any of the roles', () => {
+      return Q.all([
+        expectForbidden(authorize('/admin', { user : { roles : 'viewer' } }), 'Requires one of the roles: admin, owner.'),
+        expectForbidden(authorize('/admin', { user : {} }), 'Requires one of the roles: admin, owner.')
+      ]).then((errors) => {
+        expect(errors[0].requiredRoles).to.eql(['admin', 'owner']);
+      });
+    });
+
+    it('should read roles with the roles option', () => {
+      const roles      = sinon.spy((user) => {
+        return user.groups;
+      });
+      const middleware = Authorization.create({ roles });
+
+      return authorize('/admin', { user : { groups : ['admin'] } }, middleware).then(() => {
+        expect(roles).to.have.been.calledOnce;
+      });
+    });
+  });
+
+  describe('scopes', () => {
+    it('should require the scopes of the rules and of the route', () => {
+      return Q.all([
+        authorize('/cases', { user : {}, scopes : ['cases:read', 'cases:list'] }),
+        expectForbidden(authorize('/cases', { user : {}, scopes : ['cases:list'] }), 'Missing required scopes: cases:read.')
+      ]).then((results) => {
+        expect(results[1].missingScopes).to.eql(['cases:read']);
+      });
+    });
+  });
+
+  describe('allow', () => {
+    it('should call the predicate with the request, user and route params', () => {
+      return Q.all([
+        authorize('/orgs/4/cases', { user : { orgId : 4 } }),
+        expectForbidden(authorize('/orgs/5/cases', { user : { orgId : 4 } }), 'Access denied.')
+      ]);
+    });
+  });
+
+  it('should reject invalid rules', () => {
+    router.addRoute({ path : '/bad', methods : 'get', authorize : { role : 'admin' }, handler : _.noop });
+    return expect(authorize('/bad', { user : {} })).to.be.rejectedWith(TypeError, 'authorize must be an object of roles, scopes and allow rules.');
+  });
+
+  it('should validate its options', () => {
+    expect(() => {
+      Authorization.create({ roles : 'admin' });
+    }).to.throw('roles must be a function.');
+    expect(() => {
+      Authorization.create('admin');
+    }).to.throw('options must be an object.');
+  });
+
+  describe('describe', () => {
+    it('should list the rules of every route', () => {
+      const admin = new Router();
+      admin.addRoute({ path : '/users', methods : ['get', 'delete'], auth : 'basic', authorize : { roles : 'admin' }, handler : _.noop });
+      router.mount('/admin', admin);
+
+      expect(Authorization.describe(router)).to.eql([
+        { name : 'health', path : '/health', methods : ['GET'], auth : undefined, roles : [], scopes : [], allow : false },
+        { name : undefined, path : '/admin', methods : ['GET'], auth : undefined, roles : ['admin', 'owner'], scopes : [], allow : false },
+        { name : undefined, path : '/cases', methods : ['GET'], auth : undefined, roles : [], scopes : ['cases:read', 'cases:list'], allow : false },
+        { name : undefined, path : '/orgs/:orgId<int>/cases', methods : ['GET'], auth : undefined, roles : [], scopes : [], allow : true },
+        { name : undefined, path : '/admin/users', methods : ['GET', 'DELETE'], auth : 'basic', roles : ['admin'], scopes : [], allow : false }
+      ]);
+    });
+
+    it('should throw on invalid rules', () => {
+      router.addRoute({ path : '/bad', methods : 'get', authorize : { roles : [1] }, handler : _.noop });
+      expect(() => {
+        Authorization.describe(router);
+      }).to.throw('authorize roles and scopes must be strings or arrays of strings.');
+    });
+  });
+
+  describe('App integration', () => {
+    it('should pass the params matched by the router to allow rules', () => {
+      const app = new App();
+      app.then(router.match);
+      app.then(({ request }) => {
+        request.user = { orgId : Number(request.getHeader('x-org')) };
+      });
+      app.then(Authorization.authorize);
+      app.then(router.execute);
+
+      return app.processRequest({ headers : { 'x-org' : '7' }, path : '/orgs/7/cases', method : 'get' }).then(() => {
+        return expectForbidden(app.processRequest({ headers : { 'x-org' : '8' }, path : '/orgs/7/cases', method : 'get' }),
+          'Access denied.');
+      });
+    });
+  });
+});
@@ -6,6 +6,11 @@ const sinonStubPromises = require('sinon-promises');
 const chaiAsPromised    = require('chai-as-promised');
 const PassThrough       = require('stream').PassThrough;
 const Transform         = require('stream').Transform;
+const Q                 = require('q');
+const _                 = require('lodash');
+const fs                = require('fs');
+const os                = require('os');
+const path              = require('path');
 
 sinonStubPromises(sinon);
 chai.use(chaiAsPromised);
@@ -66,7 +71,443 @@ describe('Content Negotiation Middleware', () => {
 
       });
 
+      it('should parse bodies streamed in several chunks', () => {
+        const requestData = { cases : _.times(2000, (i) => ({ id : i, title : `Case ${i}` })) };
+        const json        = JSON.stringify(requestData);
+        request.body.write(json.slice(0, 10));
+        request.body.write(json.slice(10, 20000));
+        request.body.end(json.slice(20000));
+
+        return ContentNegotiation.request({ request }).then(() => {
+          expect(request.body).to.eql(requestData);
+        });
+      });
+
+      it('should not split multi-byte characters across chunks', () => {
+        const json = Buffer.from(JSON.stringify({ name : 'Zoë ✓' }));
+        request.body.write(json.slice(0, 11));
+        request.body.end(json.slice(11));
+
+        return ContentNegotiation.request({ request }).then(() => {
+          expect(request.body).to.eql({ name : 'Zoë ✓' });
+        });
+      });
+
+      it('should report the position of the first invalid character', () => {
+        request.body.end('{\n  "a" : 1,\n}');
+
+        return ContentNegotiation.request({ request }).then(() => {
+          throw new Error('expected a rejection');
+        }, (error) => {
+          expect(error.name).to.equal('InvalidJSON');
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid JSON in request body at position 13.');
+          expect(error.line).to.equal(3);
+          expect(error.column).to.equal(1);
+        });
+      });
+
+      _.forEach([
+        { body : '{"a" 1}', position : 5 },
+        { body : '{"a":1} x', position : 8 },
+        { body : '{\n  "a" : 1\n  "b" : 2\n}', position : 14 }
+      ], (testCase) => {
+        it(`should report position ${testCase.position} for ${JSON.stringify(testCase.body)}`, () => {
+          request.body.end(testCase.body);
+          return expect(ContentNegotiation.request({ request })).to.be.rejected.then((error) => {
+            expect(error.position).to.equal(testCase.position);
+          });
+        });
+      });
+
+      it('should report no position when the parser does not', () => {
+        request.body.end('{"a":');
+
+        return expect(ContentNegotiation.request({ request })).to.be.rejected.then((error) => {
+          expect(error.name).to.equal('InvalidJSON');
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid JSON in request body.');
+          expect(error.messageDetails).to.equal('Unexpected end of JSON input');
+          expect(error).not.to.have.any.keys('position', 'line', 'column');
+        });
+      });
+    });
+
+    describe('content type', () => {
+      function createRequest(headers) {
+        return new Request({ path : '/', method : 'post', headers, body : new PassThrough() });
+      }
+
+      it('should parse JSON and +json types', () => {
+        const requests = [
+          createRequest({ 'content-type' : 'application/json' }),
+          createRequest({ 'content-type' : 'Application/Problem+JSON; charset=utf-8' })
+        ];
+        _.forEach(requests, (req) => {
+          req.body.end('{"a":1}');
+        });
+
+        return Q.all(_.map(requests, (req) => {
+          return ContentNegotiation.request({ request : req });
+        })).then(() => {
+          expect(requests[0].body).to.eql({ a : 1 });
+          expect(requests[1].body).to.eql({ a : 1 });
+        });
+      });
+
+      it('should reject other types with a 415 error', () => {
+        request = createRequest({ 'content-type' : 'text/plain' });
+        request.body.end('{"a":1}');
+
+        return ContentNegotiation.request({ request }).then(() => {
+          throw new Error('expected a rejection');
+        }, (error) => {
+          expect(error.name).to.equal('UnsupportedMediaType');
+          expect(error.statusCode).to.equal(415);
+          expect(error.message).to.equal('Unsupported content type "text/plain".');
+        });
+      });
+
+      it('should accept empty bodies of other types', () => {
+        request = createRequest({ 'content-type' : 'text/plain' });
+        request.body.end();
+
+        return ContentNegotiation.request({ request }).then(() => {
+          expect(request.body).to.eql({});
+        });
+      });
+
+      it('should decode the body with the charset of the content type', () => {
+        request = createRequest({ 'content-type' : 'application/json; charset=utf-16le' });
+        request.body.end(Buffer.from('{"name":"Zoë"}', 'utf16le'));
+
+        return ContentNegotiation.request({ request }).then(() => {
+          expect(request.body).to.eql({ name : 'Zoë' });
+        });
+      });
+
+      it('should reject unsupported charsets with a 415 error', () => {
+        request = createRequest({ 'content-type' : 'application/json; charset=klingon' });
+        request.body.end('{}');
+
+        return expect(ContentNegotiation.request({ request })).to.be.rejectedWith('Unsupported charset "klingon".');
+      });
+    });
+
+    describe('size limit', () => {
+      const parse = ContentNegotiation.createRequest({ limit : 16 });
+
+      function createRequest(headers) {
+        return new Request({ path : '/', method : 'post', headers : headers || {}, body : new PassThrough() });
+      }
+
+      it('should parse bodies within the limit', () => {
+        request = createRequest();
+        request.body.end('{"a":"12345678"}');
+
+        return parse({ request }).then(() => {
+          expect(request.body).to.eql({ a : '12345678' });
+        });
+      });
+
+      it('should reject bodies over the limit with a 413 error', () => {
+        request = createRequest();
+        request.body.write('{"a":"12345678');
+        request.body.end('9"}');
+
+        return parse({ request }).then(() => {
+          throw new Error('expected a rejection');
+        }, (error) => {
+          expect(error.name).to.equal('PayloadTooLarge');
+          expect(error.statusCode).to.equal(413);
+          expect(error.message).to.equal('Request body exceeds the limit of 16 bytes.');
+        });
+      });
+
+      it('should reject requests whose content length is over the limit before reading them', () => {
+        request = createRequest({ 'content-length' : '17' });
+        const read = sinon.spy(request.body, 'on');
+
+        return expect(parse({ request })).to.be.rejectedWith('Request body exceeds the limit of 16 bytes.').then(() => {
+          expect(read).to.not.have.been.calledWith('data');
+        });
+      });
+
+      it('should use a limit of 1MB by default', () => {
+        request = createRequest({ 'content-length' : String(1024 * 1024 + 1) });
+        return expect(ContentNegotiation.request({ request })).to.be.rejectedWith('PayloadTooLarge');
+      });
+
+      it('should validate its options', () => {
+        expect(() => {
+          ContentNegotiation.createRequest({ limit : '1mb' });
+        }).to.throw('limit must be a non-negative integer.');
+        expect(() => {
+          ContentNegotiation.createRequest(1024);
+        }).to.throw('options must be an object.');
+      });
+    });
+
+    describe('forms', () => {
+      let uploadDir;
+
+      function createRequest(type, body) {
+        const req = new Request({ path : '/', method : 'post', headers : { 'content-type' : type }, body : new PassThrough() });
+        req.body.end(body);
+        return req;
+      }
+
+      function multipart(parts) {
+        const body = _.map(parts, (part) => {
+          const filename = _.isUndefined(part.filename) ? '' : `; filename="${part.filename}"`;
+          const type     = part.type ? `\r\nContent-Type: ${part.type}` : '';
+          return `--b0undary\r\nContent-Disposition: form-data; name="${part.name}"${filename}${type}\r\n\r\n${part.value}\r\n`;
+        }).join('');
+        return `${body}--b0undary--\r\n`;
+      }
+
+      function createMultipartRequest(parts) {
+        return createRequest('multipart/form-data; boundary=b0undary', multipart(parts));
+      }
+
+      beforeEach(() => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'super-router-'));
+      });
+
+      afterEach(() => {
+        _.forEach(fs.readdirSync(uploadDir), (file) => {
+          fs.unlinkSync(path.join(uploadDir, file));
+        });
+        fs.rmdirSync(uploadDir);
+      });
+
+      it('should parse urlencoded bodies as queries', () => {
+        request = createRequest('application/x-www-form-urlencoded', 'title=Broken+printer&tag=a&tag=b&note=%E2%9C%93');
+
+        return ContentNegotiation.request({ request }).then(() => {
+          expect(request.body).to.eql({ title : 'Broken printer', tag : ['a', 'b'], note : '✓' });
+        });
+      });
+
+      it('should parse nested names if the request parses nested queries', () => {
+        request = new Request({
+          path        : '/',
+          method      : 'post',
+          headers     : { 'content-type' : 'application/x-www-form-urlencoded' },
+          body        : new PassThrough(),
+          nestedQuery : true
+        });
+        request.body.end('filter[status]=open&ids[]=1&ids[]=2');
+
+        return ContentNegotiation.request({ request }).then(() => {
+          expect(request.body).to.eql({ filter : { status : 'open' }, ids : ['1', '2'] });
+        });
+      });
+
+      it('should reject urlencoded bodies with too many fields or over the limit', () => {
+        const parse = ContentNegotiation.createRequest({ fields : 2, limit : 16 });
+
+        return Q.all([
+          expect(parse({ request : createRequest('application/x-www-form-urlencoded', 'a=1&b=2&c=3') }))
+            .to.be.rejectedWith('Too many fields, the limit is 2.'),
+          expect(parse({ request : createRequest('application/x-www-form-urlencoded', 'a=12345678901234567') }))
+            .to.be.rejectedWith('Request body exceeds the limit of 16 bytes.')
+        ]);
+      });
+
+      it('should parse multipart fields and write files to the upload directory', () => {
+        const parse = ContentNegotiation.createRequest({ uploadDir });
+        request     = createMultipartRequest([
+          { name : 'title', value : 'Broken printer' },
+          { name : 'tag', value : 'a' },
+          { name : 'tag', value : 'b' },
+          { name : 'report', filename : 'C:\\Users\\me\\report.txt', type : 'text/plain', value : 'line 1\r\nline 2' },
+          { name : 'empty', filename : '', value : '' }
+        ]);
+
+        return parse({ request }).then(() => {
+          const report = request.files.report;
+          expect(request.body).to.eql({ title : 'Broken printer', tag : ['a', 'b'] });
+          expect(_.keys(request.files)).to.eql(['report']);
+          expect(_.omit(report, 'path')).to.eql({ fieldName : 'report', filename : 'report.txt', type : 'text/plain', size : 14 });
+          expect(path.dirname(report.path)).to.equal(uploadDir);
+          expect(fs.readFileSync(report.path, 'utf8')).to.equal('line 1\r\nline 2');
+        });
+      });
+
+      it('should skip multipart parts whose name would reach the prototype, without writing their files', () => {
+        const parse = ContentNegotiation.createRequest({ uploadDir });
+        request     = createMultipartRequest([
+          { name : '__proto__', filename : 'a.txt', value : 'hello' },
+          { name : 'constructor', value : 'hello' },
+          { name : 'title', value : 'Broken printer' }
+        ]);
+
+        return parse({ request }).then(() => {
+          expect(request.body).to.eql({ title : 'Broken printer' });
+          expect(request.files).to.eql({});
+          expect(fs.readdirSync(uploadDir)).to.be.empty;
+        });
+      });
+
+      it('should parse multipart bodies streamed in chunks', () => {
+        const parse = ContentNegotiation.createRequest({ uploadDir });
+        const body  = Buffer.from(multipart([
+          { name : 'photo', filename : 'photo.jpg', type : 'image/jpeg', value : _.repeat('0123456789', 10000) },
+          { name : 'caption', value : 'Zoë ✓' }
+        ]));
+        request     = new Request({
+          path    : '/',
+          method  : 'post',
+          headers : { 'content-type' : 'multipart/form-data; boundary="b0undary"', 'transfer-encoding' : 'chunked' },
+          body    : new PassThrough()
+        });
+        _.forEach(_.range(0, body.length, 997), (start) => {
+          request.body.write(body.slice(start, start + 997));
+        });
+        request.body.end();
+
+        return parse({ request }).then(() => {
+          expect(request.body).to.eql({ caption : 'Zoë ✓' });
+          expect(request.files.photo.size).to.equal(100000);
+          expect(fs.readFileSync(request.files.photo.path, 'utf8')).to.equal(_.repeat('0123456789', 10000));
+        });
+      });
+
+      it('should stream files to onFile instead of writing them', () => {
+        const parse = ContentNegotiation.createRequest({
+          uploadDir,
+          onFile : (file, stream) => {
+            return Q.Promise((resolve) => {
+              const chunks = [];
+              stream.on('data', (chunk) => {
+                chunks.push(chunk);
+              });
+              stream.on('end', () => {
+                resolve(`${file.filename}: ${Buffer.concat(chunks).toString()}`);
+              });
+            });
+          }
+        });
+        request     = createMultipartRequest([{ name : 'report', filename : 'report.txt', value : 'hello' }]);
+
+        return parse({ request }).then(() => {
+          expect(request.files.report).to.eql({
+            fieldName : 'report',
+            filename  : 'report.txt',
+            type      : 'application/octet-stream',
+            size      : 5,
+            result    : 'report.txt: hello'
+          });
+          expect(fs.readdirSync(uploadDir)).to.be.empty;
+        });
+      });
+
+      _.forEach([
+        {
+          title   : 'a file over the size limit',
+          options : { fileSize : 4 },
+          parts   : [{ name : 'a', filename : 'a.txt', value : 'ok' }, { name : 'b', filename : 'b.txt', value : 'hello' }],
+          message : 'File "b.txt" exceeds the limit of 4 bytes.'
+        },
+        {
+          title   : 'too many files',
+          options : { files : 1 },
+          parts   : [{ name : 'a', filename : 'a.txt', value : 'ok' }, { name : 'b', filename : 'b.txt', value : 'ok' }],
+          message : 'Too many files, the limit is 1.'
+        },
+        {
+          title   : 'too many fields',
+          options : { fields : 1 },
+          parts   : [{ name : 'a', filename : 'a.txt', value : 'ok' }, { name : 'b', value : '1' }, { name : 'c', value : '2' }],
+          message : 'Too many fields, the limit is 1.'
+        },
+        {
+          title   : 'a field over the size limit',
+          options : { limit : 4 },
+          parts   : [{ name : 'a', filename : 'a.txt', value : 'ok' }, { name : 'b', value : 'hello' }],
+          message : 'Field "b" exceeds the limit of 4 bytes.'
+        },
+        {
+          title   : 'a body over the size limit',
+          options : { multipartLimit : 200 },
+          parts   : [{ name : 'a', filename : 'a.txt', value : 'ok' }, { name : 'b', value : _.repeat('x', 200) }],
+          message : 'Request body exceeds the limit of 200 bytes.'
+        }
+      ], (testCase) => {
+        it(`should reject ${testCase.title} with a 413 error and remove the files written`, () => {
+          const parse = ContentNegotiation.createRequest(_.assign({ uploadDir }, testCase.options));
+          request     = createMultipartRequest(testCase.parts);
+
+          return parse({ request }).then(() => {
+            throw new Error('expected a rejection');
+          }, (error) => {
+            expect(error.name).to.equal('PayloadTooLarge');
+            expect(error.statusCode).to.equal(413);
+            expect(error.message).to.equal(testCase.message);
+            expect(fs.readdirSync(uploadDir)).to.be.empty;
+          });
+        });
+      });
+
+      it('should reject malformed multipart bodies with a 400 error and remove the files written', () => {
+        const parse = ContentNegotiation.createRequest({ uploadDir });
+        request     = createRequest('multipart/form-data; boundary=b0undary', '--b0undary\r\n' +
+          'Content-Disposition: form-data; name="a"; filename="a.txt"\r\n\r\nhello');
+
+        return parse({ request }).then(() => {
+          throw new Error('expected a rejection');
+        }, (error) => {
+          expect(error.name).to.equal('InvalidMultipart');
+          expect(error.statusCode).to.equal(400);
+          expect(error.message).to.equal('Invalid multipart body: unexpected end of body.');
+          expect(fs.readdirSync(uploadDir)).to.be.empty;
+        });
+      });
+
+      it('should reject multipart bodies without a boundary or with unnamed parts', () => {
+        const parse = ContentNegotiation.createRequest({ uploadDir });
+
+        return Q.all([
+          expect(parse({ request : createRequest('multipart/form-data', '') }))
+            .to.be.rejectedWith('Invalid multipart body: missing or invalid boundary.'),
+          expect(parse({ request : createRequest('multipart/form-data; boundary=b0undary', '--b0undary\r\n' +
+            'Content-Disposition: attachment; filename="a.txt"\r\n\r\nhello\r\n--b0undary--') }))
+            .to.be.rejectedWith('Invalid multipart body: part without a form-data name.')
+        ]);
+      });
+
+      it('should remove the files written if the request errors', () => {
+        const parse = ContentNegotiation.createRequest({ uploadDir });
+        request     = new Request({
+          path    : '/',
+          method  : 'post',
+          headers : { 'content-type' : 'multipart/form-data; boundary=b0undary' },
+          body    : new PassThrough()
+        });
+        request.body.write('--b0undary\r\nContent-Disposition: form-data; name="a"; filename="a.txt"\r\n\r\nhello');
+
+        const promise = parse({ request });
+        request.body.emit('error', new Error('connection reset'));
+
+        return expect(promise).to.be.rejectedWith('connection reset').then(() => {
+          expect(fs.readdirSync(uploadDir)).to.be.empty;
+        });
+      });
+
+      it('should validate its options', () => {
+        expect(() => {
+          ContentNegotiation.createRequest({ fileSize : -1 });
+        }).to.throw('fileSize must be a non-negative integer.');
+        expect(() => {
+          ContentNegotiation.createRequest({ uploadDir : 1 });
+        }).to.throw('uploadDir must be a string.');
+        expect(() => {
+          ContentNegotiation.createRequest({ onFile : 'upload' });
+        }).to.throw('onFile must be a function.');
+      });
     });
+
     describe('non-buffering', () => {
 
       beforeEach(() => {
@@ -120,7 +561,126 @@ describe('Content Negotiation Middleware', () => {
         });
       });
 
+      it('should serialize as JSON when other types are preferred', () => {
+        request = new Request({ path : '/', method : 'get', headers : { accept : 'application/xml;q=0.9, */*;q=0.8' } });
+        response.setBody({ id : 1 });
+        ContentNegotiation.response({ request, response });
+        expect(response.getHeader('content-type')).to.equal('application/json');
+        expect(response.getBody()).to.equal('{"id":1}');
+      });
+
+      it('should throw a 406 error if JSON is not acceptable', () => {
+        request = new Request({ path : '/', method : 'get', headers : { accept : 'text/csv' } });
+        response.setBody({ id : 1 });
+        expect(() => {
+          ContentNegotiation.response({ request, response });
+        }).to.throw('None of the available types is acceptable: application/json.');
+      });
     });
 
+    describe('negotiation', () => {
+      const negotiate = ContentNegotiation.createResponse({ formats : ['json', 'ndjson', 'csv', 'xml', 'text', 'yaml'] });
+
+      function serialize(accept, body, middleware) {
+        request  = new Request({ path : '/', method : 'get', headers : accept ? { accept } : {} });
+        response.setBody(body || [{ id : 1, title : 'Open' }]);
+        (middleware || negotiate)({ request, response });
+        return response;
+      }
+
+      it('should pick the serializer of the preferred acceptable type', () => {
+        serialize('application/json;q=0.5, text/csv');
+        expect(response.getHeader('content-type')).to.equal('text/csv; charset=utf-8');
+        expect(response.getBody()).to.equal('id,title\r\n1,Open\r\n');
+      });
+
+      it('should use the most specific range matching each type', () => {
+        serialize('text/*;q=0.9, text/csv;q=0, application/*;q=0.8');
+        expect(response.getHeader('content-type')).to.equal('text/plain; charset=utf-8');
+      });
+
+      it('should prefer JSON when the client accepts any type', () => {
+        serialize('*/*');
+        expect(response.getHeader('content-type')).to.equal('application/json');
+      });
+
+      it('should add Accept to the Vary header', () => {
+        response.setHeader('vary', 'Origin');
+        serialize('application/yaml');
+        expect(response.getHeader('vary')).to.equal('Origin, Accept');
+        expect(response.getBody()).to.equal('- id: 1\n  title: Open\n');
+      });
+
+      it('should throw a 406 error if no type is acceptable', () => {
+        expect(() => {
+          serialize('image/png');
+        }).to.throw('None of the available types is acceptable').with.property('statusCode', 406);
+      });
+
+      it('should serialize error responses with the preferred serializer if no type is acceptable', () => {
+        response.statusCode = 406;
+        serialize('image/png', { message : 'Not acceptable' });
+        expect(response.getHeader('content-type')).to.equal('application/json');
+      });
+
+      it('should use the formats of the matched route', () => {
+        request = new Request({ path : '/', method : 'get', headers : { accept : 'application/json, text/csv;q=0.5' } });
+        request.matchedRoute = { formats : ['xml', 'text/csv'] };
+        response.setBody([{ id : 1 }]);
+        ContentNegotiation.response({ request, response });
+        expect(response.getHeader('content-type')).to.equal('text/csv; charset=utf-8');
+      });
+
+      it('should leave responses without a body or with a streamed body as they are', () => {
+        request = new Request({ path : '/', method : 'get', headers : {} });
+        ContentNegotiation.response({ request, response });
+        expect(response.getHeader('content-type')).to.be.undefined;
+
+        response.setBody(new PassThrough());
+        ContentNegotiation.response({ request, response });
+        expect(response.getHeader('content-type')).to.be.undefined;
+      });
+
+      describe('createResponse', () => {
+        const html = { name : 'html', type : 'text/html', serialize : sinon.stub().returns('<p>1</p>') };
+
+        it('should use additional serializers and the listed formats', () => {
+          const middleware = ContentNegotiation.createResponse({ serializers : [html], formats : ['html', 'json'] });
+          serialize(undefined, { id : 1 }, middleware);
+          expect(response.getHeader('content-type')).to.equal('text/html; charset=utf-8');
+          expect(response.getBody()).to.equal('<p>1</p>');
+
+          expect(() => {
+            serialize('text/csv', { id : 1 }, middleware);
+          }).to.throw('None of the available types is acceptable: text/html, application/json.');
+        });
+
+        it('should use additional serializers and JSON by default', () => {
+          const middleware = ContentNegotiation.createResponse({ serializers : [html] });
+          serialize('application/json;q=0.5, text/html', { id : 1 }, middleware);
+          expect(response.getBody()).to.equal('<p>1</p>');
+
+          expect(() => {
+            serialize('application/xml', { id : 1 }, middleware);
+          }).to.throw('None of the available types is acceptable: text/html, application/json.');
+        });
+
+        it('should replace built-in serializers with the same name or type', () => {
+          const json       = { name : 'pretty', type : 'application/json', serialize : sinon.stub().returns('{}') };
+          const middleware = ContentNegotiation.createResponse({ serializers : [json] });
+          serialize('application/json', { id : 1 }, middleware);
+          expect(response.getBody()).to.equal('{}');
+        });
+
+        it('should validate its options', () => {
+          expect(() => {
+            ContentNegotiation.createResponse({ serializers : [{ name : 'html', type : 'html', serialize : _.noop }] });
+          }).to.throw('serializers must be an array of { name, type, serialize } objects.');
+          expect(() => {
+            ContentNegotiation.createResponse({ formats : ['json', 'toml'] });
+          }).to.throw('unknown response format "toml".');
+        });
+      });
+    });
   });
 });
@@ -0,0 +1,203 @@
+'use strict';
+const chai           = require('chai');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+const chaiAsPromised = require('chai-as-promised');
+const Q              = require('q');
+const _              = require('lodash');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const Cors     = require('./..').Middleware.Cors;
+const Request  = require('./..').Request;
+const Response = require('./..').Response;
+const Router   = require('./..').Router;
+
+describe('Cors Middleware', () => {
+
+  let router;
+  let cors;
+
+  function run(path, method, headers) {
+    const request  = new Request({ path, method, headers });
+    const response = new Response();
+    router.match({ request });
+    return Q.fcall(cors, { request, response }).then(() => {
+      return response;
+    });
+  }
+
+  function preflight(path, origin, method, headers) {
+    return run(path, 'options', _.assign({ origin, 'access-control-request-method' : method }, headers));
+  }
+
+  beforeEach(() => {
+    router = new Router();
+    router.addRoute({ path : '/cases', methods : ['get', 'post'], handler : _.noop });
+    router.addRoute({ path : '/cases/:caseId', methods : 'delete', cors : { origins : 'https://admin.example.com' }, handler : _.noop });
+    router.addRoute({ path : '/internal', methods : 'get', cors : false, handler : _.noop });
+
+    cors = Cors.create({
+      origins        : ['https://app.example.com', /^https:\/\/[a-z]+\.example\.org$/],
+      exposedHeaders : ['x-request-id', 'ratelimit-remaining'],
+      maxAge         : 600
+    });
+  });
+
+  describe('requests', () => {
+    it('should allow listed origins and expose headers', () => {
+      return Q.all([
+        run('/cases', 'get', { origin : 'https://app.example.com' }),
+        run('/cases', 'post', { origin : 'https://docs.example.org' })
+      ]).then((responses) => {
+        expect(responses[0].headers).to.eql({
+          vary                            : 'Origin',
+          'access-control-allow-origin'   : 'https://app.example.com',
+          'access-control-expose-headers' : 'x-request-id, ratelimit-remaining'
+        });
+        expect(responses[1].getHeader('access-control-allow-origin')).to.equal('https://docs.example.org');
+      });
+    });
+
+    it('should not add CORS headers for other origins and requests without an origin', () => {
+      return Q.all([
+        run('/cases', 'get', { origin : 'https://evil.example.com' }),
+        run('/cases', 'get', {})
+      ]).then((responses) => {
+        expect(responses[0].headers).to.eql({ vary : 'Origin' });
+        expect(responses[1].headers).to.eql({ vary : 'Origin' });
+      });
+    });
+
+    it('should allow any origin with "*", and send back the origin with credentials', () => {
+      const origin = 'https://app.example.com';
+      cors         = Cors.create();
+
+      return run('/cases', 'get', { origin }).then((response) => {
+        expect(response.headers).to.eql({ 'access-control-allow-origin' : '*' });
+        cors = Cors.create({ credentials : true });
+        return run('/cases', 'get', { origin });
+      }).then((response) => {
+        expect(response.headers).to.eql({
+          vary                               : 'Origin',
+          'access-control-allow-origin'      : origin,
+          'access-control-allow-credentials' : 'true'
+        });
+      });
+    });
+
+    it('should check origins with functions', () => {
+      const allow = sinon.spy((origin) => {
+        return Q(_.endsWith(origin, '.example.net'));
+      });
+      cors = Cors.create({ origins : allow });
+
+      return Q.all([
+        run('/cases', 'get', { origin : 'https://a.example.net' }),
+        run('/cases', 'get', { origin : 'https://a.example.com' })
+      ]).then((responses) => {
+        expect(responses[0].getHeader('access-control-allow-origin')).to.equal('https://a.example.net');
+        expect(responses[1].getHeader('access-control-allow-origin')).to.be.undefined;
+        expect(allow.firstCall.args[1]).to.be.an.instanceof(Request);
+      });
+    });
+  });
+
+  describe('preflights', () => {
+    it('should answer with the methods served on the path', () => {
+      return preflight('/cases', 'https://app.example.com', 'POST', { 'access-control-request-headers' : 'content-type' })
+        .then((response) => {
+          expect(response.ended).to.be.true;
+          expect(response.statusCode).to.equal(204);
+          expect(response.headers).to.eql({
+            vary                           : 'Origin, Access-Control-Request-Headers',
+            'access-control-allow-origin'  : 'https://app.example.com',
+            allow                          : 'GET, POST, HEAD, OPTIONS',
+            'access-control-allow-methods' : 'GET, POST, HEAD, OPTIONS',
+            'access-control-allow-headers' : 'content-type',
+            'access-control-max-age'       : '600'
+          });
+        });
+    });
+
+    it('should answer with the allowed headers if set', () => {
+      cors = Cors.create({ allowedHeaders : ['content-type', 'authorization'] });
+      return preflight('/cases', 'https://app.example.com', 'GET', { 'access-control-request-headers' : 'x-debug' })
+        .then((response) => {
+          expect(response.getHeader('access-control-allow-headers')).to.equal('content-type, authorization');
+          expect(response.getHeader('vary')).to.be.undefined;
+        });
+    });
+
+    it('should leave preflights from other origins to the OPTIONS route', () => {
+      return preflight('/cases', 'https://evil.example.com', 'GET').then((response) => {
+        expect(response.ended).to.be.false;
+        expect(response.getHeader('access-control-allow-methods')).to.be.undefined;
+      });
+    });
+
+    it('should use the options of the route serving the requested method', () => {
+      return Q.all([
+        preflight('/cases/1', 'https://admin.example.com', 'DELETE'),
+        preflight('/cases/1', 'https://app.example.com', 'DELETE'),
+        preflight('/internal', 'https://app.example.com', 'GET')
+      ]).then((responses) => {
+        expect(responses[0].getHeader('access-control-allow-methods')).to.equal('DELETE, OPTIONS');
+        expect(responses[1].ended).to.be.false;
+        expect(responses[2].headers).to.eql({});
+      });
+    });
+  });
+
+  describe('route annotations', () => {
+    it('should override the middleware options or opt out of CORS', () => {
+      return Q.all([
+        run('/cases/1', 'delete', { origin : 'https://admin.example.com' }),
+        run('/cases/1', 'delete', { origin : 'https://app.example.com' }),
+        run('/internal', 'get', { origin : 'https://app.example.com' })
+      ]).then((responses) => {
+        expect(responses[0].getHeader('access-control-allow-origin')).to.equal('https://admin.example.com');
+        expect(responses[0].getHeader('access-control-expose-headers')).to.equal('x-request-id, ratelimit-remaining');
+        expect(responses[1].getHeader('access-control-allow-origin')).to.be.undefined;
+        expect(responses[2].headers).to.eql({});
+      });
+    });
+
+    it('should reject invalid annotations', () => {
+      router.addRoute({ path : '/bad', methods : 'get', cors : { origin : '*' }, handler : _.noop });
+      router.addRoute({ path : '/worse', methods : 'get', cors : { maxAge : -1 }, handler : _.noop });
+      return Q.all([
+        expect(run('/bad', 'get', {})).to.be.rejectedWith(TypeError, 'cors must be false or an object of CORS options.'),
+        expect(run('/worse', 'get', {})).to.be.rejectedWith(TypeError, 'maxAge must be a non-negative integer.')
+      ]);
+    });
+  });
+
+  it('should leave requests that are not matched by a router as they are', () => {
+    const response = new Response();
+    expect(cors({ request : new Request({ path : '/', method : 'get', headers : { origin : 'https://app.example.com' } }), response }))
+      .to.be.undefined;
+    expect(response.headers).to.eql({});
+  });
+
+  it('should validate its options', () => {
+    expect(() => {
+      Cors.create('*');
+    }).to.throw('options must be an object.');
+    expect(() => {
+      Cors.create({ origins : ['https://app.example.com', '*'] });
+    }).to.throw('origins must be "*", or a string, regular expression or function, or an array of them.');
+    expect(() => {
+      Cors.create({ credentials : 'yes' });
+    }).to.throw('credentials must be a boolean.');
+    expect(() => {
+      Cors.create({ exposedHeaders : [1] });
+    }).to.throw('exposedHeaders must be a string or an array of strings.');
+    expect(() => {
+      Cors.create({ maxAge : 1.5 });
+    }).to.throw('maxAge must be a non-negative integer.');
+  });
+});
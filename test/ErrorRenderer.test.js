@@ -0,0 +1,63 @@
+'use strict';
+const chai = require('chai');
+
+const expect = chai.expect;
+
+const Router        = require('./..').Router;
+const Request       = require('./..').Request;
+const Response      = require('./..').Response;
+const ErrorRenderer = require('./..').Middleware.ErrorRenderer;
+
+describe('Error Renderer Middleware', () => {
+  let response;
+
+  function render(error) {
+    ErrorRenderer.render({ request : new Request({ path : '/', method : 'get', headers : {} }), response, error });
+  }
+
+  beforeEach(() => {
+    response = new Response();
+  });
+
+  it('should render the status code and message of client errors', () => {
+    const error = new Error('Invalid JSON in request body.');
+    error.statusCode = 400;
+    render(error);
+
+    expect(response.statusCode).to.equal(400);
+    expect(response.getBody()).to.eql({ statusCode : 400, message : 'Invalid JSON in request body.' });
+  });
+
+  it('should render errors without a status code as 500s, hiding their message', () => {
+    render(new Error('Database password is hunter2'));
+
+    expect(response.statusCode).to.equal(500);
+    expect(response.getBody()).to.eql({ statusCode : 500, message : 'Internal Server Error' });
+  });
+
+  it('should set the headers the error carries', () => {
+    const error = new Error('Unauthorized');
+    error.statusCode = 401;
+    error.headers    = { 'WWW-Authenticate' : ['Basic', 'Bearer'], 'Retry-After' : 5 };
+    render(error);
+
+    expect(response.headers).to.eql({ 'www-authenticate' : 'Basic, Bearer', 'retry-after' : '5' });
+  });
+
+  it('should set the Allow header of 405 errors thrown by the router', () => {
+    const router = new Router();
+    router.addRoute({ path : '/cases', methods : ['get', 'post'], handler : () => {} });
+
+    let error;
+    try {
+      router.match({ request : new Request({ path : '/cases', method : 'delete', headers : {} }) });
+    }
+    catch (e) {
+      error = e;
+    }
+    render(error);
+
+    expect(response.statusCode).to.equal(405);
+    expect(response.getHeader('allow')).to.equal('GET, POST, HEAD, OPTIONS');
+  });
+});
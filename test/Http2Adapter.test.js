@@ -0,0 +1,354 @@
+'use strict';
+const chai              = require('chai');
+const sinon             = require('sinon');
+const sinonChai         = require('sinon-chai');
+const sinonStubPromises = require('sinon-promises');
+const chaiAsPromised    = require('chai-as-promised');
+const childProcess      = require('child_process');
+const http2             = require('http2');
+const net               = require('net');
+const PassThrough       = require('stream').PassThrough;
+const Q                 = require('q');
+
+sinonStubPromises(sinon);
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const App          = require('../lib/App');
+const Response     = require('../lib/Response');
+const Http2Adapter = require('../lib/adapters/Http2Adapter');
+
+function readStream(stream) {
+  const deferred = Q.defer();
+  let body = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    body += chunk;
+  });
+  stream.on('end', () => {
+    deferred.resolve(body);
+  });
+  stream.on('error', deferred.reject);
+  return deferred.promise;
+}
+
+describe('Http2Adapter', () => {
+  let app;
+  let server;
+  let client;
+
+  function listen(options) {
+    const deferred = Q.defer();
+    server = http2.createServer();
+    server.on('stream', Http2Adapter.createHandler(app, options));
+    server.listen(0, () => {
+      client = http2.connect(`http://localhost:${server.address().port}`);
+      deferred.resolve();
+    });
+    return deferred.promise;
+  }
+
+  function request(headers, body) {
+    const deferred = Q.defer();
+    const req = client.request(headers);
+    req.on('response', (responseHeaders) => {
+      readStream(req).then((responseBody) => {
+        deferred.resolve({ headers : responseHeaders, body : responseBody });
+      }, deferred.reject);
+    });
+    req.on('error', deferred.reject);
+    req.end(body);
+    return deferred.promise;
+  }
+
+  beforeEach(() => {
+    app = new App();
+  });
+
+  afterEach((done) => {
+    if (client != null) {
+      client.close();
+      client = null;
+    }
+    if (server == null) {
+      return done();
+    }
+    server.close(() => {
+      server = null;
+      done();
+    });
+  });
+
+  describe('#createHandler', () => {
+    it('should throw if the app is not an App', () => {
+      expect(() => {
+        Http2Adapter.createHandler({});
+      }).to.throw('app must be a SuperRouter App instance.');
+    });
+
+    it('should throw if onError is not a function', () => {
+      expect(() => {
+        Http2Adapter.createHandler(app, { onError : 'asdf' });
+      }).to.throw('onError must be a function.');
+    });
+
+    it('should map pseudo-headers, headers and body into the request', () => {
+      app.then((opts) => {
+        return readStream(opts.request.body).then((body) => {
+          opts.response.setBody(JSON.stringify({
+            path      : opts.request.path,
+            method    : opts.request.method,
+            authority : opts.request.authority,
+            host      : opts.request.getHeader('host'),
+            ip        : net.isIP(opts.request.ip) !== 0,
+            header    : opts.request.getHeader('x-test'),
+            body
+          }));
+        });
+      });
+
+      return listen().then(() => {
+        return request({ ':path' : '/a/b', ':method' : 'POST', 'x-test' : 'yes' }, 'hello');
+      }).then((res) => {
+        const port = server.address().port;
+        expect(JSON.parse(res.body)).to.eql({
+          path      : '/a/b',
+          method    : 'POST',
+          authority : `localhost:${port}`,
+          host      : `localhost:${port}`,
+          ip        : true,
+          header    : 'yes',
+          body      : 'hello'
+        });
+      });
+    });
+
+    it('should write the response status, headers and body', () => {
+      app.then((opts) => {
+        opts.response.statusCode = 201;
+        opts.response.setHeader('x-created', 'true');
+        opts.response.setHeader('connection', 'keep-alive');
+        opts.response.setBody('created');
+      });
+
+      return listen().then(() => {
+        return request({ ':path' : '/' });
+      }).then((res) => {
+        expect(res.headers[':status']).to.equal(201);
+        expect(res.headers['x-created']).to.equal('true');
+        expect(res.headers.connection).to.be.undefined;
+        expect(res.body).to.equal('created');
+      });
+    });
+
+    it('should pipe streamed bodies', () => {
+      app.then((opts) => {
+        const stream = new PassThrough();
+        opts.response.setBody(stream);
+        stream.write('hello ');
+        setImmediate(() => {
+          stream.end('world');
+        });
+      });
+
+      return listen().then(() => {
+        return request({ ':path' : '/' });
+      }).then((res) => {
+        expect(res.body).to.equal('hello world');
+      });
+    });
+
+    it('should end the stream if no body was set', () => {
+      app.then((opts) => {
+        opts.response.statusCode = 202;
+      });
+
+      return listen().then(() => {
+        return request({ ':path' : '/' });
+      }).then((res) => {
+        expect(res.headers[':status']).to.equal(202);
+        expect(res.body).to.equal('');
+      });
+    });
+
+    it('should not write a body for HEAD requests', () => {
+      app.then((opts) => {
+        opts.response.setBody('hello');
+      });
+
+      return listen().then(() => {
+        return request({ ':path' : '/', ':method' : 'HEAD' });
+      }).then((res) => {
+        expect(res.headers[':status']).to.equal(200);
+        expect(res.body).to.equal('');
+      });
+    });
+
+    it('should use the default fallback if processRequest rejects', () => {
+      app.then(() => {
+        const error = new Error('Nope');
+        error.statusCode = 409;
+        throw error;
+      });
+
+      return listen().then(() => {
+        return request({ ':path' : '/' });
+      }).then((res) => {
+        expect(res.headers[':status']).to.equal(409);
+        expect(JSON.parse(res.body)).to.eql({ statusCode : 409, message : 'Nope' });
+      });
+    });
+
+    it('should use the configured fallback if processRequest rejects', () => {
+      const onError = sinon.spy((e, stream) => {
+        stream.respond({ ':status' : 503 });
+        stream.end('unavailable');
+      });
+      app.then(() => {
+        throw new Error('Nope');
+      });
+
+      return listen({ onError }).then(() => {
+        return request({ ':path' : '/' });
+      }).then((res) => {
+        expect(onError).to.have.been.calledOnce;
+        expect(res.headers[':status']).to.equal(503);
+        expect(res.body).to.equal('unavailable');
+      });
+    });
+
+    it('should use the fallback if the body stream errors before anything is written', () => {
+      app.then((opts) => {
+        const stream = new PassThrough();
+        opts.response.setBody(stream);
+        setImmediate(() => {
+          stream.emit('error', new Error('broken'));
+        });
+      });
+
+      return listen().then(() => {
+        return request({ ':path' : '/' });
+      }).then((res) => {
+        expect(res.headers[':status']).to.equal(500);
+      });
+    });
+
+    describe('server push', () => {
+      function collectPushes() {
+        const pushes = [];
+        client.on('stream', (pushedStream, requestHeaders) => {
+          const deferred = Q.defer();
+          pushes.push(deferred.promise);
+          pushedStream.on('push', (responseHeaders) => {
+            readStream(pushedStream).then((body) => {
+              deferred.resolve({ requestHeaders, responseHeaders, body });
+            }, deferred.reject);
+          });
+        });
+        return pushes;
+      }
+
+      beforeEach(() => {
+        app.then((opts) => {
+          if (opts.request.path === '/') {
+            opts.response.push('/style.css', { headers : { accept : 'text/css' } });
+            opts.response.setBody('page');
+          }
+          else {
+            opts.response.setHeader('content-type', opts.request.getHeader('accept'));
+            opts.response.setBody(`pushed ${opts.request.path}`);
+          }
+        });
+      });
+
+      it('should push requested resources, serving them through the app', () => {
+        let pushes;
+        return listen().then(() => {
+          pushes = collectPushes();
+          return request({ ':path' : '/' });
+        }).then((res) => {
+          expect(res.body).to.equal('page');
+          expect(pushes).to.have.length(1);
+          return pushes[0];
+        }).then((push) => {
+          expect(push.requestHeaders[':path']).to.equal('/style.css');
+          expect(push.responseHeaders[':status']).to.equal(200);
+          expect(push.responseHeaders['content-type']).to.equal('text/css');
+          expect(push.body).to.equal('pushed /style.css');
+        });
+      });
+
+      it('should skip pushes requested while serving pushed resources', () => {
+        app.then((opts) => {
+          if (opts.request.path === '/style.css') {
+            opts.response.push('/font.woff');
+          }
+        });
+
+        let pushes;
+        return listen().then(() => {
+          pushes = collectPushes();
+          return request({ ':path' : '/' });
+        }).then((res) => {
+          expect(res.body).to.equal('page');
+          expect(pushes).to.have.length(1);
+          return pushes[0];
+        }).then((push) => {
+          expect(push.responseHeaders[':status']).to.equal(200);
+          expect(push.body).to.equal('pushed /style.css');
+        });
+      });
+
+      it('should not push if the client has disabled pushes', () => {
+        return listen().then(() => {
+          client.close();
+          client = http2.connect(`http://localhost:${server.address().port}`, { settings : { enablePush : false } });
+          const pushes = collectPushes();
+          return request({ ':path' : '/' }).then((res) => {
+            expect(res.body).to.equal('page');
+            expect(pushes).to.have.length(0);
+          });
+        });
+      });
+    });
+  });
+
+  describe('Response#push', () => {
+    it('should record push requests', () => {
+      const response = new Response();
+      response.push('/a.js');
+      response.push('/b.css', { headers : { accept : 'text/css' } });
+      expect(response.pushes).to.eql([
+        { path : '/a.js', headers : {} },
+        { path : '/b.css', headers : { accept : 'text/css' } }
+      ]);
+    });
+
+    it('should throw if the path is not a string', () => {
+      expect(() => {
+        new Response().push(7);
+      }).to.throw('First argument: path must be a string.');
+    });
+  });
+
+  describe('App integration', () => {
+    it('should expose an http2 handler on the app', () => {
+      expect(app.toHttp2Handler()).to.be.a('function');
+    });
+
+    it('should only load the http2 module once an http2 handler is requested', () => {
+      const script = `
+        const modules = () => Object.keys(require.cache).filter((file) => file.endsWith('Http2Adapter.js')).length;
+        const SuperRouter = require('./');
+        const loaded = [modules()];
+        new SuperRouter.App().toHttp2Handler();
+        loaded.push(modules(), typeof SuperRouter.Adapters.Http2Adapter.createHandler);
+        process.stdout.write(JSON.stringify(loaded));
+      `;
+      const output = childProcess.execFileSync(process.execPath, ['-e', script], { cwd : `${__dirname}/..` });
+      expect(JSON.parse(output)).to.eql([0, 1, 'function']);
+    });
+  });
+});
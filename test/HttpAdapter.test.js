@@ -0,0 +1,434 @@
+'use strict';
+const chai              = require('chai');
+const sinon             = require('sinon');
+const sinonChai         = require('sinon-chai');
+const sinonStubPromises = require('sinon-promises');
+const chaiAsPromised    = require('chai-as-promised');
+const fs                = require('fs');
+const http              = require('http');
+const net               = require('net');
+const os                = require('os');
+const path              = require('path');
+const PassThrough       = require('stream').PassThrough;
+const Q                 = require('q');
+
+sinonStubPromises(sinon);
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const App         = require('../lib/App');
+const ContentNegotiation = require('../lib/middleware/ContentNegotiation');
+const Router      = require('../lib/Router');
+const HttpAdapter = require('../lib/adapters/HttpAdapter');
+
+function request(server, options) {
+  const deferred = Q.defer();
+  const req = http.request({
+    port    : server.address().port,
+    method  : options.method || 'GET',
+    path    : options.path || '/',
+    headers : options.headers
+  }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => {
+      body += chunk;
+    });
+    res.on('end', () => {
+      deferred.resolve({ statusCode : res.statusCode, headers : res.headers, body });
+    });
+    res.on('error', deferred.reject);
+  });
+  req.on('error', deferred.reject);
+  req.end(options.body);
+  return deferred.promise;
+}
+
+describe('HttpAdapter', () => {
+  let app;
+  let server;
+
+  function listen(options) {
+    const deferred = Q.defer();
+    server = http.createServer(HttpAdapter.createHandler(app, options));
+    server.listen(0, deferred.resolve);
+    return deferred.promise;
+  }
+
+  beforeEach(() => {
+    app = new App();
+  });
+
+  afterEach((done) => {
+    if (server == null) {
+      return done();
+    }
+    server.close(() => {
+      server = null;
+      done();
+    });
+  });
+
+  describe('#createHandler', () => {
+    it('should throw if the app is not an App', () => {
+      expect(() => {
+        HttpAdapter.createHandler({});
+      }).to.throw('app must be a SuperRouter App instance.');
+    });
+
+    it('should throw if onError is not a function', () => {
+      expect(() => {
+        HttpAdapter.createHandler(app, { onError : 'asdf' });
+      }).to.throw('onError must be a function.');
+    });
+
+    it('should pass the path, method, headers and body through to the request', () => {
+      app.then((opts) => {
+        const deferred = Q.defer();
+        let body = '';
+        opts.request.body.on('data', (chunk) => {
+          body += chunk;
+        });
+        opts.request.body.on('end', () => {
+          opts.response.setBody(JSON.stringify({
+            path   : opts.request.path,
+            method : opts.request.method,
+            header : opts.request.getHeader('x-test'),
+            body
+          }));
+          deferred.resolve();
+        });
+        return deferred.promise;
+      });
+
+      return listen().then(() => {
+        return request(server, { method : 'POST', path : '/a/b', headers : { 'X-Test' : 'yes' }, body : 'hello' });
+      }).then((res) => {
+        expect(JSON.parse(res.body)).to.eql({ path : '/a/b', method : 'POST', header : 'yes', body : 'hello' });
+      });
+    });
+
+    it('should pass the address of the client as the request ip', () => {
+      app.then((opts) => {
+        opts.response.setBody(opts.request.ip);
+      });
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(net.isIP(res.body)).to.not.equal(0);
+      });
+    });
+
+    it('should write the response status, headers and body', () => {
+      app.then((opts) => {
+        opts.response.statusCode = 201;
+        opts.response.setHeader('x-created', 'true');
+        opts.response.setBody('created');
+      });
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.statusCode).to.equal(201);
+        expect(res.headers['x-created']).to.equal('true');
+        expect(res.body).to.equal('created');
+      });
+    });
+
+    it('should pipe streamed bodies', () => {
+      app.then((opts) => {
+        const stream = new PassThrough();
+        opts.response.setBody(stream);
+        stream.write('hello ');
+        setImmediate(() => {
+          stream.end('world');
+        });
+      });
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.body).to.equal('hello world');
+      });
+    });
+
+    it('should end the response if no body was set', () => {
+      app.then((opts) => {
+        opts.response.statusCode = 202;
+      });
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.statusCode).to.equal(202);
+        expect(res.body).to.equal('');
+      });
+    });
+
+    it('should not write a body for HEAD requests', () => {
+      app.then((opts) => {
+        opts.response.setHeader('x-test', 'yes');
+        opts.response.setBody('hello');
+      });
+
+      return listen().then(() => {
+        return request(server, { method : 'HEAD' });
+      }).then((res) => {
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers['x-test']).to.equal('yes');
+        expect(res.body).to.equal('');
+      });
+    });
+
+    it('should serve HEAD requests with GET routes, sending the content-length of the discarded body', () => {
+      const router = new Router();
+      router.addRoute({
+        path    : '/',
+        methods : 'get',
+        handler : (opts) => {
+          opts.response.setHeader('x-test', 'yes');
+          opts.response.setBody('hello');
+        }
+      });
+      app.then(router.match);
+      app.then(router.execute);
+
+      return listen().then(() => {
+        return request(server, { method : 'HEAD' });
+      }).then((res) => {
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers['x-test']).to.equal('yes');
+        expect(res.headers['content-length']).to.equal('5');
+        expect(res.body).to.equal('');
+      });
+    });
+
+    it('should use the default fallback if processRequest rejects', () => {
+      app.then(() => {
+        const error = new Error('Nope');
+        error.statusCode = 409;
+        throw error;
+      });
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.statusCode).to.equal(409);
+        expect(JSON.parse(res.body)).to.eql({ statusCode : 409, message : 'Nope' });
+      });
+    });
+
+    it('should send the headers of the error in the default fallback', () => {
+      const router = new Router();
+      router.addRoute({ path : '/', methods : 'post', handler : () => {} });
+      app.then(router.match);
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.statusCode).to.equal(405);
+        expect(res.headers.allow).to.equal('POST, OPTIONS');
+        expect(res.headers['content-type']).to.equal('application/json');
+      });
+    });
+
+    it('should not expose the message of server errors in the default fallback', () => {
+      app.then(() => {
+        throw new Error('secret');
+      });
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.statusCode).to.equal(500);
+        expect(JSON.parse(res.body)).to.eql({ statusCode : 500, message : 'Internal Server Error' });
+      });
+    });
+
+    it('should use the configured fallback if processRequest rejects', () => {
+      const error   = new Error('Nope');
+      const onError = sinon.spy((e, req, res) => {
+        res.statusCode = 503;
+        res.end('unavailable');
+      });
+      app.then(() => {
+        throw error;
+      });
+
+      return listen({ onError }).then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(onError).to.have.been.calledOnce;
+        expect(onError.firstCall.args[0]).to.equal(error);
+        expect(res.statusCode).to.equal(503);
+        expect(res.body).to.equal('unavailable');
+      });
+    });
+
+    it('should use the fallback for requests that cannot be constructed', () => {
+      return listen().then(() => {
+        return request(server, { method : 'PROPFIND' });
+      }).then((res) => {
+        expect(res.statusCode).to.equal(500);
+      });
+    });
+
+    it('should use the fallback if the body stream errors before anything is written', () => {
+      app.then((opts) => {
+        const stream = new PassThrough();
+        opts.response.setHeader('x-test', 'yes');
+        opts.response.setBody(stream);
+        setImmediate(() => {
+          stream.emit('error', new Error('broken'));
+        });
+      });
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.statusCode).to.equal(500);
+        expect(res.headers['x-test']).to.be.undefined;
+      });
+    });
+
+    it('should use the fallback if the body was never serialized', () => {
+      app.then((opts) => {
+        opts.response.setBody({ hello : 'world' });
+      });
+
+      return listen().then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.statusCode).to.equal(500);
+      });
+    });
+
+    it('should destroy the socket if the body stream errors after the headers are sent', () => {
+      app.then((opts) => {
+        const stream = new PassThrough();
+        opts.response.setBody(stream);
+        stream.write('partial');
+        setTimeout(() => {
+          stream.emit('error', new Error('broken'));
+        }, 20);
+      });
+
+      return listen().then(() => {
+        return expect(request(server, {})).to.be.rejected;
+      });
+    });
+
+    it('should destroy the response body if the client aborts', (done) => {
+      const stream = new PassThrough();
+      app.then((opts) => {
+        opts.response.setBody(stream);
+        stream.write('partial');
+        opts.response.body.on('close', () => {
+          done();
+        });
+      });
+
+      listen().then(() => {
+        const req = http.get({ port : server.address().port, path : '/' }, (res) => {
+          res.once('data', () => {
+            req.destroy();
+          });
+        });
+        req.on('error', () => {});
+      }).done();
+    });
+  });
+
+  describe('aborted requests', () => {
+    let uploadDir;
+
+    function eventually(test) {
+      return Q.delay(10).then(() => {
+        return test() ? undefined : eventually(test);
+      });
+    }
+
+    function send(headers, chunk) {
+      const req = http.request({ port : server.address().port, method : 'POST', path : '/', headers });
+      req.on('error', () => {});
+      req.write(chunk);
+      return req;
+    }
+
+    beforeEach(() => {
+      uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'super-router-abort-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(uploadDir, { recursive : true, force : true });
+    });
+
+    it('should fail multipart parsing and remove the temporary files if the client aborts', () => {
+      const failed = Q.defer();
+      app.then(ContentNegotiation.createRequest({ uploadDir }));
+      app.catch((opts) => {
+        failed.resolve(opts.error);
+      });
+
+      return listen().then(() => {
+        const req = send({ 'content-type' : 'multipart/form-data; boundary=b', 'content-length' : 1000 },
+          '--b\r\nContent-Disposition: form-data; name="file"; filename="a.txt"\r\n\r\npartial content');
+        return eventually(() => {
+          return fs.readdirSync(uploadDir).length === 1;
+        }).then(() => {
+          req.destroy();
+          return failed.promise;
+        });
+      }).then((error) => {
+        expect(error).to.be.an.instanceof(Error);
+        expect(fs.readdirSync(uploadDir)).to.eql([]);
+      });
+    });
+
+    it('should fail reading JSON bodies if the client aborts', () => {
+      const started = Q.defer();
+      const failed  = Q.defer();
+      app.then(() => {
+        started.resolve();
+      });
+      app.then(ContentNegotiation.request);
+      app.catch((opts) => {
+        failed.resolve(opts.error);
+      });
+
+      return listen().then(() => {
+        const req = send({ 'content-type' : 'application/json', 'content-length' : 100 }, '{"partial"');
+        return started.promise.then(() => {
+          req.destroy();
+          return failed.promise;
+        });
+      }).then((error) => {
+        expect(error).to.be.an.instanceof(Error);
+      });
+    });
+  });
+
+  describe('App integration', () => {
+    it('should expose a node handler on the app', () => {
+      expect(app.toNodeHandler()).to.be.a('function');
+    });
+
+    it('should listen on an http server', () => {
+      app.then((opts) => {
+        opts.response.setBody('listening');
+      });
+
+      const deferred = Q.defer();
+      server = app.listen(0, deferred.resolve);
+      expect(server).to.be.instanceof(http.Server);
+
+      return deferred.promise.then(() => {
+        return request(server, {});
+      }).then((res) => {
+        expect(res.body).to.equal('listening');
+      });
+    });
+  });
+});
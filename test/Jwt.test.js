@@ -0,0 +1,165 @@
+'use strict';
+const chai   = require('chai');
+const crypto = require('crypto');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const _      = require('lodash');
+
+const expect = chai.expect;
+
+const Jwt = require('./../lib/middleware/Jwt.js');
+
+describe('Jwt', () => {
+
+  const rsa    = crypto.generateKeyPairSync('rsa', { modulusLength : 2048 });
+  const ec     = crypto.generateKeyPairSync('ec', { namedCurve : 'P-256' });
+  const secret = crypto.randomBytes(32);
+  const jwks   = {
+    keys : [
+      _.assign(rsa.publicKey.export({ format : 'jwk' }), { kid : 'rsa-1', use : 'sig' }),
+      _.assign(ec.publicKey.export({ format : 'jwk' }), { kid : 'ec-1' }),
+      { kty : 'oct', kid : 'hmac-1', k : secret.toString('base64url') },
+      _.assign(rsa.publicKey.export({ format : 'jwk' }), { kid : 'rsa-enc', use : 'enc' })
+    ]
+  };
+  const keys    = Jwt.loadKeys(jwks);
+  const options = { algorithms : ['HS256', 'RS256', 'ES256'], clockTolerance : 0, now : 1000 };
+
+  function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+  }
+
+  function sign(header, claims) {
+    const input = `${encode(header)}.${encode(claims)}`;
+    let signature;
+
+    if (header.alg === 'HS256') {
+      signature = crypto.createHmac('sha256', secret).update(input).digest();
+    }
+    else if (header.alg === 'ES256') {
+      signature = crypto.sign('sha256', Buffer.from(input), { key : ec.privateKey, dsaEncoding : 'ieee-p1363' });
+    }
+    else {
+      signature = crypto.sign('sha256', Buffer.from(input), rsa.privateKey);
+    }
+    return `${input}.${signature.toString('base64url')}`;
+  }
+
+  function verify(header, claims, overrides) {
+    return Jwt.verify(sign(header, claims), keys, _.assign({}, options, overrides));
+  }
+
+  describe('loadKeys', () => {
+    it('should import the signature keys of a key set', () => {
+      expect(_.map(keys, 'kid')).to.eql(['rsa-1', 'ec-1', 'hmac-1']);
+      expect(keys[1].crv).to.equal('P-256');
+    });
+
+    it('should load a key set file', () => {
+      const file = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify(jwks));
+      try {
+        expect(_.map(Jwt.loadKeys(file), 'kid')).to.eql(['rsa-1', 'ec-1', 'hmac-1']);
+      }
+      finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should reject invalid key sets', () => {
+      expect(() => {
+        Jwt.loadKeys({ keys : 'none' });
+      }).to.throw('keys must be a JSON Web Key Set.');
+      expect(() => {
+        Jwt.loadKeys([{ kty : 'RSA', kid : 'broken', n : 'AQAB' }]);
+      }).to.throw(TypeError, 'invalid JSON Web Key "broken"');
+    });
+  });
+
+  describe('verify', () => {
+    it('should verify HS256, RS256 and ES256 tokens and return their claims', () => {
+      _.forEach([{ alg : 'HS256', kid : 'hmac-1' }, { alg : 'RS256', kid : 'rsa-1' }, { alg : 'ES256' }], (header) => {
+        expect(verify(header, { sub : 'ada', exp : 2000 })).to.eql({ sub : 'ada', exp : 2000 });
+      });
+    });
+
+    it('should reject tokens with an unknown or unfitting key', () => {
+      expect(() => {
+        verify({ alg : 'RS256', kid : 'rsa-2' }, {});
+      }).to.throw('Unknown token key.');
+      expect(() => {
+        verify({ alg : 'RS256', kid : 'rsa-enc' }, {});
+      }).to.throw('Unknown token key.');
+      expect(() => {
+        verify({ alg : 'HS256', kid : 'rsa-1' }, {});
+      }).to.throw('Unknown token key.');
+    });
+
+    it('should reject tokens with an invalid signature', () => {
+      const token    = sign({ alg : 'RS256', kid : 'rsa-1' }, { sub : 'ada' });
+      const tampered = token.replace(encode({ sub : 'ada' }), encode({ sub : 'root' }));
+
+      expect(() => {
+        Jwt.verify(tampered, keys, options);
+      }).to.throw('Invalid token signature.');
+      expect(() => {
+        Jwt.verify(`${token.split('.').slice(0, 2).join('.')}.`, keys, options);
+      }).to.throw('Invalid token signature.');
+    });
+
+    it('should reject malformed tokens and algorithms that are not accepted', () => {
+      expect(() => {
+        Jwt.verify('abc.def', keys, options);
+      }).to.throw('Malformed token.');
+      expect(() => {
+        Jwt.verify(`${encode({ alg : 'HS256' })}.${Buffer.from('[]').toString('base64url')}.abc`, keys, options);
+      }).to.throw('Malformed token.');
+      expect(() => {
+        Jwt.verify(`${encode({ alg : 'none' })}.${encode({ sub : 'ada' })}.`, keys, options);
+      }).to.throw('Unsupported token algorithm.');
+      expect(() => {
+        verify({ alg : 'HS256', kid : 'hmac-1' }, {}, { algorithms : ['RS256'] });
+      }).to.throw('Unsupported token algorithm.');
+      expect(() => {
+        verify({ alg : 'HS256', kid : 'hmac-1', crit : ['exp'] }, {});
+      }).to.throw('Unsupported critical token header.');
+    });
+
+    it('should check the expiry and start of validity, with the clock tolerance', () => {
+      const header = { alg : 'HS256' };
+
+      expect(() => {
+        verify(header, { exp : 1000 });
+      }).to.throw('Token expired.');
+      expect(() => {
+        verify(header, { nbf : 1001 });
+      }).to.throw('Token not yet valid.');
+      expect(() => {
+        verify(header, { exp : 'tomorrow' });
+      }).to.throw('Token expired.');
+      expect(verify(header, { exp : 995, nbf : 1005 }, { clockTolerance : 10 })).to.eql({ exp : 995, nbf : 1005 });
+    });
+
+    it('should check the issuer and audience', () => {
+      const header = { alg : 'HS256' };
+      const claims = { iss : 'https://auth.example.com/', aud : ['cases-api', 'users-api'] };
+
+      expect(verify(header, claims, { issuer : ['https://auth.example.com/'], audience : ['users-api'] })).to.eql(claims);
+      expect(() => {
+        verify(header, claims, { issuer : ['https://other.example.com/'] });
+      }).to.throw('Invalid token issuer.');
+      expect(() => {
+        verify(header, claims, { audience : ['billing-api'] });
+      }).to.throw('Invalid token audience.');
+    });
+  });
+
+  describe('scopes', () => {
+    it('should read the scope or scp claim', () => {
+      expect(Jwt.scopes({ scope : 'cases:read  cases:write' })).to.eql(['cases:read', 'cases:write']);
+      expect(Jwt.scopes({ scp : ['cases:read'] })).to.eql(['cases:read']);
+      expect(Jwt.scopes({})).to.eql([]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+const chai  = require('chai');
+const sinon = require('sinon');
+
+const expect = chai.expect;
+
+const MemoryStore = require('./..').Middleware.RateLimit.MemoryStore;
+
+describe('MemoryStore', () => {
+
+  let clock;
+  let store;
+
+  function increment(value) {
+    return (value || 0) + 1;
+  }
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(0, 'Date');
+    store = new MemoryStore();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('should pass the current value of a key to the updater and resolve the new value', () => {
+    return store.update('a', 1000, increment).then((value) => {
+      expect(value).to.equal(1);
+      return store.update('a', 1000, increment);
+    }).then((value) => {
+      expect(value).to.equal(2);
+      return store.update('b', 1000, increment);
+    }).then((value) => {
+      expect(value).to.equal(1);
+    });
+  });
+
+  it('should forget values once their ttl expires', () => {
+    return store.update('a', 1000, increment).then(() => {
+      clock.tick(1000);
+      return store.update('a', 1000, increment);
+    }).then((value) => {
+      expect(value).to.equal(1);
+    });
+  });
+
+  it('should remove expired keys as it is updated', () => {
+    return store.update('a', 1000, increment).then(() => {
+      clock.tick(60 * 1000);
+      return store.update('b', 1000, increment);
+    }).then(() => {
+      expect(store.size).to.equal(1);
+    });
+  });
+});
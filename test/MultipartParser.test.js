@@ -0,0 +1,112 @@
+'use strict';
+const chai = require('chai');
+const _    = require('lodash');
+
+const expect = chai.expect;
+
+const MultipartParser = require('./../lib/middleware/MultipartParser.js');
+
+describe('MultipartParser', () => {
+
+  const body = [
+    'preamble\r\n',
+    '--XyZ\r\n',
+    'Content-Disposition: form-data; name="title"\r\n',
+    '\r\n',
+    'Broken --XyZ printer\r\n',
+    '--XyZ\r\n',
+    'Content-Disposition: form-data; name="report"; filename="report.txt"\r\n',
+    'Content-Type: text/plain\r\n',
+    '\r\n',
+    'line 1\r\nline 2\r\n',
+    '--XyZ--\r\n',
+    'epilogue'
+  ].join('');
+
+  function parse(chunks) {
+    const parts  = [];
+    const parser = new MultipartParser('XyZ', {
+      onPartBegin : (headers) => {
+        parts.push({ headers, content : '' });
+      },
+      onPartData : (chunk) => {
+        _.last(parts).content += chunk.toString();
+      },
+      onPartEnd : () => {
+        _.last(parts).ended = true;
+      }
+    });
+    _.forEach(chunks, (chunk) => {
+      parser.write(Buffer.from(chunk));
+    });
+    parser.end();
+    return parts;
+  }
+
+  const expected = [
+    {
+      headers : { 'content-disposition' : 'form-data; name="title"' },
+      content : 'Broken --XyZ printer',
+      ended   : true
+    },
+    {
+      headers : { 'content-disposition' : 'form-data; name="report"; filename="report.txt"', 'content-type' : 'text/plain' },
+      content : 'line 1\r\nline 2',
+      ended   : true
+    }
+  ];
+
+  it('should parse the parts of a body, ignoring its preamble and epilogue', () => {
+    expect(parse([body])).to.eql(expected);
+  });
+
+  it('should parse bodies written in chunks of any size', () => {
+    _.forEach([1, 2, 3, 7, 10], (size) => {
+      expect(parse(_.map(_.chunk(body, size), (chars) => {
+        return chars.join('');
+      }))).to.eql(expected);
+    });
+  });
+
+  it('should parse a body without a preamble, and parts without headers', () => {
+    expect(parse(['--XyZ\r\n\r\nhello\r\n--XyZ--'])).to.eql([{ headers : {}, content : 'hello', ended : true }]);
+  });
+
+  it('should reject malformed bodies', () => {
+    expect(() => {
+      parse(['--XyZ\r\ncontent-disposition: form-data; name="a"\r\n\r\nhello']);
+    }).to.throw('Invalid multipart body: unexpected end of body.');
+    expect(() => {
+      parse(['--XyZ\r\nno colon\r\n\r\nhello\r\n--XyZ--']);
+    }).to.throw('Invalid multipart body: malformed part header.');
+    expect(() => {
+      parse(['--XyZ\r\n\r\nhello\r\n--XyZhello']);
+    }).to.throw('Invalid multipart body: missing line break after boundary.');
+    expect(() => {
+      parse([`--XyZ\r\n${_.repeat('x', 17 * 1024)}`]);
+    }).to.throw('Invalid multipart body: part headers are too large.');
+  });
+
+  it('should reject malformed bodies with a 400 error', () => {
+    const error = MultipartParser.invalid('reason');
+    expect(error.name).to.equal('InvalidMultipart');
+    expect(error.statusCode).to.equal(400);
+  });
+
+  describe('parseHeaderParams', () => {
+    it('should parse quoted and unquoted params', () => {
+      expect(MultipartParser.parseHeaderParams('form-data; Name="a; \\"b\\""; filename=c.txt')).to.eql({
+        name     : 'a; "b"',
+        filename : 'c.txt'
+      });
+    });
+
+    it('should decode extended params', () => {
+      expect(MultipartParser.parseHeaderParams('form-data; name="f"; filename*=UTF-8\'\'na%C3%AFve.txt')).to.eql({
+        'name'      : 'f',
+        'filename*' : 'UTF-8\'\'na%C3%AFve.txt',
+        'filename'  : 'naïve.txt'
+      });
+    });
+  });
+});
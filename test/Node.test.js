@@ -12,9 +12,10 @@ chai.use(sinonChai);
 
 const expect = chai.expect;
 
-const Node    = require('../lib/Node');
-const Route   = require('../lib/Route');
-const Request = require('../lib/Request');
+const Node     = require('../lib/Node');
+const Route    = require('../lib/Route');
+const Request  = require('../lib/Request');
+const Response = require('../lib/Response');
 let sandbox;
 
 describe('Node ', () => {
@@ -97,7 +98,43 @@ describe('Node ', () => {
     });
 
     describe('#_optionsHandler', () => {
+      function options(headers) {
+        const request  = new Request({ path : '/user', method : 'options', headers : headers || {} });
+        const response = new Response();
+        return node.getRoute(request).execute({ request, response }).then(() => {
+          return response;
+        });
+      }
+
+      beforeEach(() => {
+        node.addRoute(route);
+      });
+
+      it('should set the Allow header and describe the node', () => {
+        return options().then((response) => {
+          expect(response.statusCode).to.equal(200);
+          expect(response.getHeader('allow')).to.equal('GET, HEAD, OPTIONS');
+          expect(response.getBody()).to.eql(node.toObject());
+        });
+      });
 
+      it('should answer CORS preflight requests with an empty 204 response', () => {
+        return options({ origin : 'https://a.com', 'access-control-request-method' : 'GET' }).then((response) => {
+          expect(response.statusCode).to.equal(204);
+          expect(response.getHeader('allow')).to.equal('GET, HEAD, OPTIONS');
+          expect(response.hasBody).to.be.false;
+        });
+      });
+    });
+
+    describe('#getAllowedMethods', () => {
+      it('should list the methods served on the node', () => {
+        node.addRoute({ path : '/user', methods : ['delete', 'put'], handler : sinon.spy() });
+        expect(node.getAllowedMethods()).to.eql(['PUT', 'DELETE', 'OPTIONS']);
+
+        node.addRoute(route);
+        expect(node.getAllowedMethods()).to.eql(['GET', 'PUT', 'DELETE', 'HEAD', 'OPTIONS']);
+      });
     });
 
     describe('#addRoute', () => {
@@ -157,6 +194,26 @@ describe('Node ', () => {
         expect(node.getChildren()).to.eql([child1, child2, child3]);
       });
 
+      it('should order children from most to least specific', () => {
+        const splat    = new Node({ path : '/user/*rest' });
+        const optional = new Node({ path : '/user(/:id)' });
+        const param    = new Node({ path : '/user/:id' });
+        const child    = new Node({ path : '/user/child' });
+        node.addChild(splat);
+        node.addChild(optional);
+        node.addChild(param);
+        node.addChild(child);
+        expect(node.getChildren()).to.eql([child, param, optional, splat]);
+      });
+
+      it('should keep equally specific children in the order they were added', () => {
+        const child1 = new Node({ path : '/user/:id/a' });
+        const child2 = new Node({ path : '/user/:id/b' });
+        node.addChild(child2);
+        node.addChild(child1);
+        expect(node.getChildren()).to.eql([child2, child1]);
+      });
+
       it('should throw an error if a child with a duplicate path is added', () => {
         const child = new Node({ path : '/child' });
         node.addChild(child);
@@ -184,6 +241,19 @@ describe('Node ', () => {
 
       describe('#insert', () => {
 
+        it('should return the node the route was added to', () => {
+          const route = new Route({
+            path    : '/a/b/c/d',
+            methods : 'get',
+            handler : sinon.spy()
+          });
+
+          const node = root.insert(route);
+          expect(node.path).to.equal('/a/b/c/d');
+          expect(node.getRoutes()).to.include(route);
+          expect(root.insert(new Route({ path : '/a/b/c/d', methods : 'put', handler : sinon.spy() }))).to.equal(node);
+        });
+
         it('should throw an error if the route path is not contained in the nodes path', () => {
           const route = new Route({
             path    : '/',
@@ -237,6 +307,26 @@ describe('Node ', () => {
           expect(abd.insert).to.not.have.been.calledWith(route);
         });
 
+        it('should warn when an ambiguous route is inserted', () => {
+          sandbox.stub(process, 'emitWarning');
+          root.insert(new Route({ path : '/files/:name.:ext', methods : 'get', handler : sinon.spy() }));
+          root.insert(new Route({ path : '/files/:id.json', methods : 'get', handler : sinon.spy() }));
+
+          expect(process.emitWarning).to.have.been.calledOnce;
+          expect(process.emitWarning).to.have.been.calledWith(
+            'Route "/files/:id.json" is ambiguous with "/files/:name.:ext"; "/files/:name.:ext" will take precedence.',
+            'RouteConflictWarning'
+          );
+        });
+
+        it('should not warn when routes are ranked by specificity', () => {
+          sandbox.stub(process, 'emitWarning');
+          root.insert(new Route({ path : '/users/:id', methods : 'get', handler : sinon.spy() }));
+          root.insert(new Route({ path : '/users/me', methods : 'get', handler : sinon.spy() }));
+
+          expect(process.emitWarning).to.not.have.been.called;
+        });
+
         it('should add a new child otherwise', () => {
           const route   = new Route({
             path    : '/a/b',
@@ -293,7 +383,26 @@ describe('Node ', () => {
       });
 
 
-      describe('#find', () => {
+      describe('#insertPath', () => {
+        it('should return the node that already represents the path', () => {
+          expect(root.insertPath('/a/b/c/')).to.equal(abc);
+        });
+
+        it('should add a node with only an OPTIONS route, reassigning children as needed', () => {
+          const ab = root.insertPath('/a/b');
+          expect(ab.getRoutes()).to.have.length(1);
+          expect(ab.getRoutes()[0].methods).to.eql(['OPTIONS']);
+          expect(ab.getChildren()).to.eql([abc, abd]);
+        });
+
+        it('should throw if the path is not contained in the node path', () => {
+          expect(() => {
+            abc.insertPath('/b');
+          }).to.throw('Cannot insert');
+        });
+      });
+
+      describe('#getRoute', () => {
         let rootGet, aGet;
         beforeEach(() => {
           rootGet = new Route({
@@ -318,10 +427,10 @@ describe('Node ', () => {
             headers : {}
           });
 
-          expect(root.find(request)).to.equal(rootGet);
+          expect(root.getRoute(request)).to.equal(rootGet);
         });
 
-        it('should return undefined if request matches the path, but the route doesnt exist', () => {
+        it('should throw a 405 if the node has no route for the method', () => {
           const request = new Request({
             path    : '/',
             method  : 'post',
@@ -329,23 +438,86 @@ describe('Node ', () => {
           });
 
           expect(() => {
-            root.find(request);
+            root.getRoute(request);
           }).to.throw('Invalid method');
         });
 
-        it('should return a match from its children', () => {
+        it('should serve HEAD requests with the GET route', () => {
           const request = new Request({
             path    : '/a',
-            method  : 'get',
+            method  : 'head',
             headers : {}
           });
 
-          expect(root.find(request)).to.equal(aGet);
+          expect(a.hasMethod('HEAD')).to.be.true;
+          expect(a.getRoute(request)).to.equal(aGet);
+        });
+
+        it('should prefer a HEAD route to the GET route', () => {
+          const aHead = new Route({
+            path    : '/a',
+            methods : 'head',
+            handler : sinon.spy()
+          });
+          a.addRoute(aHead);
+
+          expect(a.getRoute(new Request({ path : '/a', method : 'head', headers : {} }))).to.equal(aHead);
+        });
+
+        it('should throw a 405 for HEAD requests if there is no GET route', () => {
+          const node = new Node({ path : '/b' });
+          node.addRoute(new Route({ path : '/b', methods : 'post', handler : sinon.spy() }));
+
+          expect(node.hasMethod('HEAD')).to.be.false;
+          expect(() => {
+            node.getRoute(new Request({ path : '/b', method : 'head', headers : {} }));
+          }).to.throw('Invalid method HEAD for path /b');
+        });
+
+        it('should list the allowed methods on 405 errors', () => {
+          try {
+            a.getRoute(new Request({ path : '/a', method : 'put', headers : {} }));
+          }
+          catch (error) {
+            expect(error.statusCode).to.equal(405);
+            expect(error.allowedMethods).to.eql(['GET', 'HEAD', 'OPTIONS']);
+            expect(error.headers).to.eql({ allow : 'GET, HEAD, OPTIONS' });
+            return;
+          }
+          throw new Error('expected a 405 error');
         });
       });
 
       describe('#toObject', () => {
+        it('should describe the node path, methods and child routes', () => {
+          const node = new Node({ path : '/files' });
+          node.insert(new Route({ path : '/files/*filepath', methods : 'get', handler : sinon.spy() }));
+          expect(node.toObject()).to.eql({
+            path        : '/files',
+            methods     : [['OPTIONS']],
+            childRoutes : ['/files/*filepath']
+          });
+        });
 
+        it('should describe the routes of nodes created with describeRoutes, and of their children', () => {
+          const node = new Node({ path : '/files', describeRoutes : true });
+          node.insert(new Route({
+            path        : '/files',
+            methods     : ['get', 'put'],
+            name        : 'files',
+            description : 'Lists files',
+            handler     : sinon.spy()
+          }));
+          const child = node.insert(new Route({
+            path    : '/files/*filepath',
+            methods : 'get',
+            schema  : { type : 'string' },
+            handler : sinon.spy()
+          }));
+
+          expect(node.toObject().routes).to.eql([{ methods : ['GET', 'PUT'], name : 'files', description : 'Lists files' }]);
+          expect(child.toObject().routes).to.eql([{ methods : ['GET'], schema : { type : 'string' } }]);
+        });
       });
     });
   });
@@ -0,0 +1,135 @@
+'use strict';
+const chai = require('chai');
+const _    = require('lodash');
+
+const expect = chai.expect;
+
+const Constraints = require('../lib/ParamConstraints');
+
+describe('ParamConstraints', () => {
+  describe('#create', () => {
+    const UUID      = '3f2504e0-4f89-11d3-9a0c-0305e82c3301';
+    const testCases = [
+      { source : 'int', value : '-12', matches : true, coerced : -12 },
+      { source : 'int', value : '1.5', matches : false },
+      { source : 'float', value : '1.5', matches : true, coerced : 1.5 },
+      { source : 'float', value : 'abc', matches : false },
+      { source : 'uuid', value : UUID, matches : true, coerced : UUID },
+      { source : 'uuid', value : '3f2504e0', matches : false },
+      { source : 'boolean', value : 'false', matches : true, coerced : false },
+      { source : 'boolean', value : 'yes', matches : false },
+      { source : 'open|closed', value : 'open', matches : true, coerced : 'open' },
+      { source : 'open|closed', value : 'opened', matches : false },
+      { source : '[a-z]{3}', value : 'abc', matches : true, coerced : 'abc' },
+      { source : 'constructor', value : 'constructor', matches : true, coerced : 'constructor' }
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.source} ${testCase.value}`, () => {
+        const constraint = Constraints.create(testCase.source);
+        expect(constraint.regex.test(testCase.value)).to.equal(testCase.matches);
+        if (testCase.matches) {
+          expect(constraint.coerce(testCase.value)).to.equal(testCase.coerced);
+        }
+      });
+    });
+  });
+
+  describe('#fromSpec', () => {
+    it('should create constraints from type names, arrays of values and regular expressions', () => {
+      expect(Constraints.fromSpec('int').source).to.equal('int');
+      expect(Constraints.fromSpec(['a.b', 'c']).source).to.equal('a\\.b|c');
+      expect(Constraints.fromSpec(/^[a-z]+$/).source).to.equal('[a-z]+');
+    });
+
+    it('should throw on invalid constraints', () => {
+      expect(() => {
+        Constraints.fromSpec(7);
+      }).to.throw('param constraints must be a type name, an array of values, or a regular expression.');
+    });
+  });
+
+  describe('#fromPath', () => {
+    it('should return the inline constraints by param name', () => {
+      const constraints = Constraints.fromPath('/cases/:caseId<int>/:status<open|closed>/:other');
+      expect(_.keys(constraints)).to.eql(['caseId', 'status']);
+      expect(constraints.caseId.source).to.equal('int');
+    });
+  });
+
+  describe('#inline', () => {
+    it('should write declarative constraints into the path', () => {
+      expect(Constraints.inline('/cases/:caseId/:status/:code', {
+        caseId : 'int',
+        status : ['open', 'on.hold'],
+        code   : /^[a-z]{3}$/
+      })).to.equal('/cases/:caseId<int>/:status<open|on\\.hold>/:code<[a-z]{3}>');
+    });
+
+    it('should not match params whose name starts with the constraint name', () => {
+      expect(Constraints.inline('/:idx/:id', { id : 'int' })).to.equal('/:idx/:id<int>');
+    });
+
+    it('should return the path if there are no declarative constraints', () => {
+      expect(Constraints.inline('/cases/:caseId<int>')).to.equal('/cases/:caseId<int>');
+    });
+
+    it('should leave constraints that are already inline', () => {
+      expect(Constraints.inline('/cases/:caseId<int>', { caseId : 'int' })).to.equal('/cases/:caseId<int>');
+    });
+
+    it('should throw if params is not an object', () => {
+      expect(() => {
+        Constraints.inline('/cases/:caseId', 'int');
+      }).to.throw('params must be an object.');
+    });
+
+    it('should throw if a constraint names a param that is not in the path', () => {
+      expect(() => {
+        Constraints.inline('/cases/:caseId', { id : 'int' });
+      }).to.throw('param "id" is not an unconstrained param of path "/cases/:caseId".');
+    });
+
+    it('should throw if a param is constrained both inline and declaratively', () => {
+      expect(() => {
+        Constraints.inline('/cases/:caseId<int>', { caseId : 'uuid' });
+      }).to.throw('is not an unconstrained param');
+    });
+
+    it('should throw if a regular expression has flags', () => {
+      expect(() => {
+        Constraints.inline('/cases/:caseId', { caseId : /abc/i });
+      }).to.throw('param constraint regular expressions cannot have flags.');
+    });
+
+    it('should throw if a constraint is not a type name, array or regular expression', () => {
+      expect(() => {
+        Constraints.inline('/cases/:caseId', { caseId : 7 });
+      }).to.throw('param constraints must be a type name, an array of values, or a regular expression.');
+    });
+
+    it('should throw if a constraint contains a / character', () => {
+      expect(() => {
+        Constraints.inline('/cases/:caseId', { caseId : ['a/b'] });
+      }).to.throw('param constraint "a/b" cannot contain / or > characters.');
+    });
+  });
+
+  describe('#test and #coerce', () => {
+    const constraints = Constraints.fromPath('/:a<int>/:b<open|closed>(/:c<float>)');
+
+    it('should indicate if all values satisfy their constraints', () => {
+      expect(Constraints.test({ a : '1', b : 'open', c : '1.5' }, constraints)).to.be.true;
+      expect(Constraints.test({ a : '1', b : 'shut', c : '1.5' }, constraints)).to.be.false;
+    });
+
+    it('should not check params without a value', () => {
+      expect(Constraints.test({ a : '1', b : 'open', c : undefined }, constraints)).to.be.true;
+    });
+
+    it('should coerce values to the constraint types', () => {
+      expect(Constraints.coerce({ a : '1', b : 'open', c : undefined, d : '2' }, constraints))
+        .to.eql({ a : 1, b : 'open', c : undefined, d : '2' });
+    });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+const chai = require('chai');
+const _    = require('lodash');
+
+const expect = chai.expect;
+
+const PathPolicy = require('../lib/PathPolicy');
+const utils      = require('../lib/utils');
+
+describe('PathPolicy', () => {
+  describe('constructor', () => {
+    it('should throw if the options are not an object', () => {
+      expect(() => {
+        new PathPolicy('strict');
+      }).to.throw('pathPolicy must be an object.');
+    });
+
+    it('should throw on unknown options', () => {
+      expect(() => {
+        new PathPolicy({ caseInsensitive : true });
+      }).to.throw('unknown pathPolicy option "caseInsensitive".');
+    });
+
+    it('should throw if an option is not a boolean', () => {
+      expect(() => {
+        new PathPolicy({ redirect : 'yes' });
+      }).to.throw('pathPolicy option "redirect" must be a boolean.');
+    });
+
+    it('should default all options to false', () => {
+      expect(new PathPolicy({ redirect : true }).options).to.eql({
+        caseSensitive       : false,
+        strictTrailingSlash : false,
+        redirect            : true,
+        decodeUnreserved    : false,
+        collapseSlashes     : false,
+        resolveDotSegments  : false
+      });
+    });
+  });
+
+  describe('#from', () => {
+    it('should return the default policy if none is provided', () => {
+      expect(PathPolicy.from()).to.equal(PathPolicy.DEFAULT);
+    });
+
+    it('should return policy instances as they are', () => {
+      const policy = new PathPolicy({ caseSensitive : true });
+      expect(PathPolicy.from(policy)).to.equal(policy);
+    });
+
+    it('should create a policy from options', () => {
+      const policy = PathPolicy.from({ caseSensitive : true });
+      expect(policy).to.be.an.instanceof(PathPolicy);
+      expect(policy.options.caseSensitive).to.be.true;
+    });
+  });
+
+  describe('#equals', () => {
+    it('should compare the policy options', () => {
+      expect(new PathPolicy({ redirect : false }).equals(PathPolicy.DEFAULT)).to.be.true;
+      expect(new PathPolicy({ redirect : true }).equals(PathPolicy.DEFAULT)).to.be.false;
+      expect(PathPolicy.DEFAULT.equals({})).to.be.false;
+    });
+  });
+
+  describe('#normalize', () => {
+    it('should normalize as utils.normalizePath with the default policy', () => {
+      const paths = [
+        '/test/test/test/',
+        '/BoGgle/At/the/:SitUation',
+        '/something/:ID/ActiOn/////////?Key1=Value1&Key2=Value2',
+        '/Files/*FilePath',
+        '/Reports(/:Year)',
+        '/a//b/../%7Ec'
+      ];
+      _.forEach(paths, (path) => {
+        expect(PathPolicy.DEFAULT.normalize(path)).to.equal(utils.normalizePath(path));
+      });
+    });
+
+    const testCases = [
+      { policy : { caseSensitive : true }, in : '/Buckets/:bucket/Keys/*Key', out : '/Buckets/:bucket/Keys/*Key' },
+      { policy : { caseSensitive : true }, in : '/Keys/A.TXT/', out : '/Keys/A.TXT' },
+      { policy : { strictTrailingSlash : true }, in : '/Cases/', out : '/cases/' },
+      { policy : { strictTrailingSlash : true }, in : '/cases?a=b', out : '/cases?a=b' },
+      { policy : { decodeUnreserved : true }, in : '/files/%7euser/a%2fb', out : '/files/~user/a%2fb' },
+      { policy : { decodeUnreserved : true, caseSensitive : true }, in : '/a%2fb', out : '/a%2Fb' },
+      { policy : { collapseSlashes : true }, in : '//cases///12?next=//x', out : '/cases/12?next=//x' },
+      { policy : { resolveDotSegments : true }, in : '/cases/open/../12/./notes', out : '/cases/12/notes' },
+      { policy : { resolveDotSegments : true }, in : '/../cases/..', out : '/' },
+      { policy : { resolveDotSegments : true, strictTrailingSlash : true }, in : '/cases/12/..', out : '/cases/' }
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${JSON.stringify(testCase.policy)} ${testCase.in}`, () => {
+        expect(new PathPolicy(testCase.policy).normalize(testCase.in)).to.equal(testCase.out);
+      });
+    });
+  });
+
+  describe('#canonicalize', () => {
+    it('should keep the case of the path', () => {
+      const policy = new PathPolicy({ collapseSlashes : true });
+      expect(policy.canonicalize('/Cases//12/?Sort=Date')).to.equal('/Cases/12?Sort=Date');
+    });
+  });
+});
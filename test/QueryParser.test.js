@@ -0,0 +1,71 @@
+'use strict';
+const chai = require('chai');
+const _    = require('lodash');
+
+const expect = chai.expect;
+
+const QueryParser = require('../lib/QueryParser');
+
+describe('QueryParser', () => {
+  describe('#parse', () => {
+    const testCases = [
+      { in : '', out : {} },
+      { in : 'a=1&b=2', out : { a : '1', b : '2' } },
+      { in : 'tag=a&tag=b&tag=c', out : { tag : ['a', 'b', 'c'] } },
+      { in : 'q=open+cases%21&empty=&flag', out : { q : 'open cases!', empty : '', flag : '' } },
+      { in : 'a=100%&&b=%zz', out : { a : '100%', b : '%zz' } },
+      { in : 'filter[status]=open', out : { 'filter[status]' : 'open' } },
+      { in : '__proto__=x&constructor=y', out : {} }
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.in}`, () => {
+        expect(QueryParser.parse(testCase.in)).to.eql(testCase.out);
+      });
+    });
+  });
+
+  describe('#parse with nested names', () => {
+    const testCases = [
+      { in : 'filter[status]=open&filter[owner]=me', out : { filter : { status : 'open', owner : 'me' } } },
+      { in : 'ids[]=1&ids[]=2', out : { ids : ['1', '2'] } },
+      { in : 'a[b][c]=1&a[b][c]=2', out : { a : { b : { c : ['1', '2'] } } } },
+      { in : 'rows[][id]=1&rows[][id]=2', out : { rows : [{ id : '1' }, { id : '2' }] } },
+      { in : 'filter%5Bstatus%5D=open', out : { filter : { status : 'open' } } },
+      { in : 'a[b=1&c]=2', out : { 'a[b' : '1', 'c]' : '2' } },
+      { in : 'a[__proto__][polluted]=1&b[constructor][prototype][x]=1', out : {} }
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.in}`, () => {
+        expect(QueryParser.parse(testCase.in, { nested : true })).to.eql(testCase.out);
+      });
+    });
+
+    it('should tell if a name is safe to set', () => {
+      expect(QueryParser.isSafe('a[b]', { nested : true })).to.be.true;
+      expect(QueryParser.isSafe('a[__proto__]', { nested : true })).to.be.false;
+      expect(QueryParser.isSafe('a[__proto__]')).to.be.true;
+      expect(QueryParser.isSafe('constructor')).to.be.false;
+    });
+
+    it('should not pollute object prototypes', () => {
+      QueryParser.parse('__proto__[polluted]=1', { nested : true });
+      expect({}.polluted).to.be.undefined;
+    });
+
+    it('should turn arrays set with indexes above the limit or names into objects', () => {
+      const query = QueryParser.parse('a[]=1&a[50000000]=x&b[]=1&b[1]=2&c[]=1&c[id]=2', { nested : true });
+      expect(query).to.eql({ a : { 0 : '1', 50000000 : 'x' }, b : ['1', '2'], c : { 0 : '1', id : '2' } });
+    });
+
+    it('should not set values on inherited members', () => {
+      const query = QueryParser.parse('toString[x]=1&valueOf[x]=1', { nested : true });
+
+      expect(query).to.eql({ toString : { x : '1' }, valueOf : { x : '1' } });
+      expect(Object.prototype.toString.x).to.be.undefined;
+      expect(Object.prototype.valueOf.x).to.be.undefined;
+      expect(Object.prototype.hasOwnProperty.call(Object.prototype.toString, 'x')).to.be.false;
+    });
+  });
+});
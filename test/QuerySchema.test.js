@@ -0,0 +1,89 @@
+'use strict';
+const chai = require('chai');
+
+const expect = chai.expect;
+
+const QuerySchema = require('../lib/QuerySchema');
+
+describe('QuerySchema', () => {
+  describe('#create', () => {
+    it('should throw if the schema is not an object', () => {
+      expect(() => {
+        QuerySchema.create('page');
+      }).to.throw('query must be an object.');
+    });
+
+    it('should throw on unknown param options', () => {
+      expect(() => {
+        QuerySchema.create({ page : { type : 'int', min : 1 } });
+      }).to.throw('unknown option "min" for query param "page".');
+    });
+
+    it('should throw on invalid types', () => {
+      expect(() => {
+        QuerySchema.create({ page : { type : 7 } });
+      }).to.throw('param constraints must be a type name, an array of values, or a regular expression.');
+    });
+
+    it('should accept a type alone as the declaration', () => {
+      const params = QuerySchema.create({ status : ['open', 'closed'], q : {} });
+      expect(params.status.constraint.source).to.equal('open|closed');
+      expect(params.q).to.eql({ constraint : null, array : false, required : false, default : undefined });
+    });
+  });
+
+  describe('#apply', () => {
+    const params = QuerySchema.create({
+      page   : { type : 'int', default : 1 },
+      status : ['open', 'closed'],
+      tag    : { array : true, default : [] },
+      ids    : { type : 'int', array : true },
+      q      : { required : true }
+    });
+
+    function apply(query) {
+      return QuerySchema.apply(query, params);
+    }
+
+    it('should coerce declared params, fill in defaults and keep other params', () => {
+      const query = { q : 'smith', page : '3', ids : '7', other : ['a', 'b'] };
+      expect(apply(query)).to.eql({ q : 'smith', page : 3, ids : [7], tag : [], other : ['a', 'b'] });
+      expect(query.page).to.equal('3');
+    });
+
+    it('should not share default values between requests', () => {
+      apply({ q : 'smith' }).tag.push('a');
+      expect(apply({ q : 'smith' }).tag).to.eql([]);
+    });
+
+    it('should reject requests missing a required param', () => {
+      expect(() => {
+        apply({});
+      }).to.throw('query param "q" is required.');
+    });
+
+    it('should reject repeated params that are not arrays', () => {
+      expect(() => {
+        apply({ q : 'smith', status : ['open', 'closed'] });
+      }).to.throw('query param "status" must have a single value.');
+    });
+
+    it('should reject values that do not match the param type', () => {
+      try {
+        apply({ q : 'smith', ids : ['1', 'two'] });
+        throw new Error('expected an error');
+      }
+      catch (error) {
+        expect(error.message).to.equal('query param "ids" does not match "int".');
+        expect(error.name).to.equal('InvalidQuery');
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('should reject nested values', () => {
+      expect(() => {
+        apply({ q : { name : 'smith' } });
+      }).to.throw('query param "q" must be a string.');
+    });
+  });
+});
@@ -0,0 +1,256 @@
+'use strict';
+const chai           = require('chai');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+const chaiAsPromised = require('chai-as-promised');
+const Q              = require('q');
+const _              = require('lodash');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const RateLimit = require('./..').Middleware.RateLimit;
+const Request   = require('./..').Request;
+const Response  = require('./..').Response;
+const Router    = require('./..').Router;
+
+describe('RateLimit Middleware', () => {
+
+  let clock;
+  let router;
+  let limiter;
+
+  function run(path, options) {
+    options = options || {};
+    const request  = new Request({ path, method : 'get', headers : {}, ip : options.ip || '203.0.113.1' });
+    const response = new Response();
+    request.user   = options.user;
+    router.match({ request });
+
+    return Q.fcall(limiter, { request, response }).then(() => {
+      return { response };
+    }, (error) => {
+      return { response, error };
+    });
+  }
+
+  function runAll(count, path, options) {
+    return _.reduce(_.range(count), (promise) => {
+      return promise.then((results) => {
+        return run(path, options).then((result) => {
+          return _.concat(results, result);
+        });
+      });
+    }, Q([]));
+  }
+
+  beforeEach(() => {
+    clock  = sinon.useFakeTimers(10000, 'Date');
+    router = new Router();
+    router.addRoute({ name : 'cases', path : '/cases', methods : 'get', handler : _.noop });
+    router.addRoute({ path : '/reports', methods : 'get', handler : _.noop });
+    router.addRoute({ path : '/login', methods : 'get', rateLimit : { limit : 1, key : 'route' }, handler : _.noop });
+    router.addRoute({ path : '/health', methods : 'get', rateLimit : false, handler : _.noop });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('fixed window', () => {
+    beforeEach(() => {
+      limiter = RateLimit.create({ limit : 2, window : 1000 });
+      clock.tick(500);
+    });
+
+    it('should allow requests up to the limit in each window, with RateLimit headers', () => {
+      return runAll(2, '/cases').then((results) => {
+        expect(results[0].error).to.be.undefined;
+        expect(results[1].response.headers).to.eql({
+          'ratelimit-limit'     : '2',
+          'ratelimit-remaining' : '0',
+          'ratelimit-reset'     : '1',
+          'ratelimit-policy'    : '2;w=1'
+        });
+      });
+    });
+
+    it('should reject requests over the limit with a 429 error until the window ends', () => {
+      return runAll(3, '/cases').then((results) => {
+        const error = results[2].error;
+        expect(error.name).to.equal('TooManyRequests');
+        expect(error.statusCode).to.equal(429);
+        expect(error.message).to.equal('Too many requests, retry in 1 seconds.');
+        expect(error.retryAfter).to.equal(1);
+        expect(error.headers).to.eql({ 'retry-after' : '1' });
+        expect(results[2].response.getHeader('ratelimit-remaining')).to.equal('0');
+
+        clock.tick(500);
+        return run('/cases');
+      }).then((result) => {
+        expect(result.error).to.be.undefined;
+        expect(result.response.getHeader('ratelimit-remaining')).to.equal('1');
+      });
+    });
+  });
+
+  describe('sliding window', () => {
+    beforeEach(() => {
+      limiter = RateLimit.create({ limit : 4, window : 1000, algorithm : 'sliding-window' });
+      clock.tick(900);
+    });
+
+    it('should weight the requests of the previous window', () => {
+      return runAll(4, '/cases').then(() => {
+        clock.tick(350);
+        return runAll(2, '/cases');
+      }).then((results) => {
+        expect(results[0].error).to.be.undefined;
+        expect(results[0].response.getHeader('ratelimit-remaining')).to.equal('0');
+        expect(results[1].error.retryAfter).to.equal(1);
+
+        clock.tick(250);
+        return run('/cases');
+      }).then((result) => {
+        expect(result.error).to.be.undefined;
+      });
+    });
+  });
+
+  describe('token bucket', () => {
+    beforeEach(() => {
+      limiter = RateLimit.create({ limit : 2, window : 1000, algorithm : 'token-bucket' });
+    });
+
+    it('should allow bursts up to the limit, then refill tokens over the window', () => {
+      return runAll(3, '/cases').then((results) => {
+        expect(results[1].error).to.be.undefined;
+        expect(results[1].response.getHeader('ratelimit-reset')).to.equal('1');
+        expect(results[2].error.retryAfter).to.equal(1);
+
+        clock.tick(500);
+        return runAll(2, '/cases');
+      }).then((results) => {
+        expect(results[0].error).to.be.undefined;
+        expect(results[1].error).to.exist;
+      });
+    });
+  });
+
+  describe('keys', () => {
+    it('should limit each ip separately by default', () => {
+      limiter = RateLimit.create({ limit : 1, window : 1000 });
+      return Q.all([run('/cases', { ip : '203.0.113.1' }), run('/reports', { ip : '203.0.113.2' })]).then((results) => {
+        expect(results[0].error).to.be.undefined;
+        expect(results[1].error).to.be.undefined;
+        return run('/reports', { ip : '203.0.113.1' });
+      }).then((result) => {
+        expect(result.error.statusCode).to.equal(429);
+      });
+    });
+
+    it('should limit authenticated users by id, whatever their ip', () => {
+      limiter = RateLimit.create({ limit : 1, window : 1000, key : 'user' });
+      return Q.all([
+        run('/cases', { ip : '203.0.113.1', user : { id : 7 } }),
+        run('/cases', { ip : '203.0.113.2', user : { id : 7 } }),
+        run('/cases', { ip : '203.0.113.2' })
+      ]).then((results) => {
+        expect(results[0].error).to.be.undefined;
+        expect(results[1].error.statusCode).to.equal(429);
+        expect(results[2].error).to.be.undefined;
+      });
+    });
+
+    it('should use key functions, and not limit requests without a key', () => {
+      const key = sinon.spy((request) => {
+        return Q(request.ip === '203.0.113.9' ? null : 'shared');
+      });
+      limiter   = RateLimit.create({ limit : 1, window : 1000, key });
+
+      return runAll(2, '/cases', { ip : '203.0.113.9' }).then((results) => {
+        expect(results[1].error).to.be.undefined;
+        expect(results[1].response.headers).to.eql({});
+        return runAll(2, '/cases');
+      }).then((results) => {
+        expect(results[1].error.statusCode).to.equal(429);
+        expect(key).to.have.callCount(4);
+      });
+    });
+  });
+
+  describe('route limits', () => {
+    beforeEach(() => {
+      limiter = RateLimit.create({ limit : 5, window : 1000 });
+    });
+
+    it('should count requests to routes with their own limit separately', () => {
+      return Q.all([
+        run('/login', { ip : '203.0.113.1' }),
+        run('/login', { ip : '203.0.113.2' }),
+        run('/cases', { ip : '203.0.113.2' })
+      ]).then((results) => {
+        expect(results[0].response.getHeader('ratelimit-limit')).to.equal('1');
+        expect(results[1].error.statusCode).to.equal(429);
+        expect(results[2].response.getHeader('ratelimit-remaining')).to.equal('4');
+      });
+    });
+
+    it('should not limit routes that opt out, or unmatched requests', () => {
+      const response = new Response();
+      expect(limiter({ request : new Request({ path : '/', method : 'get' }), response })).to.be.undefined;
+
+      return runAll(6, '/health').then((results) => {
+        expect(_.map(results, 'error')).to.eql(_.fill(Array(6), undefined));
+        expect(results[5].response.headers).to.eql({});
+      });
+    });
+
+    it('should reject invalid annotations', () => {
+      router.addRoute({ path : '/bad', methods : 'get', rateLimit : { store : {} }, handler : _.noop });
+      router.addRoute({ path : '/worse', methods : 'get', rateLimit : { algorithm : 'leaky-bucket' }, handler : _.noop });
+
+      return Q.all([run('/bad'), run('/worse')]).then((results) => {
+        expect(results[0].error.message).to.equal('rateLimit must be false or an object of limit, window, algorithm and key options.');
+        expect(results[1].error.message).to.equal('algorithm must be one of fixed-window, sliding-window, token-bucket.');
+      });
+    });
+  });
+
+  describe('create', () => {
+    it('should use the store given', () => {
+      const store = { update : sinon.spy((key, ttl, updater) => {
+        return updater(undefined);
+      }) };
+      limiter = RateLimit.create({ limit : 2, window : 1000, algorithm : 'token-bucket', store, headers : false });
+
+      return run('/cases').then((result) => {
+        expect(store.update).to.have.been.calledWith('app|ip:203.0.113.1', 1000);
+        expect(result.response.headers).to.eql({});
+      });
+    });
+
+    it('should validate its options', () => {
+      expect(() => {
+        RateLimit.create();
+      }).to.throw('options must be an object.');
+      expect(() => {
+        RateLimit.create({ limit : 0, window : 1000 });
+      }).to.throw('limit must be a positive integer.');
+      expect(() => {
+        RateLimit.create({ limit : 1, window : '1m' });
+      }).to.throw('window must be a positive integer.');
+      expect(() => {
+        RateLimit.create({ limit : 1, window : 1000, key : 'session' });
+      }).to.throw('key must be "ip", "user", "route" or a function.');
+      expect(() => {
+        RateLimit.create({ limit : 1, window : 1000, headers : 'yes' });
+      }).to.throw('headers must be a boolean.');
+      expect(() => {
+        RateLimit.create({ limit : 1, window : 1000, store : new Map() });
+      }).to.throw('store must be an object with an update function.');
+    });
+  });
+});
@@ -4,6 +4,7 @@ const sinon             = require('sinon');
 const sinonChai         = require('sinon-chai');
 const sinonStubPromises = require('sinon-promises');
 const chaiAsPromised    = require('chai-as-promised');
+const Q                 = require('q');
 
 sinonStubPromises(sinon);
 chai.use(chaiAsPromised);
@@ -147,6 +148,42 @@ describe('Request', () => {
       expect(request.path).to.equal('/wonky');
     });
 
+    it('should keep the path as it was set as rawPath', () => {
+      request.path = '/WoNkY/?a=B';
+      expect(request.rawPath).to.equal('/WoNkY/?a=B');
+    });
+
+    it('should normalize the path with its path policy', () => {
+      request = new Request({ headers : {}, path : '/WoNkY/', method : 'get', pathPolicy : { caseSensitive : true } });
+      expect(request.path).to.equal('/WoNkY');
+      expect(request.pathPolicy.options.caseSensitive).to.be.true;
+    });
+
+    it('should expose the path without its querystring as pathname', () => {
+      request.path = '/Cases/?a=B';
+      expect(request.path).to.equal('/cases?a=B');
+      expect(request.pathname).to.equal('/cases');
+    });
+
+    it('should parse the querystring into query when the path is set', () => {
+      request.path = '/cases?tag=a&tag=b&q=open+cases&filter[status]=open';
+      expect(request.query).to.eql({ tag : ['a', 'b'], q : 'open cases', 'filter[status]' : 'open' });
+
+      request.path = '/cases';
+      expect(request.query).to.eql({});
+    });
+
+    it('should parse nested query param names if nestedQuery is set', () => {
+      request = new Request({ headers : {}, path : '/cases?filter[status]=open', method : 'get', nestedQuery : true });
+      expect(request.query).to.eql({ filter : { status : 'open' } });
+    });
+
+    it('should throw if the query is set to something other than an object', () => {
+      expect(() => {
+        request.query = 'a=b';
+      }).to.throw('query must be an object.');
+    });
+
     it('should throw if an invalid method is set', () => {
       expect(() => {
         request.method = 'adsf';
@@ -281,6 +318,40 @@ describe('Request', () => {
         done();
       });
     });
+
+    it('should fail with the errors of its source', (done) => {
+      const source = new (require('stream').PassThrough)();
+      const error  = new Error('socket hang up');
+      request      = new Request({ path : '/', method : 'post', body : source });
+
+      request.body.on('error', (err) => {
+        expect(err).to.equal(error);
+        done();
+      });
+      source.emit('error', error);
+    });
+
+    it('should fail if its source is aborted', (done) => {
+      const source = new (require('stream').PassThrough)();
+      request      = new Request({ path : '/', method : 'post', body : source });
+
+      request.body.on('error', (err) => {
+        expect(err.name).to.equal('RequestAborted');
+        expect(err.statusCode).to.equal(400);
+        done();
+      });
+      source.emit('aborted');
+    });
+
+    it('should not throw if its source is aborted while nothing reads it', () => {
+      const source = new (require('stream').PassThrough)();
+      request      = new Request({ path : '/', method : 'post', body : source });
+
+      source.emit('aborted');
+      return Q.delay(1).then(() => {
+        expect(request.body.destroyed).to.be.true;
+      });
+    });
   });
 
 });
@@ -152,6 +152,43 @@ describe('Response', () => {
       });
     });
 
+    describe('#discardBody', () => {
+      it('should discard the body, keeping the status code and headers', () => {
+        response.statusCode = 201;
+        response.setHeader('x-test', 'yes');
+        response.setBody(inStream);
+        response.discardBody();
+
+        expect(response.statusCode).to.equal(201);
+        expect(response.headers).to.eql({ 'x-test' : 'yes' });
+        expect(response.hasBody).to.be.false;
+        expect(response.getBody()).to.equal(response.body);
+      });
+
+      it('should set the content-length of string and buffer bodies', () => {
+        response.setBody('h\u00e9llo');
+        response.discardBody();
+        expect(response.getHeader('content-length')).to.equal('6');
+
+        response = new Response();
+        response.setBody(Buffer.from([1, 2, 3]));
+        response.discardBody();
+        expect(response.getHeader('content-length')).to.equal('3');
+      });
+
+      it('should not replace a content-length header that is already set', () => {
+        response.setHeader('content-length', '42');
+        response.setBody('hello');
+        response.discardBody();
+        expect(response.getHeader('content-length')).to.equal('42');
+      });
+
+      it('should not set a content-length if there is no body', () => {
+        response.discardBody();
+        expect(response.getHeader('content-length')).to.be.undefined;
+      });
+    });
+
     describe('#getBody', () => {
       it('should return a reference to the body stream after construction', () => {
         response = new Response();
@@ -13,9 +13,10 @@ chai.use(sinonChai);
 
 const expect = chai.expect;
 
-const Route    = require('../lib/Route');
-const Request  = require('../lib/Request');
-const Response = require('../lib/Response');
+const Route      = require('../lib/Route');
+const Request    = require('../lib/Request');
+const Response   = require('../lib/Response');
+const PathPolicy = require('../lib/PathPolicy');
 
 describe('A Route', () => {
   let opts;
@@ -65,6 +66,21 @@ describe('A Route', () => {
       }).to.throw(ERROR_HANDLER_ERROR);
     });
 
+    it('should throw if before or after hooks are not functions', () => {
+      expect(() => {
+        new Route({ handler : sinon.spy(), before : [sinon.spy(), 'whatever'] });
+      }).to.throw('before must be a function or an array of functions.');
+      expect(() => {
+        new Route({ handler : sinon.spy(), after : {} });
+      }).to.throw('after must be a function or an array of functions.');
+    });
+
+    it('should accept a single hook function', () => {
+      const hook = sinon.spy();
+      expect(new Route({ handler : sinon.spy(), before : hook }).before).to.eql([hook]);
+      expect(new Route({ handler : sinon.spy() }).after).to.eql([]);
+    });
+
     it('should not throw if error handler is not provided', () => {
       expect(() => {
         new Route({ handler : sinon.spy() });
@@ -107,6 +123,24 @@ describe('A Route', () => {
       }).to.throw(METHOD_ERROR);
     });
 
+    it('should throw if options.name is not a string', () => {
+      expect(() => {
+        new Route({ handler : sinon.spy(), name : 7 });
+      }).to.throw('name must be a non-empty string.');
+    });
+
+    it('should throw if options.params constrains a param that is not in the path', () => {
+      expect(() => {
+        new Route({ handler : sinon.spy(), path : '/a/:b', params : { c : 'int' } });
+      }).to.throw('param "c" is not an unconstrained param of path "/a/:b".');
+    });
+
+    it('should write declarative param constraints into the path', () => {
+      const route = new Route({ handler : sinon.spy(), path : '/a/:b', params : { b : ['x', 'y'] } });
+      expect(route.path).to.equal('/a/:b<x|y>');
+      expect(route.constraints.b.source).to.equal('x|y');
+    });
+
   });
 
   describe('properties', () => {
@@ -216,6 +250,13 @@ describe('A Route', () => {
       expect(route.isMatch(req)).to.be.true;
     });
 
+    it('should match the request pathname, ignoring the querystring', () => {
+      route = new Route({ path : '/cases/:caseId', methods : 'get', handler : sinon.spy() });
+      const req = new Request({ method : 'get', path : '/cases/12?include=notes/all', headers : {} });
+
+      expect(route.isMatch(req)).to.be.true;
+    });
+
     it('should return true for any method if the route is to match all methods', () => {
       route = new Route({
         method  : '*',
@@ -267,6 +308,104 @@ describe('A Route', () => {
 
       expect(route.isMatch(req)).to.be.false;
     });
+
+    it('should return false if a param does not satisfy its constraint', () => {
+      const constrained = new Route({ path : '/cases/:caseId<int>', methods : 'get', handler : sinon.spy() });
+
+      expect(constrained.isMatch(new Request({ method : 'get', path : '/cases/12', headers : {} }))).to.be.true;
+      expect(constrained.isMatch(new Request({ method : 'get', path : '/cases/abc', headers : {} }))).to.be.false;
+    });
+  });
+
+  describe('#toOptions', () => {
+    it('should return the route options and annotations', () => {
+      const after = sinon.spy();
+      const query = { page : 'int' };
+      const route = new Route({ path : '/cases/:caseId<int>', methods : 'get', handler, after, query, owner : 'cases' });
+
+      expect(route.toOptions()).to.eql({
+        path         : '/cases/:caseId<int>',
+        methods      : ['GET'],
+        handler,
+        errorHandler : undefined,
+        before       : [],
+        after        : [after],
+        query,
+        scopes       : [],
+        pathPolicy   : PathPolicy.DEFAULT,
+        owner        : 'cases'
+      });
+    });
+  });
+
+  describe('#clone', () => {
+    it('should copy the route and its annotations, applying overrides', () => {
+      const handler      = sinon.spy();
+      const errorHandler = sinon.spy();
+      const before       = sinon.spy();
+      const route        = new Route({
+        path    : '/cases/:caseId',
+        params  : { caseId : 'int' },
+        methods : ['get', 'put'],
+        handler,
+        errorHandler,
+        before,
+        owner   : 'cases'
+      });
+
+      const clone = route.clone({ path : '/v2/cases/:caseId' });
+      expect(clone).to.not.equal(route);
+      expect(clone.path).to.equal('/v2/cases/:caseId<int>');
+      expect(clone.methods).to.eql(['GET', 'PUT']);
+      expect(clone.handler).to.equal(handler);
+      expect(clone.errorHandler).to.equal(errorHandler);
+      expect(clone.before).to.eql([before]);
+      expect(clone.owner).to.equal('cases');
+    });
+  });
+
+  describe('#buildPath', () => {
+    function buildPath(path, params) {
+      return new Route({ path, handler : sinon.spy() }).buildPath(params);
+    }
+
+    it('should fill in and encode params', () => {
+      expect(buildPath('/users/:userId/cases/:caseId', { userId : 'a/b', caseId : 12 })).to.equal('/users/a%2Fb/cases/12');
+    });
+
+    it('should keep the slashes of splat values', () => {
+      expect(buildPath('/files/*path', { path : 'a b/c' })).to.equal('/files/a%20b/c');
+    });
+
+    it('should only include optional groups whose params are all provided', () => {
+      const path = '/reports(/:year(/:month))(/summary)';
+      expect(buildPath(path)).to.equal('/reports/summary');
+      expect(buildPath(path, { year : 2016 })).to.equal('/reports/2016/summary');
+      expect(buildPath(path, { year : 2016, month : 2 })).to.equal('/reports/2016/2/summary');
+      expect(buildPath(path, { month : 2 })).to.equal('/reports/summary');
+    });
+
+    it('should build the root path', () => {
+      expect(buildPath('/')).to.equal('/');
+    });
+
+    it('should throw if a required param is missing', () => {
+      expect(() => {
+        buildPath('/cases/:caseId', { caseId : null });
+      }).to.throw('missing param "caseId" for path "/cases/:caseId".');
+    });
+
+    it('should throw if a value does not satisfy its constraint', () => {
+      expect(() => {
+        buildPath('/cases/:caseId<int>', { caseId : 'abc' });
+      }).to.throw('param "caseId" does not satisfy constraint "int" of path "/cases/:caseId<int>".');
+    });
+
+    it('should throw if params is not an object', () => {
+      expect(() => {
+        buildPath('/cases/:caseId', 12);
+      }).to.throw('params must be an object.');
+    });
   });
 
   describe('#execute', () => {
@@ -505,6 +644,97 @@ describe('A Route', () => {
         });
       });
 
+      describe('route with before and after hooks', () => {
+        let calls;
+
+        function step(name, fn) {
+          return (options) => {
+            calls.push(name);
+            expect(options).to.eql({ request, response });
+            return fn ? fn(options) : undefined;
+          };
+        }
+
+        beforeEach(() => {
+          calls = [];
+        });
+
+        it('should run the before hooks, the handler and the after hooks in order', () => {
+          function delay() {
+            return Q.delay(5);
+          }
+          route = new Route({
+            before  : [step('before1', delay), step('before2')],
+            handler : step('handler', _.constant('resolveVal')),
+            after   : [step('after1', delay), step('after2')]
+          });
+
+          return route.execute({ request, response }).then((result) => {
+            expect(calls).to.eql(['before1', 'before2', 'handler', 'after1', 'after2']);
+            expect(result).to.equal('resolveVal');
+          });
+        });
+
+        it('should skip the remaining hooks and the handler once a hook ends the response', () => {
+          function end(options) {
+            options.response.end();
+          }
+          route = new Route({
+            before  : [step('before1', end), step('before2')],
+            handler : step('handler'),
+            after   : step('after')
+          });
+
+          return route.execute({ request, response }).then(() => {
+            expect(calls).to.eql(['before1']);
+          });
+        });
+
+        it('should skip the remaining hooks if the handler ends the response', () => {
+          function end(options) {
+            options.response.end();
+          }
+          route = new Route({ handler : step('handler', end), after : step('after') });
+
+          return route.execute({ request, response }).then(() => {
+            expect(calls).to.eql(['handler']);
+          });
+        });
+
+        it('should not run the hooks if the request is not a match', () => {
+          route = new Route({ path : '/a', before : step('before'), handler : step('handler') });
+
+          return route.execute({ request, response }).then(() => {
+            expect(calls).to.eql([]);
+          });
+        });
+
+        it('should pass errors thrown by a hook to the error handler, skipping the remaining steps', () => {
+          const err          = new Error('A TERRIBLE TRAGEDY');
+          const errorHandler = sinon.spy();
+          route = new Route({
+            before  : step('before', sinon.stub().throws(err)),
+            handler : step('handler'),
+            errorHandler
+          });
+
+          return route.execute({ request, response }).then(() => {
+            expect(calls).to.eql(['before']);
+            expect(errorHandler).to.have.been.calledWith({ request, response, error : err });
+          });
+        });
+
+        it('should reject with errors thrown by an after hook if there is no error handler', () => {
+          const err = new Error('A TERRIBLE TRAGEDY');
+          route = new Route({
+            handler : step('handler'),
+            after   : step('after', sinon.stub().returns(Q.reject(err)))
+          });
+
+          return expect(route.execute({ request, response })).to.be.rejectedWith(err);
+        });
+      });
+
       describe('routeParams', () => {
         beforeEach(() => {
           route = new Route({
@@ -551,6 +781,142 @@ describe('A Route', () => {
             rest : 'a/b/c'
           });
         });
+
+        it('should coerce constrained params', () => {
+          route   = new Route({ path : '/cases/:caseId<int>', methods : 'get', handler : sinon.spy() });
+          request = new Request({
+            path    : '/cases/17',
+            method  : 'get',
+            headers : {}
+          });
+          route.execute({ request, response });
+          expect(request.routeParams).to.eql({ caseId : 17 });
+        });
+
+        it('should keep the routeParams extracted by a router that matched the route', () => {
+          request = new Request({
+            path    : '/user/red/17',
+            method  : 'get',
+            headers : {}
+          });
+          sinon.spy(route, 'isMatch');
+          request.matchedRoute  = route;
+          request.matchedParams = { type : 'red', id : '17', rest : undefined };
+          request.routeParams   = { all : '/user/red/17' };
+          route.execute({ request, response });
+          expect(route.isMatch).not.to.have.been.called;
+          expect(request.routeParams).to.eql({ type : 'red', id : '17', rest : undefined });
+        });
+
+        it('should not include the querystring in params', () => {
+          request = new Request({
+            path    : '/user/red/17/a/b?c=d',
+            method  : 'get',
+            headers : {}
+          });
+          route.execute({ request, response });
+          expect(request.routeParams).to.eql({ type : 'red', id : '17', rest : 'a/b' });
+        });
+      });
+
+      describe('query', () => {
+        beforeEach(() => {
+          handler = sinon.spy();
+          route   = new Route({
+            path    : '/cases',
+            methods : 'get',
+            query   : { page : { type : 'int', default : 1 }, status : ['open', 'closed'] },
+            handler
+          });
+        });
+
+        function get(path) {
+          return new Request({ path, method : 'get', headers : {} });
+        }
+
+        it('should coerce the query and fill in defaults before running the hooks and handler', () => {
+          const before = sinon.spy();
+          route        = route.clone({ before });
+          request      = get('/cases?status=open&sort=date');
+
+          return route.execute({ request, response }).then(() => {
+            expect(request.query).to.eql({ page : 1, status : 'open', sort : 'date' });
+            expect(before.firstCall.args[0].request.query.page).to.equal(1);
+            expect(handler).to.have.been.calledOnce;
+          });
+        });
+
+        it('should reject with a 400 error if the query does not satisfy the schema', () => {
+          request = get('/cases?page=first');
+
+          return route.execute({ request, response }).then(() => {
+            throw new Error('expected a rejection');
+          }, (error) => {
+            expect(error.statusCode).to.equal(400);
+            expect(error.message).to.equal('query param "page" does not match "int".');
+            expect(handler).to.not.have.been.called;
+          });
+        });
+
+        it('should let the error handler handle invalid queries', () => {
+          const errorHandler = sinon.spy();
+          route              = route.clone({ errorHandler });
+          request            = get('/cases?status=pending');
+
+          return route.execute({ request, response }).then(() => {
+            expect(errorHandler.firstCall.args[0].error.name).to.equal('InvalidQuery');
+          });
+        });
+
+        it('should throw on invalid query declarations', () => {
+          expect(() => {
+            new Route({ path : '/cases', query : { page : { type : 'int', max : 10 } }, handler });
+          }).to.throw('unknown option "max" for query param "page".');
+        });
+      });
+
+      describe('scopes', () => {
+        beforeEach(() => {
+          handler = sinon.spy();
+          route   = new Route({ path : '/cases', methods : 'post', scopes : ['cases:read', 'cases:write'], handler });
+          request = new Request({ path : '/cases?page=x', method : 'post', headers : {} });
+        });
+
+        it('should run the handler if the request is granted the required scopes', () => {
+          request.auth = { strategy : 'jwt', scopes : ['cases:write', 'cases:read', 'users:read'] };
+
+          return route.execute({ request, response }).then(() => {
+            expect(handler).to.have.been.calledOnce;
+            expect(route.scopes).to.eql(['cases:read', 'cases:write']);
+          });
+        });
+
+        it('should reject with a 403 error before the hooks and query schema if a scope is missing', () => {
+          const before = sinon.spy();
+          route        = route.clone({ before, query : { page : 'int' } });
+          request.auth = { strategy : 'jwt', scopes : ['cases:read'] };
+
+          return route.execute({ request, response }).then(() => {
+            throw new Error('expected a rejection');
+          }, (error) => {
+            expect(error.name).to.equal('Forbidden');
+            expect(error.statusCode).to.equal(403);
+            expect(error.message).to.equal('Missing required scopes: cases:write.');
+            expect(error.missingScopes).to.eql(['cases:write']);
+            expect(before).to.not.have.been.called;
+            expect(handler).to.not.have.been.called;
+          });
+        });
+
+        it('should reject unauthenticated requests', () => {
+          return expect(route.execute({ request, response })).to.be.rejectedWith('Missing required scopes: cases:read, cases:write.');
+        });
+
+        it('should throw on invalid scopes', () => {
+          expect(() => {
+            new Route({ path : '/cases', scopes : [1], handler });
+          }).to.throw('scopes must be a string or an array of strings.');
+        });
       });
     });
   });
@@ -0,0 +1,181 @@
+'use strict';
+const chai      = require('chai');
+const sinon     = require('sinon');
+const sinonChai = require('sinon-chai');
+const _         = require('lodash');
+
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const Router     = require('../lib/Router');
+const RouteGroup = require('../lib/RouteGroup');
+const Route      = require('../lib/Route');
+const Request    = require('../lib/Request');
+
+describe('RouteGroup', () => {
+  let router;
+
+  function match(path, method) {
+    const request = new Request({ path, method : method || 'get', headers : {} });
+    router.match({ request });
+    return request;
+  }
+
+  beforeEach(() => {
+    router = new Router();
+  });
+
+  describe('constructor', () => {
+    it('should throw if options is not an object', () => {
+      expect(() => {
+        new RouteGroup(router, '/admin');
+      }).to.throw('options must be an object.');
+    });
+
+    it('should throw if the prefix is not a path', () => {
+      expect(() => {
+        new RouteGroup(router, { prefix : 'admin' });
+      }).to.throw('prefix must be a string starting with a / character.');
+    });
+
+    _.forEach(['path', 'name', 'handler'], (key) => {
+      it(`should throw if the options include ${key}`, () => {
+        expect(() => {
+          new RouteGroup(router, { [key] : 'x' });
+        }).to.throw(`group options cannot include ${key}.`);
+      });
+    });
+  });
+
+  describe('#create', () => {
+    it('should invoke the callback with the group, and return it', () => {
+      const callback = sinon.spy();
+      const group    = RouteGroup.create(router, { prefix : '/admin' }, callback);
+      expect(group).to.be.an.instanceof(RouteGroup);
+      expect(group.prefix).to.equal('/admin');
+      expect(callback).to.have.been.calledWith(group);
+    });
+
+    it('should throw if the callback is not a function', () => {
+      expect(() => {
+        RouteGroup.create(router, {});
+      }).to.throw('callback must be a function.');
+    });
+  });
+
+  describe('#addRoute', () => {
+    it('should prefix the route path', () => {
+      router.group({ prefix : '/admin' }, (group) => {
+        group.addRoute({ path : '/users', methods : 'get', handler : _.noop });
+        group.addRoute({ path : '/', methods : 'get', handler : _.noop });
+      });
+
+      expect(match('/admin/users').matchedRoute.path).to.equal('/admin/users');
+      expect(match('/admin').matchedRoute.path).to.equal('/admin');
+    });
+
+    it('should use shared options and annotations the route does not set', () => {
+      const errorHandler = sinon.spy();
+      router.group({ methods : ['get', 'put'], errorHandler, sensitive : { headers : ['authorization'] } }, (group) => {
+        group.addRoute({ path : '/users', handler : _.noop });
+        group.addRoute({ path : '/cases', methods : 'post', sensitive : { body : ['ssn'] }, handler : _.noop });
+      });
+
+      const users = match('/users', 'put').matchedRoute;
+      expect(users.errorHandler).to.equal(errorHandler);
+      expect(users.sensitive).to.eql({ headers : ['authorization'] });
+
+      const cases = match('/cases', 'post').matchedRoute;
+      expect(cases.methods).to.eql(['POST']);
+      expect(cases.sensitive).to.eql({ body : ['ssn'] });
+    });
+
+    it('should run the group hooks around the route hooks', () => {
+      const groupBefore = sinon.spy();
+      const groupAfter  = sinon.spy();
+      const routeBefore = sinon.spy();
+      const routeAfter  = sinon.spy();
+      router.group({ before : groupBefore, after : [groupAfter] }, (group) => {
+        group.addRoute({ path : '/users', methods : 'get', before : routeBefore, after : routeAfter, handler : _.noop });
+      });
+
+      const route = match('/users').matchedRoute;
+      expect(route.before).to.eql([groupBefore, routeBefore]);
+      expect(route.after).to.eql([routeAfter, groupAfter]);
+    });
+
+    it('should merge param constraints', () => {
+      router.group({ prefix : '/orgs/:orgId', params : { orgId : 'int' } }, (group) => {
+        group.addRoute({ path : '/users/:userId', params : { userId : 'uuid' }, methods : 'get', handler : _.noop });
+      });
+
+      expect(match('/orgs/1/users/3f2504e0-4f89-11d3-9a0c-0305e82c3301').matchedRoute.path)
+        .to.equal('/orgs/:orgId<int>/users/:userId<uuid>');
+    });
+
+    it('should merge query params', () => {
+      router.group({ query : { page : 'int', sort : 'date|name' } }, (group) => {
+        group.addRoute({ path : '/users', methods : 'get', query : { sort : 'name' }, handler : _.noop });
+      });
+
+      expect(match('/users').matchedRoute.query).to.eql({ page : 'int', sort : 'name' });
+    });
+
+    it('should combine scopes', () => {
+      router.group({ scopes : 'admin' }, (group) => {
+        group.addRoute({ path : '/users', methods : 'delete', scopes : ['users:write', 'admin'], handler : _.noop });
+      });
+
+      expect(match('/users', 'delete').matchedRoute.scopes).to.eql(['admin', 'users:write']);
+    });
+
+    it('should copy Route instances with the shared options merged in', () => {
+      const before = sinon.spy();
+      const route  = new Route({ path : '/users', methods : 'get', handler : _.noop, owner : 'users' });
+      router.group({ prefix : '/admin', before, owner : 'admin' }, (group) => {
+        group.addRoute(route);
+      });
+
+      const matched = match('/admin/users').matchedRoute;
+      expect(matched).to.not.equal(route);
+      expect(matched.owner).to.equal('users');
+      expect(matched.before).to.eql([before]);
+    });
+
+    it('should throw if the route is not an object', () => {
+      expect(() => {
+        router.group({}, (group) => {
+          group.addRoute('/users');
+        });
+      }).to.throw('route must be an object.');
+    });
+  });
+
+  describe('#group', () => {
+    it('should nest prefixes and shared options', () => {
+      const outer = sinon.spy();
+      const inner = sinon.spy();
+      router.group({ prefix : '/admin', before : outer, owner : 'admin', methods : 'get' }, (admin) => {
+        const nested = admin.group({ prefix : '/users/:userId', before : inner, owner : 'users' }, (users) => {
+          users.addRoute({ path : '/cases', handler : _.noop });
+        });
+        expect(nested.prefix).to.equal('/admin/users/:userId');
+      });
+
+      const request = match('/admin/users/1/cases');
+      expect(request.matchedRoute.path).to.equal('/admin/users/:userId/cases');
+      expect(request.matchedRoute.before).to.eql([outer, inner]);
+      expect(request.matchedRoute.owner).to.equal('users');
+      expect(request.routeParams).to.eql({ userId : '1' });
+    });
+
+    it('should validate the nested options', () => {
+      expect(() => {
+        router.group({ prefix : '/admin' }, (admin) => {
+          admin.group({ prefix : 'users' }, _.noop);
+        });
+      }).to.throw('prefix must be a string starting with a / character.');
+    });
+  });
+});
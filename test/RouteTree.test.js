@@ -0,0 +1,239 @@
+'use strict';
+const chai              = require('chai');
+const sinon             = require('sinon');
+const sinonChai         = require('sinon-chai');
+const sinonStubPromises = require('sinon-promises');
+const chaiAsPromised    = require('chai-as-promised');
+const _                 = require('lodash');
+
+sinonStubPromises(sinon);
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const RouteTree = require('../lib/RouteTree');
+const Route     = require('../lib/Route');
+const Request   = require('../lib/Request');
+
+describe('RouteTree', () => {
+  let tree;
+  let sandbox;
+
+  function addRoute(path, methods) {
+    const route = new Route({ path, methods : methods || 'get', handler : _.noop });
+    tree.addRoute(route);
+    return route;
+  }
+
+  function find(path, method) {
+    const match = tree.find(new Request({ path, method : method || 'get', headers : {} }));
+    return match && _.omit(match, 'node');
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.sandbox.create();
+    sandbox.stub(process, 'emitWarning');
+    tree = new RouteTree();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('#getRoutes', () => {
+    it('should return the routes in the order they were added', () => {
+      const b = addRoute('/b');
+      const a = addRoute('/a', ['get', 'put']);
+      expect(tree.getRoutes()).to.eql([b, a]);
+    });
+  });
+
+  describe('#addPath', () => {
+    it('should add a node that serves OPTIONS requests', () => {
+      addRoute('/admin/users');
+      tree.addPath('/admin');
+
+      expect(find('/admin', 'options').route.methods).to.eql(['OPTIONS']);
+      expect(tree._root.getChildren()[0].toObject().childRoutes).to.eql(['/admin/users']);
+    });
+  });
+
+  describe('#find', () => {
+    it('should return null if no route matches the path', () => {
+      addRoute('/users');
+      expect(find('/cases')).to.be.null;
+      expect(find('/users/1')).to.be.null;
+    });
+
+    it('should return the node of the matched path', () => {
+      addRoute('/cases', ['get', 'post']);
+      const match = tree.find(new Request({ path : '/cases', method : 'post', headers : {} }));
+      expect(match.node.path).to.equal('/cases');
+      expect(match.node.getAllowedMethods()).to.eql(['GET', 'POST', 'HEAD', 'OPTIONS']);
+    });
+
+    it('should match the root path', () => {
+      const root = addRoute('/');
+      expect(find('/')).to.eql({ route : root, params : {} });
+    });
+
+    it('should return the route and its params', () => {
+      const route = addRoute('/users/:userId/cases/:caseId');
+      expect(find('/users/1/cases/2')).to.eql({ route, params : { userId : '1', caseId : '2' } });
+    });
+
+    it('should use the param names of the matched route', () => {
+      addRoute('/users/:id', 'get');
+      const put = addRoute('/users/:userId', 'put');
+      expect(find('/users/1', 'put')).to.eql({ route : put, params : { userId : '1' } });
+    });
+
+    it('should decode params and ignore the querystring', () => {
+      addRoute('/files/:name');
+      expect(find('/files/a%20b?c=d').params).to.eql({ name : 'a b' });
+    });
+
+    it('should prefer static segments over params, whatever the order routes were added in', () => {
+      const param = addRoute('/users/:id');
+      const me    = addRoute('/users/me');
+      expect(find('/users/me').route).to.equal(me);
+      expect(find('/users/you').route).to.equal(param);
+    });
+
+    it('should backtrack when a more specific branch does not match the whole path', () => {
+      addRoute('/users/me');
+      const route = addRoute('/users/:id/cases');
+      expect(find('/users/me/cases')).to.eql({ route, params : { id : 'me' } });
+    });
+
+    it('should match segments mixing static text and params', () => {
+      const route = addRoute('/files/:name.:ext');
+      addRoute('/files/:id');
+      expect(find('/files/a.b.c')).to.eql({ route, params : { name : 'a.b', ext : 'c' } });
+    });
+
+    it('should match splats across segments', () => {
+      const route = addRoute('/files/*path/edit');
+      expect(find('/files/a/b/edit/edit')).to.eql({ route, params : { path : 'a/b/edit' } });
+      expect(find('/files/edit')).to.be.null;
+    });
+
+    it('should prefer static and param segments over splats, whatever the order routes were added in', () => {
+      const files  = addRoute('/files/*path');
+      const recent = addRoute('/files/recent');
+      const file   = addRoute('/files/:id');
+      expect(find('/files/recent').route).to.equal(recent);
+      expect(find('/files/1').route).to.equal(file);
+      expect(find('/files/1/2').route).to.equal(files);
+    });
+
+    it('should prefer routes nested under a splat over the splat itself', () => {
+      const files = addRoute('/files/*path');
+      const edit  = addRoute('/files/*path/edit');
+      expect(find('/files/a/b/edit').route).to.equal(edit);
+      expect(find('/files/a/b').route).to.equal(files);
+    });
+
+    it('should match splats that share a segment with static text', () => {
+      const route = addRoute('/assets/*file.json');
+      expect(find('/assets/a/b.json')).to.eql({ route, params : { file : 'a/b' } });
+    });
+
+    it('should leave the params of absent optional groups undefined', () => {
+      const route = addRoute('/reports(/:year(/:month))');
+      expect(find('/reports')).to.eql({ route, params : { year : undefined, month : undefined } });
+      expect(find('/reports/2016')).to.eql({ route, params : { year : '2016', month : undefined } });
+      expect(find('/reports/2016/02')).to.eql({ route, params : { year : '2016', month : '02' } });
+    });
+
+    it('should prefer static segments over optional groups', () => {
+      const reports = addRoute('/reports(/:year)');
+      const summary = addRoute('/reports/summary');
+      expect(find('/reports/summary').route).to.equal(summary);
+      expect(find('/reports/2016').route).to.equal(reports);
+    });
+
+    it('should prefer routes without optional groups that match the same path', () => {
+      const optional = addRoute('/reports(/:year)', ['get', 'post']);
+      const reports  = addRoute('/reports');
+      expect(find('/reports').route).to.equal(reports);
+      expect(find('/reports', 'post').route).to.equal(optional);
+    });
+
+    it('should serve HEAD requests with the GET route of the matched path', () => {
+      addRoute('/users/:id', 'post');
+      const get = addRoute('/users/me');
+      expect(find('/users/me', 'head')).to.eql({ route : get, params : {} });
+    });
+
+    it('should throw a 405 if the path matches but the method does not', () => {
+      addRoute('/users');
+      expect(() => {
+        find('/users', 'delete');
+      }).to.throw('Invalid method DELETE for path /users');
+    });
+
+    describe('param constraints', () => {
+      it('should only match params that satisfy their constraint, and coerce them', () => {
+        const int  = addRoute('/cases/:caseId<int>');
+        const slug = addRoute('/cases/:slug');
+        expect(find('/cases/12')).to.eql({ route : int, params : { caseId : 12 } });
+        expect(find('/cases/abc')).to.eql({ route : slug, params : { slug : 'abc' } });
+      });
+
+      it('should treat constraint failures as non-matches', () => {
+        addRoute('/cases/:caseId<int>/notes');
+        expect(find('/cases/abc/notes')).to.be.null;
+      });
+
+      it('should check constraints on decoded values', () => {
+        const route = addRoute('/tags/:tag<a b|c>');
+        expect(find('/tags/a%20b')).to.eql({ route, params : { tag : 'a b' } });
+      });
+
+      it('should check constraints in segments mixing static text and params', () => {
+        const route = addRoute('/files/:name.:ext<json|xml>');
+        expect(find('/files/a.json')).to.eql({ route, params : { name : 'a', ext : 'json' } });
+        expect(find('/files/a.txt')).to.be.null;
+      });
+
+      it('should apply declarative constraints', () => {
+        const route = new Route({
+          path    : '/cases/:caseId',
+          params  : { caseId : 'float' },
+          methods : 'get',
+          handler : _.noop
+        });
+        tree.addRoute(route);
+        expect(find('/cases/1.5')).to.eql({ route, params : { caseId : 1.5 } });
+        expect(find('/cases/abc')).to.be.null;
+      });
+    });
+
+    it('should match nested, mixed, splat, optional and constrained routes', () => {
+      const paths = ['/users', '/users/me', '/users/:id', '/users/:id/cases/:caseId', '/files/:name.:ext',
+        '/files/*path', '/reports(/:year)', '/:a/b', '/users/:id<int>/notes'];
+      const routes = _.zipObject(paths, _.map(paths, (path) => {
+        return addRoute(path);
+      }));
+
+      _.forEach({
+        '/users'           : ['/users', {}],
+        '/users/me'        : ['/users/me', {}],
+        '/users/1'         : ['/users/:id', { id : '1' }],
+        '/users/1/cases/2' : ['/users/:id/cases/:caseId', { id : '1', caseId : '2' }],
+        '/files/a.txt'     : ['/files/:name.:ext', { name : 'a', ext : 'txt' }],
+        '/files/a/b'       : ['/files/*path', { path : 'a/b' }],
+        '/reports'         : ['/reports(/:year)', { year : undefined }],
+        '/reports/2016'    : ['/reports(/:year)', { year : '2016' }],
+        '/x/b'             : ['/:a/b', { a : 'x' }],
+        '/users/1/notes'   : ['/users/:id<int>/notes', { id : 1 }]
+      }, (expected, path) => {
+        expect(find(path), path).to.eql({ route : routes[expected[0]], params : expected[1] });
+      });
+      expect(find('/cases')).to.be.null;
+      expect(find('/users/x/notes')).to.be.null;
+    });
+  });
+});
@@ -13,9 +13,11 @@ chai.use(sinonChai);
 const expect  = chai.expect;
 const sandbox = sinon.sandbox.create();
 
-const Route    = require('../lib/Route');
-const Request  = require('../lib/Request');
-const Response = require('../lib/Response');
+const Route      = require('../lib/Route');
+const Request    = require('../lib/Request');
+const Response   = require('../lib/Response');
+const RealRouter = require('../lib/Router');
+const PathPolicy = require('../lib/PathPolicy');
 
 let Router;
 let router;
@@ -40,6 +42,35 @@ describe('Router ', () => {
     sandbox.restore();
   });
 
+  describe('constructor', () => {
+    it('should throw if options is not an object', () => {
+      expect(() => {
+        new RealRouter('describe');
+      }).to.throw('options must be an object.');
+    });
+
+    it('should pass describeRoutes and the path policy to the route tree', () => {
+      const RouteTree = sinon.stub().returns(mockTree);
+      Router          = proxyquire('../lib/Router', { './RouteTree' : RouteTree });
+
+      new Router({ describeRoutes : true });
+      expect(RouteTree).to.have.been.calledWith({ describeRoutes : true, pathPolicy : PathPolicy.DEFAULT });
+    });
+
+    it('should describe routes on OPTIONS requests if describeRoutes is set', () => {
+      router = new RealRouter({ describeRoutes : true });
+      router.addRoute({ path : '/cases', methods : 'get', description : 'Lists cases', handler : sinon.spy() });
+
+      const req = new Request({ path : '/cases', method : 'options', headers : {} });
+      const res = new Response();
+      router.match({ request : req });
+      return router.execute({ request : req, response : res }).then(() => {
+        expect(res.getHeader('allow')).to.equal('GET, HEAD, OPTIONS');
+        expect(res.getBody().routes).to.eql([{ methods : ['GET'], description : 'Lists cases' }]);
+      });
+    });
+  });
+
   describe('#addRoute', () => {
     it('should construct a new Route object from the input', () => {
       const mockRoute = sinon.stub();
@@ -51,12 +82,12 @@ describe('Router ', () => {
         './RouteTree' : sinon.stub().returns(mockTree)
       });
 
-      const opts = {};
+      const opts = { path : '/cases' };
       router     = new Router();
       router.addRoute(opts);
       expect(mockRoute).to.have.been.calledOnce;
       expect(mockRoute).to.have.been.calledWithNew;
-      expect(mockRoute).to.have.been.calledWith(opts);
+      expect(mockRoute).to.have.been.calledWith({ path : '/cases', pathPolicy : PathPolicy.DEFAULT });
     });
 
     it('should add the new route to its tree', () => {
@@ -71,24 +102,258 @@ describe('Router ', () => {
       expect(mockTree.addRoute).to.have.been.calledWith(route);
     });
 
-    it('should throw an error if the route contains a splat', () => {
+    it('should accept routes that contain a splat', () => {
+      const route = new Route({
+        path    : '/files/*filepath',
+        methods : 'get',
+        handler : sinon.spy()
+      });
+      router.addRoute(route);
+
+      expect(mockTree.addRoute).to.have.been.calledWith(route);
+    });
+
+    it('should accept routes that contain an optional group', () => {
+      const route = new Route({
+        path    : '/reports(/:year)',
+        methods : 'get',
+        handler : sinon.spy()
+      });
+      router.addRoute(route);
+
+      expect(mockTree.addRoute).to.have.been.calledWith(route);
+    });
+
+    it('should throw if a route name is already taken', () => {
+      router.addRoute({ name : 'case', path : '/cases/:caseId', methods : 'get', handler : sinon.spy() });
+
       expect(() => {
-        router.addRoute({
-          path    : '/*start/foo',
-          methods : 'get',
-          handler : sinon.spy()
-        });
-      }).to.throw('Splats and optional groups are not supported for routes.');
+        router.addRoute({ name : 'case', path : '/cases/:caseId', methods : 'put', handler : sinon.spy() });
+      }).to.throw('duplicate route name "case"');
     });
+  });
+
+  describe('#mount', () => {
+    let parent;
+    let child;
+
+    function match(path, method) {
+      const req = new Request({ path, method, headers : {} });
+      parent.match({ request : req });
+      return req;
+    }
+
+    beforeEach(() => {
+      parent = new RealRouter();
+      child  = new RealRouter();
+      child.addRoute({
+        name    : 'user',
+        path    : '/users/:id<int>',
+        methods : ['get', 'put'],
+        handler : sinon.spy(),
+        owner   : 'admin'
+      });
+      child.addRoute({ path : '/', methods : 'get', handler : sinon.spy() });
+    });
+
+    it('should serve the child routes under the prefix, keeping their annotations', () => {
+      parent.mount('/admin', child);
+
+      const req = match('/admin/users/1', 'put');
+      expect(req.matchedRoute.path).to.equal('/admin/users/:id<int>');
+      expect(req.matchedRoute.owner).to.equal('admin');
+      expect(req.routeParams).to.eql({ id : 1 });
+      expect(req.matchedNode.getAllowedMethods()).to.eql(['GET', 'PUT', 'HEAD', 'OPTIONS']);
+      expect(match('/admin', 'get').matchedRoute.path).to.equal('/admin');
+    });
+
+    it('should keep route names', () => {
+      parent.mount('/admin/', child);
+      expect(parent.urlFor('user', { id : 3 })).to.equal('/admin/users/3');
+    });
+
+    it('should list the child routes on OPTIONS requests to the prefix', () => {
+      child = new RealRouter();
+      child.addRoute({ path : '/users', methods : 'get', handler : sinon.spy() });
+      parent.mount('/admin', child);
+
+      const req      = match('/admin', 'options');
+      const response = new Response();
+      req.matchedRoute.handler({ request : req, response });
+      expect(response.getBody().childRoutes).to.eql(['/admin/users']);
+    });
+
+    it('should not mount routes added to the child router afterwards', () => {
+      parent.mount('/admin', child);
+      child.addRoute({ path : '/groups', methods : 'get', handler : sinon.spy() });
 
-    it('should throw an error if the route contains an optional', () => {
       expect(() => {
-        router.addRoute({
-          path    : '(/start)/foo',
-          methods : 'get',
-          handler : sinon.spy()
-        });
-      }).to.throw('Splats and optional groups are not supported for routes.');
+        match('/admin/groups', 'get');
+      }).to.throw('No route matched');
+    });
+
+    it('should throw if the prefix is not a path', () => {
+      expect(() => {
+        parent.mount('admin', child);
+      }).to.throw('prefix must be a string starting with a / character.');
+    });
+
+    it('should throw if the child is not a router', () => {
+      expect(() => {
+        parent.mount('/admin', {});
+      }).to.throw('router must be a SuperRouter Router instance.');
+    });
+  });
+
+  describe('path policy', () => {
+    function match(path, method) {
+      const req = new Request({ path, method : method || 'get', headers : {} });
+      const res = new Response();
+      router.match({ request : req, response : res });
+      return { req, res };
+    }
+
+    it('should match case sensitive paths', () => {
+      router = new RealRouter({ pathPolicy : { caseSensitive : true } });
+      router.addRoute({ path : '/Buckets/:bucket/*Key', methods : 'get', handler : sinon.spy() });
+
+      expect(match('/Buckets/photos/2016/IMG_01.JPG').req.routeParams).to.eql({
+        bucket : 'photos',
+        Key    : '2016/IMG_01.JPG'
+      });
+      expect(() => {
+        match('/buckets/photos/2016/IMG_01.JPG');
+      }).to.throw('No route matched');
+    });
+
+    it('should tell trailing slashes apart if they are strict', () => {
+      router = new RealRouter({ pathPolicy : { strictTrailingSlash : true } });
+      router.addRoute({ path : '/cases', methods : 'get', name : 'list', handler : sinon.spy() });
+      router.addRoute({ path : '/cases/', methods : 'get', name : 'index', handler : sinon.spy() });
+
+      expect(match('/cases').req.matchedRoute.name).to.equal('list');
+      expect(match('/Cases/').req.matchedRoute.name).to.equal('index');
+    });
+
+    it('should copy Route instances created with another policy', () => {
+      router = new RealRouter({ pathPolicy : { caseSensitive : true } });
+      const route = new Route({ path : '/Cases', methods : 'get', handler : sinon.spy() });
+      router.addRoute(route);
+
+      const matched = match('/Cases').req.matchedRoute;
+      expect(matched).to.not.equal(route);
+      expect(matched.path).to.equal('/Cases');
+      expect(matched.pathPolicy.options.caseSensitive).to.be.true;
+    });
+
+    it('should apply the policy to mounted routes', () => {
+      const child = new RealRouter();
+      child.addRoute({ path : '/cases', methods : 'get', handler : sinon.spy() });
+      router = new RealRouter({ pathPolicy : { caseSensitive : true } });
+      router.mount('/V2', child);
+
+      expect(match('/V2/cases').req.matchedRoute.path).to.equal('/V2/cases');
+    });
+
+    it('should redirect to the canonical path if the policy redirects', () => {
+      router = new RealRouter({ pathPolicy : { collapseSlashes : true, resolveDotSegments : true, redirect : true } });
+      router.addRoute({ path : '/cases/:caseId', methods : 'get', handler : sinon.spy() });
+
+      const result = match('/Cases//open/../12/?sort=date');
+      expect(result.req.matchedRoute).to.be.undefined;
+      expect(result.res.statusCode).to.equal(301);
+      expect(result.res.getHeader('location')).to.equal('/Cases/12?sort=date');
+      expect(result.res.ended).to.be.true;
+    });
+
+    it('should redirect requests of other methods than GET and HEAD with a 308', () => {
+      router = new RealRouter({ pathPolicy : { collapseSlashes : true, redirect : true } });
+      router.addRoute({ path : '/cases', methods : ['get', 'post'], handler : sinon.spy() });
+
+      const result = match('//cases//?a=1', 'post');
+      expect(result.res.statusCode).to.equal(308);
+      expect(result.res.getHeader('location')).to.equal('/cases?a=1');
+      expect(match('//cases//', 'head').res.statusCode).to.equal(301);
+    });
+
+    it('should prepend the request base url to the redirect location', () => {
+      router = new RealRouter({ pathPolicy : { redirect : true } });
+      router.addRoute({ path : '/cases', methods : 'get', handler : sinon.spy() });
+
+      const req   = new Request({ path : '/cases/', method : 'get', headers : {}, baseUrl : '/v2' });
+      const res   = new Response();
+      router.match({ request : req, response : res });
+      expect(res.getHeader('location')).to.equal('/v2/cases');
+    });
+
+    it('should not redirect to protocol-relative locations', () => {
+      router = new RealRouter({ pathPolicy : { redirect : true } });
+      router.addRoute({ path : '/*path', methods : 'get', handler : sinon.spy() });
+
+      expect(match('//evil.example/').res.getHeader('location')).to.equal('/evil.example');
+      expect(match('/\\evil.example/').res.getHeader('location')).to.equal('/evil.example');
+    });
+
+    it('should not redirect requests that are already canonical, or that match no route', () => {
+      router = new RealRouter({ pathPolicy : { redirect : true } });
+      router.addRoute({ path : '/cases', methods : 'get', handler : sinon.spy() });
+
+      expect(match('/cases').res.statusCode).to.not.equal(301);
+      expect(() => {
+        match('/notes/');
+      }).to.throw('No route matched');
+    });
+  });
+
+  describe('#getRoutes', () => {
+    it('should return the routes in the order they were added, including mounted ones', () => {
+      const parent = new RealRouter();
+      const child  = new RealRouter();
+      child.addRoute({ path : '/users', methods : 'get', handler : sinon.spy() });
+      parent.addRoute({ path : '/health', methods : 'get', handler : sinon.spy() });
+      parent.mount('/admin', child);
+
+      expect(parent.getRoutes().map((route) => {
+        return route.path;
+      })).to.eql(['/health', '/admin/users']);
+    });
+  });
+
+  describe('#urlFor', () => {
+    beforeEach(() => {
+      router.addRoute({
+        name    : 'note',
+        path    : '/cases/:caseId<int>/notes(/:noteId)',
+        methods : 'get',
+        handler : sinon.spy()
+      });
+    });
+
+    it('should build the path of the named route', () => {
+      expect(router.urlFor('note', { caseId : 12, noteId : 'a b' })).to.equal('/cases/12/notes/a%20b');
+    });
+
+    it('should append the query', () => {
+      expect(router.urlFor('note', { caseId : 12 }, { sort : 'date', tag : ['a', 'b'], skip : undefined }))
+        .to.equal('/cases/12/notes?sort=date&tag=a&tag=b');
+    });
+
+    it('should throw if there is no route with the name', () => {
+      expect(() => {
+        router.urlFor('case', { caseId : 12 });
+      }).to.throw('no route named "case"');
+    });
+
+    it('should throw if a required param is missing', () => {
+      expect(() => {
+        router.urlFor('note', { noteId : 1 });
+      }).to.throw('missing param "caseId" for path "/cases/:caseId<int>/notes(/:noteId)".');
+    });
+
+    it('should throw if the query is not an object', () => {
+      expect(() => {
+        router.urlFor('note', { caseId : 12 }, 'sort=date');
+      }).to.throw('query must be an object.');
     });
   });
 
@@ -125,7 +390,7 @@ describe('Router ', () => {
 
     describe('#match', () => {
       it('should find the route on its routeTree', () => {
-        mockTree.find.returns({});
+        mockTree.find.returns({ route : {}, params : {} });
         router.match({ request });
 
         expect(mockTree.find).to.have.been.calledOnce;
@@ -139,10 +404,12 @@ describe('Router ', () => {
           handler : sinon.spy()
         });
 
-        mockTree.find.returns(route);
+        mockTree.find.returns({ route, params : { id : '1' } });
 
         router.match({ request });
         expect(request.matchedRoute).to.equal(route);
+        expect(request.matchedParams).to.eql({ id : '1' });
+        expect(request.routeParams).to.eql({ id : '1' });
       });
 
       it('should throw an error if there is not matched route', () => {
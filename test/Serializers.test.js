@@ -0,0 +1,83 @@
+'use strict';
+const chai = require('chai');
+const _    = require('lodash');
+
+const expect = chai.expect;
+
+const Serializers = require('../lib/middleware/Serializers');
+
+describe('Serializers', () => {
+  const cases = [
+    { id : 1, title : 'Leak, "urgent"', tags : ['a', 'b'], owner : { name : 'Zoë' }, closed : null },
+    { id : 2, title : 'Line\nbreak', opened : new Date(0) }
+  ];
+
+  describe('#BUILT_IN', () => {
+    it('should list the built-in serializers, JSON first', () => {
+      expect(_.map(Serializers.BUILT_IN, 'name')).to.eql(['json', 'ndjson', 'csv', 'xml', 'text', 'yaml']);
+    });
+  });
+
+  describe('#ndjson', () => {
+    it('should write one line per item', () => {
+      expect(Serializers.ndjson([{ a : 1 }, 2])).to.equal('{"a":1}\n2\n');
+      expect(Serializers.ndjson({ a : 1 })).to.equal('{"a":1}\n');
+    });
+  });
+
+  describe('#csv', () => {
+    it('should write a header row and one row per object, quoting fields as needed', () => {
+      expect(Serializers.csv(cases)).to.equal([
+        'id,title,tags,owner,closed,opened',
+        '1,"Leak, ""urgent""","[""a"",""b""]","{""name"":""Zoë""}",,',
+        '2,"Line\nbreak",,,,1970-01-01T00:00:00.000Z',
+        ''
+      ].join('\r\n'));
+    });
+
+    it('should write arrays of arrays as rows', () => {
+      expect(Serializers.csv([['a', 1], ['b', 2]])).to.equal('a,1\r\nb,2\r\n');
+    });
+  });
+
+  describe('#xml', () => {
+    it('should write objects as elements and arrays as items, escaping text', () => {
+      expect(Serializers.xml({ cases : [{ id : 1, title : '<b> & "c"' }], 'a b' : null })).to.equal(
+        '<?xml version="1.0" encoding="UTF-8"?><response><cases><item><id>1</id>' +
+        '<title>&lt;b&gt; &amp; &quot;c&quot;</title></item></cases><entry key="a b"></entry></response>'
+      );
+    });
+  });
+
+  describe('#text', () => {
+    it('should write strings as they are and other values as indented JSON', () => {
+      expect(Serializers.text('hello')).to.equal('hello');
+      expect(Serializers.text({ a : 1 })).to.equal('{\n  "a": 1\n}');
+    });
+  });
+
+  describe('#yaml', () => {
+    it('should write block style YAML, quoting strings that would be read as something else', () => {
+      expect(Serializers.yaml(cases)).to.equal([
+        '- id: 1',
+        '  title: "Leak, \\"urgent\\""',
+        '  tags:',
+        '    - a',
+        '    - b',
+        '  owner:',
+        '    name: "Zoë"',
+        '  closed: null',
+        '- id: 2',
+        '  title: "Line\\nbreak"',
+        '  opened: "1970-01-01T00:00:00.000Z"',
+        ''
+      ].join('\n'));
+    });
+
+    it('should write nested arrays, empty values and scalars', () => {
+      expect(Serializers.yaml([[1, 2], [], {}])).to.equal('- - 1\n  - 2\n- []\n- {}\n');
+      expect(Serializers.yaml({ yes : 'no', 'a: b' : '12' })).to.equal('"yes": "no"\n"a: b": "12"\n');
+      expect(Serializers.yaml('open')).to.equal('open\n');
+    });
+  });
+});
@@ -0,0 +1,254 @@
+'use strict';
+const chai              = require('chai');
+const sinon             = require('sinon');
+const sinonChai         = require('sinon-chai');
+const sinonStubPromises = require('sinon-promises');
+const chaiAsPromised    = require('chai-as-promised');
+const Q                 = require('q');
+
+sinonStubPromises(sinon);
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const App               = require('../lib/App');
+const ServerlessAdapter = require('../lib/adapters/ServerlessAdapter');
+
+function readBody(request) {
+  const deferred = Q.defer();
+  let body = '';
+  request.body.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.body.on('end', () => {
+    deferred.resolve(body);
+  });
+  return deferred.promise;
+}
+
+describe('ServerlessAdapter', () => {
+  let app;
+  let handler;
+  let captured;
+
+  beforeEach(() => {
+    app     = new App();
+    app.then((opts) => {
+      return readBody(opts.request).then((body) => {
+        captured = { request : opts.request, body };
+      });
+    });
+    handler = ServerlessAdapter.createHandler(app);
+  });
+
+  describe('#createHandler', () => {
+    it('should throw if the app is not an App', () => {
+      expect(() => {
+        ServerlessAdapter.createHandler({});
+      }).to.throw('app must be a SuperRouter App instance.');
+    });
+
+    it('should throw if onError is not a function', () => {
+      expect(() => {
+        ServerlessAdapter.createHandler(app, { onError : 'asdf' });
+      }).to.throw('onError must be a function.');
+    });
+  });
+
+  describe('v1 events', () => {
+    it('should map the path, method, query, headers and body into the request', () => {
+      const event   = {
+        httpMethod            : 'POST',
+        path                  : '/cases/1',
+        headers               : { 'Content-Type' : 'text/plain' },
+        queryStringParameters : { a : '1' },
+        requestContext        : { identity : { sourceIp : '203.0.113.7' } },
+        body                  : 'hello',
+        isBase64Encoded       : false
+      };
+      const context = { functionName : 'test' };
+
+      return handler(event, context).then(() => {
+        expect(captured.request.path).to.equal('/cases/1?a=1');
+        expect(captured.request.method).to.equal('POST');
+        expect(captured.request.getHeader('content-type')).to.equal('text/plain');
+        expect(captured.request.ip).to.equal('203.0.113.7');
+        expect(captured.request.event).to.equal(event);
+        expect(captured.request.context).to.equal(context);
+        expect(captured.body).to.equal('hello');
+      });
+    });
+
+    it('should prefer multi-value headers and query parameters', () => {
+      return handler({
+        httpMethod                      : 'GET',
+        path                            : '/',
+        headers                         : { accept : 'text/plain' },
+        multiValueHeaders               : { accept : ['text/plain', 'application/json'], cookie : ['a=1', 'b=2'] },
+        queryStringParameters           : { tag : 'b' },
+        multiValueQueryStringParameters : { tag : ['a', 'b'] }
+      }).then(() => {
+        expect(captured.request.path).to.equal('/?tag=a&tag=b');
+        expect(captured.request.getHeader('accept')).to.equal('text/plain, application/json');
+        expect(captured.request.getHeader('cookie')).to.equal('a=1; b=2');
+      });
+    });
+
+    it('should decode base64 bodies', () => {
+      return handler({
+        httpMethod      : 'PUT',
+        path            : '/',
+        body            : Buffer.from('binary data').toString('base64'),
+        isBase64Encoded : true
+      }).then(() => {
+        expect(captured.body).to.equal('binary data');
+      });
+    });
+  });
+
+  describe('v2 events', () => {
+    it('should map the path, method, query, headers, cookies and body into the request', () => {
+      return handler({
+        version         : '2.0',
+        rawPath         : '/cases',
+        rawQueryString  : 'tag=a&tag=b',
+        cookies         : ['a=1', 'b=2'],
+        headers         : { accept : 'text/plain,application/json' },
+        requestContext  : { http : { method : 'POST', sourceIp : '198.51.100.2' } },
+        body            : Buffer.from('hello').toString('base64'),
+        isBase64Encoded : true
+      }).then(() => {
+        expect(captured.request.path).to.equal('/cases?tag=a&tag=b');
+        expect(captured.request.method).to.equal('POST');
+        expect(captured.request.getHeader('accept')).to.equal('text/plain,application/json');
+        expect(captured.request.getHeader('cookie')).to.equal('a=1; b=2');
+        expect(captured.request.ip).to.equal('198.51.100.2');
+        expect(captured.body).to.equal('hello');
+      });
+    });
+  });
+
+  describe('results', () => {
+    const event = { httpMethod : 'GET', path : '/' };
+
+    it('should buffer the response into the result', () => {
+      app.then((opts) => {
+        opts.response.statusCode = 201;
+        opts.response.setHeader('content-type', 'application/json');
+        opts.response.setBody('{"a":1}');
+      });
+
+      return handler(event).then((result) => {
+        expect(result).to.eql({
+          statusCode      : 201,
+          headers         : { 'content-type' : 'application/json' },
+          body            : '{"a":1}',
+          isBase64Encoded : false
+        });
+      });
+    });
+
+    it('should base64 encode binary bodies', () => {
+      app.then((opts) => {
+        opts.response.setHeader('content-type', 'image/png');
+        opts.response.setBody(Buffer.from([1, 2, 3]));
+      });
+
+      return handler(event).then((result) => {
+        expect(result.isBase64Encoded).to.be.true;
+        expect(result.body).to.equal(Buffer.from([1, 2, 3]).toString('base64'));
+      });
+    });
+
+    it('should not base64 encode textual buffer bodies', () => {
+      app.then((opts) => {
+        opts.response.setHeader('content-type', 'text/html; charset=utf-8');
+        opts.response.setBody(Buffer.from('<p>hi</p>'));
+      });
+
+      return handler(event).then((result) => {
+        expect(result.isBase64Encoded).to.be.false;
+        expect(result.body).to.equal('<p>hi</p>');
+      });
+    });
+
+    it('should return an empty body if none was set', () => {
+      app.then((opts) => {
+        opts.response.statusCode = 202;
+      });
+
+      return handler(event).then((result) => {
+        expect(result.statusCode).to.equal(202);
+        expect(result.body).to.equal('');
+      });
+    });
+
+    it('should not return a body for HEAD requests', () => {
+      app.then((opts) => {
+        opts.response.setBody('hello');
+      });
+
+      return handler({ httpMethod : 'HEAD', path : '/' }).then((result) => {
+        expect(result.statusCode).to.equal(200);
+        expect(result.body).to.equal('');
+      });
+    });
+
+    it('should use the default fallback if processRequest rejects', () => {
+      app.then(() => {
+        const error = new Error('Nope');
+        error.statusCode = 404;
+        throw error;
+      });
+
+      return handler(event).then((result) => {
+        expect(result.statusCode).to.equal(404);
+        expect(JSON.parse(result.body)).to.eql({ statusCode : 404, message : 'Nope' });
+      });
+    });
+
+    it('should return the headers of the error in the default fallback', () => {
+      app.then(() => {
+        const error = new Error('Nope');
+        error.statusCode = 405;
+        error.headers    = { Allow : 'GET, OPTIONS' };
+        throw error;
+      });
+
+      return handler(event).then((result) => {
+        expect(result.headers).to.eql({ allow : 'GET, OPTIONS', 'content-type' : 'application/json' });
+      });
+    });
+
+    it('should use the default fallback if the body was never serialized', () => {
+      app.then((opts) => {
+        opts.response.setBody({ a : 1 });
+      });
+
+      return handler(event).then((result) => {
+        expect(result.statusCode).to.equal(500);
+      });
+    });
+
+    it('should use the configured fallback if processRequest rejects', () => {
+      const error   = new Error('Nope');
+      const onError = sinon.stub().returns({ statusCode : 503 });
+      app.then(() => {
+        throw error;
+      });
+      handler = ServerlessAdapter.createHandler(app, { onError });
+
+      return handler(event).then((result) => {
+        expect(onError).to.have.been.calledWith(error, event);
+        expect(result).to.eql({ statusCode : 503 });
+      });
+    });
+  });
+
+  describe('App integration', () => {
+    it('should expose a serverless handler on the app', () => {
+      expect(app.toServerlessHandler()).to.be.a('function');
+    });
+  });
+});
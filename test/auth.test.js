@@ -0,0 +1,322 @@
+'use strict';
+const chai           = require('chai');
+const crypto         = require('crypto');
+const sinon          = require('sinon');
+const sinonChai      = require('sinon-chai');
+const chaiAsPromised = require('chai-as-promised');
+const PassThrough    = require('stream').PassThrough;
+const Q              = require('q');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const expect = chai.expect;
+
+const Auth     = require('./..').Middleware.Auth;
+const Request  = require('./..').Request;
+const Response = require('./..').Response;
+const Router   = require('./..').Router;
+
+describe('Auth Middleware', () => {
+
+  const users = {
+    ada : { name : 'ada', password : 'l0velace' }
+  };
+
+  let router;
+  let auth;
+
+  function verifyPassword(username, password) {
+    const user = users[username];
+    return user && user.password === password ? user : null;
+  }
+
+  function basic(username, password) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  function authenticate(path, headers, method) {
+    const request = new Request({ path, method : method || 'get', headers : headers || {}, body : new PassThrough() });
+    router.match({ request });
+    return Q.fcall(auth, { request }).then(() => {
+      return request;
+    });
+  }
+
+  function expectUnauthorized(promise, message, challenge) {
+    return promise.then(() => {
+      throw new Error('expected a rejection');
+    }, (error) => {
+      expect(error.name).to.equal('Unauthorized');
+      expect(error.statusCode).to.equal(401);
+      expect(error.message).to.equal(message);
+      expect(error.headers).to.eql(challenge ? { 'www-authenticate' : challenge } : undefined);
+    });
+  }
+
+  beforeEach(() => {
+    router = new Router();
+    router.addRoute({ path : '/public', methods : 'get', handler : () => {} });
+    router.addRoute({ path : '/open', methods : 'get', auth : false, handler : () => {} });
+    router.addRoute({ path : '/admin', methods : 'get', auth : 'basic', handler : () => {} });
+    router.addRoute({ path : '/reports', methods : 'get', auth : ['bearer', 'apiKey'], handler : () => {} });
+
+    auth = Auth.create({
+      strategies : {
+        basic  : Auth.basic({ realm : 'admin', verify : verifyPassword }),
+        bearer : Auth.bearer({
+          verify : (token) => {
+            return Q(token === 's3ssion' ? { name : 'grace' } : null);
+          }
+        }),
+        apiKey : Auth.apiKey({
+          query  : 'api_key',
+          verify : (key) => {
+            return key === 'k3y' ? { name : 'reporter' } : null;
+          }
+        })
+      }
+    });
+  });
+
+  it('should leave public routes and unmatched requests as they are', () => {
+    return Q.all([authenticate('/public'), authenticate('/open', { authorization : 'Bearer wrong' })]).then((requests) => {
+      expect(requests[0].user).to.be.undefined;
+      expect(requests[1].user).to.be.undefined;
+      expect(auth({ request : new Request({ path : '/', method : 'get' }) })).to.be.undefined;
+    });
+  });
+
+  describe('basic', () => {
+    it('should authenticate valid credentials', () => {
+      return authenticate('/admin', { authorization : basic('ada', 'l0velace') }).then((request) => {
+        expect(request.user).to.equal(users.ada);
+        expect(request.auth).to.eql({ strategy : 'basic', username : 'ada' });
+      });
+    });
+
+    it('should reject requests without credentials, with a challenge', () => {
+      return expectUnauthorized(authenticate('/admin'), 'Authentication required.',
+        ['Basic realm="admin", charset="UTF-8"']);
+    });
+
+    it('should reject invalid or malformed credentials, with a challenge', () => {
+      const challenge = 'Basic realm="admin", charset="UTF-8"';
+      return Q.all([
+        expectUnauthorized(authenticate('/admin', { authorization : basic('ada', 'babbage') }), 'Invalid credentials.', challenge),
+        expectUnauthorized(authenticate('/admin', { authorization : 'basic !!' }), 'Invalid credentials.', challenge),
+        expectUnauthorized(authenticate('/admin', { authorization : `Basic ${Buffer.from('ada').toString('base64')}` }),
+          'Invalid credentials.', challenge)
+      ]);
+    });
+
+    it('should allow colons in passwords', () => {
+      users.bob = { name : 'bob', password : 'a:b' };
+      return authenticate('/admin', { authorization : basic('bob', 'a:b') }).then((request) => {
+        expect(request.user).to.equal(users.bob);
+      });
+    });
+  });
+
+  describe('bearer and api key', () => {
+    it('should authenticate with the first strategy the request has credentials for', () => {
+      return Q.all([
+        authenticate('/reports', { authorization : 'bearer s3ssion', 'x-api-key' : 'k3y' }),
+        authenticate('/reports', { 'x-api-key' : 'k3y' }),
+        authenticate('/reports?api_key=k3y')
+      ]).then((requests) => {
+        expect(requests[0].user).to.eql({ name : 'grace' });
+        expect(requests[0].auth).to.eql({ strategy : 'bearer', token : 's3ssion' });
+        expect(requests[1].auth).to.eql({ strategy : 'apiKey', key : 'k3y' });
+        expect(requests[2].user).to.eql({ name : 'reporter' });
+      });
+    });
+
+    it('should reject requests without credentials with the challenges of the route strategies', () => {
+      return expectUnauthorized(authenticate('/reports', { authorization : basic('ada', 'l0velace') }),
+        'Authentication required.', ['Bearer realm="api"']);
+    });
+
+    it('should reject invalid credentials instead of trying the next strategy', () => {
+      return Q.all([
+        expectUnauthorized(authenticate('/reports', { authorization : 'Bearer expired', 'x-api-key' : 'k3y' }),
+          'Invalid credentials.', 'Bearer realm="api", error="invalid_token"'),
+        expectUnauthorized(authenticate('/reports?api_key=a&api_key=b'), 'Invalid credentials.'),
+        expectUnauthorized(authenticate('/reports', { 'x-api-key' : 'nope' }), 'Invalid credentials.')
+      ]);
+    });
+  });
+
+  describe('jwt', () => {
+    const secret = Buffer.from('0123456789abcdef0123456789abcdef');
+    const keys   = { keys : [{ kty : 'oct', kid : 'k1', k : secret.toString('base64url') }] };
+
+    function token(claims) {
+      const header  = Buffer.from(JSON.stringify({ alg : 'HS256', kid : 'k1' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+      const input   = `${header}.${payload}`;
+      return `Bearer ${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+    }
+
+    beforeEach(() => {
+      router.addRoute({ path : '/cases', methods : 'get', auth : 'jwt', scopes : 'cases:read', handler : () => {} });
+      auth = Auth.create({ strategies : { jwt : Auth.jwt({ keys, audience : 'cases-api' }) } });
+    });
+
+    it('should authenticate valid tokens, exposing their claims and scopes', () => {
+      const claims = { sub : 'ada', aud : 'cases-api', scope : 'cases:read cases:write' };
+      const header = token(claims);
+
+      return authenticate('/cases', { authorization : header }).then((request) => {
+        expect(request.user).to.eql(claims);
+        expect(request.auth).to.eql({
+          strategy : 'jwt',
+          token    : header.slice(7),
+          claims,
+          scopes   : ['cases:read', 'cases:write']
+        });
+      });
+    });
+
+    it('should let routes require scopes before their handler runs', () => {
+      const handler = sinon.spy();
+      router.addRoute({ path : '/cases', methods : 'post', auth : 'jwt', scopes : 'cases:write', handler });
+      const request = new Request({
+        path    : '/cases',
+        method  : 'post',
+        headers : { authorization : token({ aud : 'cases-api', scope : 'cases:read' }) }
+      });
+      const response = new Response();
+      router.match({ request });
+
+      return Q.fcall(auth, { request }).then(() => {
+        return expect(router.execute({ request, response })).to.be.rejectedWith('Missing required scopes: cases:write.');
+      }).then(() => {
+        expect(handler).to.not.have.been.called;
+      });
+    });
+
+    it('should reject invalid tokens with the reason', () => {
+      return Q.all([
+        expectUnauthorized(authenticate('/cases', { authorization : token({ aud : 'cases-api', exp : 1 }) }), 'Token expired.',
+          'Bearer realm="api", error="invalid_token", error_description="Token expired."'),
+        expectUnauthorized(authenticate('/cases', { authorization : token({ aud : 'billing-api' }) }), 'Invalid token audience.',
+          'Bearer realm="api", error="invalid_token", error_description="Invalid token audience."')
+      ]);
+    });
+
+    it('should map claims to users with verify', () => {
+      auth = Auth.create({
+        strategies : {
+          jwt : Auth.jwt({
+            keys,
+            verify : (claims) => {
+              return claims.sub === 'ada' ? users.ada : null;
+            }
+          })
+        }
+      });
+
+      return Q.all([
+        authenticate('/cases', { authorization : token({ sub : 'ada' }) }),
+        expectUnauthorized(authenticate('/cases', { authorization : token({ sub : 'eve' }) }), 'Invalid credentials.',
+          'Bearer realm="api", error="invalid_token"')
+      ]).then((results) => {
+        expect(results[0].user).to.equal(users.ada);
+      });
+    });
+
+    it('should validate its options', () => {
+      expect(() => {
+        Auth.jwt({});
+      }).to.throw('one of keys or jwksFile must be set.');
+      expect(() => {
+        Auth.jwt({ keys, clockTolerance : -1 });
+      }).to.throw('clockTolerance must be a non-negative number.');
+      expect(() => {
+        Auth.jwt({ keys, verify : true });
+      }).to.throw('verify must be a function.');
+    });
+  });
+
+  describe('create', () => {
+    it('should authenticate routes without an auth annotation with the default strategies', () => {
+      auth = Auth.create({ strategies : { basic : Auth.basic({ verify : verifyPassword }) }, default : 'basic' });
+
+      return Q.all([
+        expectUnauthorized(authenticate('/public'), 'Authentication required.', ['Basic realm="api", charset="UTF-8"']),
+        authenticate('/open')
+      ]);
+    });
+
+    it('should not authenticate CORS preflight requests', () => {
+      const headers = { origin : 'https://example.com', 'access-control-request-method' : 'GET' };
+      auth          = Auth.create({ strategies : { basic : Auth.basic({ verify : verifyPassword }) }, default : 'basic' });
+
+      return Q.all([
+        authenticate('/admin', headers, 'options'),
+        expectUnauthorized(authenticate('/admin', {}, 'options'), 'Authentication required.', ['Basic realm="api", charset="UTF-8"'])
+      ]);
+    });
+
+    it('should use custom strategies', () => {
+      const strategy = { authenticate : sinon.stub().returns({ user : 'me', session : 'abc' }) };
+      auth = Auth.create({ strategies : { session : strategy }, default : 'session' });
+
+      return authenticate('/public').then((request) => {
+        expect(strategy.authenticate).to.have.been.calledWith(request);
+        expect(request.user).to.equal('me');
+        expect(request.auth).to.eql({ strategy : 'session', session : 'abc' });
+      });
+    });
+
+    it('should pass on errors of strategies', () => {
+      auth = Auth.create({ strategies : { basic : Auth.basic({ verify : sinon.stub().throws(new Error('db down')) }) } });
+      return expect(authenticate('/admin', { authorization : basic('ada', 'l0velace') })).to.be.rejectedWith('db down');
+    });
+
+    it('should reject routes naming unknown strategies', () => {
+      router.addRoute({ path : '/other', methods : 'get', auth : 'digest', handler : () => {} });
+      return expect(authenticate('/other')).to.be.rejectedWith(TypeError,
+        'route /other names unknown auth strategy "digest".');
+    });
+
+    it('should validate the auth annotations of the routes of a router', () => {
+      expect(auth.validate(router)).to.equal(router);
+
+      router.addRoute({ path : '/other', methods : 'get', auth : ['basic', 'digest'], handler : () => {} });
+      expect(() => {
+        auth.validate(router);
+      }).to.throw(TypeError, 'route /other names unknown auth strategy "digest".');
+    });
+
+    it('should validate its options', () => {
+      expect(() => {
+        Auth.create();
+      }).to.throw('options must be an object.');
+      expect(() => {
+        Auth.create({ strategies : { basic : {} } });
+      }).to.throw('strategies must be an object of { authenticate } strategies.');
+      expect(() => {
+        Auth.create({ strategies : { basic : Auth.basic({ verify : verifyPassword }) }, default : 'bearer' });
+      }).to.throw('unknown auth strategy "bearer".');
+      expect(() => {
+        Auth.bearer({});
+      }).to.throw('verify must be a function.');
+      expect(() => {
+        Auth.basic({ verify : verifyPassword, realm : 1 });
+      }).to.throw('realm must be a string.');
+      expect(() => {
+        Auth.apiKey({ verify : verifyPassword, query : ['key'] });
+      }).to.throw('header and query must be strings.');
+    });
+  });
+
+  describe('unauthorized', () => {
+    it('should create a 401 error with a WWW-Authenticate header', () => {
+      const error = Auth.unauthorized('Token expired.', 'Bearer error="invalid_token"');
+      expect(error.statusCode).to.equal(401);
+      expect(error.headers).to.eql({ 'www-authenticate' : 'Bearer error="invalid_token"' });
+    });
+  });
+});
@@ -12,6 +12,8 @@ chai.use(sinonChai);
 
 const expect = chai.expect;
 const utils = require('./../lib/utils');
+const Request = require('./../lib/Request');
+const Response = require('./../lib/Response');
 
 describe('Utils', () => {
   describe('normalizePath', () => {
@@ -25,6 +27,8 @@ describe('Utils', () => {
       { in : '/something?Key1=Value1&Key2=Value2', out : '/something?Key1=Value1&Key2=Value2' },
       { in : '/something/:ID/ActiOn?Key1=Value1&Key2=Value2', out : '/something/:ID/action?Key1=Value1&Key2=Value2' },
       { in : '/something/:ID/ActiOn/////////?Key1=Value1&Key2=Value2', out : '/something/:ID/action?Key1=Value1&Key2=Value2' },
+      { in : '/Files/*FilePath', out : '/files/*FilePath' },
+      { in : '/Reports(/:Year)', out : '/reports(/:Year)' },
     ];
 
     _.forEach(testCases, (testCase) => {
@@ -35,4 +39,217 @@ describe('Utils', () => {
 
   });
 
+  describe('splitQuerystring', () => {
+    it('should split the uri from the querystring', () => {
+      expect(utils.splitQuerystring('/cases?a=b?c')).to.eql(['/cases', '?a=b?c']);
+      expect(utils.splitQuerystring('/cases')).to.eql(['/cases', '']);
+    });
+  });
+
+  describe('stripTrailingSlashes', () => {
+    it('should strip trailing slashes, but not the root', () => {
+      expect(utils.stripTrailingSlashes('/cases//')).to.equal('/cases');
+      expect(utils.stripTrailingSlashes('//')).to.equal('/');
+    });
+  });
+
+  describe('lowercaseSegments', () => {
+    it('should lowercase segments other than params and splats', () => {
+      expect(utils.lowercaseSegments('/Cases/:CaseId/*Rest')).to.equal('/cases/:CaseId/*Rest');
+    });
+  });
+
+  describe('comparePaths', () => {
+    const testCases = [
+      { p1 : '/users/:id', p2 : '/users/:userId', out : 0 },
+      { p1 : '/files/*path', p2 : '/files/*filepath', out : 0 },
+      { p1 : '/reports(/:year)', p2 : '/reports(/:y)', out : 0 },
+      { p1 : '/files/*path', p2 : '/files', out : 1 },
+      { p1 : '/reports(/:year)', p2 : '/reports', out : 1 },
+      { p1 : '/files', p2 : '/files/*path', out : -1 },
+      { p1 : '/users2', p2 : '/users', out : -1 },
+      { p1 : '/cases/:id<int>', p2 : '/cases/:caseId<int>', out : 0 },
+      { p1 : '/cases/:id<int>', p2 : '/cases/:id', out : -1 },
+      { p1 : '/cases/:id<int>/notes', p2 : '/cases/:id<int>', out : 1 },
+      { p1 : '/cases/:id<(a|b)>', p2 : '/cases/:id<(a|c)>', out : -1 },
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.p1} ${testCase.p2}`, () => {
+        expect(utils.comparePaths(testCase.p1, testCase.p2)).to.equal(testCase.out);
+      });
+    });
+  });
+
+  describe('compareSpecificity', () => {
+    const testCases = [
+      { p1 : '/users/me', p2 : '/users/:id', out : -1 },
+      { p1 : '/users/:id', p2 : '/users/me', out : 1 },
+      { p1 : '/files/:name.:ext', p2 : '/files/:id', out : -1 },
+      { p1 : '/files/:id', p2 : '/files/*path', out : -1 },
+      { p1 : '/reports(/:year)', p2 : '/reports/:id', out : 1 },
+      { p1 : '/reports(/:year)', p2 : '/:id', out : -1 },
+      { p1 : '/:a/b', p2 : '/a/:b', out : 1 },
+      { p1 : '/users/:id', p2 : '/users/:userId', out : 0 },
+      { p1 : '/users/:id<int>', p2 : '/users/:id', out : -1 },
+      { p1 : '/users/:id<int>', p2 : '/users/:id.json', out : 1 },
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.p1} ${testCase.p2}`, () => {
+        expect(utils.compareSpecificity(testCase.p1, testCase.p2)).to.equal(testCase.out);
+      });
+    });
+  });
+
+  describe('isAmbiguous', () => {
+    const testCases = [
+      { p1 : '/files/:name.:ext', p2 : '/files/:id.json', out : true },
+      { p1 : '/users/me', p2 : '/users/:id', out : false },
+      { p1 : '/users/:id', p2 : '/users/:userId', out : false },
+      { p1 : '/a/:b.json', p2 : '/b/:c.json', out : false },
+      { p1 : '/a/:b<int>', p2 : '/a/:c<uuid>', out : false },
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.p1} ${testCase.p2}`, () => {
+        expect(utils.isAmbiguous(testCase.p1, testCase.p2)).to.equal(testCase.out);
+      });
+    });
+  });
+
+  describe('isWildcardPath', () => {
+    it('should be true for splats and optional groups', () => {
+      expect(utils.isWildcardPath('/files/*path')).to.be.true;
+      expect(utils.isWildcardPath('/reports(/:year)')).to.be.true;
+    });
+
+    it('should be false for static and param paths', () => {
+      expect(utils.isWildcardPath('/files')).to.be.false;
+      expect(utils.isWildcardPath('/files/:id')).to.be.false;
+      expect(utils.isWildcardPath('/files/:id<(a|b)*>')).to.be.false;
+    });
+  });
+
+  describe('getParamNames', () => {
+    it('should return param and splat names in order', () => {
+      expect(utils.getParamNames('/user(/:type)/:id(/*rest)')).to.eql(['type', 'id', 'rest']);
+    });
+
+    it('should return an empty array for static paths', () => {
+      expect(utils.getParamNames('/users')).to.eql([]);
+    });
+
+    it('should ignore param constraints', () => {
+      expect(utils.getParamNames('/cases/:id<(?:abc)>')).to.eql(['id']);
+    });
+  });
+
+  describe('parsePath', () => {
+    it('should parse text, params, splats and optional groups', () => {
+      expect(utils.parsePath('/a/:b<int>(/:c.json)/*d')).to.eql([
+        { text : '/a/' },
+        { param : 0, name : 'b', constraint : 'int' },
+        { group : [{ text : '/' }, { param : 1, name : 'c' }, { text : '.json' }] },
+        { text : '/' },
+        { splat : 2, name : 'd' }
+      ]);
+    });
+  });
+
+  describe('joinPaths', () => {
+    const testCases = [
+      { prefix : '/admin', path : '/users', out : '/admin/users' },
+      { prefix : '/admin/', path : '/users', out : '/admin/users' },
+      { prefix : '/admin', path : '/', out : '/admin' },
+      { prefix : '/', path : '/users', out : '/users' },
+      { prefix : '/', path : '/', out : '/' }
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.prefix} ${testCase.path}`, () => {
+        expect(utils.joinPaths(testCase.prefix, testCase.path)).to.equal(testCase.out);
+      });
+    });
+  });
+
+  describe('stripConstraints', () => {
+    it('should remove param constraints from the path', () => {
+      expect(utils.stripConstraints('/cases/:caseId<int>/:status<open|closed>')).to.equal('/cases/:caseId/:status');
+    });
+  });
+
+  describe('getConstraintSources', () => {
+    it('should return the constraint sources by param name', () => {
+      expect(utils.getConstraintSources('/cases/:caseId<int>/:status')).to.eql({ caseId : 'int' });
+    });
+  });
+
+  describe('getErrorHeaders', () => {
+    it('should lower-case keys and join array values', () => {
+      const error   = new Error('Unauthorized');
+      error.headers = { 'WWW-Authenticate' : ['Basic', 'Bearer'], 'Retry-After' : 5 };
+      expect(utils.getErrorHeaders(error)).to.eql({ 'www-authenticate' : 'Basic, Bearer', 'retry-after' : '5' });
+    });
+
+    it('should return no headers for errors without headers', () => {
+      expect(utils.getErrorHeaders(new Error('Failure'))).to.eql({});
+      expect(utils.getErrorHeaders(undefined)).to.eql({});
+    });
+  });
+
+  describe('getErrorResponse', () => {
+    it('should expose the messages and headers of client errors', () => {
+      const error      = new Error('Method not allowed.');
+      error.statusCode = 405;
+      error.headers    = { Allow : ['GET', 'HEAD'] };
+      expect(utils.getErrorResponse(error)).to.eql({
+        statusCode : 405,
+        headers    : { allow : 'GET, HEAD' },
+        body       : { statusCode : 405, message : 'Method not allowed.' }
+      });
+    });
+
+    it('should mask the messages of server errors and default to a 500', () => {
+      const error = new Error('db password is hunter2');
+      expect(utils.getErrorResponse(error)).to.eql({
+        statusCode : 500,
+        headers    : {},
+        body       : { statusCode : 500, message : 'Internal Server Error' }
+      });
+      error.statusCode = 503;
+      expect(utils.getErrorResponse(error).body).to.eql({ statusCode : 503, message : 'Service Unavailable' });
+    });
+  });
+
+  describe('addVary', () => {
+    it('should add a header name to the Vary header unless it is already listed', () => {
+      const response = new Response();
+      utils.addVary(response, 'Accept');
+      utils.addVary(response, 'origin');
+      utils.addVary(response, 'Origin');
+      expect(response.getHeader('vary')).to.equal('Accept, origin');
+
+      response.setHeader('vary', '*');
+      utils.addVary(response, 'Origin');
+      expect(response.getHeader('vary')).to.equal('*');
+    });
+  });
+
+  describe('isPreflightRequest', () => {
+    const testCases = [
+      { method : 'options', headers : { origin : 'a.com', 'access-control-request-method' : 'PUT' }, expected : true },
+      { method : 'options', headers : { origin : 'a.com' }, expected : false },
+      { method : 'options', headers : { 'access-control-request-method' : 'PUT' }, expected : false },
+      { method : 'put', headers : { origin : 'a.com', 'access-control-request-method' : 'PUT' }, expected : false }
+    ];
+
+    _.forEach(testCases, (testCase) => {
+      it(`testCase: ${testCase.method} ${_.keys(testCase.headers).join(', ')}`, () => {
+        const request = new Request({ path : '/', method : testCase.method, headers : testCase.headers });
+        expect(utils.isPreflightRequest(request)).to.equal(testCase.expected);
+      });
+    });
+  });
+
 });